@@ -6,26 +6,29 @@ cloudinary.config({
   api_secret: process.env.CLOUDINARY_API_SECRET,
 })
 
-const uploadImage = async (file, folder = "meat-shop") => {
+// Pass { transform: false } for files that are already sized, such as image derivatives
+const uploadImage = async (file, folder = "meat-shop", { transform = true } = {}) => {
   try {
     const result = await cloudinary.uploader.upload(file, {
       folder: folder,
       resource_type: "auto",
-      transformation: [{ width: 800, height: 600, crop: "limit" }, { quality: "auto" }, { fetch_format: "auto" }],
+      ...(transform && {
+        transformation: [{ width: 800, height: 600, crop: "limit" }, { quality: "auto" }, { fetch_format: "auto" }],
+      }),
     })
 
     return {
       url: result.secure_url,
-      public_id: result.public_id,
+      assetId: result.public_id,
     }
   } catch (error) {
     throw new Error("Image upload failed")
   }
 }
 
-const deleteImage = async (publicId) => {
+const deleteImage = async (assetId) => {
   try {
-    await cloudinary.uploader.destroy(publicId)
+    await cloudinary.uploader.destroy(assetId)
   } catch (error) {
     console.error("Image deletion failed:", error)
   }
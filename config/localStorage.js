@@ -0,0 +1,46 @@
+const fs = require("fs")
+const path = require("path")
+const crypto = require("crypto")
+
+// Where images are kept and the URL they are served from (see server.js)
+const STORAGE_DIR = path.resolve(process.env.LOCAL_STORAGE_DIR || "storage")
+const BASE_URL = (process.env.LOCAL_STORAGE_BASE_URL || "/media").replace(/\/$/, "")
+
+// Resolve an asset id to its file, refusing ids that point outside the storage directory
+const assetPath = (assetId) => {
+  const file = path.resolve(STORAGE_DIR, assetId)
+  if (!file.startsWith(STORAGE_DIR + path.sep)) throw new Error(`Invalid asset id: ${assetId}`)
+  return file
+}
+
+const uploadImage = async (file, folder = "meat-shop") => {
+  try {
+    const assetId = path.posix.join(folder, `${crypto.randomUUID()}${path.extname(file).toLowerCase()}`)
+    const target = assetPath(assetId)
+
+    await fs.promises.mkdir(path.dirname(target), { recursive: true })
+    await fs.promises.copyFile(file, target)
+
+    return {
+      url: `${BASE_URL}/${assetId}`,
+      assetId,
+    }
+  } catch (error) {
+    throw new Error("Image upload failed")
+  }
+}
+
+const deleteImage = async (assetId) => {
+  try {
+    await fs.promises.unlink(assetPath(assetId))
+  } catch (error) {
+    console.error("Image deletion failed:", error)
+  }
+}
+
+module.exports = {
+  STORAGE_DIR,
+  BASE_URL,
+  uploadImage,
+  deleteImage,
+}
@@ -0,0 +1,26 @@
+// Image storage providers. Each one exposes:
+//
+//   uploadImage(file, folder, options) - store the file at a local path, resolving to
+//     { url, assetId }; { transform: false } stores it without resizing
+//   deleteImage(assetId) - remove a stored image; failures are logged, not thrown
+//
+// STORAGE_PROVIDER picks one; without it Cloudinary is used when configured and the
+// local disk otherwise, so development works offline.
+const providers = {
+  cloudinary: () => require("./cloudinary"),
+  local: () => require("./localStorage"),
+}
+
+const providerName = process.env.STORAGE_PROVIDER || (process.env.CLOUDINARY_CLOUD_NAME ? "cloudinary" : "local")
+
+if (!providers[providerName]) {
+  throw new Error(`Unknown STORAGE_PROVIDER "${providerName}". Use one of: ${Object.keys(providers).join(", ")}`)
+}
+
+const provider = providers[providerName]()
+
+module.exports = {
+  providerName,
+  uploadImage: provider.uploadImage,
+  deleteImage: provider.deleteImage,
+}
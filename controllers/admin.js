@@ -1,10 +1,203 @@
 const { validationResult } = require("express-validator")
+const stripe = require("stripe")(process.env.STRIPE_SECRET_KEY)
 const User = require("../models/User")
 const Order = require("../models/Order")
 const Product = require("../models/Product")
 const Category = require("../models/Category")
 const Review = require("../models/Review")
+const Question = require("../models/Question")
+const Answer = require("../models/Answer")
 const Cart = require("../models/Cart")
+const SearchQuery = require("../models/SearchQuery")
+const PriceRule = require("../models/PriceRule")
+const PriceHistory = require("../models/PriceHistory")
+const ProductRevision = require("../models/ProductRevision")
+const { roundPrice, calculateOrderTotals } = require("../utils/orderPricing")
+const { parseListQuery } = require("../utils/queryFilter")
+const { paginate } = require("../utils/paginate")
+const { parseCsv, toCsvLine } = require("../utils/csv")
+const { clearCatalogCache } = require("../utils/search")
+const { refreshRecommendations } = require("../utils/recommendations")
+const { refreshShoppingFeed } = require("../utils/shoppingFeed")
+const { MODERATION_RULES } = require("../utils/reviewModeration")
+const { deleteImage } = require("../config/storage")
+const {
+  getProductCsvHeaders,
+  productToCsvValues,
+  validateCsvHeaders,
+  csvValuesToProductFields,
+} = require("../utils/productCsv")
+
+// Filters accepted by the admin list endpoints
+const userQueryGrammar = {
+  fields: {
+    role: { type: "enum", values: ["customer", "admin"] },
+    status: { type: "enum", path: "isActive", values: ["active", "inactive"], transform: (v) => v === "active" },
+    createdAt: { type: "date" },
+    lastLogin: { type: "date" },
+  },
+  search: { param: "search", fields: ["name", "email", "phone"] },
+  sort: ["name", "email", "createdAt", "lastLogin"],
+  defaultSort: "-createdAt",
+}
+
+const orderQueryGrammar = {
+  fields: {
+    status: { type: "enum", values: Order.schema.path("status").enumValues },
+    isPaid: { type: "boolean" },
+    isDelivered: { type: "boolean" },
+    user: { type: "objectId" },
+    totalPrice: { type: "number" },
+    createdAt: { type: "date" },
+    startDate: { type: "date", path: "createdAt", operators: ["gte"], operator: "gte" },
+    endDate: { type: "date", path: "createdAt", operators: ["lte"], operator: "lte" },
+  },
+  search: { param: "search", fields: ["orderNumber"] },
+  sort: ["createdAt", "totalPrice", "status", "orderNumber"],
+  defaultSort: "-createdAt",
+}
+
+const adminProductQueryGrammar = {
+  fields: {
+    category: { type: "objectId" },
+    status: { type: "enum", values: Product.schema.path("status").enumValues },
+    isActive: { type: "boolean" },
+    publishAt: { type: "date" },
+    unpublishAt: { type: "date" },
+    isFeatured: { type: "boolean" },
+    price: { type: "number" },
+    stock: { type: "number", path: "inventory.quantity" },
+    createdAt: { type: "date" },
+  },
+  search: { param: "search", fields: ["name", "sku", "variants.sku", "description"] },
+  sort: ["name", "sku", "price", "createdAt", "averageRating", "publishAt", "unpublishAt"],
+  defaultSort: "-createdAt",
+}
+
+// ?status=active and ?status=inactive predate lifecycle statuses and still filter on isActive
+const LEGACY_PRODUCT_STATUSES = { active: "true", inactive: "false" }
+
+const reviewQueryGrammar = {
+  fields: {
+    heldFor: { type: "enum", path: "moderation.heldReasons.rule", values: MODERATION_RULES },
+    rating: { type: "number" },
+    product: { type: "objectId" },
+    user: { type: "objectId" },
+    isVerifiedPurchase: { type: "boolean" },
+    createdAt: { type: "date" },
+  },
+  sort: ["createdAt", "rating", "helpfulVotes"],
+  defaultSort: "-createdAt",
+  params: ["status", "view"],
+}
+
+// Review status filters: pending reviews are held and not yet decided by a moderator
+const REVIEW_STATUS_FILTERS = {
+  approved: { isApproved: true },
+  pending: { isApproved: false, "moderation.moderatedAt": { $exists: false } },
+  rejected: { isApproved: false, "moderation.moderatedAt": { $exists: true } },
+}
+
+const questionQueryGrammar = {
+  fields: {
+    status: { type: "enum", values: ["pending", "approved", "rejected"] },
+    product: { type: "objectId" },
+    user: { type: "objectId" },
+    createdAt: { type: "date" },
+  },
+  search: { param: "search", fields: ["text"] },
+  sort: ["createdAt", "answerCount"],
+  defaultSort: "-createdAt",
+}
+
+const answerQueryGrammar = {
+  fields: {
+    status: { type: "enum", values: ["pending", "approved", "rejected"] },
+    question: { type: "objectId" },
+    product: { type: "objectId" },
+    user: { type: "objectId" },
+    isStaffAnswer: { type: "boolean" },
+    isVerifiedPurchase: { type: "boolean" },
+    createdAt: { type: "date" },
+  },
+  search: { param: "search", fields: ["text"] },
+  sort: ["createdAt", "upvoteCount"],
+  defaultSort: "-createdAt",
+}
+
+// Send a 400 for list queries that don't match the grammar
+const sendInvalidQuery = (res, errors) =>
+  res.status(400).json({
+    success: false,
+    error: "Invalid query",
+    details: errors,
+  })
+
+// Pipeline stages that expand active products into stock units: one per active
+// variant, or the product itself when it is not sold as variants
+const stockUnitStages = [
+  { $match: { isActive: true } },
+  {
+    $project: {
+      name: 1,
+      category: 1,
+      units: {
+        $cond: [
+          { $gt: [{ $size: { $ifNull: ["$variants", []] } }, 0] },
+          {
+            $map: {
+              input: { $filter: { input: "$variants", as: "variant", cond: "$$variant.isActive" } },
+              as: "variant",
+              in: {
+                variant: "$$variant._id",
+                sku: "$$variant.sku",
+                options: "$$variant.options",
+                price: "$$variant.price",
+                cost: { $ifNull: ["$$variant.cost", "$cost"] },
+                inventory: "$$variant.inventory",
+              },
+            },
+          },
+          [{ variant: null, sku: "$sku", options: null, price: "$price", cost: "$cost", inventory: "$inventory" }],
+        ],
+      },
+    },
+  },
+  { $unwind: "$units" },
+]
+
+// Flatten a stock unit into a report row
+const stockUnitRowStages = [
+  {
+    $lookup: {
+      from: "categories",
+      localField: "category",
+      foreignField: "_id",
+      as: "category",
+    },
+  },
+  { $unwind: { path: "$category", preserveNullAndEmptyArrays: true } },
+  {
+    $project: {
+      _id: 0,
+      product: "$_id",
+      name: 1,
+      category: { _id: "$category._id", name: "$category.name" },
+      variant: "$units.variant",
+      sku: "$units.sku",
+      options: "$units.options",
+      price: "$units.price",
+      inventory: "$units.inventory",
+    },
+  },
+]
+
+const lowStockMatch = {
+  $match: {
+    "units.inventory.trackQuantity": true,
+    $expr: { $lte: ["$units.inventory.quantity", "$units.inventory.lowStockThreshold"] },
+  },
+}
 
 // @desc    Get dashboard statistics
 // @route   GET /api/admin/dashboard
@@ -79,13 +272,12 @@ const getDashboardStats = async (req, res) => {
     ])
 
     // Low stock products
-    const lowStockProducts = await Product.find({
-      "inventory.trackQuantity": true,
-      $expr: { $lte: ["$inventory.quantity", "$inventory.lowStockThreshold"] },
-      isActive: true,
-    })
-      .select("name sku inventory.quantity inventory.lowStockThreshold")
-      .limit(10)
+    const lowStockProducts = await Product.aggregate([
+      ...stockUnitStages,
+      lowStockMatch,
+      { $limit: 10 },
+      ...stockUnitRowStages,
+    ])
 
     // Recent orders
     const recentOrders = await Order.find()
@@ -165,29 +357,27 @@ const getDashboardStats = async (req, res) => {
 // @access  Private/Admin
 const getAllUsers = async (req, res) => {
   try {
-    const page = Number.parseInt(req.query.page, 10) || 1
-    const limit = Number.parseInt(req.query.limit, 10) || 20
-    const search = req.query.search
-    const role = req.query.role
-    const status = req.query.status
-
     // Build query
-    const query = {}
-    if (search) {
-      query.$or = [
-        { name: { $regex: search, $options: "i" } },
-        { email: { $regex: search, $options: "i" } },
-        { phone: { $regex: search, $options: "i" } },
-      ]
-    }
-    if (role) query.role = role
-    if (status === "active") query.isActive = true
-    if (status === "inactive") query.isActive = false
+    const { errors, filter: query, sort } = parseListQuery(req.query, userQueryGrammar)
+    if (errors.length > 0) return sendInvalidQuery(res, errors)
 
-    const startIndex = (page - 1) * limit
-    const total = await User.countDocuments(query)
+    const {
+      error,
+      data: users,
+      total,
+      pagination,
+    } = await paginate(req, res, User, query, {
+      sort,
+      defaultLimit: 20,
+      query: (usersQuery) => usersQuery.select("-password"),
+    })
 
-    const users = await User.find(query).select("-password").skip(startIndex).limit(limit).sort("-createdAt")
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error,
+      })
+    }
 
     // Get order counts for each user
     const usersWithStats = await Promise.all(
@@ -213,24 +403,6 @@ const getAllUsers = async (req, res) => {
       }),
     )
 
-    // Pagination result
-    const pagination = {}
-    const endIndex = page * limit
-
-    if (endIndex < total) {
-      pagination.next = {
-        page: page + 1,
-        limit,
-      }
-    }
-
-    if (startIndex > 0) {
-      pagination.prev = {
-        page: page - 1,
-        limit,
-      }
-    }
-
     res.status(200).json({
       success: true,
       count: usersWithStats.length,
@@ -426,51 +598,26 @@ const deactivateUser = async (req, res) => {
 // @access  Private/Admin
 const getAllOrders = async (req, res) => {
   try {
-    const page = Number.parseInt(req.query.page, 10) || 1
-    const limit = Number.parseInt(req.query.limit, 10) || 20
-    const status = req.query.status
-    const search = req.query.search
-    const startDate = req.query.startDate
-    const endDate = req.query.endDate
-
     // Build query
-    const query = {}
-    if (status) query.status = status
-    if (search) {
-      query.$or = [{ orderNumber: { $regex: search, $options: "i" } }]
-    }
-    if (startDate || endDate) {
-      query.createdAt = {}
-      if (startDate) query.createdAt.$gte = new Date(startDate)
-      if (endDate) query.createdAt.$lte = new Date(endDate)
-    }
-
-    const startIndex = (page - 1) * limit
-    const total = await Order.countDocuments(query)
-
-    const orders = await Order.find(query)
-      .populate("user", "name email phone")
-      .populate("items.product", "name images")
-      .skip(startIndex)
-      .limit(limit)
-      .sort("-createdAt")
-
-    // Pagination result
-    const pagination = {}
-    const endIndex = page * limit
+    const { errors, filter: query, sort } = parseListQuery(req.query, orderQueryGrammar)
+    if (errors.length > 0) return sendInvalidQuery(res, errors)
 
-    if (endIndex < total) {
-      pagination.next = {
-        page: page + 1,
-        limit,
-      }
-    }
+    const {
+      error,
+      data: orders,
+      total,
+      pagination,
+    } = await paginate(req, res, Order, query, {
+      sort,
+      defaultLimit: 20,
+      query: (ordersQuery) => ordersQuery.populate("user", "name email phone").populate("items.product", "name images"),
+    })
 
-    if (startIndex > 0) {
-      pagination.prev = {
-        page: page - 1,
-        limit,
-      }
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error,
+      })
     }
 
     res.status(200).json({
@@ -572,58 +719,155 @@ const updateOrderStatus = async (req, res) => {
   }
 }
 
-// @desc    Get all products (admin view)
-// @route   GET /api/admin/products
+// @desc    Record actual weights for catch-weight order items and capture the final amount
+// @route   PUT /api/admin/orders/:id/weights
 // @access  Private/Admin
-const getAllProducts = async (req, res) => {
+const recordOrderWeights = async (req, res) => {
   try {
-    const page = Number.parseInt(req.query.page, 10) || 1
-    const limit = Number.parseInt(req.query.limit, 10) || 20
-    const search = req.query.search
-    const category = req.query.category
-    const status = req.query.status
+    // Check for validation errors
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: "Validation failed",
+        details: errors.array(),
+      })
+    }
 
-    // Build query
-    const query = {}
-    if (search) {
-      query.$or = [
-        { name: { $regex: search, $options: "i" } },
-        { sku: { $regex: search, $options: "i" } },
-        { description: { $regex: search, $options: "i" } },
-      ]
-    }
-    if (category) query.category = category
-    if (status === "active") query.isActive = true
-    if (status === "inactive") query.isActive = false
-
-    const startIndex = (page - 1) * limit
-    const total = await Product.countDocuments(query)
-
-    const products = await Product.find(query)
-      .populate("category", "name")
-      .populate("createdBy", "name")
-      .skip(startIndex)
-      .limit(limit)
-      .sort("-createdAt")
+    const order = await Order.findById(req.params.id)
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        error: "Order not found",
+      })
+    }
+
+    if (!["pending", "confirmed", "processing"].includes(order.status) || order.isPaid) {
+      return res.status(400).json({
+        success: false,
+        error: "Weights can only be recorded before the order is charged and shipped",
+      })
+    }
 
-    // Pagination result
-    const pagination = {}
-    const endIndex = page * limit
+    // Apply the weighed amounts to the catch-weight lines
+    for (const { itemId, actualWeight } of req.body.items) {
+      const item = order.items.id(itemId)
 
-    if (endIndex < total) {
-      pagination.next = {
-        page: page + 1,
-        limit,
+      if (!item || !item.isCatchWeight) {
+        return res.status(400).json({
+          success: false,
+          error: `Order item ${itemId} is not a catch-weight item`,
+        })
       }
+
+      item.catchWeight.actualWeight = actualWeight
+      item.catchWeight.weighedAt = new Date()
+      item.totalPrice = roundPrice(item.catchWeight.pricePerUnit * actualWeight)
+      item.price = roundPrice(item.totalPrice / item.quantity)
+    }
+
+    // Re-price the order, keeping the shipping charge that was quoted at checkout
+    const itemsPrice = order.items.reduce((total, item) => total + item.totalPrice, 0)
+    const totals = calculateOrderTotals(itemsPrice, order.shippingPrice)
+    order.itemsPrice = totals.itemsPrice
+    order.taxPrice = totals.taxPrice
+    order.totalPrice = totals.totalPrice
+
+    const awaitingWeights = order.awaitingWeights
+    if (!awaitingWeights) {
+      order.weightsRecordedAt = new Date()
     }
 
-    if (startIndex > 0) {
-      pagination.prev = {
-        page: page - 1,
-        limit,
+    order.statusHistory.push({
+      status: order.status,
+      note: `Catch-weight items weighed, total adjusted to $${order.totalPrice.toFixed(2)}`,
+      date: new Date(),
+    })
+
+    // Persist the weights before charging, so a failed save never leaves an unrecorded capture
+    await order.save()
+
+    // Capture the adjusted amount on the authorized PaymentIntent once every line is weighed.
+    // A PaymentIntent that already succeeded was captured by an earlier attempt whose order
+    // update failed; record it instead of capturing again.
+    let capture
+    if (!awaitingWeights && order.paymentInfo.method === "stripe" && order.paymentInfo.transactionId) {
+      const paymentIntent = await stripe.paymentIntents.retrieve(order.paymentInfo.transactionId)
+
+      let captured = null
+      if (paymentIntent.status === "requires_capture") {
+        const amountToCapture = Math.min(Math.round(order.totalPrice * 100), paymentIntent.amount_capturable)
+        captured = await stripe.paymentIntents.capture(
+          paymentIntent.id,
+          { amount_to_capture: amountToCapture },
+          { idempotencyKey: `capture-${order._id}` },
+        )
+      } else if (paymentIntent.status === "succeeded") {
+        captured = paymentIntent
+      }
+
+      if (captured) {
+        order.isPaid = true
+        order.paymentInfo.paidAt = new Date()
+        order.paymentInfo.capturedAmount = captured.amount_received / 100
+        await order.save()
+
+        capture = {
+          amount: order.paymentInfo.capturedAmount,
+          shortfall: roundPrice(Math.max(order.totalPrice - order.paymentInfo.capturedAmount, 0)),
+        }
       }
     }
 
+    res.status(200).json({
+      success: true,
+      message: awaitingWeights ? "Weights recorded, some items still need weighing" : "Order weights finalized",
+      data: order,
+      capture,
+    })
+  } catch (error) {
+    console.error("Record order weights error:", error)
+    res.status(500).json({
+      success: false,
+      error: "Server error during weight adjustment",
+    })
+  }
+}
+
+// @desc    Get all products (admin view)
+// @route   GET /api/admin/products
+// @access  Private/Admin
+const getAllProducts = async (req, res) => {
+  try {
+    const { status, ...otherParams } = req.query
+    const listQuery =
+      typeof status === "string" && Object.hasOwn(LEGACY_PRODUCT_STATUSES, status)
+        ? { ...otherParams, isActive: LEGACY_PRODUCT_STATUSES[status] }
+        : req.query
+
+    // Build query
+    const { errors, filter: query, sort } = parseListQuery(listQuery, adminProductQueryGrammar)
+    if (errors.length > 0) return sendInvalidQuery(res, errors)
+
+    const {
+      error,
+      data: products,
+      total,
+      pagination,
+    } = await paginate(req, res, Product, query, {
+      sort,
+      defaultLimit: 20,
+      query: (productsQuery) => productsQuery.populate("category", "name").populate("createdBy", "name"),
+    })
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error,
+      })
+    }
+
     res.status(200).json({
       success: true,
       count: products.length,
@@ -709,7 +953,11 @@ const toggleProductStatus = async (req, res) => {
     }
 
     product.isActive = !product.isActive
+    product.$locals.changedBy = req.user.id
+    product.$locals.priceChangeSource = "api"
+    product.$locals.revisionAction = "toggle"
     await product.save()
+    clearCatalogCache()
 
     res.status(200).json({
       success: true,
@@ -717,6 +965,7 @@ const toggleProductStatus = async (req, res) => {
       data: {
         id: product._id,
         name: product.name,
+        status: product.status,
         isActive: product.isActive,
       },
     })
@@ -729,150 +978,1118 @@ const toggleProductStatus = async (req, res) => {
   }
 }
 
-// @desc    Get all reviews
-// @route   GET /api/admin/reviews
+// @desc    Set a product's lifecycle status and publish/unpublish times
+// @route   PUT /api/admin/products/:id/lifecycle
 // @access  Private/Admin
-const getAllReviews = async (req, res) => {
+const updateProductLifecycle = async (req, res) => {
   try {
-    const page = Number.parseInt(req.query.page, 10) || 1
-    const limit = Number.parseInt(req.query.limit, 10) || 20
-    const status = req.query.status
-    const rating = req.query.rating
-
-    // Build query
-    const query = {}
-    if (status === "approved") query.isApproved = true
-    if (status === "pending") query.isApproved = false
-    if (rating) query.rating = Number.parseInt(rating, 10)
-
-    const startIndex = (page - 1) * limit
-    const total = await Review.countDocuments(query)
-
-    const reviews = await Review.find(query)
-      .populate("user", "name email")
-      .populate("product", "name slug images")
-      .skip(startIndex)
-      .limit(limit)
-      .sort("-createdAt")
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: "Validation failed",
+        details: errors.array(),
+      })
+    }
 
-    // Pagination result
-    const pagination = {}
-    const endIndex = page * limit
+    const product = await Product.findById(req.params.id)
 
-    if (endIndex < total) {
-      pagination.next = {
-        page: page + 1,
-        limit,
-      }
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        error: "Product not found",
+      })
     }
 
-    if (startIndex > 0) {
-      pagination.prev = {
-        page: page - 1,
-        limit,
-      }
+    for (const field of ["status", "publishAt", "unpublishAt"]) {
+      if (req.body[field] !== undefined) product.set(field, req.body[field])
     }
+    product.$locals.changedBy = req.user.id
+    product.$locals.priceChangeSource = "api"
+    product.$locals.revisionAction = "lifecycle"
+    await product.save()
+    clearCatalogCache()
 
     res.status(200).json({
       success: true,
-      count: reviews.length,
-      total,
-      pagination,
-      data: reviews,
+      message: `Product is now ${product.status}`,
+      data: {
+        id: product._id,
+        name: product.name,
+        status: product.status,
+        publishAt: product.publishAt,
+        unpublishAt: product.unpublishAt,
+        isActive: product.isActive,
+      },
     })
   } catch (error) {
-    console.error("Get all reviews error:", error)
+    console.error("Update product lifecycle error:", error)
+    if (error.name === "ValidationError") {
+      return res.status(400).json({
+        success: false,
+        error: Object.values(error.errors)
+          .map((val) => val.message)
+          .join(", "),
+      })
+    }
     res.status(500).json({
       success: false,
-      error: "Server error",
+      error: "Server error during product status update",
     })
   }
 }
 
-// @desc    Update review status
-// @route   PUT /api/admin/reviews/:id/status
+// @desc    Import products from CSV (upsert by SKU)
+// @route   POST /api/admin/products/import?dryRun=true
 // @access  Private/Admin
-const updateReviewStatus = async (req, res) => {
+const importProducts = async (req, res) => {
   try {
-    // Check for validation errors
-    const errors = validationResult(req)
-    if (!errors.isEmpty()) {
+    if (!req.file) {
       return res.status(400).json({
         success: false,
-        error: "Validation failed",
-        details: errors.array(),
+        error: "Please upload a CSV file",
       })
     }
 
-    const { isApproved } = req.body
+    const dryRun = req.query.dryRun === "true"
 
-    const review = await Review.findById(req.params.id)
+    let rows
+    try {
+      rows = parseCsv(req.file.buffer.toString("utf8"))
+    } catch (parseError) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid CSV: ${parseError.message}`,
+      })
+    }
 
-    if (!review) {
-      return res.status(404).json({
+    if (rows.length < 2) {
+      return res.status(400).json({
         success: false,
-        error: "Review not found",
+        error: "CSV must have a header row and at least one product",
       })
     }
 
-    review.isApproved = isApproved
-    await review.save()
+    const headers = rows[0].map((header) => header.trim())
+    const headerErrors = validateCsvHeaders(headers)
+    if (headerErrors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid CSV columns",
+        details: headerErrors,
+      })
+    }
+
+    const parsedRows = rows.slice(1).map((values, index) => ({
+      // Spreadsheet row number: header is row 1
+      row: index + 2,
+      ...csvValuesToProductFields(headers, values),
+    }))
+
+    // Load everything the rows refer to up front
+    const skus = parsedRows.map(({ fields }) => fields.sku?.toUpperCase()).filter(Boolean)
+    const categorySlugs = [...new Set(parsedRows.map(({ categorySlug }) => categorySlug).filter(Boolean))]
+
+    const [existingProducts, categories, variantSkuOwners] = await Promise.all([
+      Product.find({ sku: { $in: skus } }),
+      Category.find({
+        $or: [{ slug: { $in: categorySlugs } }, { previousSlugs: { $in: categorySlugs } }],
+      }).select("slug previousSlugs"),
+      Product.find({ "variants.sku": { $in: skus } }).select("name variants.sku"),
+    ])
+
+    const productsBySku = new Map(existingProducts.map((product) => [product.sku, product]))
+    // Old category slugs still map to their category
+    const categoriesBySlug = new Map(
+      categories.flatMap((category) => [category.slug, ...category.previousSlugs].map((slug) => [slug, category._id])),
+    )
+    const variantSkus = new Set(variantSkuOwners.flatMap((product) => product.variants.map((variant) => variant.sku)))
+
+    const seenSkus = new Set()
+    const report = []
+    const toSave = []
+
+    for (const { row, fields, categorySlug, errors } of parsedRows) {
+      const sku = fields.sku?.toUpperCase()
+
+      if (!sku) {
+        errors.push("SKU is required")
+      } else if (seenSkus.has(sku)) {
+        errors.push(`SKU ${sku} appears more than once in the file`)
+      } else if (variantSkus.has(sku)) {
+        errors.push(`SKU ${sku} is already used by a product variant`)
+      }
+      if (sku) seenSkus.add(sku)
+
+      if (categorySlug) {
+        if (categoriesBySlug.has(categorySlug)) fields.category = categoriesBySlug.get(categorySlug)
+        else errors.push(`Category not found: ${categorySlug}`)
+      }
+
+      let product = productsBySku.get(sku)
+      const action = product ? "update" : "create"
+
+      if (errors.length === 0) {
+        if (product) {
+          product.set(fields)
+        } else {
+          product = new Product({ ...fields, createdBy: req.user.id })
+        }
+        product.$locals.changedBy = req.user.id
+        product.$locals.priceChangeSource = "import"
+
+        try {
+          await product.validate()
+        } catch (validationError) {
+          if (validationError.name !== "ValidationError") throw validationError
+          errors.push(...Object.values(validationError.errors).map((val) => val.message))
+        }
+      }
+
+      if (errors.length === 0) {
+        // Only save products that actually change
+        if (product.isNew || product.isModified()) {
+          toSave.push({ row, product })
+          report.push({ row, sku, action })
+        } else {
+          report.push({ row, sku, action: "unchanged" })
+        }
+      } else {
+        report.push({ row, sku, action, errors })
+      }
+    }
+
+    const invalidRows = report.filter((entry) => entry.errors)
+    const summary = {
+      totalRows: report.length,
+      create: report.filter((entry) => !entry.errors && entry.action === "create").length,
+      update: report.filter((entry) => !entry.errors && entry.action === "update").length,
+      unchanged: report.filter((entry) => entry.action === "unchanged").length,
+      invalid: invalidRows.length,
+    }
+
+    // Nothing is written on a dry run, or if any row is invalid
+    if (dryRun) {
+      return res.status(200).json({
+        success: true,
+        dryRun: true,
+        summary,
+        rows: report,
+      })
+    }
+
+    if (invalidRows.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: "Import rejected: fix the invalid rows and try again",
+        summary,
+        rows: report,
+      })
+    }
+
+    // SKUs were checked above, but a product saved elsewhere in the meantime can still
+    // take one. Stop there and report which rows made it in rather than failing blind.
+    const importedRows = []
+    for (const { row, product } of toSave) {
+      try {
+        await product.save()
+      } catch (saveError) {
+        if (saveError.code !== 11000) throw saveError
+        clearCatalogCache()
+        const field = Object.keys(saveError.keyValue || {})[0] || "a unique field"
+        return res.status(409).json({
+          success: false,
+          error: `Row ${row}: ${field} is already used by another product. Earlier rows were imported.`,
+          summary,
+          importedRows,
+          rows: report,
+        })
+      }
+      importedRows.push(row)
+    }
+    clearCatalogCache()
 
     res.status(200).json({
       success: true,
-      message: `Review ${isApproved ? "approved" : "rejected"} successfully`,
-      data: review,
+      message: "Products imported successfully",
+      dryRun: false,
+      summary,
+      rows: report,
     })
   } catch (error) {
-    console.error("Update review status error:", error)
+    console.error("Import products error:", error)
     res.status(500).json({
       success: false,
-      error: "Server error during review status update",
+      error: "Server error during product import",
     })
   }
 }
 
-// @desc    Delete review
-// @route   DELETE /api/admin/reviews/:id
+// Wait until a response that returned false from write() can take more, or the client
+// goes away. Whichever listener didn't fire is removed, so long exports don't pile them up.
+const waitForDrain = (res) =>
+  new Promise((resolve) => {
+    const done = () => {
+      res.off("drain", done)
+      res.off("close", done)
+      resolve()
+    }
+    res.on("drain", done)
+    res.on("close", done)
+  })
+
+// @desc    Export the product catalog as CSV
+// @route   GET /api/admin/products/export
 // @access  Private/Admin
-const deleteReview = async (req, res) => {
+const exportProducts = async (req, res) => {
   try {
-    const review = await Review.findById(req.params.id)
-
-    if (!review) {
-      return res.status(404).json({
-        success: false,
-        error: "Review not found",
-      })
+    const headers = await getProductCsvHeaders()
+    const cursor = Product.find().sort("sku").populate("category", "slug").lean().cursor()
+
+    res.setHeader("Content-Type", "text/csv; charset=utf-8")
+    res.setHeader("Content-Disposition", `attachment; filename="products-${new Date().toISOString().slice(0, 10)}.csv"`)
+    res.write(toCsvLine(headers))
+
+    // Stream one product at a time so large catalogs aren't held in memory
+    for await (const product of cursor) {
+      if (res.destroyed) break // Client went away
+      if (!res.write(toCsvLine(productToCsvValues(product, headers)))) {
+        await waitForDrain(res)
+      }
     }
 
-    await review.remove()
-
-    res.status(200).json({
-      success: true,
-      message: "Review deleted successfully",
-    })
+    res.end()
   } catch (error) {
-    console.error("Delete review error:", error)
+    console.error("Export products error:", error)
+    if (res.headersSent) {
+      return res.end()
+    }
     res.status(500).json({
       success: false,
-      error: "Server error during review deletion",
+      error: "Server error during product export",
     })
   }
 }
 
-// @desc    Get sales analytics
-// @route   GET /api/admin/analytics/sales
+// @desc    Get product price history
+// @route   GET /api/admin/products/:id/price-history
 // @access  Private/Admin
-const getSalesAnalytics = async (req, res) => {
+const getProductPriceHistory = async (req, res) => {
   try {
-    const { period = "30d" } = req.query
-
-    let startDate
-    const now = new Date()
+    const product = await Product.findById(req.params.id).select("name sku")
 
-    switch (period) {
-      case "7d":
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        error: "Product not found",
+      })
+    }
+
+    const {
+      error,
+      data: history,
+      total,
+      pagination,
+    } = await paginate(
+      req,
+      res,
+      PriceHistory,
+      { product: product._id },
+      {
+        sort: "-createdAt",
+        defaultLimit: 50,
+        query: (historyQuery) => historyQuery.populate("changedBy", "name email"),
+      },
+    )
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error,
+      })
+    }
+
+    res.status(200).json({
+      success: true,
+      product,
+      count: history.length,
+      total,
+      pagination,
+      data: history,
+    })
+  } catch (error) {
+    console.error("Get product price history error:", error)
+    res.status(500).json({
+      success: false,
+      error: "Server error",
+    })
+  }
+}
+
+// @desc    Get a product's revision history with the changes each revision made
+// @route   GET /api/admin/products/:id/revisions
+// @access  Private/Admin
+const getProductRevisions = async (req, res) => {
+  try {
+    const product = await Product.findById(req.params.id).select("name sku")
+
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        error: "Product not found",
+      })
+    }
+
+    const {
+      error,
+      data: revisions,
+      total,
+      pagination,
+    } = await paginate(
+      req,
+      res,
+      ProductRevision,
+      { product: product._id },
+      {
+        sort: "-revision",
+        defaultLimit: 20,
+        query: (revisionQuery) => revisionQuery.populate("changedBy", "name email"),
+      },
+    )
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error,
+      })
+    }
+
+    // Each revision is compared with the one before it, which may be on the next page
+    const oldest = revisions[revisions.length - 1]
+    const previous = oldest
+      ? await ProductRevision.findOne({ product: product._id, revision: oldest.revision - 1 })
+      : null
+    const snapshots = new Map(
+      [...revisions, ...(previous ? [previous] : [])].map((rev) => [rev.revision, rev.snapshot]),
+    )
+
+    const data = revisions.map((revision) => {
+      const { snapshot, ...fields } = revision.toObject()
+      return {
+        ...fields,
+        changes: ProductRevision.diffSnapshots(snapshots.get(revision.revision - 1), snapshot),
+      }
+    })
+
+    res.status(200).json({
+      success: true,
+      product,
+      count: data.length,
+      total,
+      pagination,
+      data,
+    })
+  } catch (error) {
+    console.error("Get product revisions error:", error)
+    res.status(500).json({
+      success: false,
+      error: "Server error",
+    })
+  }
+}
+
+// @desc    Roll a product back to an earlier revision
+// @route   POST /api/admin/products/:id/revisions/:rev/restore
+// @access  Private/Admin
+const restoreProductRevision = async (req, res) => {
+  try {
+    const product = await Product.findById(req.params.id)
+
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        error: "Product not found",
+      })
+    }
+
+    const revisionNumber = Number(req.params.rev)
+    const revision = Number.isInteger(revisionNumber)
+      ? await ProductRevision.findOne({ product: product._id, revision: revisionNumber })
+      : null
+
+    if (!revision) {
+      return res.status(404).json({
+        success: false,
+        error: "Revision not found",
+      })
+    }
+
+    product.restoreRevision(revision)
+    product.$locals.changedBy = req.user.id
+    product.$locals.priceChangeSource = "api"
+    await product.save()
+    clearCatalogCache()
+
+    res.status(200).json({
+      success: true,
+      message: `Product restored to revision ${revision.revision}`,
+      data: product,
+    })
+  } catch (error) {
+    console.error("Restore product revision error:", error)
+    if (error.name === "ValidationError") {
+      return res.status(400).json({
+        success: false,
+        error: Object.values(error.errors)
+          .map((val) => val.message)
+          .join(", "),
+      })
+    }
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        error: "Another product now uses a SKU from this revision",
+      })
+    }
+    res.status(500).json({
+      success: false,
+      error: "Server error during product restore",
+    })
+  }
+}
+
+// @desc    Get active and upcoming sales
+// @route   GET /api/admin/sales?status=active|upcoming|ended|all
+// @access  Private/Admin
+const getSales = async (req, res) => {
+  try {
+    const { status } = req.query
+    const now = new Date()
+
+    const filters = {
+      active: PriceRule.runningAt(now),
+      upcoming: { isActive: true, startsAt: { $gt: now } },
+      ended: { $or: [{ isActive: false }, { endsAt: { $lte: now } }] },
+      all: {},
+    }
+
+    let query
+    if (!status) {
+      // Active and upcoming by default
+      query = { isActive: true, $or: [{ endsAt: null }, { endsAt: { $gt: now } }] }
+    } else if (filters[status]) {
+      query = filters[status]
+    } else {
+      return res.status(400).json({
+        success: false,
+        error: "Status must be one of active, upcoming, ended or all",
+      })
+    }
+
+    const sales = await PriceRule.find(query)
+      .populate("product", "name slug sku price")
+      .populate("category", "name slug")
+      .populate("createdBy", "name")
+      .sort("startsAt")
+
+    res.status(200).json({
+      success: true,
+      count: sales.length,
+      data: sales,
+    })
+  } catch (error) {
+    console.error("Get sales error:", error)
+    res.status(500).json({
+      success: false,
+      error: "Server error",
+    })
+  }
+}
+
+// Check that a sale's target product or category exists
+const findMissingSaleTarget = async ({ product, category }) => {
+  if (product && !(await Product.exists({ _id: product }))) return "Product not found"
+  if (category && !(await Category.exists({ _id: category }))) return "Category not found"
+  return null
+}
+
+// @desc    Create sale
+// @route   POST /api/admin/sales
+// @access  Private/Admin
+const createSale = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: "Validation failed",
+        details: errors.array(),
+      })
+    }
+
+    const targetError = await findMissingSaleTarget(req.body)
+    if (targetError) {
+      return res.status(400).json({
+        success: false,
+        error: targetError,
+      })
+    }
+
+    const sale = await PriceRule.create({ ...req.body, createdBy: req.user.id })
+
+    res.status(201).json({
+      success: true,
+      message: "Sale created successfully",
+      data: sale,
+    })
+  } catch (error) {
+    console.error("Create sale error:", error)
+    if (error.name === "ValidationError") {
+      return res.status(400).json({
+        success: false,
+        error: Object.values(error.errors)
+          .map((val) => val.message)
+          .join(", "),
+      })
+    }
+    res.status(500).json({
+      success: false,
+      error: "Server error during sale creation",
+    })
+  }
+}
+
+// @desc    Update sale
+// @route   PUT /api/admin/sales/:id
+// @access  Private/Admin
+const updateSale = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: "Validation failed",
+        details: errors.array(),
+      })
+    }
+
+    const sale = await PriceRule.findById(req.params.id)
+
+    if (!sale) {
+      return res.status(404).json({
+        success: false,
+        error: "Sale not found",
+      })
+    }
+
+    const targetError = await findMissingSaleTarget(req.body)
+    if (targetError) {
+      return res.status(400).json({
+        success: false,
+        error: targetError,
+      })
+    }
+
+    const { createdBy, ...updates } = req.body
+    sale.set(updates)
+    await sale.save()
+
+    res.status(200).json({
+      success: true,
+      message: "Sale updated successfully",
+      data: sale,
+    })
+  } catch (error) {
+    console.error("Update sale error:", error)
+    if (error.name === "ValidationError") {
+      return res.status(400).json({
+        success: false,
+        error: Object.values(error.errors)
+          .map((val) => val.message)
+          .join(", "),
+      })
+    }
+    res.status(500).json({
+      success: false,
+      error: "Server error during sale update",
+    })
+  }
+}
+
+// @desc    Delete sale
+// @route   DELETE /api/admin/sales/:id
+// @access  Private/Admin
+const deleteSale = async (req, res) => {
+  try {
+    const sale = await PriceRule.findById(req.params.id)
+
+    if (!sale) {
+      return res.status(404).json({
+        success: false,
+        error: "Sale not found",
+      })
+    }
+
+    // Sales that have started may have priced orders, so they are kept for the record
+    if (sale.startsAt <= new Date()) {
+      return res.status(400).json({
+        success: false,
+        error: "Only upcoming sales can be deleted. End or disable a running sale instead.",
+      })
+    }
+
+    await sale.deleteOne()
+
+    res.status(200).json({
+      success: true,
+      message: "Sale deleted successfully",
+    })
+  } catch (error) {
+    console.error("Delete sale error:", error)
+    res.status(500).json({
+      success: false,
+      error: "Server error during sale deletion",
+    })
+  }
+}
+
+// @desc    Get all reviews, or the moderation queue with ?view=queue
+// @route   GET /api/admin/reviews
+// @access  Private/Admin
+const getAllReviews = async (req, res) => {
+  try {
+    // Build query
+    const { errors, filter: query, sort } = parseListQuery(req.query, reviewQueryGrammar)
+    if (errors.length > 0) return sendInvalidQuery(res, errors)
+
+    if (req.query.view !== undefined && req.query.view !== "queue") {
+      return sendInvalidQuery(res, ["Invalid value for view (allowed: queue)"])
+    }
+
+    // The queue lists pending reviews, oldest first
+    const isQueue = req.query.view === "queue"
+    const status = isQueue ? "pending" : req.query.status
+    if (status !== undefined && !REVIEW_STATUS_FILTERS[status]) {
+      return sendInvalidQuery(res, [
+        `Invalid value for status (allowed: ${Object.keys(REVIEW_STATUS_FILTERS).join(", ")})`,
+      ])
+    }
+    if (status) Object.assign(query, REVIEW_STATUS_FILTERS[status])
+
+    const {
+      error,
+      data: reviews,
+      total,
+      pagination,
+    } = await paginate(req, res, Review, query, {
+      sort: isQueue && !req.query.sort ? "createdAt" : sort,
+      defaultLimit: 20,
+      query: (reviewsQuery) => reviewsQuery.populate("user", "name email").populate("product", "name slug images"),
+    })
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error,
+      })
+    }
+
+    // Number of queued reviews held by each rule
+    let heldCounts
+    if (isQueue) {
+      const counts = await Review.aggregate([
+        { $match: REVIEW_STATUS_FILTERS.pending },
+        { $unwind: "$moderation.heldReasons" },
+        { $group: { _id: "$moderation.heldReasons.rule", count: { $sum: 1 } } },
+      ])
+      heldCounts = Object.fromEntries(counts.map(({ _id, count }) => [_id, count]))
+    }
+
+    res.status(200).json({
+      success: true,
+      count: reviews.length,
+      total,
+      pagination,
+      ...(heldCounts && { heldCounts }),
+      data: reviews,
+    })
+  } catch (error) {
+    console.error("Get all reviews error:", error)
+    res.status(500).json({
+      success: false,
+      error: "Server error",
+    })
+  }
+}
+
+// @desc    Update review status
+// @route   PUT /api/admin/reviews/:id/status
+// @access  Private/Admin
+const updateReviewStatus = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: "Validation failed",
+        details: errors.array(),
+      })
+    }
+
+    const { isApproved } = req.body
+
+    const review = await Review.findById(req.params.id)
+
+    if (!review) {
+      return res.status(404).json({
+        success: false,
+        error: "Review not found",
+      })
+    }
+
+    review.isApproved = isApproved
+    review.moderation.moderatedBy = req.user.id
+    review.moderation.moderatedAt = new Date()
+    await review.save()
+
+    res.status(200).json({
+      success: true,
+      message: `Review ${isApproved ? "approved" : "rejected"} successfully`,
+      data: review,
+    })
+  } catch (error) {
+    console.error("Update review status error:", error)
+    res.status(500).json({
+      success: false,
+      error: "Server error during review status update",
+    })
+  }
+}
+
+// @desc    Approve or reject several reviews at once
+// @route   PUT /api/admin/reviews/status
+// @access  Private/Admin
+const bulkUpdateReviewStatus = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: "Validation failed",
+        details: errors.array(),
+      })
+    }
+
+    const { reviews: reviewIds, isApproved } = req.body
+
+    const products = await Review.distinct("product", { _id: { $in: reviewIds } })
+    const result = await Review.updateMany(
+      { _id: { $in: reviewIds } },
+      { isApproved, "moderation.moderatedBy": req.user.id, "moderation.moderatedAt": new Date() },
+    )
+
+    // updateMany skips the save hook, so refresh the ratings here
+    await Promise.all(products.map((productId) => Review.getAverageRating(productId)))
+
+    res.status(200).json({
+      success: true,
+      message: `${result.matchedCount} review(s) ${isApproved ? "approved" : "rejected"} successfully`,
+      data: { matched: result.matchedCount, modified: result.modifiedCount },
+    })
+  } catch (error) {
+    console.error("Bulk update review status error:", error)
+    res.status(500).json({
+      success: false,
+      error: "Server error during review status update",
+    })
+  }
+}
+
+// @desc    Delete review
+// @route   DELETE /api/admin/reviews/:id
+// @access  Private/Admin
+const deleteReview = async (req, res) => {
+  try {
+    const review = await Review.findById(req.params.id)
+
+    if (!review) {
+      return res.status(404).json({
+        success: false,
+        error: "Review not found",
+      })
+    }
+
+    await review.deleteOne()
+
+    // Delete review photos from storage once the review is gone
+    for (const photo of review.photos) {
+      if (photo.assetId) await deleteImage(photo.assetId)
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Review deleted successfully",
+    })
+  } catch (error) {
+    console.error("Delete review error:", error)
+    res.status(500).json({
+      success: false,
+      error: "Server error during review deletion",
+    })
+  }
+}
+
+// @desc    Get all product questions
+// @route   GET /api/admin/questions
+// @access  Private/Admin
+const getAllQuestions = async (req, res) => {
+  try {
+    // Build query
+    const { errors, filter: query, sort } = parseListQuery(req.query, questionQueryGrammar)
+    if (errors.length > 0) return sendInvalidQuery(res, errors)
+
+    const {
+      error,
+      data: questions,
+      total,
+      pagination,
+    } = await paginate(req, res, Question, query, {
+      sort,
+      defaultLimit: 20,
+      query: (questionsQuery) => questionsQuery.populate("user", "name email").populate("product", "name slug images"),
+    })
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error,
+      })
+    }
+
+    res.status(200).json({
+      success: true,
+      count: questions.length,
+      total,
+      pagination,
+      data: questions,
+    })
+  } catch (error) {
+    console.error("Get all questions error:", error)
+    res.status(500).json({
+      success: false,
+      error: "Server error",
+    })
+  }
+}
+
+// @desc    Approve or reject a product question
+// @route   PUT /api/admin/questions/:id/status
+// @access  Private/Admin
+const updateQuestionStatus = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: "Validation failed",
+        details: errors.array(),
+      })
+    }
+
+    const question = await Question.findById(req.params.id)
+
+    if (!question) {
+      return res.status(404).json({
+        success: false,
+        error: "Question not found",
+      })
+    }
+
+    question.status = req.body.status
+    question.moderatedBy = req.user.id
+    question.moderatedAt = new Date()
+    await question.save()
+
+    res.status(200).json({
+      success: true,
+      message: `Question ${question.status} successfully`,
+      data: question,
+    })
+  } catch (error) {
+    console.error("Update question status error:", error)
+    res.status(500).json({
+      success: false,
+      error: "Server error during question status update",
+    })
+  }
+}
+
+// @desc    Delete a product question and its answers
+// @route   DELETE /api/admin/questions/:id
+// @access  Private/Admin
+const deleteQuestion = async (req, res) => {
+  try {
+    const question = await Question.findById(req.params.id)
+
+    if (!question) {
+      return res.status(404).json({
+        success: false,
+        error: "Question not found",
+      })
+    }
+
+    await Answer.deleteMany({ question: question._id })
+    await question.deleteOne()
+
+    res.status(200).json({
+      success: true,
+      message: "Question deleted successfully",
+    })
+  } catch (error) {
+    console.error("Delete question error:", error)
+    res.status(500).json({
+      success: false,
+      error: "Server error during question deletion",
+    })
+  }
+}
+
+// @desc    Get all answers to product questions
+// @route   GET /api/admin/answers
+// @access  Private/Admin
+const getAllAnswers = async (req, res) => {
+  try {
+    // Build query
+    const { errors, filter: query, sort } = parseListQuery(req.query, answerQueryGrammar)
+    if (errors.length > 0) return sendInvalidQuery(res, errors)
+
+    const {
+      error,
+      data: answers,
+      total,
+      pagination,
+    } = await paginate(req, res, Answer, query, {
+      sort,
+      defaultLimit: 20,
+      query: (answersQuery) =>
+        answersQuery
+          .populate("user", "name email")
+          .populate("question", "text status")
+          .populate("product", "name slug images"),
+    })
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error,
+      })
+    }
+
+    res.status(200).json({
+      success: true,
+      count: answers.length,
+      total,
+      pagination,
+      data: answers,
+    })
+  } catch (error) {
+    console.error("Get all answers error:", error)
+    res.status(500).json({
+      success: false,
+      error: "Server error",
+    })
+  }
+}
+
+// @desc    Approve or reject an answer
+// @route   PUT /api/admin/answers/:id/status
+// @access  Private/Admin
+const updateAnswerStatus = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: "Validation failed",
+        details: errors.array(),
+      })
+    }
+
+    const answer = await Answer.findById(req.params.id)
+
+    if (!answer) {
+      return res.status(404).json({
+        success: false,
+        error: "Answer not found",
+      })
+    }
+
+    answer.status = req.body.status
+    answer.moderatedBy = req.user.id
+    answer.moderatedAt = new Date()
+    await answer.save()
+
+    res.status(200).json({
+      success: true,
+      message: `Answer ${answer.status} successfully`,
+      data: answer,
+    })
+  } catch (error) {
+    console.error("Update answer status error:", error)
+    res.status(500).json({
+      success: false,
+      error: "Server error during answer status update",
+    })
+  }
+}
+
+// @desc    Delete an answer
+// @route   DELETE /api/admin/answers/:id
+// @access  Private/Admin
+const deleteAnswer = async (req, res) => {
+  try {
+    const answer = await Answer.findById(req.params.id)
+
+    if (!answer) {
+      return res.status(404).json({
+        success: false,
+        error: "Answer not found",
+      })
+    }
+
+    await answer.deleteOne()
+
+    res.status(200).json({
+      success: true,
+      message: "Answer deleted successfully",
+    })
+  } catch (error) {
+    console.error("Delete answer error:", error)
+    res.status(500).json({
+      success: false,
+      error: "Server error during answer deletion",
+    })
+  }
+}
+
+// @desc    Get sales analytics
+// @route   GET /api/admin/analytics/sales
+// @access  Private/Admin
+const getSalesAnalytics = async (req, res) => {
+  try {
+    const { period = "30d" } = req.query
+
+    let startDate
+    const now = new Date()
+
+    switch (period) {
+      case "7d":
         startDate = new Date(now.getTime() - 7 * 24 * 60 * 60 * 1000)
         break
       case "30d":
@@ -927,6 +2144,63 @@ const getSalesAnalytics = async (req, res) => {
           totalSold: { $sum: "$items.quantity" },
           revenue: { $sum: "$items.totalPrice" },
           productName: { $first: "$items.name" },
+          isBundle: { $max: { $gt: [{ $size: { $ifNull: ["$items.bundleItems", []] } }, 0] } },
+        },
+      },
+      { $sort: { revenue: -1 } },
+      { $limit: 10 },
+    ])
+
+    // Top selling products with bundle sales attributed to their components,
+    // using each component's share of the bundle price recorded at order time
+    const topComponents = await Order.aggregate([
+      {
+        $match: {
+          createdAt: { $gte: startDate },
+          status: { $in: ["delivered", "shipped", "processing"] },
+        },
+      },
+      { $unwind: "$items" },
+      {
+        $project: {
+          units: {
+            $cond: [
+              { $gt: [{ $size: { $ifNull: ["$items.bundleItems", []] } }, 0] },
+              {
+                $map: {
+                  input: "$items.bundleItems",
+                  as: "component",
+                  in: {
+                    product: "$$component.product",
+                    name: "$$component.name",
+                    quantity: { $multiply: ["$$component.quantity", "$items.quantity"] },
+                    revenue: { $multiply: ["$$component.allocatedPrice", "$items.quantity"] },
+                    viaBundle: { $literal: true },
+                  },
+                },
+              },
+              [
+                {
+                  product: "$items.product",
+                  name: "$items.name",
+                  quantity: "$items.quantity",
+                  revenue: "$items.totalPrice",
+                  viaBundle: { $literal: false },
+                },
+              ],
+            ],
+          },
+        },
+      },
+      { $unwind: "$units" },
+      {
+        $group: {
+          _id: "$units.product",
+          productName: { $first: "$units.name" },
+          totalSold: { $sum: "$units.quantity" },
+          revenue: { $sum: "$units.revenue" },
+          soldInBundles: { $sum: { $cond: ["$units.viaBundle", "$units.quantity", 0] } },
+          bundleRevenue: { $sum: { $cond: ["$units.viaBundle", "$units.revenue", 0] } },
         },
       },
       { $sort: { revenue: -1 } },
@@ -976,6 +2250,7 @@ const getSalesAnalytics = async (req, res) => {
       data: {
         dailySales,
         topProducts,
+        topComponents,
         revenueByCategory,
         period,
       },
@@ -994,29 +2269,24 @@ const getSalesAnalytics = async (req, res) => {
 // @access  Private/Admin
 const getInventoryReport = async (req, res) => {
   try {
-    // Low stock products
-    const lowStockProducts = await Product.find({
-      "inventory.trackQuantity": true,
-      $expr: { $lte: ["$inventory.quantity", "$inventory.lowStockThreshold"] },
-      isActive: true,
-    })
-      .populate("category", "name")
-      .select("name sku category inventory price")
+    // Low stock products and variants
+    const lowStockProducts = await Product.aggregate([...stockUnitStages, lowStockMatch, ...stockUnitRowStages])
 
-    // Out of stock products
-    const outOfStockProducts = await Product.find({
-      "inventory.trackQuantity": true,
-      "inventory.quantity": 0,
-      isActive: true,
-    })
-      .populate("category", "name")
-      .select("name sku category inventory price")
+    // Out of stock products and variants
+    const outOfStockProducts = await Product.aggregate([
+      ...stockUnitStages,
+      {
+        $match: {
+          "units.inventory.trackQuantity": true,
+          "units.inventory.quantity": { $lte: 0 },
+        },
+      },
+      ...stockUnitRowStages,
+    ])
 
     // Inventory value by category
     const inventoryByCategory = await Product.aggregate([
-      {
-        $match: { isActive: true },
-      },
+      ...stockUnitStages,
       {
         $lookup: {
           from: "categories",
@@ -1030,15 +2300,25 @@ const getInventoryReport = async (req, res) => {
         $group: {
           _id: "$category._id",
           categoryName: { $first: "$category.name" },
-          totalProducts: { $sum: 1 },
-          totalQuantity: { $sum: "$inventory.quantity" },
+          products: { $addToSet: "$_id" },
+          totalVariants: { $sum: { $cond: ["$units.variant", 1, 0] } },
+          totalQuantity: { $sum: "$units.inventory.quantity" },
           totalValue: {
             $sum: {
-              $multiply: ["$inventory.quantity", "$cost"],
+              $multiply: ["$units.inventory.quantity", { $ifNull: ["$units.cost", 0] }],
             },
           },
         },
       },
+      {
+        $project: {
+          categoryName: 1,
+          totalProducts: { $size: "$products" },
+          totalVariants: 1,
+          totalQuantity: 1,
+          totalValue: 1,
+        },
+      },
       { $sort: { totalValue: -1 } },
     ])
 
@@ -1063,6 +2343,150 @@ const getInventoryReport = async (req, res) => {
   }
 }
 
+// @desc    Get certification report (expired and soon to expire certificates)
+// @route   GET /api/admin/reports/certifications?withinDays=30
+// @access  Private/Admin
+const getCertificationReport = async (req, res) => {
+  try {
+    const withinDays = Math.min(Math.max(Number.parseInt(req.query.withinDays, 10) || 30, 0), 365)
+    const now = new Date()
+    const horizon = new Date(now.getTime() + withinDays * 24 * 60 * 60 * 1000)
+
+    // One row per certificate expiring before the horizon, soonest first
+    const certificates = await Product.aggregate([
+      { $unwind: "$certifications" },
+      { $match: { "certifications.expiresAt": { $lte: horizon } } },
+      {
+        $project: {
+          _id: 0,
+          product: "$_id",
+          name: 1,
+          sku: 1,
+          isActive: 1,
+          type: "$certifications.type",
+          certifyingBody: "$certifications.certifyingBody",
+          certificateNumber: "$certifications.certificateNumber",
+          expiresAt: "$certifications.expiresAt",
+        },
+      },
+      { $sort: { expiresAt: 1 } },
+    ])
+
+    const expired = certificates.filter((certificate) => certificate.expiresAt <= now)
+    const expiringSoon = certificates.filter((certificate) => certificate.expiresAt > now)
+
+    res.status(200).json({
+      success: true,
+      data: {
+        expired,
+        expiringSoon,
+        summary: {
+          expiredCount: expired.length,
+          expiringSoonCount: expiringSoon.length,
+          // Active products still listed with an expired certificate
+          activeProductsWithExpired: new Set(
+            expired.filter((certificate) => certificate.isActive).map((certificate) => certificate.product.toString()),
+          ).size,
+          withinDays,
+        },
+      },
+    })
+  } catch (error) {
+    console.error("Get certification report error:", error)
+    res.status(500).json({
+      success: false,
+      error: "Server error",
+    })
+  }
+}
+
+// @desc    Rebuild product recommendations from order history now
+// @route   POST /api/admin/recommendations/refresh
+// @access  Private/Admin
+const refreshProductRecommendations = async (req, res) => {
+  try {
+    const { products, computedAt } = await refreshRecommendations()
+
+    res.status(200).json({
+      success: true,
+      message: "Recommendations refreshed successfully",
+      data: { products, computedAt },
+    })
+  } catch (error) {
+    console.error("Refresh recommendations error:", error)
+    res.status(500).json({
+      success: false,
+      error: "Server error",
+    })
+  }
+}
+
+// @desc    Rebuild the shopping feed now
+// @route   POST /api/admin/feeds/shopping/refresh
+// @access  Private/Admin
+const refreshShoppingFeedNow = async (req, res) => {
+  try {
+    const { itemCount, generatedAt } = await refreshShoppingFeed()
+
+    res.status(200).json({
+      success: true,
+      message: "Shopping feed refreshed successfully",
+      data: { itemCount, generatedAt },
+    })
+  } catch (error) {
+    console.error("Refresh shopping feed error:", error)
+    res.status(500).json({
+      success: false,
+      error: "Server error",
+    })
+  }
+}
+
+// @desc    Get search query report (popular and zero-result searches)
+// @route   GET /api/admin/reports/search-queries
+// @access  Private/Admin
+const getSearchQueryReport = async (req, res) => {
+  try {
+    const limit = Math.min(Number.parseInt(req.query.limit, 10) || 20, 100)
+
+    // Popular searches
+    const popularQueries = await SearchQuery.find().sort("-count").limit(limit)
+
+    // Searches that found nothing the last time they ran
+    const zeroResultQueries = await SearchQuery.find({ lastResultCount: 0 }).sort("-zeroResultCount").limit(limit)
+
+    const totals = await SearchQuery.aggregate([
+      {
+        $group: {
+          _id: null,
+          uniqueQueries: { $sum: 1 },
+          totalSearches: { $sum: "$count" },
+          zeroResultSearches: { $sum: "$zeroResultCount" },
+        },
+      },
+    ])
+
+    res.status(200).json({
+      success: true,
+      data: {
+        popularQueries,
+        zeroResultQueries,
+        summary: {
+          uniqueQueries: totals[0]?.uniqueQueries || 0,
+          totalSearches: totals[0]?.totalSearches || 0,
+          zeroResultSearches: totals[0]?.zeroResultSearches || 0,
+        },
+      },
+    })
+  } catch (error) {
+    console.error("Get search query report error:", error)
+    res.status(500).json({
+      success: false,
+      error: "Server error",
+    })
+  }
+}
+
 // @desc    Get customer analytics
 // @route   GET /api/admin/analytics/customers
 // @access  Private/Admin
@@ -1206,13 +2630,35 @@ module.exports = {
   getAllOrders,
   getOrderDetails,
   updateOrderStatus,
+  recordOrderWeights,
   getAllProducts,
   getProductDetails,
   toggleProductStatus,
+  updateProductLifecycle,
+  getProductRevisions,
+  restoreProductRevision,
+  importProducts,
+  exportProducts,
+  getProductPriceHistory,
+  getSales,
+  createSale,
+  updateSale,
+  deleteSale,
   getAllReviews,
   updateReviewStatus,
+  bulkUpdateReviewStatus,
   deleteReview,
+  getAllQuestions,
+  updateQuestionStatus,
+  deleteQuestion,
+  getAllAnswers,
+  updateAnswerStatus,
+  deleteAnswer,
   getSalesAnalytics,
   getInventoryReport,
+  getCertificationReport,
+  getSearchQueryReport,
+  refreshProductRecommendations,
+  refreshShoppingFeedNow,
   getCustomerAnalytics,
 }
@@ -1,23 +1,43 @@
 const { validationResult } = require("express-validator")
 const Cart = require("../models/Cart")
 const Product = require("../models/Product")
+const { applyPriceRules } = require("../utils/priceRules")
+const { getUnitSystem, applyUnitSystem } = require("../utils/units")
+
+// Check whether a cart item refers to the given product/variant pair
+const isSameItem = (item, productId, variantId) =>
+  item.product.toString() === productId && String(item.variant || "") === String(variantId || "")
+
+// Populate cart products with any running sales, and the components of any bundles so
+// their stock can be resolved. Weights are shown in the given unit system.
+const populateCart = async (cart, unitSystem) => {
+  await cart.populate({
+    path: "items.product",
+    select: "name slug price weight images inventory variants catchWeight type bundleItems isActive category",
+  })
+  const products = cart.items.map((item) => item.product).filter(Boolean)
+  await Product.populateBundleComponents(products)
+  await applyPriceRules(products)
+  applyUnitSystem(products, unitSystem)
+}
 
 // @desc    Get user's cart
 // @route   GET /api/cart
 // @access  Private
 const getCart = async (req, res) => {
   try {
-    let cart = await Cart.findOne({ user: req.user.id }).populate({
-      path: "items.product",
-      select: "name slug price images inventory isActive",
-    })
+    let cart = await Cart.findOne({ user: req.user.id })
 
     if (!cart) {
       cart = await Cart.create({ user: req.user.id, items: [] })
     }
 
-    // Filter out inactive products and update cart
-    const activeItems = cart.items.filter((item) => item.product && item.product.isActive)
+    await populateCart(cart, getUnitSystem(req))
+
+    // Filter out inactive products and variants and update cart
+    const activeItems = cart.items.filter(
+      (item) => item.product && item.product.isActive && item.product.getSellable(item.variant),
+    )
 
     if (activeItems.length !== cart.items.length) {
       cart.items = activeItems
@@ -52,10 +72,10 @@ const addToCart = async (req, res) => {
       })
     }
 
-    const { productId, quantity } = req.body
+    const { productId, variantId, quantity } = req.body
 
     // Check if product exists and is active
-    const product = await Product.findById(productId)
+    const product = await Product.findById(productId).withBundleComponents()
     if (!product || !product.isActive) {
       return res.status(404).json({
         success: false,
@@ -63,11 +83,22 @@ const addToCart = async (req, res) => {
       })
     }
 
+    await applyPriceRules([product])
+
+    // Resolve the variant being added
+    const sellable = product.getSellable(variantId)
+    if (!sellable) {
+      return res.status(400).json({
+        success: false,
+        error: product.hasVariants ? "Please select a valid product variant" : "This product has no variants",
+      })
+    }
+
     // Check inventory
-    if (product.inventory.trackQuantity && product.inventory.quantity < quantity) {
+    if (sellable.inventory.trackQuantity && sellable.inventory.quantity < quantity) {
       return res.status(400).json({
         success: false,
-        error: `Only ${product.inventory.quantity} items available in stock`,
+        error: `Only ${sellable.inventory.quantity} items available in stock`,
       })
     }
 
@@ -78,40 +109,38 @@ const addToCart = async (req, res) => {
     }
 
     // Check if item already exists in cart
-    const existingItemIndex = cart.items.findIndex((item) => item.product.toString() === productId)
+    const existingItemIndex = cart.items.findIndex((item) => isSameItem(item, productId, variantId))
 
     if (existingItemIndex > -1) {
       // Update existing item
       const newQuantity = cart.items[existingItemIndex].quantity + quantity
 
       // Check inventory for new quantity
-      if (product.inventory.trackQuantity && product.inventory.quantity < newQuantity) {
+      if (sellable.inventory.trackQuantity && sellable.inventory.quantity < newQuantity) {
         return res.status(400).json({
           success: false,
-          error: `Only ${product.inventory.quantity} items available in stock`,
+          error: `Only ${sellable.inventory.quantity} items available in stock`,
         })
       }
 
       cart.items[existingItemIndex].quantity = newQuantity
-      cart.items[existingItemIndex].price = product.price
-      cart.items[existingItemIndex].totalPrice = newQuantity * product.price
+      cart.items[existingItemIndex].price = sellable.price
+      cart.items[existingItemIndex].totalPrice = newQuantity * sellable.price
     } else {
       // Add new item
       cart.items.push({
         product: productId,
+        variant: sellable.variant?._id,
         quantity,
-        price: product.price,
-        totalPrice: quantity * product.price,
+        price: sellable.price,
+        totalPrice: quantity * sellable.price,
       })
     }
 
     await cart.save()
 
     // Populate product details
-    await cart.populate({
-      path: "items.product",
-      select: "name slug price images inventory isActive",
-    })
+    await populateCart(cart, getUnitSystem(req))
 
     res.status(200).json({
       success: true,
@@ -142,7 +171,7 @@ const updateCartItem = async (req, res) => {
       })
     }
 
-    const { productId, quantity } = req.body
+    const { productId, variantId, quantity } = req.body
 
     // Get cart
     const cart = await Cart.findOne({ user: req.user.id })
@@ -154,7 +183,7 @@ const updateCartItem = async (req, res) => {
     }
 
     // Find item in cart
-    const itemIndex = cart.items.findIndex((item) => item.product.toString() === productId)
+    const itemIndex = cart.items.findIndex((item) => isSameItem(item, productId, variantId))
     if (itemIndex === -1) {
       return res.status(404).json({
         success: false,
@@ -163,7 +192,7 @@ const updateCartItem = async (req, res) => {
     }
 
     // Check if product exists and is active
-    const product = await Product.findById(productId)
+    const product = await Product.findById(productId).withBundleComponents()
     if (!product || !product.isActive) {
       return res.status(404).json({
         success: false,
@@ -171,26 +200,34 @@ const updateCartItem = async (req, res) => {
       })
     }
 
+    await applyPriceRules([product])
+
+    // Resolve the variant in the cart
+    const sellable = product.getSellable(variantId)
+    if (!sellable) {
+      return res.status(400).json({
+        success: false,
+        error: "Product variant is no longer available",
+      })
+    }
+
     // Check inventory
-    if (product.inventory.trackQuantity && product.inventory.quantity < quantity) {
+    if (sellable.inventory.trackQuantity && sellable.inventory.quantity < quantity) {
       return res.status(400).json({
         success: false,
-        error: `Only ${product.inventory.quantity} items available in stock`,
+        error: `Only ${sellable.inventory.quantity} items available in stock`,
       })
     }
 
     // Update item
     cart.items[itemIndex].quantity = quantity
-    cart.items[itemIndex].price = product.price
-    cart.items[itemIndex].totalPrice = quantity * product.price
+    cart.items[itemIndex].price = sellable.price
+    cart.items[itemIndex].totalPrice = quantity * sellable.price
 
     await cart.save()
 
     // Populate product details
-    await cart.populate({
-      path: "items.product",
-      select: "name slug price images inventory isActive",
-    })
+    await populateCart(cart, getUnitSystem(req))
 
     res.status(200).json({
       success: true,
@@ -207,11 +244,12 @@ const updateCartItem = async (req, res) => {
 }
 
 // @desc    Remove item from cart
-// @route   DELETE /api/cart/remove/:productId
+// @route   DELETE /api/cart/remove/:productId?variantId=
 // @access  Private
 const removeFromCart = async (req, res) => {
   try {
     const { productId } = req.params
+    const { variantId } = req.query
 
     // Get cart
     const cart = await Cart.findOne({ user: req.user.id })
@@ -223,15 +261,12 @@ const removeFromCart = async (req, res) => {
     }
 
     // Remove item from cart
-    cart.items = cart.items.filter((item) => item.product.toString() !== productId)
+    cart.items = cart.items.filter((item) => !isSameItem(item, productId, variantId))
 
     await cart.save()
 
     // Populate product details
-    await cart.populate({
-      path: "items.product",
-      select: "name slug price images inventory isActive",
-    })
+    await populateCart(cart, getUnitSystem(req))
 
     res.status(200).json({
       success: true,
@@ -304,24 +339,33 @@ const syncCart = async (req, res) => {
     const syncErrors = []
 
     for (const item of items) {
-      const product = await Product.findById(item.productId)
+      const product = await Product.findById(item.productId).withBundleComponents()
 
       if (!product || !product.isActive) {
         syncErrors.push(`Product ${item.productId} not found or inactive`)
         continue
       }
 
+      await applyPriceRules([product])
+
+      const sellable = product.getSellable(item.variantId)
+      if (!sellable) {
+        syncErrors.push(`Variant ${item.variantId || "(none)"} of ${product.name} is not available`)
+        continue
+      }
+
       // Check inventory
-      if (product.inventory.trackQuantity && product.inventory.quantity < item.quantity) {
-        syncErrors.push(`Only ${product.inventory.quantity} items available for ${product.name}`)
+      if (sellable.inventory.trackQuantity && sellable.inventory.quantity < item.quantity) {
+        syncErrors.push(`Only ${sellable.inventory.quantity} items available for ${product.name}`)
         continue
       }
 
       newCartItems.push({
         product: item.productId,
+        variant: sellable.variant?._id,
         quantity: item.quantity,
-        price: product.price,
-        totalPrice: item.quantity * product.price,
+        price: sellable.price,
+        totalPrice: item.quantity * sellable.price,
       })
     }
 
@@ -330,10 +374,7 @@ const syncCart = async (req, res) => {
     await cart.save()
 
     // Populate product details
-    await cart.populate({
-      path: "items.product",
-      select: "name slug price images inventory isActive",
-    })
+    await populateCart(cart, getUnitSystem(req))
 
     res.status(200).json({
       success: true,
@@ -1,7 +1,9 @@
 const { validationResult } = require("express-validator")
 const Category = require("../models/Category")
 const Product = require("../models/Product")
-const { uploadImage, deleteImage } = require("../config/cloudinary")
+const { storeImage, deleteStoredImage } = require("../utils/imageDerivatives")
+const { clearCatalogCache } = require("../utils/search")
+const { canonicalSlugFields } = require("../utils/slugify")
 
 // @desc    Get all categories
 // @route   GET /api/categories
@@ -38,6 +40,49 @@ const getCategories = async (req, res) => {
   }
 }
 
+// @desc    Get category tree
+// @route   GET /api/categories/tree
+// @access  Public
+const getCategoryTree = async (req, res) => {
+  try {
+    const categories = await Category.find({ isActive: true })
+      .select("name slug description image sortOrder parent")
+      .sort("sortOrder name")
+      .lean()
+
+    // Direct product counts, rolled up so each node also counts its subtree
+    const counts = await Product.aggregate([
+      { $match: { isActive: true } },
+      { $group: { _id: "$category", count: { $sum: 1 } } },
+    ])
+    const countByCategory = new Map(counts.map(({ _id, count }) => [String(_id), count]))
+
+    let count = 0
+    const addCounts = (node) => {
+      count += 1
+      node.children.forEach(addCounts)
+      node.productCount = countByCategory.get(node._id.toString()) || 0
+      node.totalProductCount =
+        node.productCount + node.children.reduce((sum, child) => sum + child.totalProductCount, 0)
+    }
+
+    const tree = Category.buildTree(categories)
+    tree.forEach(addCounts)
+
+    res.status(200).json({
+      success: true,
+      count,
+      data: tree,
+    })
+  } catch (error) {
+    console.error("Get category tree error:", error)
+    res.status(500).json({
+      success: false,
+      error: "Server error",
+    })
+  }
+}
+
 // @desc    Get single category
 // @route   GET /api/categories/:id
 // @access  Public
@@ -49,7 +94,7 @@ const getCategory = async (req, res) => {
     if (req.params.id.match(/^[0-9a-fA-F]{24}$/)) {
       category = await Category.findById(req.params.id)
     } else {
-      category = await Category.findOne({ slug: req.params.id })
+      category = await Category.findBySlug(req.params.id)
     }
 
     if (!category || !category.isActive) {
@@ -59,17 +104,29 @@ const getCategory = async (req, res) => {
       })
     }
 
-    // Get product count
-    const productCount = await Product.countDocuments({
-      category: category._id,
-      isActive: true,
-    })
+    // Get product count, direct subcategories and the specification fields products here use
+    const [productCount, children, resolvedSpecificationSchema] = await Promise.all([
+      Product.countDocuments({
+        category: category._id,
+        isActive: true,
+      }),
+      Category.find({ parent: category._id, isActive: true })
+        .select("name slug image sortOrder")
+        .sort("sortOrder name"),
+      Category.getSpecificationSchema(category._id),
+    ])
 
+    // Old slugs still resolve; tell the client the canonical one so it can redirect
     res.status(200).json({
       success: true,
+      ...canonicalSlugFields(req.params.id, category),
       data: {
         ...category.toObject(),
         productCount,
+        breadcrumbs: category.getBreadcrumbs(),
+        children,
+        // Own specification fields plus those inherited from ancestors
+        resolvedSpecificationSchema,
       },
     })
   } catch (error) {
@@ -108,7 +165,10 @@ const createCategory = async (req, res) => {
       })
     }
 
-    const category = await Category.create(req.body)
+    // Ancestors are derived from the parent
+    const { ancestors, ...fields } = req.body
+    const category = await Category.create(fields)
+    clearCatalogCache()
 
     res.status(201).json({
       success: true,
@@ -117,6 +177,14 @@ const createCategory = async (req, res) => {
     })
   } catch (error) {
     console.error("Create category error:", error)
+    if (error.name === "ValidationError") {
+      return res.status(400).json({
+        success: false,
+        error: Object.values(error.errors)
+          .map((val) => val.message)
+          .join(", "),
+      })
+    }
     res.status(500).json({
       success: false,
       error: "Server error during category creation",
@@ -139,7 +207,7 @@ const updateCategory = async (req, res) => {
       })
     }
 
-    let category = await Category.findById(req.params.id)
+    const category = await Category.findById(req.params.id)
 
     if (!category) {
       return res.status(404).json({
@@ -162,10 +230,11 @@ const updateCategory = async (req, res) => {
       }
     }
 
-    category = await Category.findByIdAndUpdate(req.params.id, req.body, {
-      new: true,
-      runValidators: true,
-    })
+    // Save through the document so ancestor paths are rebuilt for moves and renames
+    const { ancestors, ...updates } = req.body
+    category.set(updates)
+    await category.save()
+    clearCatalogCache()
 
     res.status(200).json({
       success: true,
@@ -174,6 +243,14 @@ const updateCategory = async (req, res) => {
     })
   } catch (error) {
     console.error("Update category error:", error)
+    if (error.name === "ValidationError") {
+      return res.status(400).json({
+        success: false,
+        error: Object.values(error.errors)
+          .map((val) => val.message)
+          .join(", "),
+      })
+    }
     res.status(500).json({
       success: false,
       error: "Server error during category update",
@@ -182,7 +259,7 @@ const updateCategory = async (req, res) => {
 }
 
 // @desc    Delete category
-// @route   DELETE /api/categories/:id
+// @route   DELETE /api/categories/:id?reparent=true
 // @access  Private/Admin
 const deleteCategory = async (req, res) => {
   try {
@@ -205,13 +282,31 @@ const deleteCategory = async (req, res) => {
       })
     }
 
-    // Delete category image from cloudinary
-    if (category.image && category.image.includes("cloudinary")) {
-      const publicId = category.image.split("/").pop().split(".")[0]
-      await deleteImage(publicId)
+    // Subcategories are only moved up to this category's parent when asked to
+    const children = await Category.find({ parent: category._id })
+    if (children.length > 0) {
+      if (req.query.reparent !== "true") {
+        return res.status(400).json({
+          success: false,
+          error: "Cannot delete category with subcategories. Move them first or pass ?reparent=true.",
+        })
+      }
+
+      for (const child of children) {
+        child.parent = category.parent
+        await child.save()
+      }
     }
 
-    await category.remove()
+    await category.deleteOne()
+    clearCatalogCache()
+
+    // Delete category image and its derivatives from storage once the category is gone
+    await deleteStoredImage({
+      url: category.image,
+      assetId: category.imageAssetId,
+      derivatives: category.imageDerivatives,
+    })
 
     res.status(200).json({
       success: true,
@@ -248,22 +343,30 @@ const uploadCategoryImage = async (req, res) => {
     }
 
     try {
-      // Delete old image if exists
-      if (category.image && category.image.includes("cloudinary")) {
-        const publicId = category.image.split("/").pop().split(".")[0]
-        await deleteImage(publicId)
-      }
-
       // Upload new image
-      const result = await uploadImage(req.file.path, `categories/${category._id}`)
+      const result = await storeImage(req.file.path, `categories/${category._id}`)
+
+      const oldImage = {
+        url: category.image,
+        assetId: category.imageAssetId,
+        derivatives: category.imageDerivatives,
+      }
 
       category.image = result.url
+      category.imageAssetId = result.assetId
+      category.imageDerivatives = result.derivatives
+      category.imageSrcset = result.srcset
       await category.save()
 
+      // Delete the old image, if any, now the category points at the new one
+      await deleteStoredImage(oldImage)
+
       res.status(200).json({
         success: true,
         message: "Image uploaded successfully",
         image: result.url,
+        imageDerivatives: category.imageDerivatives,
+        imageSrcset: category.imageSrcset,
       })
     } catch (error) {
       console.error("Image upload error:", error)
@@ -283,6 +386,7 @@ const uploadCategoryImage = async (req, res) => {
 
 module.exports = {
   getCategories,
+  getCategoryTree,
   getCategory,
   createCategory,
   updateCategory,
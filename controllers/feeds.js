@@ -0,0 +1,54 @@
+const crypto = require("crypto")
+const { getShoppingFeed } = require("../utils/shoppingFeed")
+
+// Content types of the feed formats
+const FEED_FORMATS = {
+  xml: "application/xml",
+  tsv: "text/tab-separated-values",
+}
+
+// Check the feed token in constant time
+const isValidFeedToken = (token) => {
+  const expected = process.env.SHOPPING_FEED_TOKEN
+  if (!expected || typeof token !== "string") return false
+
+  const a = crypto.createHash("sha256").update(token).digest()
+  const b = crypto.createHash("sha256").update(expected).digest()
+  return crypto.timingSafeEqual(a, b)
+}
+
+// @desc    Get the shopping feed for ad platforms and marketplaces
+// @route   GET /api/feeds/shopping.:format?token=... (format: xml or tsv)
+// @access  Public (feed token)
+const getShoppingFeedFile = async (req, res) => {
+  try {
+    if (!isValidFeedToken(req.query.token)) {
+      return res.status(404).json({
+        success: false,
+        error: "Feed not found",
+      })
+    }
+
+    const contentType = FEED_FORMATS[req.params.format]
+    if (!contentType) {
+      return res.status(404).json({
+        success: false,
+        error: "Feed not found",
+      })
+    }
+
+    const feed = await getShoppingFeed()
+
+    res.status(200).type(contentType).set("Last-Modified", feed.generatedAt.toUTCString()).send(feed[req.params.format])
+  } catch (error) {
+    console.error("Get shopping feed error:", error)
+    res.status(500).json({
+      success: false,
+      error: "Server error",
+    })
+  }
+}
+
+module.exports = {
+  getShoppingFeedFile,
+}
@@ -5,14 +5,85 @@ const Cart = require("../models/Cart")
 const Product = require("../models/Product")
 const User = require("../models/User")
 const sendEmail = require("../utils/sendEmail")
+const { roundPrice, calculateOrderTotals, getAuthorizationAmount } = require("../utils/orderPricing")
+const { paginate } = require("../utils/paginate")
+const { applyPriceRules } = require("../utils/priceRules")
+const { calculateShipping } = require("../utils/calculateShipping")
+
+// Stock units an order line draws on: the product or variant itself, or each bundle
+// component scaled by the number of bundles
+const getItemStockUnits = (item) => {
+  if (item.bundleItems && item.bundleItems.length > 0) {
+    return item.bundleItems.map((component) => ({
+      product: component.product,
+      variant: component.variant,
+      quantity: component.quantity * item.quantity,
+    }))
+  }
+  return [{ product: item.product._id || item.product, variant: item.variant, quantity: item.quantity }]
+}
+
+// Check combined demand per stock unit, since the same product can be bought on its own
+// and inside bundles. Returns the first shortage found or null.
+const findStockShortage = (orderItems, productsById) => {
+  const demand = new Map()
+  for (const unit of orderItems.flatMap(getItemStockUnits)) {
+    const key = `${unit.product}:${unit.variant || ""}`
+    const entry = demand.get(key) || { ...unit, quantity: 0 }
+    entry.quantity += unit.quantity
+    demand.set(key, entry)
+  }
+
+  for (const unit of demand.values()) {
+    const product = productsById.get(String(unit.product))
+    const sellable = product?.getSellable(unit.variant)
+    if (!sellable) return { name: product?.name || "unknown", available: 0 }
+    if (sellable.inventory.trackQuantity && sellable.inventory.quantity < unit.quantity) {
+      return { name: product.name, available: sellable.inventory.quantity }
+    }
+  }
+
+  return null
+}
+
+// Snapshot a bundle's components for an order line, splitting the bundle price between
+// them in proportion to their list prices. Returns null if a component can't be sold.
+const buildOrderBundleItems = (bundle, bundlePrice) => {
+  const components = []
+  for (const item of bundle.bundleItems) {
+    const component = item.product
+    const sellable = component && component.isActive ? component.getSellable(item.variant) : null
+    if (!sellable) return null
+    components.push({ item, component, sellable, listPrice: sellable.price * item.quantity })
+  }
+
+  const listTotal = components.reduce((sum, { listPrice }) => sum + listPrice, 0)
+  let allocated = 0
+
+  return components.map(({ item, component, sellable, listPrice }, index) => {
+    // The last component takes the rounding remainder so shares add up to the bundle price
+    const share =
+      index === components.length - 1
+        ? roundPrice(bundlePrice - allocated)
+        : roundPrice(listTotal > 0 ? (bundlePrice * listPrice) / listTotal : bundlePrice / components.length)
+    allocated += share
+
+    return {
+      product: component._id,
+      variant: sellable.variant?._id,
+      sku: sellable.sku,
+      name: component.name,
+      quantity: item.quantity,
+      allocatedPrice: share,
+    }
+  })
+}
 
 // @desc    Get user's orders
 // @route   GET /api/orders
 // @access  Private
 const getOrders = async (req, res) => {
   try {
-    const page = Number.parseInt(req.query.page, 10) || 1
-    const limit = Number.parseInt(req.query.limit, 10) || 10
     const status = req.query.status
 
     // Build query
@@ -21,39 +92,25 @@ const getOrders = async (req, res) => {
       query.status = status
     }
 
-    const startIndex = (page - 1) * limit
-    const total = await Order.countDocuments(query)
-
-    const orders = await Order.find(query)
-      .populate("items.product", "name slug images")
-      .skip(startIndex)
-      .limit(limit)
-      .sort("-createdAt")
-
-    // Pagination result
-    const pagination = {}
-    const endIndex = page * limit
-
-    if (endIndex < total) {
-      pagination.next = {
-        page: page + 1,
-        limit,
-      }
-    }
+    const { error, data, total, pagination } = await paginate(req, res, Order, query, {
+      sort: "-createdAt",
+      defaultLimit: 10,
+      query: (ordersQuery) => ordersQuery.populate("items.product", "name slug images"),
+    })
 
-    if (startIndex > 0) {
-      pagination.prev = {
-        page: page - 1,
-        limit,
-      }
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error,
+      })
     }
 
     res.status(200).json({
       success: true,
-      count: orders.length,
+      count: data.length,
       total,
       pagination,
-      data: orders,
+      data,
     })
   } catch (error) {
     console.error("Get orders error:", error)
@@ -128,8 +185,23 @@ const createOrder = async (req, res) => {
       })
     }
 
+    // Bundles need their components to resolve stock and pricing, and sale prices
+    // are resolved now rather than taken from the cart
+    const cartProducts = cart.items.map((item) => item.product).filter(Boolean)
+    await Product.populateBundleComponents(cartProducts)
+    await applyPriceRules(cartProducts)
+
+    const productsById = new Map()
+    for (const product of cartProducts) {
+      productsById.set(product._id.toString(), product)
+      for (const item of product.bundleItems || []) {
+        if (item.product) productsById.set(item.product._id.toString(), item.product)
+      }
+    }
+
     // Validate cart items and check inventory
     const orderItems = []
+    const shippedItems = []
     let itemsPrice = 0
 
     for (const cartItem of cart.items) {
@@ -142,32 +214,64 @@ const createOrder = async (req, res) => {
         })
       }
 
-      // Check inventory
-      if (product.inventory.trackQuantity && product.inventory.quantity < cartItem.quantity) {
+      const sellable = product.getSellable(cartItem.variant)
+      if (!sellable) {
         return res.status(400).json({
           success: false,
-          error: `Only ${product.inventory.quantity} items available for ${product.name}`,
+          error: `Selected variant of ${product.name} is no longer available`,
         })
       }
 
       const orderItem = {
         product: product._id,
+        variant: sellable.variant?._id,
+        sku: sellable.sku,
+        variantOptions: sellable.variant?.options,
         name: product.name,
         image: product.images[0]?.url || "/placeholder.svg",
-        price: product.price,
+        price: sellable.price,
+        priceRule: sellable.priceRule,
         quantity: cartItem.quantity,
-        totalPrice: product.price * cartItem.quantity,
+        totalPrice: roundPrice(sellable.price * cartItem.quantity),
+      }
+
+      // Bundle lines record the components they draw stock from
+      if (product.isBundle) {
+        orderItem.bundleItems = buildOrderBundleItems(product, sellable.price)
+        if (!orderItem.bundleItems) {
+          return res.status(400).json({
+            success: false,
+            error: `Some items in ${product.name} are no longer available`,
+          })
+        }
+      }
+
+      // Catch-weight lines are charged on the estimate until the packs are weighed
+      if (sellable.isCatchWeight) {
+        orderItem.isCatchWeight = true
+        orderItem.catchWeight = {
+          pricePerUnit: sellable.pricePerUnit,
+          unit: product.catchWeight.unit,
+          estimatedWeight: sellable.estimatedWeight * cartItem.quantity,
+        }
       }
 
       orderItems.push(orderItem)
+      shippedItems.push({ weight: sellable.weight, quantity: cartItem.quantity, totalPrice: orderItem.totalPrice })
       itemsPrice += orderItem.totalPrice
     }
 
-    // Calculate prices
-    const taxRate = 0.08 // 8% tax
-    const taxPrice = Math.round(itemsPrice * taxRate * 100) / 100
-    const shippingPrice = itemsPrice > 100 ? 0 : 10 // Free shipping over $100
-    const totalPrice = itemsPrice + taxPrice + shippingPrice
+    // Check inventory
+    const shortage = findStockShortage(orderItems, productsById)
+    if (shortage) {
+      return res.status(400).json({
+        success: false,
+        error: `Only ${shortage.available} items available for ${shortage.name}`,
+      })
+    }
+
+    // Calculate prices, with shipping on the weight of what was bought
+    const totals = calculateOrderTotals(itemsPrice, calculateShipping(shippedItems, shippingAddress))
 
     // Create order
     const order = await Order.create({
@@ -177,20 +281,28 @@ const createOrder = async (req, res) => {
       paymentInfo: {
         method: paymentMethod,
       },
-      itemsPrice,
-      taxPrice,
-      shippingPrice,
-      totalPrice,
+      ...totals,
       notes,
     })
 
-    // Update product inventory
-    for (const cartItem of cart.items) {
-      const product = cartItem.product
-      if (product.inventory.trackQuantity) {
-        product.inventory.quantity -= cartItem.quantity
-        await product.save()
+    // Take the stock (bundle components rather than the bundle itself). Another order
+    // can take the last units after the check above; if so, put back what this one took
+    // and drop the order.
+    const taken = []
+    for (const unit of order.items.flatMap(getItemStockUnits)) {
+      if (!(await Product.adjustStock(unit.product, unit.variant, -unit.quantity))) {
+        for (const takenUnit of taken) {
+          await Product.adjustStock(takenUnit.product, takenUnit.variant, takenUnit.quantity)
+        }
+        await order.deleteOne()
+
+        const product = productsById.get(String(unit.product))
+        return res.status(400).json({
+          success: false,
+          error: `Not enough stock left for ${product?.name || "an item"}`,
+        })
       }
+      taken.push(unit)
     }
 
     // Clear user's cart
@@ -310,21 +422,28 @@ const cancelOrder = async (req, res) => {
       })
     }
 
+    // Release an authorization that was never captured (catch-weight orders awaiting weights),
+    // so the customer's funds aren't held until it expires
+    const { paymentInfo } = order
+    const releaseAuthorization =
+      paymentInfo.transactionId && paymentInfo.authorizedAmount && !order.isPaid && !paymentInfo.capturedAmount
+    if (releaseAuthorization) {
+      await stripe.paymentIntents.cancel(paymentInfo.transactionId)
+      paymentInfo.cancelledAt = new Date()
+    }
+
     // Update order status
+    const cancelledBy = req.user.role === "admin" ? "Cancelled by admin" : "Cancelled by customer"
     order.status = "cancelled"
     order.statusHistory.push({
       status: "cancelled",
-      note: req.user.role === "admin" ? "Cancelled by admin" : "Cancelled by customer",
+      note: releaseAuthorization ? `${cancelledBy}, payment authorization released` : cancelledBy,
       date: new Date(),
     })
 
-    // Restore product inventory
-    for (const item of order.items) {
-      const product = await Product.findById(item.product)
-      if (product && product.inventory.trackQuantity) {
-        product.inventory.quantity += item.quantity
-        await product.save()
-      }
+    // Restore product inventory (bundle components rather than the bundle itself)
+    for (const unit of order.items.filter((item) => item.product).flatMap(getItemStockUnits)) {
+      await Product.adjustStock(unit.product, unit.variant, unit.quantity)
     }
 
     await order.save()
@@ -372,16 +491,24 @@ const createPaymentIntent = async (req, res) => {
       })
     }
 
+    // Catch-weight orders are authorized with a buffer and captured once the items are weighed
+    const needsManualCapture = order.awaitingWeights
+    const authorizationAmount = getAuthorizationAmount(order)
+
     // Create payment intent
     const paymentIntent = await stripe.paymentIntents.create({
-      amount: Math.round(order.totalPrice * 100), // Convert to cents
+      amount: Math.round(authorizationAmount * 100), // Convert to cents
       currency: "usd",
+      capture_method: needsManualCapture ? "manual" : "automatic",
       metadata: {
         orderId: order._id.toString(),
         userId: req.user.id,
       },
     })
 
+    order.paymentInfo.authorizedAmount = authorizationAmount
+    await order.save()
+
     res.status(200).json({
       success: true,
       clientSecret: paymentIntent.client_secret,
@@ -419,13 +546,21 @@ const confirmPayment = async (req, res) => {
       })
     }
 
-    // Verify payment with Stripe
+    // Verify payment with Stripe, and that it was made for this order
     const paymentIntent = await stripe.paymentIntents.retrieve(paymentIntentId)
 
+    if (paymentIntent.metadata?.orderId !== order._id.toString()) {
+      return res.status(400).json({
+        success: false,
+        error: "Payment does not belong to this order",
+      })
+    }
+
     if (paymentIntent.status === "succeeded") {
       order.isPaid = true
       order.paymentInfo.transactionId = paymentIntentId
       order.paymentInfo.paidAt = new Date()
+      order.paymentInfo.capturedAmount = paymentIntent.amount_received / 100
       order.status = "confirmed"
 
       await order.save()
@@ -435,6 +570,28 @@ const confirmPayment = async (req, res) => {
         message: "Payment confirmed successfully",
         data: order,
       })
+    } else if (paymentIntent.status === "requires_capture") {
+      // Authorized only: the final amount is captured after the catch-weight items are weighed,
+      // so the hold must cover the estimate plus the buffer
+      if (paymentIntent.amount_capturable < Math.round(getAuthorizationAmount(order) * 100)) {
+        return res.status(400).json({
+          success: false,
+          error: "Authorized amount does not cover the order total",
+        })
+      }
+
+      order.paymentInfo.transactionId = paymentIntentId
+      order.paymentInfo.authorizedAmount = paymentIntent.amount_capturable / 100
+      order.paymentInfo.authorizedAt = new Date()
+      order.status = "confirmed"
+
+      await order.save()
+
+      res.status(200).json({
+        success: true,
+        message: "Payment authorized. The final amount will be charged once your items are weighed.",
+        data: order,
+      })
     } else {
       res.status(400).json({
         success: false,
@@ -3,81 +3,224 @@ const Product = require("../models/Product")
 const Category = require("../models/Category")
 const Review = require("../models/Review")
 const Order = require("../models/Order")
-const { uploadImage, deleteImage } = require("../config/cloudinary")
+const SearchQuery = require("../models/SearchQuery")
+const ProductView = require("../models/ProductView")
+const { parseListQuery, combineFilters } = require("../utils/queryFilter")
+const { paginate, parsePagination, getPageQuery, buildPage } = require("../utils/paginate")
+const { applyPriceRules } = require("../utils/priceRules")
+const { getUnitSystem, applyUnitSystem } = require("../utils/units")
+const { getRecommendations } = require("../utils/recommendations")
+const { getViewer, buildForYouFeed } = require("../utils/productFeed")
+const { canonicalSlugFields } = require("../utils/slugify")
+const { moderateReview } = require("../utils/reviewModeration")
+const {
+  mergeSpecificationDefinitions,
+  specificationFilterFields,
+  specificationFacetStages,
+  buildSpecificationFacets,
+} = require("../utils/specifications")
+const { uploadImage, deleteImage } = require("../config/storage")
+const { storeImage, deleteStoredImage } = require("../utils/imageDerivatives")
+const {
+  MAX_QUERY_LENGTH,
+  tokenize,
+  getQueryTerms,
+  escapeRegex,
+  expandQuery,
+  highlight,
+  suggestFromCatalog,
+  clearCatalogCache,
+} = require("../utils/search")
+
+const { MAX_REVIEW_PHOTOS } = Review
+
+// Find another product already using one of the given product or variant SKUs
+const findSkuConflict = (skus, excludeId) => {
+  const normalized = skus.filter(Boolean).map((sku) => sku.trim().toUpperCase())
+  const query = {
+    $or: [{ sku: { $in: normalized } }, { "variants.sku": { $in: normalized } }],
+  }
+  if (excludeId) query._id = { $ne: excludeId }
+  return Product.findOne(query).select("name sku")
+}
 
-// @desc    Get all products
-// @route   GET /api/products
-// @access  Public
-const getProducts = async (req, res) => {
-  try {
-    // Build query
-    let query = Product.find({ isActive: true })
+// Check that bundle components exist, are not bundles themselves and name a sellable
+// variant. Returns an error message or null.
+const findInvalidBundleComponent = async (bundleItems) => {
+  const components = await Product.find({ _id: { $in: bundleItems.map((item) => item.product) } })
+
+  for (const item of bundleItems) {
+    const component = components.find((candidate) => candidate._id.toString() === String(item.product))
+    if (!component) return `Bundle component ${item.product} not found`
+    if (component.isBundle) return `${component.name} is a bundle and cannot be part of another bundle`
+    if (!component.getSellable(item.variant)) {
+      return component.hasVariants
+        ? `Please select a valid variant of ${component.name} for the bundle`
+        : `${component.name} has no variants`
+    }
+  }
 
-    // Copy req.query
-    const reqQuery = { ...req.query }
+  return null
+}
 
-    // Fields to exclude from filtering
-    const removeFields = ["select", "sort", "page", "limit"]
-    removeFields.forEach((param) => delete reqQuery[param])
+// Parse ?specs[key]=value filters against a category's specification schema, so the
+// allowed keys, operators and values follow the category. Listings that already loaded
+// the schema pass it as definitions. Returns { filter, errors }.
+const parseSpecificationFilter = async (specs, categoryId, definitions) => {
+  if (specs === undefined) return { filter: {}, errors: [] }
+  if (typeof specs !== "object" || Array.isArray(specs)) {
+    return { filter: {}, errors: ["Invalid specs filter (use specs[key]=value)"] }
+  }
+  if (!categoryId) {
+    return { filter: {}, errors: ["Specification filters need a single category"] }
+  }
 
-    // Create query string
-    let queryStr = JSON.stringify(reqQuery)
+  const fields = specificationFilterFields(definitions || (await Category.getSpecificationSchema(categoryId)))
+  const { filter, errors } = parseListQuery(specs, { fields })
+  return { filter, errors }
+}
 
-    // Create operators ($gt, $gte, etc)
-    queryStr = queryStr.replace(/\b(gt|gte|lt|lte|in)\b/g, (match) => `$${match}`)
+const CERTIFICATION_TYPES = Product.schema.path("certifications").schema.path("type").enumValues
+const ALLERGENS = Product.schema.path("allergens").caster.enumValues
 
-    // Finding resource
-    query = Product.find(JSON.parse(queryStr)).populate("category", "name slug")
+// Parse ?certification=halal,organic into conditions requiring every listed certification
+// to be held and unexpired. Returns { filter } or { error }.
+const parseCertificationFilter = (raw) => {
+  if (raw === undefined) return { filter: {} }
 
-    // Select Fields
-    if (req.query.select) {
-      const fields = req.query.select.split(",").join(" ")
-      query = query.select(fields)
-    }
+  const types = typeof raw === "string" ? raw.split(",").map((type) => type.trim()) : []
+  if (types.length === 0 || types.some((type) => !CERTIFICATION_TYPES.includes(type))) {
+    return { error: `Invalid certification (allowed: ${CERTIFICATION_TYPES.join(", ")})` }
+  }
 
-    // Sort
-    if (req.query.sort) {
-      const sortBy = req.query.sort.split(",").join(" ")
-      query = query.sort(sortBy)
-    } else {
-      query = query.sort("-createdAt")
-    }
+  return { filter: Product.certifiedFor(types) }
+}
 
-    // Pagination
-    const page = Number.parseInt(req.query.page, 10) || 1
-    const limit = Number.parseInt(req.query.limit, 10) || 12
-    const startIndex = (page - 1) * limit
-    const endIndex = page * limit
-    const total = await Product.countDocuments(JSON.parse(queryStr))
+// Parse ?allergenFree=soy,milk into a condition excluding products containing any of them.
+// Returns { filter } or { error }.
+const parseAllergenFreeFilter = (raw) => {
+  if (raw === undefined) return { filter: {} }
+
+  const allergens = typeof raw === "string" ? raw.split(",").map((allergen) => allergen.trim()) : []
+  if (allergens.length === 0 || allergens.some((allergen) => !ALLERGENS.includes(allergen))) {
+    return { error: `Invalid allergenFree (allowed: ${ALLERGENS.join(", ")})` }
+  }
 
-    query = query.skip(startIndex).limit(limit)
+  return { filter: { allergens: { $nin: allergens } } }
+}
 
-    // Execute query
-    const products = await query
+// Filters, select and sort fields accepted by GET /api/products
+const productQueryGrammar = {
+  fields: {
+    price: { type: "number" },
+    comparePrice: { type: "number" },
+    category: { type: "objectId" },
+    // Shorthands for common specifications, kept for existing clients; specs[key]= covers the rest
+    cut: { type: "string", path: "specifications.cut" },
+    grade: { type: "string", path: "specifications.grade" },
+    feedType: { type: "string", path: "specifications.feedType" },
+    origin: { type: "string", path: "specifications.origin" },
+    tags: { type: "string" },
+    allergens: { type: "enum", values: ALLERGENS },
+    allergenFree: { type: "enum", path: "allergens", values: ALLERGENS, operators: ["nin"], operator: "nin" },
+    type: { type: "enum", values: Product.schema.path("type").enumValues },
+    isFeatured: { type: "boolean" },
+    averageRating: { type: "number" },
+    numOfReviews: { type: "number" },
+    createdAt: { type: "date" },
+  },
+  select: [
+    "name",
+    "slug",
+    "shortDescription",
+    "description",
+    "category",
+    "price",
+    "comparePrice",
+    "weight",
+    "images",
+    "inventory",
+    "variants",
+    "options",
+    "type",
+    "bundleItems",
+    "specifications",
+    "nutritionFacts",
+    "certifications",
+    "allergens",
+    "tags",
+    "isFeatured",
+    "averageRating",
+    "numOfReviews",
+    "createdAt",
+  ],
+  sort: ["price", "name", "averageRating", "numOfReviews", "createdAt"],
+  defaultSort: "-createdAt",
+  // ?certification= and ?specs[key]= are parsed separately; ?units= picks the display unit system
+  params: ["certification", "specs", "units"],
+}
 
-    // Pagination result
-    const pagination = {}
+// Keep the sort keys in a select so the next cursor can be built: added to an inclusion
+// select, and never excluded by an exclusion select
+const withSortKeys = (select, sort) => {
+  const sortKeys = sort.replace(/-/g, "").split(" ")
+  if (!select.startsWith("-")) return `${select} ${sortKeys.join(" ")}`
+  return select
+    .split(" ")
+    .filter((field) => !sortKeys.includes(field.slice(1)))
+    .join(" ")
+}
 
-    if (endIndex < total) {
-      pagination.next = {
-        page: page + 1,
-        limit,
-      }
+// @desc    Get all products
+// @route   GET /api/products
+// @access  Public
+const getProducts = async (req, res) => {
+  try {
+    const { errors, filter, select, sort } = parseListQuery(req.query, productQueryGrammar)
+    const certification = parseCertificationFilter(req.query.certification)
+    if (certification.error) errors.push(certification.error)
+    const { category } = req.query
+    const specification = await parseSpecificationFilter(
+      req.query.specs,
+      typeof category === "string" && category.match(/^[0-9a-fA-F]{24}$/) ? category : null,
+    )
+    errors.push(...specification.errors)
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid query",
+        details: errors,
+      })
     }
 
-    if (startIndex > 0) {
-      pagination.prev = {
-        page: page - 1,
-        limit,
-      }
+    // Only active products are listed publicly, whatever the filters say
+    const productFilter = combineFilters(filter, certification.filter, specification.filter, { isActive: true })
+
+    const { error, data, total, pagination } = await paginate(req, res, Product, productFilter, {
+      sort,
+      defaultLimit: 12,
+      query: (query) => {
+        query = query.populate("category", "name slug").withBundleComponents()
+        return select ? query.select(withSortKeys(select, sort)) : query
+      },
+    })
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error,
+      })
     }
 
+    await applyPriceRules(data)
+    applyUnitSystem(data, getUnitSystem(req))
+
     res.status(200).json({
       success: true,
-      count: products.length,
+      count: data.length,
       total,
       pagination,
-      data: products,
+      data,
     })
   } catch (error) {
     console.error("Get products error:", error)
@@ -88,6 +231,16 @@ const getProducts = async (req, res) => {
   }
 }
 
+// Record a product view for the signed-in user or device without holding up the response
+const logProductView = (req, product) => {
+  const viewer = getViewer(req)
+  if (!viewer) return
+
+  ProductView.record(viewer, product._id).catch((error) => {
+    console.error("Log product view error:", error)
+  })
+}
+
 // @desc    Get single product
 // @route   GET /api/products/:id
 // @access  Public
@@ -97,9 +250,13 @@ const getProduct = async (req, res) => {
 
     // Check if the parameter is a valid ObjectId or a slug
     if (req.params.id.match(/^[0-9a-fA-F]{24}$/)) {
-      product = await Product.findById(req.params.id).populate("category", "name slug description")
+      product = await Product.findById(req.params.id)
+        .populate("category", "name slug description ancestors")
+        .withBundleComponents()
     } else {
-      product = await Product.findOne({ slug: req.params.id }).populate("category", "name slug description")
+      product = await Product.findBySlug(req.params.id)
+        .populate("category", "name slug description ancestors")
+        .withBundleComponents()
     }
 
     if (!product || !product.isActive) {
@@ -109,19 +266,22 @@ const getProduct = async (req, res) => {
       })
     }
 
-    // Get related products from same category
-    const relatedProducts = await Product.find({
-      category: product.category._id,
-      _id: { $ne: product._id },
-      isActive: true,
-    })
-      .limit(4)
-      .select("name slug price images averageRating numOfReviews")
+    const unitSystem = getUnitSystem(req)
+    await applyPriceRules([product])
+    applyUnitSystem([product], unitSystem)
+    logProductView(req, product)
+
+    // Related products from order history, falling back to the same category
+    const { frequentlyBoughtTogether, customersAlsoBought } = await getRecommendations(product, { unitSystem })
 
+    // Old slugs still resolve; tell the client the canonical one so it can redirect
     res.status(200).json({
       success: true,
+      ...canonicalSlugFields(req.params.id, product),
       data: product,
-      relatedProducts,
+      breadcrumbs: product.category ? product.category.getBreadcrumbs() : [],
+      relatedProducts: customersAlsoBought,
+      frequentlyBoughtTogether,
     })
   } catch (error) {
     console.error("Get product error:", error)
@@ -132,6 +292,38 @@ const getProduct = async (req, res) => {
   }
 }
 
+// @desc    Get product recommendations (frequently bought together, customers also bought)
+// @route   GET /api/products/:id/recommendations?limit=4
+// @access  Public
+const getProductRecommendations = async (req, res) => {
+  try {
+    const product = req.params.id.match(/^[0-9a-fA-F]{24}$/)
+      ? await Product.findById(req.params.id).select("category isActive")
+      : await Product.findBySlug(req.params.id).select("category isActive")
+
+    if (!product || !product.isActive) {
+      return res.status(404).json({
+        success: false,
+        error: "Product not found",
+      })
+    }
+
+    const limit = Math.min(Math.max(Number.parseInt(req.query.limit, 10) || 4, 1), 20)
+    const recommendations = await getRecommendations(product, { limit, unitSystem: getUnitSystem(req) })
+
+    res.status(200).json({
+      success: true,
+      data: recommendations,
+    })
+  } catch (error) {
+    console.error("Get product recommendations error:", error)
+    res.status(500).json({
+      success: false,
+      error: "Server error",
+    })
+  }
+}
+
 // @desc    Create new product
 // @route   POST /api/products
 // @access  Private/Admin
@@ -156,8 +348,9 @@ const createProduct = async (req, res) => {
       })
     }
 
-    // Check if SKU already exists
-    const existingProduct = await Product.findOne({ sku: req.body.sku.toUpperCase() })
+    // Check if SKU or any variant SKU already exists
+    const variantSkus = (req.body.variants || []).map((variant) => variant.sku)
+    const existingProduct = await findSkuConflict([req.body.sku, ...variantSkus])
     if (existingProduct) {
       return res.status(400).json({
         success: false,
@@ -165,10 +358,26 @@ const createProduct = async (req, res) => {
       })
     }
 
+    // Check bundle components
+    if (req.body.type === "bundle" && Array.isArray(req.body.bundleItems)) {
+      const bundleError = await findInvalidBundleComponent(req.body.bundleItems)
+      if (bundleError) {
+        return res.status(400).json({
+          success: false,
+          error: bundleError,
+        })
+      }
+    }
+
     // Add user to req.body
     req.body.createdBy = req.user.id
 
-    const product = await Product.create(req.body)
+    const product = new Product(req.body)
+    product.$locals.changedBy = req.user.id
+    product.$locals.priceChangeSource = "api"
+    await product.save()
+
+    clearCatalogCache()
 
     // Populate category
     await product.populate("category", "name slug")
@@ -180,6 +389,14 @@ const createProduct = async (req, res) => {
     })
   } catch (error) {
     console.error("Create product error:", error)
+    if (error.name === "ValidationError") {
+      return res.status(400).json({
+        success: false,
+        error: Object.values(error.errors)
+          .map((val) => val.message)
+          .join(", "),
+      })
+    }
     res.status(500).json({
       success: false,
       error: "Server error during product creation",
@@ -222,9 +439,10 @@ const updateProduct = async (req, res) => {
       }
     }
 
-    // Check if SKU already exists (if being updated)
-    if (req.body.sku && req.body.sku.toUpperCase() !== product.sku) {
-      const existingProduct = await Product.findOne({ sku: req.body.sku.toUpperCase() })
+    // Check if SKU or any variant SKU already exists (if being updated)
+    const variantSkus = (req.body.variants || []).map((variant) => variant.sku)
+    if (req.body.sku || variantSkus.length > 0) {
+      const existingProduct = await findSkuConflict([req.body.sku, ...variantSkus], product._id)
       if (existingProduct) {
         return res.status(400).json({
           success: false,
@@ -233,10 +451,34 @@ const updateProduct = async (req, res) => {
       }
     }
 
-    product = await Product.findByIdAndUpdate(req.params.id, req.body, {
-      new: true,
-      runValidators: true,
-    }).populate("category", "name slug")
+    // Check bundle components, and that a product used in bundles doesn't become one
+    const type = req.body.type || product.type
+    if (type === "bundle") {
+      if (Array.isArray(req.body.bundleItems)) {
+        const bundleError = await findInvalidBundleComponent(req.body.bundleItems)
+        if (bundleError) {
+          return res.status(400).json({
+            success: false,
+            error: bundleError,
+          })
+        }
+      }
+
+      if (!product.isBundle && (await Product.exists({ "bundleItems.product": product._id }))) {
+        return res.status(400).json({
+          success: false,
+          error: "This product is part of a bundle and cannot become a bundle itself",
+        })
+      }
+    }
+
+    // Save through the document so variant validation hooks run
+    product.set(req.body)
+    product.$locals.changedBy = req.user.id
+    product.$locals.priceChangeSource = "api"
+    await product.save()
+    clearCatalogCache()
+    await product.populate("category", "name slug")
 
     res.status(200).json({
       success: true,
@@ -245,6 +487,14 @@ const updateProduct = async (req, res) => {
     })
   } catch (error) {
     console.error("Update product error:", error)
+    if (error.name === "ValidationError") {
+      return res.status(400).json({
+        success: false,
+        error: Object.values(error.errors)
+          .map((val) => val.message)
+          .join(", "),
+      })
+    }
     res.status(500).json({
       success: false,
       error: "Server error during product update",
@@ -266,9 +516,9 @@ const deleteProduct = async (req, res) => {
       })
     }
 
-    // Check if product is in any pending orders
+    // Check if product is in any pending orders, directly or as a bundle component
     const pendingOrders = await Order.countDocuments({
-      "items.product": product._id,
+      $or: [{ "items.product": product._id }, { "items.bundleItems.product": product._id }],
       status: { $in: ["pending", "confirmed", "processing"] },
     })
 
@@ -279,17 +529,22 @@ const deleteProduct = async (req, res) => {
       })
     }
 
-    // Delete product images from cloudinary
-    if (product.images && product.images.length > 0) {
-      for (const image of product.images) {
-        if (image.url && image.url.includes("cloudinary")) {
-          const publicId = image.url.split("/").pop().split(".")[0]
-          await deleteImage(publicId)
-        }
-      }
+    // Check if product is a component of any bundle
+    const bundle = await Product.findOne({ "bundleItems.product": product._id }).select("name")
+    if (bundle) {
+      return res.status(400).json({
+        success: false,
+        error: `Cannot delete product used in bundle ${bundle.name}. Remove it from the bundle first.`,
+      })
     }
 
-    await product.remove()
+    await product.deleteOne()
+    clearCatalogCache()
+
+    // Delete product images and their derivatives from storage once the product is gone
+    for (const image of product.images) {
+      await deleteStoredImage(image)
+    }
 
     res.status(200).json({
       success: true,
@@ -329,9 +584,9 @@ const uploadProductImages = async (req, res) => {
 
     for (const file of req.files) {
       try {
-        const result = await uploadImage(file.path, `products/${product._id}`)
+        const result = await storeImage(file.path, `products/${product._id}`)
         uploadedImages.push({
-          url: result.url,
+          ...result,
           alt: `${product.name} image`,
           isPrimary: product.images.length === 0 && uploadedImages.length === 0,
         })
@@ -349,6 +604,8 @@ const uploadProductImages = async (req, res) => {
 
     // Add new images to product
     product.images.push(...uploadedImages)
+    product.$locals.changedBy = req.user.id
+    product.$locals.priceChangeSource = "api"
     await product.save()
 
     res.status(200).json({
@@ -365,6 +622,160 @@ const uploadProductImages = async (req, res) => {
   }
 }
 
+// Find a product and one of its images by the route ids, or send a 404
+const findProductImage = async (req, res) => {
+  const product = await Product.findById(req.params.id)
+  const image = product?.images.id(req.params.imageId)
+
+  if (!image) {
+    res.status(404).json({
+      success: false,
+      error: product ? "Image not found" : "Product not found",
+    })
+    return {}
+  }
+  return { product, image }
+}
+
+// @desc    Update a product image's alt text or make it the primary image
+// @route   PUT /api/products/:id/images/:imageId
+// @access  Private/Admin
+const updateProductImage = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: "Validation failed",
+        details: errors.array(),
+      })
+    }
+
+    const { product, image } = await findProductImage(req, res)
+    if (!image) return
+
+    const { alt, isPrimary } = req.body
+
+    if (isPrimary === false && image.isPrimary) {
+      return res.status(400).json({
+        success: false,
+        error: "A product needs a primary image. Make another image primary instead.",
+      })
+    }
+
+    if (alt !== undefined) image.alt = alt
+    if (isPrimary) {
+      product.images.forEach((other) => {
+        other.isPrimary = other._id.equals(image._id)
+      })
+    }
+    product.$locals.changedBy = req.user.id
+    product.$locals.priceChangeSource = "api"
+    await product.save()
+
+    res.status(200).json({
+      success: true,
+      message: "Image updated successfully",
+      images: product.images,
+    })
+  } catch (error) {
+    console.error("Update product image error:", error)
+    res.status(500).json({
+      success: false,
+      error: "Server error during image update",
+    })
+  }
+}
+
+// @desc    Reorder product images
+// @route   PUT /api/products/:id/images/order
+// @access  Private/Admin
+const reorderProductImages = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: "Validation failed",
+        details: errors.array(),
+      })
+    }
+
+    const product = await Product.findById(req.params.id)
+
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        error: "Product not found",
+      })
+    }
+
+    // The new order has to list every image exactly once
+    const order = req.body.images
+    const images = order.map((imageId) => product.images.id(imageId))
+    if (
+      images.some((image) => !image) ||
+      new Set(order).size !== order.length ||
+      order.length !== product.images.length
+    ) {
+      return res.status(400).json({
+        success: false,
+        error: "Images must list each of the product's image IDs exactly once",
+      })
+    }
+
+    product.images = images.map((image) => image.toObject())
+    product.$locals.changedBy = req.user.id
+    product.$locals.priceChangeSource = "api"
+    await product.save()
+
+    res.status(200).json({
+      success: true,
+      message: "Images reordered successfully",
+      images: product.images,
+    })
+  } catch (error) {
+    console.error("Reorder product images error:", error)
+    res.status(500).json({
+      success: false,
+      error: "Server error during image reorder",
+    })
+  }
+}
+
+// @desc    Delete a product image
+// @route   DELETE /api/products/:id/images/:imageId
+// @access  Private/Admin
+const deleteProductImage = async (req, res) => {
+  try {
+    const { product, image } = await findProductImage(req, res)
+    if (!image) return
+
+    await deleteStoredImage(image)
+
+    // The first remaining image takes over as primary
+    image.deleteOne()
+    if (image.isPrimary && product.images.length > 0) product.images[0].isPrimary = true
+    product.$locals.changedBy = req.user.id
+    product.$locals.priceChangeSource = "api"
+    await product.save()
+
+    res.status(200).json({
+      success: true,
+      message: "Image deleted successfully",
+      images: product.images,
+    })
+  } catch (error) {
+    console.error("Delete product image error:", error)
+    res.status(500).json({
+      success: false,
+      error: "Server error during image deletion",
+    })
+  }
+}
+
 // @desc    Get featured products
 // @route   GET /api/products/featured
 // @access  Public
@@ -377,9 +788,13 @@ const getFeaturedProducts = async (req, res) => {
       isActive: true,
     })
       .populate("category", "name slug")
+      .withBundleComponents()
       .limit(limit)
       .sort("-createdAt")
 
+    await applyPriceRules(products)
+    applyUnitSystem(products, getUnitSystem(req))
+
     res.status(200).json({
       success: true,
       count: products.length,
@@ -394,21 +809,41 @@ const getFeaturedProducts = async (req, res) => {
   }
 }
 
+// @desc    Get personalized product feed (recently viewed, purchase categories, featured)
+// @route   GET /api/products/for-you?limit=12
+// @access  Public (personalized for signed-in users and devices sending X-Device-Id)
+const getForYouFeed = async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(Number.parseInt(req.query.limit, 10) || 12, 1), 50)
+    const data = await buildForYouFeed(getViewer(req), limit, getUnitSystem(req))
+
+    res.status(200).json({
+      success: true,
+      count: data.length,
+      data,
+    })
+  } catch (error) {
+    console.error("Get for you feed error:", error)
+    res.status(500).json({
+      success: false,
+      error: "Server error",
+    })
+  }
+}
+
 // @desc    Get products by category
-// @route   GET /api/products/category/:categoryId
+// @route   GET /api/products/category/:categoryId?includeDescendants=true&specs[key]=value
 // @access  Public
 const getProductsByCategory = async (req, res) => {
   try {
     const { categoryId } = req.params
-    const page = Number.parseInt(req.query.page, 10) || 1
-    const limit = Number.parseInt(req.query.limit, 10) || 12
 
     // Check if category exists
     let category
     if (categoryId.match(/^[0-9a-fA-F]{24}$/)) {
       category = await Category.findById(categoryId)
     } else {
-      category = await Category.findOne({ slug: categoryId })
+      category = await Category.findBySlug(categoryId)
     }
 
     if (!category) {
@@ -418,46 +853,64 @@ const getProductsByCategory = async (req, res) => {
       })
     }
 
-    const startIndex = (page - 1) * limit
-    const total = await Product.countDocuments({
-      category: category._id,
-      isActive: true,
-    })
-
-    const products = await Product.find({
-      category: category._id,
-      isActive: true,
-    })
-      .populate("category", "name slug")
-      .skip(startIndex)
-      .limit(limit)
-      .sort("-createdAt")
-
-    // Pagination result
-    const pagination = {}
-    const endIndex = page * limit
+    // Listings that include subcategories filter and facet on their specifications too
+    const includeDescendants = req.query.includeDescendants === "true"
+    const definitions = includeDescendants
+      ? await Category.getSubtreeSpecificationSchema(category._id)
+      : await Category.getSpecificationSchema(category._id)
 
-    if (endIndex < total) {
-      pagination.next = {
-        page: page + 1,
-        limit,
-      }
+    const specification = await parseSpecificationFilter(req.query.specs, category._id, definitions)
+    if (specification.errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid query",
+        details: specification.errors,
+      })
     }
 
-    if (startIndex > 0) {
-      pagination.prev = {
-        page: page - 1,
-        limit,
-      }
+    // Optionally list products from every subcategory too
+    const categoryIds = includeDescendants ? await Category.getSubtreeIds(category._id) : [category._id]
+    const categoryFilter = { category: { $in: categoryIds }, isActive: true }
+
+    const { error, data, total, pagination } = await paginate(
+      req,
+      res,
+      Product,
+      combineFilters(categoryFilter, specification.filter),
+      {
+        sort: "-createdAt",
+        defaultLimit: 12,
+        query: (query) => query.populate("category", "name slug").withBundleComponents(),
+      },
+    )
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error,
+      })
     }
 
+    // Facets count the whole listing, ignoring the specification filters
+    const [specificationBuckets] = await Promise.all([
+      Product.aggregate([{ $match: categoryFilter }, ...specificationFacetStages]),
+      applyPriceRules(data),
+    ])
+    applyUnitSystem(data, getUnitSystem(req))
+
     res.status(200).json({
       success: true,
-      count: products.length,
+      count: data.length,
       total,
       pagination,
+      ...canonicalSlugFields(categoryId, category),
       category,
-      data: products,
+      breadcrumbs: category.getBreadcrumbs(),
+      specificationSchema: definitions,
+      facets: {
+        specifications: buildSpecificationFacets(specificationBuckets, definitions),
+      },
+      data,
     })
   } catch (error) {
     console.error("Get products by category error:", error)
@@ -468,14 +921,50 @@ const getProductsByCategory = async (req, res) => {
   }
 }
 
+// Sort options accepted by product search
+const SEARCH_SORTS = {
+  relevance: { score: -1, _id: 1 },
+  price: { price: 1, _id: 1 },
+  "-price": { price: -1, _id: 1 },
+  rating: { averageRating: -1, _id: 1 },
+  newest: { createdAt: -1, _id: 1 },
+  name: { name: 1, _id: 1 },
+}
+
+// Price facet buckets by lower bound; the last bucket is open-ended
+const PRICE_BUCKETS = [0, 10, 25, 50, 100]
+
+// Facets search returned before categories had specification schemas, still built for
+// existing clients: { cut: [{ value, count }], grade: [...], feedType: [...] }
+const LEGACY_SPECIFICATION_FACETS = ["cut", "grade", "feedType"]
+
+const legacySpecificationFacets = (buckets) =>
+  Object.fromEntries(
+    LEGACY_SPECIFICATION_FACETS.map((key) => [
+      key,
+      buckets
+        .filter((bucket) => bucket._id.key === key && bucket._id.value)
+        .map(({ _id, count }) => ({ value: _id.value, count })),
+    ]),
+  )
+
+// Record a search in the query log without holding up the response
+const logSearchQuery = (query, resultCount) => {
+  const normalized = tokenize(query).join(" ").slice(0, 100)
+  if (!normalized) return
+
+  SearchQuery.record(normalized, resultCount).catch((error) => {
+    console.error("Log search query error:", error)
+  })
+}
+
 // @desc    Search products
 // @route   GET /api/products/search
 // @access  Public
 const searchProducts = async (req, res) => {
   try {
-    const { q, category, minPrice, maxPrice, sort } = req.query
-    const page = Number.parseInt(req.query.page, 10) || 1
-    const limit = Number.parseInt(req.query.limit, 10) || 12
+    const { q, category, minPrice, maxPrice, cut, grade, feedType, certification, allergenFree } = req.query
+    const sort = req.query.sort || "relevance"
 
     if (!q) {
       return res.status(400).json({
@@ -484,69 +973,203 @@ const searchProducts = async (req, res) => {
       })
     }
 
-    // Build search query
-    const searchQuery = {
-      isActive: true,
-      $or: [
-        { name: { $regex: q, $options: "i" } },
-        { description: { $regex: q, $options: "i" } },
-        { shortDescription: { $regex: q, $options: "i" } },
-        { tags: { $in: [new RegExp(q, "i")] } },
-      ],
+    if (typeof q !== "string" || q.length > MAX_QUERY_LENGTH) {
+      return res.status(400).json({
+        success: false,
+        error: `Search query must be a single value of at most ${MAX_QUERY_LENGTH} characters`,
+      })
     }
 
-    // Add category filter
-    if (category) {
-      searchQuery.category = category
+    if (!SEARCH_SORTS[sort]) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid sort. Allowed values: ${Object.keys(SEARCH_SORTS).join(", ")}`,
+      })
     }
 
-    // Add price range filter
-    if (minPrice || maxPrice) {
-      searchQuery.price = {}
-      if (minPrice) searchQuery.price.$gte = Number.parseFloat(minPrice)
-      if (maxPrice) searchQuery.price.$lte = Number.parseFloat(maxPrice)
+    // Repeated parameters arrive as arrays, so check types before using them
+    const queryErrors = []
+    if (category !== undefined && typeof category !== "string") {
+      queryErrors.push("category must be a single value")
+    }
+    const prices = {}
+    for (const [param, value] of Object.entries({ minPrice, maxPrice })) {
+      if (value === undefined || value === "") continue
+      prices[param] = typeof value === "string" ? Number(value) : Number.NaN
+      if (!Number.isFinite(prices[param]) || prices[param] < 0) {
+        queryErrors.push(`${param} must be a non-negative number`)
+      }
+    }
+    if (queryErrors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid query",
+        details: queryErrors,
+      })
     }
 
-    const startIndex = (page - 1) * limit
-    const total = await Product.countDocuments(searchQuery)
-
-    let query = Product.find(searchQuery).populate("category", "name slug")
-
-    // Sort
-    if (sort) {
-      const sortBy = sort.split(",").join(" ")
-      query = query.sort(sortBy)
-    } else {
-      query = query.sort("-createdAt")
+    const certificationFilter = parseCertificationFilter(certification)
+    const allergenFilter = parseAllergenFreeFilter(allergenFree)
+    const filterError = certificationFilter.error || allergenFilter.error
+    if (filterError) {
+      return res.status(400).json({
+        success: false,
+        error: filterError,
+      })
     }
 
-    const products = await query.skip(startIndex).limit(limit)
+    const paging = parsePagination(req, { sort: SEARCH_SORTS[sort], defaultLimit: 12 })
+    if (paging.error) {
+      return res.status(400).json({
+        success: false,
+        error: paging.error,
+      })
+    }
+    const isFirstPage = paging.mode === "offset" ? paging.page === 1 : !paging.cursor
+
+    // Expand the query with prefix and typo-tolerant matches from the catalog
+    const { terms, corrections } = await expandQuery(q)
+
+    if (terms.length === 0) {
+      logSearchQuery(q, 0)
+      return res.status(200).json({
+        success: true,
+        count: 0,
+        total: 0,
+        pagination: {},
+        searchQuery: q,
+        facets: {},
+        data: [],
+      })
+    }
 
-    // Pagination result
-    const pagination = {}
-    const endIndex = page * limit
+    // Filters narrow the results but not the facet counts
+    const filters = { ...certificationFilter.filter, ...allergenFilter.filter }
 
-    if (endIndex < total) {
-      pagination.next = {
-        page: page + 1,
-        limit,
-      }
+    if (category) {
+      const categoryDoc = category.match(/^[0-9a-fA-F]{24}$/)
+        ? await Category.findById(category).select("_id")
+        : await Category.findOne({ slug: category }).select("_id")
+      filters.category = categoryDoc ? categoryDoc._id : null
+    }
+    if (cut) filters["specifications.cut"] = cut
+    if (grade) filters["specifications.grade"] = grade
+    if (feedType) filters["specifications.feedType"] = feedType
+    if (prices.minPrice !== undefined || prices.maxPrice !== undefined) {
+      filters.price = {}
+      if (prices.minPrice !== undefined) filters.price.$gte = prices.minPrice
+      if (prices.maxPrice !== undefined) filters.price.$lte = prices.maxPrice
     }
 
-    if (startIndex > 0) {
-      pagination.prev = {
-        page: page - 1,
-        limit,
-      }
+    const specification = await parseSpecificationFilter(req.query.specs, filters.category)
+    if (specification.errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid query",
+        details: specification.errors,
+      })
+    }
+    const matchFilter = combineFilters(filters, specification.filter)
+
+    const pageQuery = getPageQuery(paging)
+    const countBy = (field) => [{ $group: { _id: `$${field}`, count: { $sum: 1 } } }, { $sort: { count: -1 } }]
+
+    const [result] = await Product.aggregate([
+      { $match: { $text: { $search: terms.join(" ") }, isActive: true } },
+      { $addFields: { score: { $meta: "textScore" } } },
+      {
+        $facet: {
+          results: [
+            { $match: pageQuery.filter ? { $and: [matchFilter, pageQuery.filter] } : matchFilter },
+            { $sort: pageQuery.sort },
+            { $skip: pageQuery.skip },
+            { $limit: pageQuery.limit },
+            { $project: { score: 1, price: 1, averageRating: 1, createdAt: 1, name: 1 } },
+          ],
+          total: [{ $match: matchFilter }, { $count: "count" }],
+          category: countBy("category"),
+          specifications: specificationFacetStages,
+          certification: [
+            { $unwind: "$certifications" },
+            { $match: { "certifications.expiresAt": { $gt: new Date() } } },
+            ...countBy("certifications.type"),
+          ],
+          price: [
+            {
+              $bucket: {
+                groupBy: "$price",
+                boundaries: [...PRICE_BUCKETS, Number.MAX_SAFE_INTEGER],
+                default: "other",
+                output: { count: { $sum: 1 } },
+              },
+            },
+          ],
+        },
+      },
+    ])
+
+    const total = result.total[0]?.count || 0
+    const { data: hits, pagination } = buildPage(req, res, paging, result.results, total)
+
+    // Load full documents for the ranked page, keeping the ranking order
+    const ids = hits.map((hit) => hit._id)
+    const scores = new Map(hits.map((hit) => [hit._id.toString(), hit.score]))
+    const products = await Product.find({ _id: { $in: ids } })
+      .populate("category", "name slug")
+      .withBundleComponents()
+    await applyPriceRules(products)
+    applyUnitSystem(products, getUnitSystem(req))
+    products.sort((a, b) => ids.findIndex((id) => id.equals(a._id)) - ids.findIndex((id) => id.equals(b._id)))
+
+    const data = products.map((product) => ({
+      ...product.toJSON(),
+      score: scores.get(product._id.toString()),
+      highlights: {
+        name: highlight(product.name, terms),
+        shortDescription: highlight(product.shortDescription, terms),
+        description: highlight(product.description, terms),
+      },
+    }))
+
+    // Resolve category names for the category facet
+    const facetCategories = await Category.find({ _id: { $in: result.category.map((c) => c._id) } }).select("name slug")
+
+    // Specification facets follow the searched category's schema, or every category's
+    const definitions = filters.category
+      ? await Category.getSpecificationSchema(filters.category)
+      : mergeSpecificationDefinitions(
+          (await Category.find({ "specificationSchema.0": { $exists: true } }).select("specificationSchema")).map(
+            (categoryDoc) => categoryDoc.specificationSchema,
+          ),
+        )
+    const facets = {
+      category: result.category.map((bucket) => {
+        const match = facetCategories.find((c) => c._id.equals(bucket._id))
+        return { _id: bucket._id, name: match?.name, slug: match?.slug, count: bucket.count }
+      }),
+      specifications: buildSpecificationFacets(result.specifications, definitions),
+      ...legacySpecificationFacets(result.specifications),
+      certification: result.certification.map(({ _id, count }) => ({ value: _id, count })),
+      price: result.price
+        .filter((bucket) => bucket._id !== "other")
+        .map((bucket) => {
+          const index = PRICE_BUCKETS.indexOf(bucket._id)
+          return { min: bucket._id, max: PRICE_BUCKETS[index + 1] ?? null, count: bucket.count }
+        }),
     }
 
+    // Only log the first page so paging through results doesn't inflate popularity
+    if (isFirstPage) logSearchQuery(q, total)
+
     res.status(200).json({
       success: true,
-      count: products.length,
+      count: data.length,
       total,
       pagination,
       searchQuery: q,
-      data: products,
+      corrections: Object.keys(corrections).length > 0 ? corrections : undefined,
+      facets,
+      data,
     })
   } catch (error) {
     console.error("Search products error:", error)
@@ -557,62 +1180,141 @@ const searchProducts = async (req, res) => {
   }
 }
 
-// @desc    Get product reviews
-// @route   GET /api/products/:id/reviews
+// @desc    Get search suggestions for typeahead
+// @route   GET /api/products/suggest
 // @access  Public
-const getProductReviews = async (req, res) => {
+const suggestProducts = async (req, res) => {
   try {
-    const page = Number.parseInt(req.query.page, 10) || 1
-    const limit = Number.parseInt(req.query.limit, 10) || 10
+    if (req.query.q !== undefined && typeof req.query.q !== "string") {
+      return res.status(400).json({
+        success: false,
+        error: "Search query must be a single value",
+      })
+    }
 
-    const product = await Product.findById(req.params.id)
+    const q = (req.query.q || "").trim()
+    const limit = Math.min(Math.max(Number.parseInt(req.query.limit, 10) || 5, 1), 10)
 
-    if (!product) {
-      return res.status(404).json({
+    if (q.length > MAX_QUERY_LENGTH) {
+      return res.status(400).json({
         success: false,
-        error: "Product not found",
+        error: `Search query must be at most ${MAX_QUERY_LENGTH} characters`,
       })
     }
 
-    const startIndex = (page - 1) * limit
-    const total = await Review.countDocuments({
-      product: req.params.id,
-      isApproved: true,
+    const terms = getQueryTerms(q)
+    if (terms.length === 0) {
+      return res.status(200).json({
+        success: true,
+        query: q,
+        data: { products: [], categories: [], queries: [] },
+      })
+    }
+
+    // Product and category matches come from the in-memory catalog snapshot;
+    // popular queries use an anchored prefix match on the indexed query log
+    const [catalogMatches, queries] = await Promise.all([
+      suggestFromCatalog(q, limit),
+      SearchQuery.find({
+        query: { $regex: `^${escapeRegex(terms.join(" "))}` },
+        lastResultCount: { $gt: 0 },
+      })
+        .select("query count -_id")
+        .sort("-count")
+        .limit(limit)
+        .lean(),
+    ])
+
+    res.set("Cache-Control", "public, max-age=60")
+    res.status(200).json({
+      success: true,
+      query: q,
+      data: {
+        ...catalogMatches,
+        queries,
+      },
     })
+  } catch (error) {
+    console.error("Suggest products error:", error)
+    res.status(500).json({
+      success: false,
+      error: "Server error",
+    })
+  }
+}
 
-    const reviews = await Review.find({
-      product: req.params.id,
-      isApproved: true,
+// Sort options accepted by the product review listing
+const REVIEW_SORTS = {
+  newest: "-createdAt",
+  oldest: "createdAt",
+  helpful: "-helpfulVotes -createdAt",
+  highestRated: "-rating -createdAt",
+  lowestRated: "rating -createdAt",
+}
+
+// Find a review on the product in the route, or send a 404
+const findProductReview = async (req, res) => {
+  const review = await Review.findOne({ _id: req.params.reviewId, product: req.params.id })
+
+  if (!review) {
+    res.status(404).json({
+      success: false,
+      error: "Review not found",
     })
-      .populate("user", "name avatar")
-      .skip(startIndex)
-      .limit(limit)
-      .sort("-createdAt")
+  }
+  return review
+}
+
+// @desc    Get product reviews with the star rating distribution
+// @route   GET /api/products/:id/reviews?sort=newest|oldest|helpful|highestRated|lowestRated
+// @access  Public
+const getProductReviews = async (req, res) => {
+  try {
+    const sort = req.query.sort || "newest"
+    if (!REVIEW_SORTS[sort]) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid sort. Allowed values: ${Object.keys(REVIEW_SORTS).join(", ")}`,
+      })
+    }
 
-    // Pagination result
-    const pagination = {}
-    const endIndex = page * limit
+    const product = await Product.findById(req.params.id)
 
-    if (endIndex < total) {
-      pagination.next = {
-        page: page + 1,
-        limit,
-      }
+    if (!product || !product.isActive) {
+      return res.status(404).json({
+        success: false,
+        error: "Product not found",
+      })
     }
 
-    if (startIndex > 0) {
-      pagination.prev = {
-        page: page - 1,
-        limit,
-      }
+    const { error, data, total, pagination } = await paginate(
+      req,
+      res,
+      Review,
+      { product: product._id, isApproved: true },
+      {
+        sort: REVIEW_SORTS[sort],
+        defaultLimit: 10,
+        query: (query) => query.populate("user", "name avatar").populate("merchantReply.repliedBy", "name"),
+      },
+    )
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error,
+      })
     }
 
+    const ratingDistribution = await Review.getRatingDistribution(product._id)
+
     res.status(200).json({
       success: true,
-      count: reviews.length,
+      count: data.length,
       total,
       pagination,
-      data: reviews,
+      ratingDistribution,
+      data,
     })
   } catch (error) {
     console.error("Get product reviews error:", error)
@@ -669,7 +1371,7 @@ const addProductReview = async (req, res) => {
       status: "delivered",
     })
 
-    const review = await Review.create({
+    const review = new Review({
       title,
       text,
       rating,
@@ -678,11 +1380,14 @@ const addProductReview = async (req, res) => {
       isVerifiedPurchase: !!hasPurchased,
     })
 
+    // Reviews that trip a hold rule wait for a moderator
+    await moderateReview(review)
+    await review.save()
     await review.populate("user", "name avatar")
 
     res.status(201).json({
       success: true,
-      message: "Review added successfully",
+      message: review.isApproved ? "Review added successfully" : "Review submitted and awaiting moderation",
       data: review,
     })
   } catch (error) {
@@ -732,12 +1437,14 @@ const updateProductReview = async (req, res) => {
     review.text = text || review.text
     review.rating = rating || review.rating
 
+    // Edits go through the same hold rules as new reviews
+    await moderateReview(review)
     await review.save()
     await review.populate("user", "name avatar")
 
     res.status(200).json({
       success: true,
-      message: "Review updated successfully",
+      message: review.isApproved ? "Review updated successfully" : "Review updated and awaiting moderation",
       data: review,
     })
   } catch (error) {
@@ -771,7 +1478,12 @@ const deleteProductReview = async (req, res) => {
       })
     }
 
-    await review.remove()
+    await review.deleteOne()
+
+    // Delete review photos from storage once the review is gone
+    for (const photo of review.photos) {
+      if (photo.assetId) await deleteImage(photo.assetId)
+    }
 
     res.status(200).json({
       success: true,
@@ -786,18 +1498,287 @@ const deleteProductReview = async (req, res) => {
   }
 }
 
+// @desc    Mark a review as helpful
+// @route   POST /api/products/:id/reviews/:reviewId/helpful
+// @access  Private
+const markReviewHelpful = async (req, res) => {
+  try {
+    const review = await findProductReview(req, res)
+    if (!review) return
+
+    if (!review.isApproved) {
+      return res.status(404).json({
+        success: false,
+        error: "Review not found",
+      })
+    }
+
+    if (review.user.equals(req.user._id)) {
+      return res.status(400).json({
+        success: false,
+        error: "You cannot vote on your own review",
+      })
+    }
+
+    // Only counts if the user hasn't voted already
+    const result = await Review.updateOne(
+      { _id: review._id, helpfulVoters: { $ne: req.user._id } },
+      { $addToSet: { helpfulVoters: req.user._id }, $inc: { helpfulVotes: 1 } },
+    )
+
+    if (result.modifiedCount === 0) {
+      return res.status(400).json({
+        success: false,
+        error: "You have already marked this review as helpful",
+      })
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Review marked as helpful",
+      data: { helpfulVotes: review.helpfulVotes + 1 },
+    })
+  } catch (error) {
+    console.error("Mark review helpful error:", error)
+    res.status(500).json({
+      success: false,
+      error: "Server error",
+    })
+  }
+}
+
+// @desc    Remove a helpful vote from a review
+// @route   DELETE /api/products/:id/reviews/:reviewId/helpful
+// @access  Private
+const unmarkReviewHelpful = async (req, res) => {
+  try {
+    const result = await Review.updateOne(
+      { _id: req.params.reviewId, product: req.params.id, helpfulVoters: req.user._id },
+      { $pull: { helpfulVoters: req.user._id }, $inc: { helpfulVotes: -1 } },
+    )
+
+    if (result.modifiedCount === 0) {
+      return res.status(400).json({
+        success: false,
+        error: "You have not marked this review as helpful",
+      })
+    }
+
+    const review = await Review.findById(req.params.reviewId).select("helpfulVotes")
+
+    res.status(200).json({
+      success: true,
+      message: "Helpful vote removed",
+      data: { helpfulVotes: review.helpfulVotes },
+    })
+  } catch (error) {
+    console.error("Unmark review helpful error:", error)
+    res.status(500).json({
+      success: false,
+      error: "Server error",
+    })
+  }
+}
+
+// @desc    Upload photos to a review
+// @route   POST /api/products/:id/reviews/:reviewId/photos
+// @access  Private
+const uploadReviewPhotos = async (req, res) => {
+  try {
+    const review = await findProductReview(req, res)
+    if (!review) return
+
+    // Make sure user owns review
+    if (review.user.toString() !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        error: "Not authorized to update this review",
+      })
+    }
+
+    if (!req.files || req.files.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: "Please upload at least one photo",
+      })
+    }
+
+    if (review.photos.length + req.files.length > MAX_REVIEW_PHOTOS) {
+      return res.status(400).json({
+        success: false,
+        error: `A review can have at most ${MAX_REVIEW_PHOTOS} photos (${review.photos.length} already attached)`,
+      })
+    }
+
+    const uploadedPhotos = []
+
+    for (const file of req.files) {
+      try {
+        const result = await uploadImage(file.path, `reviews/${review._id}`)
+        uploadedPhotos.push({ url: result.url, assetId: result.assetId })
+      } catch (error) {
+        console.error("Review photo upload error:", error)
+      }
+    }
+
+    if (uploadedPhotos.length === 0) {
+      return res.status(500).json({
+        success: false,
+        error: "Failed to upload photos",
+      })
+    }
+
+    review.photos.push(...uploadedPhotos)
+    await review.save()
+
+    res.status(200).json({
+      success: true,
+      message: `${uploadedPhotos.length} photo(s) uploaded successfully`,
+      data: review.photos,
+    })
+  } catch (error) {
+    console.error("Upload review photos error:", error)
+    res.status(500).json({
+      success: false,
+      error: "Server error during photo upload",
+    })
+  }
+}
+
+// @desc    Delete a review photo
+// @route   DELETE /api/products/:id/reviews/:reviewId/photos/:photoId
+// @access  Private
+const deleteReviewPhoto = async (req, res) => {
+  try {
+    const review = await findProductReview(req, res)
+    if (!review) return
+
+    // Make sure user owns review or is admin
+    if (review.user.toString() !== req.user.id && req.user.role !== "admin") {
+      return res.status(403).json({
+        success: false,
+        error: "Not authorized to update this review",
+      })
+    }
+
+    const photo = review.photos.id(req.params.photoId)
+
+    if (!photo) {
+      return res.status(404).json({
+        success: false,
+        error: "Photo not found",
+      })
+    }
+
+    if (photo.assetId) await deleteImage(photo.assetId)
+    photo.deleteOne()
+    await review.save()
+
+    res.status(200).json({
+      success: true,
+      message: "Photo deleted successfully",
+      data: review.photos,
+    })
+  } catch (error) {
+    console.error("Delete review photo error:", error)
+    res.status(500).json({
+      success: false,
+      error: "Server error during photo deletion",
+    })
+  }
+}
+
+// @desc    Post or update the merchant reply to a review
+// @route   PUT /api/products/:id/reviews/:reviewId/reply
+// @access  Private/Admin
+const replyToReview = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: "Validation failed",
+        details: errors.array(),
+      })
+    }
+
+    const review = await findProductReview(req, res)
+    if (!review) return
+
+    review.merchantReply = { text: req.body.text, repliedBy: req.user.id, repliedAt: new Date() }
+    await review.save()
+    await review.populate("merchantReply.repliedBy", "name")
+
+    res.status(200).json({
+      success: true,
+      message: "Reply saved successfully",
+      data: review,
+    })
+  } catch (error) {
+    console.error("Reply to review error:", error)
+    res.status(500).json({
+      success: false,
+      error: "Server error during review reply",
+    })
+  }
+}
+
+// @desc    Delete the merchant reply to a review
+// @route   DELETE /api/products/:id/reviews/:reviewId/reply
+// @access  Private/Admin
+const deleteReviewReply = async (req, res) => {
+  try {
+    const review = await findProductReview(req, res)
+    if (!review) return
+
+    if (!review.merchantReply?.text) {
+      return res.status(404).json({
+        success: false,
+        error: "Reply not found",
+      })
+    }
+
+    review.merchantReply = undefined
+    await review.save()
+
+    res.status(200).json({
+      success: true,
+      message: "Reply deleted successfully",
+    })
+  } catch (error) {
+    console.error("Delete review reply error:", error)
+    res.status(500).json({
+      success: false,
+      error: "Server error during reply deletion",
+    })
+  }
+}
+
 module.exports = {
   getProducts,
   getProduct,
+  getProductRecommendations,
   createProduct,
   updateProduct,
   deleteProduct,
   uploadProductImages,
+  updateProductImage,
+  reorderProductImages,
+  deleteProductImage,
   getFeaturedProducts,
+  getForYouFeed,
   getProductsByCategory,
   searchProducts,
+  suggestProducts,
   getProductReviews,
   addProductReview,
   updateProductReview,
   deleteProductReview,
+  markReviewHelpful,
+  unmarkReviewHelpful,
+  uploadReviewPhotos,
+  deleteReviewPhoto,
+  replyToReview,
+  deleteReviewReply,
 }
@@ -0,0 +1,315 @@
+const { validationResult } = require("express-validator")
+const Question = require("../models/Question")
+const Answer = require("../models/Answer")
+const Product = require("../models/Product")
+const Order = require("../models/Order")
+const { paginate } = require("../utils/paginate")
+
+// Sort options accepted by the product Q&A listing
+const QUESTION_SORTS = {
+  newest: "-createdAt",
+  oldest: "createdAt",
+  mostAnswered: "-answerCount",
+  mostHelpful: "-answerUpvotes",
+}
+
+// Find an approved question on the product in the route, or send a 404
+const findApprovedQuestion = async (req, res) => {
+  const question = await Question.findOne({
+    _id: req.params.questionId,
+    product: req.params.id,
+    status: "approved",
+  })
+
+  if (!question) {
+    res.status(404).json({
+      success: false,
+      error: "Question not found",
+    })
+  }
+  return question
+}
+
+// @desc    Get product questions with their approved answers
+// @route   GET /api/products/:id/questions?sort=newest|oldest|mostAnswered|mostHelpful
+// @access  Public
+const getProductQuestions = async (req, res) => {
+  try {
+    const sort = req.query.sort || "newest"
+    if (!QUESTION_SORTS[sort]) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid sort. Allowed values: ${Object.keys(QUESTION_SORTS).join(", ")}`,
+      })
+    }
+
+    const product = await Product.findById(req.params.id).select("isActive")
+
+    if (!product || !product.isActive) {
+      return res.status(404).json({
+        success: false,
+        error: "Product not found",
+      })
+    }
+
+    const { error, data, total, pagination } = await paginate(
+      req,
+      res,
+      Question,
+      { product: product._id, status: "approved" },
+      {
+        sort: QUESTION_SORTS[sort],
+        defaultLimit: 10,
+        query: (query) => query.populate("user", "name avatar").select("-moderatedBy -moderatedAt"),
+      },
+    )
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error,
+      })
+    }
+
+    // Approved answers for the page, staff answers first and then the most upvoted
+    const answers = await Answer.find({ question: { $in: data.map((question) => question._id) }, status: "approved" })
+      .select("+upvotes -moderatedBy -moderatedAt")
+      .sort("-isStaffAnswer -upvoteCount createdAt")
+      .populate("user", "name avatar")
+
+    const questions = data.map((question) => ({
+      ...question.toObject(),
+      answers: answers
+        .filter((answer) => answer.question.equals(question._id))
+        .map((answer) => {
+          const { upvotes, ...fields } = answer.toObject()
+          return { ...fields, hasUpvoted: !!req.user && upvotes.some((userId) => userId.equals(req.user._id)) }
+        }),
+    }))
+
+    res.status(200).json({
+      success: true,
+      count: questions.length,
+      total,
+      pagination,
+      data: questions,
+    })
+  } catch (error) {
+    console.error("Get product questions error:", error)
+    res.status(500).json({
+      success: false,
+      error: "Server error",
+    })
+  }
+}
+
+// @desc    Ask a question about a product
+// @route   POST /api/products/:id/questions
+// @access  Private
+const askProductQuestion = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: "Validation failed",
+        details: errors.array(),
+      })
+    }
+
+    const product = await Product.findById(req.params.id)
+
+    if (!product || !product.isActive) {
+      return res.status(404).json({
+        success: false,
+        error: "Product not found",
+      })
+    }
+
+    const question = await Question.create({
+      text: req.body.text,
+      product: product._id,
+      user: req.user.id,
+    })
+
+    res.status(201).json({
+      success: true,
+      message: "Question submitted and awaiting moderation",
+      data: question,
+    })
+  } catch (error) {
+    console.error("Ask product question error:", error)
+    res.status(500).json({
+      success: false,
+      error: "Server error during question creation",
+    })
+  }
+}
+
+// @desc    Answer a product question (admins and customers who bought the product)
+// @route   POST /api/products/:id/questions/:questionId/answers
+// @access  Private
+const answerProductQuestion = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: "Validation failed",
+        details: errors.array(),
+      })
+    }
+
+    const question = await findApprovedQuestion(req, res)
+    if (!question) return
+
+    const isStaff = req.user.role === "admin"
+
+    // Check if user has purchased this product
+    const hasPurchased = await Order.findOne({
+      user: req.user.id,
+      "items.product": question.product,
+      status: "delivered",
+    })
+
+    if (!isStaff && !hasPurchased) {
+      return res.status(403).json({
+        success: false,
+        error: "Only customers who have bought this product can answer questions about it",
+      })
+    }
+
+    const existingAnswer = await Answer.findOne({ question: question._id, user: req.user.id })
+    if (existingAnswer) {
+      return res.status(400).json({
+        success: false,
+        error: "You have already answered this question",
+      })
+    }
+
+    // Staff answers skip the moderation queue
+    const answer = await Answer.create({
+      text: req.body.text,
+      question: question._id,
+      product: question.product,
+      user: req.user.id,
+      isStaffAnswer: isStaff,
+      isVerifiedPurchase: !!hasPurchased,
+      ...(isStaff ? { status: "approved", moderatedBy: req.user.id, moderatedAt: new Date() } : {}),
+    })
+
+    await answer.populate("user", "name avatar")
+
+    res.status(201).json({
+      success: true,
+      message: isStaff ? "Answer added successfully" : "Answer submitted and awaiting moderation",
+      data: answer,
+    })
+  } catch (error) {
+    console.error("Answer product question error:", error)
+    res.status(500).json({
+      success: false,
+      error: "Server error during answer creation",
+    })
+  }
+}
+
+// @desc    Upvote an answer
+// @route   POST /api/products/:id/questions/:questionId/answers/:answerId/upvote
+// @access  Private
+const upvoteAnswer = async (req, res) => {
+  try {
+    const question = await findApprovedQuestion(req, res)
+    if (!question) return
+
+    const answer = await Answer.findOne({ _id: req.params.answerId, question: question._id, status: "approved" })
+
+    if (!answer) {
+      return res.status(404).json({
+        success: false,
+        error: "Answer not found",
+      })
+    }
+
+    if (answer.user.equals(req.user._id)) {
+      return res.status(400).json({
+        success: false,
+        error: "You cannot upvote your own answer",
+      })
+    }
+
+    // Only counts if the user hasn't upvoted already
+    const result = await Answer.updateOne(
+      { _id: answer._id, upvotes: { $ne: req.user._id } },
+      { $addToSet: { upvotes: req.user._id }, $inc: { upvoteCount: 1 } },
+    )
+
+    if (result.modifiedCount === 0) {
+      return res.status(400).json({
+        success: false,
+        error: "You have already upvoted this answer",
+      })
+    }
+
+    await Answer.updateQuestionStats(question._id)
+
+    res.status(200).json({
+      success: true,
+      message: "Answer upvoted",
+      data: { upvoteCount: answer.upvoteCount + 1 },
+    })
+  } catch (error) {
+    console.error("Upvote answer error:", error)
+    res.status(500).json({
+      success: false,
+      error: "Server error",
+    })
+  }
+}
+
+// @desc    Remove an upvote from an answer
+// @route   DELETE /api/products/:id/questions/:questionId/answers/:answerId/upvote
+// @access  Private
+const removeAnswerUpvote = async (req, res) => {
+  try {
+    const question = await findApprovedQuestion(req, res)
+    if (!question) return
+
+    const result = await Answer.updateOne(
+      { _id: req.params.answerId, question: question._id, upvotes: req.user._id },
+      { $pull: { upvotes: req.user._id }, $inc: { upvoteCount: -1 } },
+    )
+
+    if (result.modifiedCount === 0) {
+      return res.status(400).json({
+        success: false,
+        error: "You have not upvoted this answer",
+      })
+    }
+
+    await Answer.updateQuestionStats(question._id)
+    const answer = await Answer.findById(req.params.answerId).select("upvoteCount")
+
+    res.status(200).json({
+      success: true,
+      message: "Upvote removed",
+      data: { upvoteCount: answer.upvoteCount },
+    })
+  } catch (error) {
+    console.error("Remove answer upvote error:", error)
+    res.status(500).json({
+      success: false,
+      error: "Server error",
+    })
+  }
+}
+
+module.exports = {
+  getProductQuestions,
+  askProductQuestion,
+  answerProductQuestion,
+  upvoteAnswer,
+  removeAnswerUpvote,
+}
@@ -0,0 +1,139 @@
+const Product = require("../models/Product")
+const Category = require("../models/Category")
+const { applyPriceRules } = require("../utils/priceRules")
+const {
+  productUrl,
+  categoryUrl,
+  apiBaseUrl,
+  buildUrlset,
+  buildSitemapIndex,
+  buildProductJsonLd,
+} = require("../utils/seo")
+
+// Most URLs a single sitemap file may list (the sitemap protocol's limit)
+const SITEMAP_URL_LIMIT = 50000
+
+// Sitemaps are cached by clients and crawlers for this long
+const SITEMAP_MAX_AGE = 60 * 60
+
+// What the sitemap covers: active categories and active products
+const SITEMAP_SOURCES = {
+  categories: { model: Category, url: categoryUrl },
+  products: { model: Product, url: productUrl },
+}
+
+// One page of a source's sitemap entries, in a stable order
+const getSitemapEntries = async ({ model, url }, page = 1) => {
+  const docs = await model
+    .find({ isActive: true })
+    .select("slug updatedAt")
+    .sort("_id")
+    .skip((page - 1) * SITEMAP_URL_LIMIT)
+    .limit(SITEMAP_URL_LIMIT)
+    .lean()
+
+  return docs.map((doc) => ({ loc: url(doc), lastmod: doc.updatedAt }))
+}
+
+const sendXml = (res, xml) =>
+  res.status(200).type("application/xml").set("Cache-Control", `public, max-age=${SITEMAP_MAX_AGE}`).send(xml)
+
+// @desc    Get the sitemap, or a sitemap index when the catalog needs several files
+// @route   GET /api/seo/sitemap.xml
+// @access  Public
+const getSitemap = async (req, res) => {
+  try {
+    const sources = await Promise.all(
+      Object.entries(SITEMAP_SOURCES).map(async ([name, source]) => {
+        const [count, latest] = await Promise.all([
+          source.model.countDocuments({ isActive: true }),
+          source.model.findOne({ isActive: true }).sort("-updatedAt").select("updatedAt").lean(),
+        ])
+        return { name, source, count, lastmod: latest?.updatedAt }
+      }),
+    )
+
+    // Small catalogs fit in a single sitemap
+    if (sources.reduce((sum, { count }) => sum + count, 0) <= SITEMAP_URL_LIMIT) {
+      const entries = await Promise.all(sources.map(({ source }) => getSitemapEntries(source)))
+      return sendXml(res, buildUrlset(entries.flat()))
+    }
+
+    const files = sources.flatMap(({ name, count, lastmod }) =>
+      Array.from({ length: Math.ceil(count / SITEMAP_URL_LIMIT) }, (_, index) => ({
+        loc: `${apiBaseUrl(req)}/api/seo/sitemaps/${name}-${index + 1}.xml`,
+        lastmod,
+      })),
+    )
+    sendXml(res, buildSitemapIndex(files))
+  } catch (error) {
+    console.error("Get sitemap error:", error)
+    res.status(500).json({
+      success: false,
+      error: "Server error",
+    })
+  }
+}
+
+// @desc    Get one file of a sitemap index
+// @route   GET /api/seo/sitemaps/:type-:page.xml (e.g. products-2.xml)
+// @access  Public
+const getSitemapFile = async (req, res) => {
+  try {
+    const [, name, page] = req.params.file.match(/^(\w+)-(\d+)\.xml$/) || []
+    const source = SITEMAP_SOURCES[name]
+    const entries = source && Number(page) >= 1 ? await getSitemapEntries(source, Number(page)) : []
+
+    if (entries.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: "Sitemap not found",
+      })
+    }
+
+    sendXml(res, buildUrlset(entries))
+  } catch (error) {
+    console.error("Get sitemap file error:", error)
+    res.status(500).json({
+      success: false,
+      error: "Server error",
+    })
+  }
+}
+
+// @desc    Get schema.org Product JSON-LD for a product
+// @route   GET /api/seo/products/:id/jsonld
+// @access  Public
+const getProductJsonLd = async (req, res) => {
+  try {
+    const product = req.params.id.match(/^[0-9a-fA-F]{24}$/)
+      ? await Product.findById(req.params.id).populate("category", "name").withBundleComponents()
+      : await Product.findBySlug(req.params.id).populate("category", "name").withBundleComponents()
+
+    if (!product || !product.isActive) {
+      return res.status(404).json({
+        success: false,
+        error: "Product not found",
+      })
+    }
+
+    await applyPriceRules([product])
+
+    res.status(200).json({
+      success: true,
+      data: buildProductJsonLd(product, apiBaseUrl(req)),
+    })
+  } catch (error) {
+    console.error("Get product JSON-LD error:", error)
+    res.status(500).json({
+      success: false,
+      error: "Server error",
+    })
+  }
+}
+
+module.exports = {
+  getSitemap,
+  getSitemapFile,
+  getProductJsonLd,
+}
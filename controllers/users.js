@@ -2,6 +2,9 @@ const { validationResult } = require("express-validator")
 const User = require("../models/User")
 const Cart = require("../models/Cart")
 const Order = require("../models/Order")
+const ProductView = require("../models/ProductView")
+const { getViewer, getRecentlyViewedProducts } = require("../utils/productFeed")
+const { getUnitSystem } = require("../utils/units")
 
 // @desc    Get user profile
 // @route   GET /api/users/profile
@@ -30,6 +33,7 @@ const getUserProfile = async (req, res) => {
         role: user.role,
         address: user.address,
         avatar: user.avatar,
+        preferences: user.preferences,
         isActive: user.isActive,
         lastLogin: user.lastLogin,
         orderCount,
@@ -61,7 +65,7 @@ const updateUserProfile = async (req, res) => {
       })
     }
 
-    const { name, phone, address, avatar } = req.body
+    const { name, phone, address, avatar, preferences } = req.body
 
     // Build update object
     const updateData = {}
@@ -69,6 +73,7 @@ const updateUserProfile = async (req, res) => {
     if (phone) updateData.phone = phone
     if (address) updateData.address = { ...req.user.address, ...address }
     if (avatar) updateData.avatar = avatar
+    if (preferences?.unitSystem) updateData["preferences.unitSystem"] = preferences.unitSystem
 
     const user = await User.findByIdAndUpdate(req.user.id, updateData, {
       new: true,
@@ -86,6 +91,7 @@ const updateUserProfile = async (req, res) => {
         role: user.role,
         address: user.address,
         avatar: user.avatar,
+        preferences: user.preferences,
         updatedAt: user.updatedAt,
       },
     })
@@ -98,6 +104,64 @@ const updateUserProfile = async (req, res) => {
   }
 }
 
+// @desc    Get recently viewed products
+// @route   GET /api/users/recently-viewed?limit=20
+// @access  Public (signed-in user or device sending X-Device-Id)
+const getRecentlyViewed = async (req, res) => {
+  try {
+    const viewer = getViewer(req)
+    if (!viewer) {
+      return res.status(400).json({
+        success: false,
+        error: "Sign in or send an X-Device-Id header to track recently viewed products",
+      })
+    }
+
+    const limit = Math.min(Math.max(Number.parseInt(req.query.limit, 10) || 20, 1), 50)
+    const data = await getRecentlyViewedProducts(viewer, limit, getUnitSystem(req))
+
+    res.status(200).json({
+      success: true,
+      count: data.length,
+      data,
+    })
+  } catch (error) {
+    console.error("Get recently viewed error:", error)
+    res.status(500).json({
+      success: false,
+      error: "Server error",
+    })
+  }
+}
+
+// @desc    Clear recently viewed products
+// @route   DELETE /api/users/recently-viewed
+// @access  Public (signed-in user or device sending X-Device-Id)
+const clearRecentlyViewed = async (req, res) => {
+  try {
+    const viewer = getViewer(req)
+    if (!viewer) {
+      return res.status(400).json({
+        success: false,
+        error: "Sign in or send an X-Device-Id header to track recently viewed products",
+      })
+    }
+
+    await ProductView.deleteMany(ProductView.viewerFilter(viewer))
+
+    res.status(200).json({
+      success: true,
+      message: "Recently viewed products cleared",
+    })
+  } catch (error) {
+    console.error("Clear recently viewed error:", error)
+    res.status(500).json({
+      success: false,
+      error: "Server error",
+    })
+  }
+}
+
 // @desc    Delete user account
 // @route   DELETE /api/users/account
 // @access  Private
@@ -125,8 +189,9 @@ const deleteUserAccount = async (req, res) => {
       })
     }
 
-    // Delete user's cart
+    // Delete user's cart and browsing history
     await Cart.findOneAndDelete({ user: user._id })
+    await ProductView.deleteMany({ user: user._id })
 
     // Deactivate user instead of deleting (to preserve order history)
     user.isActive = false
@@ -149,5 +214,7 @@ const deleteUserAccount = async (req, res) => {
 module.exports = {
   getUserProfile,
   updateUserProfile,
+  getRecentlyViewed,
+  clearRecentlyViewed,
   deleteUserAccount,
 }
@@ -0,0 +1,20 @@
+const fs = require("fs")
+
+// Remove multer's temporary upload files once the response is sent, whether the
+// request stored them, failed validation or errored
+const cleanupUploads = (req, res, next) => {
+  res.on("close", () => {
+    const files = [...(req.file ? [req.file] : []), ...(Array.isArray(req.files) ? req.files : [])]
+
+    files
+      .filter((file) => file.path)
+      .forEach((file) => {
+        fs.unlink(file.path, (err) => {
+          if (err && err.code !== "ENOENT") console.error("Temp upload cleanup failed:", err)
+        })
+      })
+  })
+  next()
+}
+
+module.exports = cleanupUploads
@@ -0,0 +1,24 @@
+const multer = require("multer")
+const path = require("path")
+
+// CSV files are parsed straight from memory, they are never written to disk
+const csvUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 5 * 1024 * 1024, // 5MB limit
+  },
+  fileFilter: (req, file, cb) => {
+    const isCsv = path.extname(file.originalname).toLowerCase() === ".csv"
+    const mimetype = /csv|excel|text\/plain/.test(file.mimetype)
+
+    if (isCsv && mimetype) {
+      return cb(null, true)
+    }
+
+    const error = new Error("CSV files only!")
+    error.statusCode = 400
+    cb(error)
+  },
+})
+
+module.exports = csvUpload
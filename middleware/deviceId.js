@@ -0,0 +1,13 @@
+// Anonymous device id sent by the frontend in X-Device-Id, used to remember what a
+// signed-out visitor viewed. Invalid ids are ignored.
+const DEVICE_ID_PATTERN = /^[A-Za-z0-9_-]{8,64}$/
+
+const deviceId = (req, res, next) => {
+  const header = req.get("X-Device-Id")
+  if (header && DEVICE_ID_PATTERN.test(header)) {
+    req.deviceId = header
+  }
+  next()
+}
+
+module.exports = deviceId
@@ -1,10 +1,14 @@
+const fs = require("fs")
 const multer = require("multer")
 const path = require("path")
 
+// Temporary files, removed once the request is done (see cleanupUploads)
+const UPLOAD_DIR = "uploads/"
+
 // Multer config
 const storage = multer.diskStorage({
   destination: (req, file, cb) => {
-    cb(null, "uploads/")
+    fs.mkdir(UPLOAD_DIR, { recursive: true }, (err) => cb(err, UPLOAD_DIR))
   },
   filename: (req, file, cb) => {
     cb(null, `${Date.now()}-${Math.round(Math.random() * 1e9)}${path.extname(file.originalname)}`)
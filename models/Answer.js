@@ -0,0 +1,102 @@
+const mongoose = require("mongoose")
+
+const answerSchema = new mongoose.Schema(
+  {
+    text: {
+      type: String,
+      required: [true, "Please add your answer"],
+      trim: true,
+      maxlength: [1000, "Answer cannot be more than 1000 characters"],
+    },
+    question: {
+      type: mongoose.Schema.ObjectId,
+      ref: "Question",
+      required: true,
+    },
+    product: {
+      type: mongoose.Schema.ObjectId,
+      ref: "Product",
+      required: true,
+    },
+    user: {
+      type: mongoose.Schema.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // Answered by the shop rather than a customer
+    isStaffAnswer: {
+      type: Boolean,
+      default: false,
+    },
+    isVerifiedPurchase: {
+      type: Boolean,
+      default: false,
+    },
+    // Customer answers are only shown once a moderator approves them
+    status: {
+      type: String,
+      enum: ["pending", "approved", "rejected"],
+      default: "pending",
+    },
+    moderatedBy: {
+      type: mongoose.Schema.ObjectId,
+      ref: "User",
+    },
+    moderatedAt: {
+      type: Date,
+    },
+    // Users who upvoted, so each user counts once
+    upvotes: {
+      type: [{ type: mongoose.Schema.ObjectId, ref: "User" }],
+      select: false,
+    },
+    upvoteCount: {
+      type: Number,
+      default: 0,
+    },
+  },
+  {
+    timestamps: true,
+  },
+)
+
+answerSchema.index({ question: 1, status: 1, upvoteCount: -1 })
+answerSchema.index({ status: 1, createdAt: 1 })
+
+// Static method to update a question's answer count and votes from its approved answers
+answerSchema.statics.updateQuestionStats = async function (questionId) {
+  const obj = await this.aggregate([
+    {
+      $match: { question: questionId, status: "approved" },
+    },
+    {
+      $group: {
+        _id: "$question",
+        answerCount: { $sum: 1 },
+        answerUpvotes: { $sum: "$upvoteCount" },
+        lastAnsweredAt: { $max: "$createdAt" },
+      },
+    },
+  ])
+
+  try {
+    await this.model("Question").findByIdAndUpdate(questionId, {
+      answerCount: obj[0] ? obj[0].answerCount : 0,
+      answerUpvotes: obj[0] ? obj[0].answerUpvotes : 0,
+      lastAnsweredAt: obj[0] ? obj[0].lastAnsweredAt : null,
+    })
+  } catch (err) {
+    console.error(err)
+  }
+}
+
+// Call updateQuestionStats after save and delete
+answerSchema.post("save", function () {
+  this.constructor.updateQuestionStats(this.question)
+})
+
+answerSchema.post("deleteOne", { document: true, query: false }, function () {
+  this.constructor.updateQuestionStats(this.question)
+})
+
+module.exports = mongoose.model("Answer", answerSchema)
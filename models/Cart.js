@@ -6,6 +6,9 @@ const cartItemSchema = new mongoose.Schema({
     ref: "Product",
     required: true,
   },
+  variant: {
+    type: mongoose.Schema.ObjectId,
+  },
   quantity: {
     type: Number,
     required: [true, "Please add quantity"],
@@ -1,4 +1,52 @@
 const mongoose = require("mongoose")
+const { slugHistory } = require("../utils/slugify")
+const { SPECIFICATION_KEY_PATTERN, mergeSpecificationDefinitions } = require("../utils/specifications")
+const { imageDerivativeFields } = require("../utils/imageDerivatives")
+
+// A specification field products in the category may (or must) have, e.g. cut or grade
+const specificationDefinitionSchema = new mongoose.Schema(
+  {
+    key: {
+      type: String,
+      required: [true, "Please add a specification key"],
+      trim: true,
+      maxlength: [50, "Specification key cannot be more than 50 characters"],
+      match: [SPECIFICATION_KEY_PATTERN, "Specification key must start with a letter and use letters, digits or _"],
+    },
+    label: {
+      type: String,
+      trim: true,
+      maxlength: [50, "Specification label cannot be more than 50 characters"],
+    },
+    type: {
+      type: String,
+      enum: ["string", "number", "boolean", "enum"],
+      default: "string",
+    },
+    // Allowed values for enum specifications
+    values: [
+      {
+        type: String,
+        trim: true,
+      },
+    ],
+    unit: {
+      type: String,
+      trim: true,
+      maxlength: [20, "Specification unit cannot be more than 20 characters"],
+    },
+    required: {
+      type: Boolean,
+      default: false,
+    },
+    // Whether the specification is offered as a filter and facet
+    filterable: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  { _id: false },
+)
 
 const categorySchema = new mongoose.Schema(
   {
@@ -22,6 +70,13 @@ const categorySchema = new mongoose.Schema(
       type: String,
       default: "default-category.jpg",
     },
+    // Id of the uploaded image with the storage provider, used to delete it
+    imageAssetId: {
+      type: String,
+    },
+    // Resized copies of the image and their srcset strings
+    imageDerivatives: imageDerivativeFields.derivatives,
+    imageSrcset: imageDerivativeFields.srcset,
     isActive: {
       type: Boolean,
       default: true,
@@ -30,18 +85,158 @@ const categorySchema = new mongoose.Schema(
       type: Number,
       default: 0,
     },
+    parent: {
+      type: mongoose.Schema.ObjectId,
+      ref: "Category",
+      default: null,
+    },
+    // Specification fields for products in this category; subcategories inherit them
+    // and may redefine a key
+    specificationSchema: [specificationDefinitionSchema],
+    // Materialized path from the root category down to the parent, kept in sync on save
+    ancestors: [
+      {
+        _id: {
+          type: mongoose.Schema.ObjectId,
+          ref: "Category",
+        },
+        name: String,
+        slug: String,
+      },
+    ],
   },
   {
     timestamps: true,
   },
 )
 
-// Create slug from name
-categorySchema.pre("save", function (next) {
-  if (this.isModified("name")) {
-    this.slug = this.name.toLowerCase().replace(/[^a-zA-Z0-9]/g, "-")
-  }
+categorySchema.index({ parent: 1 })
+categorySchema.index({ "ancestors._id": 1 })
+
+const toPathEntry = (category) => ({ _id: category._id, name: category.name, slug: category.slug })
+
+// Create a unique slug from name, keeping old slugs resolvable
+categorySchema.plugin(slugHistory)
+
+// Specification keys must be unique and enum specifications need their values
+categorySchema.pre("validate", function (next) {
+  const keys = new Set()
+  this.specificationSchema.forEach((definition, index) => {
+    if (keys.has(definition.key)) {
+      this.invalidate(`specificationSchema.${index}.key`, `Duplicate specification key ${definition.key}`)
+    }
+    keys.add(definition.key)
+
+    if (definition.type === "enum" && definition.values.length === 0) {
+      this.invalidate(`specificationSchema.${index}.values`, `Enum specification ${definition.key} needs values`)
+    }
+  })
   next()
 })
 
+// Rebuild ancestors from the parent, refusing moves that would create a cycle
+categorySchema.pre("validate", async function () {
+  this.$locals.pathChanged = !this.isNew && this.isModified("parent name slug")
+  if (!this.isNew && !this.isModified("parent")) return
+
+  if (!this.parent) {
+    this.ancestors = []
+    return
+  }
+
+  const parent = await this.constructor.findById(this.parent).select("name slug ancestors")
+  if (!parent) {
+    this.invalidate("parent", "Parent category not found")
+    return
+  }
+  if (parent._id.equals(this._id) || parent.ancestors.some((ancestor) => ancestor._id.equals(this._id))) {
+    this.invalidate("parent", "A category cannot be moved under itself or one of its subcategories")
+    return
+  }
+
+  this.ancestors = [...parent.ancestors.map(toPathEntry), toPathEntry(parent)]
+})
+
+// Rewrite the ancestor path of every descendant after a move or rename
+categorySchema.post("save", async function () {
+  if (!this.$locals.pathChanged) return
+  this.$locals.pathChanged = false
+
+  const descendants = await this.constructor.find({ "ancestors._id": this._id }).select("ancestors")
+  if (descendants.length === 0) return
+
+  const prefix = [...this.ancestors.map(toPathEntry), toPathEntry(this)]
+  await this.constructor.bulkWrite(
+    descendants.map((descendant) => {
+      const index = descendant.ancestors.findIndex((ancestor) => ancestor._id.equals(this._id))
+      return {
+        updateOne: {
+          filter: { _id: descendant._id },
+          update: { $set: { ancestors: [...prefix, ...descendant.ancestors.slice(index + 1).map(toPathEntry)] } },
+        },
+      }
+    }),
+  )
+})
+
+// Path from the root category to this one, for breadcrumbs
+categorySchema.methods.getBreadcrumbs = function () {
+  return [...(this.ancestors || []).map(toPathEntry), toPathEntry(this)]
+}
+
+// Specification fields for products in a category: its own plus those inherited from
+// its ancestors, with nearer definitions taking precedence
+categorySchema.statics.getSpecificationSchema = async function (categoryId) {
+  const category = await this.findById(categoryId).select("ancestors specificationSchema")
+  if (!category) return []
+
+  const ancestorIds = category.ancestors.map((ancestor) => ancestor._id)
+  const ancestors = await this.find({ _id: { $in: ancestorIds } }).select("specificationSchema")
+  const ordered = ancestorIds.map((id) => ancestors.find((ancestor) => ancestor._id.equals(id)))
+
+  return mergeSpecificationDefinitions([
+    ...ordered.map((ancestor) => ancestor?.specificationSchema),
+    category.specificationSchema,
+  ])
+}
+
+// Specification schema for a listing that includes subcategories: each descendant's
+// fields, with the category's own (and inherited) definitions taking precedence
+categorySchema.statics.getSubtreeSpecificationSchema = async function (categoryId) {
+  const [definitions, descendants] = await Promise.all([
+    this.getSpecificationSchema(categoryId),
+    this.find({ "ancestors._id": categoryId, "specificationSchema.0": { $exists: true } }).select(
+      "ancestors specificationSchema",
+    ),
+  ])
+
+  // Deeper subcategories refine the fields of the ones above them
+  descendants.sort((a, b) => a.ancestors.length - b.ancestors.length)
+  return mergeSpecificationDefinitions([
+    ...descendants.map((descendant) => descendant.specificationSchema),
+    definitions,
+  ])
+}
+
+// Ids of a category and all of its descendants
+categorySchema.statics.getSubtreeIds = async function (categoryId) {
+  const descendants = await this.find({ "ancestors._id": categoryId }).select("_id")
+  return [categoryId, ...descendants.map((category) => category._id)]
+}
+
+// Nest a flat list of categories into a tree of { ...category, children }. Categories
+// whose parent isn't in the list are left out along with their subtree, so listing only
+// active categories hides everything under an inactive one.
+categorySchema.statics.buildTree = function (categories) {
+  const nodes = new Map(categories.map((category) => [category._id.toString(), { ...category, children: [] }]))
+  const roots = []
+
+  for (const node of nodes.values()) {
+    if (!node.parent) roots.push(node)
+    else nodes.get(node.parent.toString())?.children.push(node)
+  }
+
+  return roots
+}
+
 module.exports = mongoose.model("Category", categorySchema)
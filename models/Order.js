@@ -1,11 +1,55 @@
 const mongoose = require("mongoose")
 
+// Component of a bundle line, snapshotted at order time so stock can be restored and
+// revenue attributed even if the bundle changes later
+const orderBundleItemSchema = new mongoose.Schema(
+  {
+    product: {
+      type: mongoose.Schema.ObjectId,
+      ref: "Product",
+      required: true,
+    },
+    variant: {
+      type: mongoose.Schema.ObjectId,
+    },
+    sku: {
+      type: String,
+    },
+    name: {
+      type: String,
+      required: true,
+    },
+    // Quantity of this component in one bundle
+    quantity: {
+      type: Number,
+      required: true,
+      min: [1, "Quantity must be at least 1"],
+    },
+    // Share of one bundle's price attributed to this component (all units)
+    allocatedPrice: {
+      type: Number,
+      required: true,
+    },
+  },
+  { _id: false },
+)
+
 const orderItemSchema = new mongoose.Schema({
   product: {
     type: mongoose.Schema.ObjectId,
     ref: "Product",
     required: true,
   },
+  variant: {
+    type: mongoose.Schema.ObjectId,
+  },
+  sku: {
+    type: String,
+  },
+  variantOptions: {
+    type: Map,
+    of: String,
+  },
   name: {
     type: String,
     required: true,
@@ -18,6 +62,11 @@ const orderItemSchema = new mongoose.Schema({
     type: Number,
     required: true,
   },
+  // Sale applied when the order was placed
+  priceRule: {
+    type: mongoose.Schema.ObjectId,
+    ref: "PriceRule",
+  },
   quantity: {
     type: Number,
     required: true,
@@ -27,6 +76,21 @@ const orderItemSchema = new mongoose.Schema({
     type: Number,
     required: true,
   },
+  bundleItems: [orderBundleItemSchema],
+  isCatchWeight: {
+    type: Boolean,
+    default: false,
+  },
+  catchWeight: {
+    pricePerUnit: Number,
+    unit: {
+      type: String,
+      enum: ["lb", "oz", "kg", "g"],
+    },
+    estimatedWeight: Number,
+    actualWeight: Number,
+    weighedAt: Date,
+  },
 })
 
 const orderSchema = new mongoose.Schema(
@@ -86,6 +150,18 @@ const orderSchema = new mongoose.Schema(
       paidAt: {
         type: Date,
       },
+      authorizedAmount: {
+        type: Number,
+      },
+      authorizedAt: {
+        type: Date,
+      },
+      capturedAmount: {
+        type: Number,
+      },
+      cancelledAt: {
+        type: Date,
+      },
     },
     itemsPrice: {
       type: Number,
@@ -130,6 +206,9 @@ const orderSchema = new mongoose.Schema(
       type: String,
       maxlength: [500, "Notes cannot be more than 500 characters"],
     },
+    weightsRecordedAt: {
+      type: Date,
+    },
     trackingNumber: {
       type: String,
     },
@@ -154,9 +233,16 @@ const orderSchema = new mongoose.Schema(
   },
   {
     timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
   },
 )
 
+// Check if the order has catch-weight lines still waiting to be weighed
+orderSchema.virtual("awaitingWeights").get(function () {
+  return (this.items || []).some((item) => item.isCatchWeight && item.catchWeight?.actualWeight == null)
+})
+
 // Generate order number before saving
 orderSchema.pre("save", function (next) {
   if (!this.orderNumber) {
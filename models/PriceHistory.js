@@ -0,0 +1,68 @@
+const mongoose = require("mongoose")
+
+// Append-only log of list price changes, written by the Product save hooks
+const priceHistorySchema = new mongoose.Schema(
+  {
+    product: {
+      type: mongoose.Schema.ObjectId,
+      ref: "Product",
+      required: true,
+    },
+    variant: {
+      type: mongoose.Schema.ObjectId,
+    },
+    sku: {
+      type: String,
+    },
+    field: {
+      type: String,
+      enum: ["price", "comparePrice", "cost", "catchWeight.pricePerUnit"],
+      required: true,
+    },
+    oldValue: {
+      type: Number,
+    },
+    newValue: {
+      type: Number,
+    },
+    source: {
+      type: String,
+      enum: ["api", "import", "system"],
+      default: "system",
+    },
+    changedBy: {
+      type: mongoose.Schema.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  },
+)
+
+priceHistorySchema.index({ product: 1, createdAt: -1 })
+
+// History entries cannot be changed or removed once written
+const rejectChange = function (next) {
+  next(new Error("Price history is immutable"))
+}
+
+priceHistorySchema.pre("save", function (next) {
+  if (!this.isNew) return rejectChange(next)
+  next()
+})
+priceHistorySchema.pre(
+  [
+    "updateOne",
+    "updateMany",
+    "findOneAndUpdate",
+    "replaceOne",
+    "findOneAndReplace",
+    "deleteOne",
+    "deleteMany",
+    "findOneAndDelete",
+  ],
+  rejectChange,
+)
+
+module.exports = mongoose.model("PriceHistory", priceHistorySchema)
@@ -0,0 +1,104 @@
+const mongoose = require("mongoose")
+const { roundPrice } = require("../utils/orderPricing")
+
+const priceRuleSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "Please add a sale name"],
+      trim: true,
+      maxlength: [100, "Sale name cannot be more than 100 characters"],
+    },
+    // A rule targets either a single product or every product in a category
+    product: {
+      type: mongoose.Schema.ObjectId,
+      ref: "Product",
+    },
+    category: {
+      type: mongoose.Schema.ObjectId,
+      ref: "Category",
+    },
+    discountType: {
+      type: String,
+      enum: ["percentage", "amount", "fixed"],
+      required: [true, "Please add a discount type"],
+    },
+    value: {
+      type: Number,
+      required: [true, "Please add a discount value"],
+      min: [0, "Discount value cannot be negative"],
+    },
+    startsAt: {
+      type: Date,
+      required: [true, "Please add a start time"],
+    },
+    endsAt: {
+      type: Date,
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.ObjectId,
+      ref: "User",
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  },
+)
+
+priceRuleSchema.index({ startsAt: 1, endsAt: 1 })
+priceRuleSchema.index({ product: 1 })
+priceRuleSchema.index({ category: 1 })
+
+priceRuleSchema.pre("validate", function (next) {
+  if (!this.product === !this.category) {
+    this.invalidate("product", "A sale must target either a product or a category")
+  }
+  if (this.discountType === "percentage" && this.value > 100) {
+    this.invalidate("value", "Percentage discount cannot be more than 100")
+  }
+  if (this.endsAt && this.startsAt && this.endsAt <= this.startsAt) {
+    this.invalidate("endsAt", "Sale must end after it starts")
+  }
+  next()
+})
+
+// Where the sale is in its schedule
+priceRuleSchema.virtual("status").get(function () {
+  const now = new Date()
+  if (!this.isActive) return "disabled"
+  if (this.startsAt > now) return "upcoming"
+  if (this.endsAt && this.endsAt <= now) return "ended"
+  return "active"
+})
+
+// Sale price for a list price
+priceRuleSchema.methods.applyTo = function (price) {
+  switch (this.discountType) {
+    case "percentage":
+      return roundPrice(price * (1 - this.value / 100))
+    case "amount":
+      return roundPrice(Math.max(price - this.value, 0))
+    case "fixed":
+      return roundPrice(Math.min(this.value, price))
+    default:
+      return price
+  }
+}
+
+// Query conditions for rules running at the given time
+priceRuleSchema.statics.runningAt = function (date = new Date()) {
+  return {
+    isActive: true,
+    startsAt: { $lte: date },
+    $or: [{ endsAt: null }, { endsAt: { $gt: date } }],
+  }
+}
+
+module.exports = mongoose.model("PriceRule", priceRuleSchema)
@@ -1,4 +1,216 @@
 const mongoose = require("mongoose")
+const Category = require("./Category")
+const ProductRevision = require("./ProductRevision")
+const { slugHistory } = require("../utils/slugify")
+const { checkSpecifications } = require("../utils/specifications")
+const { estimateCatchWeightPrice } = require("../utils/orderPricing")
+const { imageDerivativeFields } = require("../utils/imageDerivatives")
+const { WEIGHT_UNITS, convertWeight, displayWeight, unitPrices } = require("../utils/units")
+
+// Nutrition facts stored per serving
+const NUTRIENTS = [
+  "calories",
+  "protein",
+  "fat",
+  "saturatedFat",
+  "cholesterol",
+  "sodium",
+  "carbohydrates",
+  "fiber",
+  "sugar",
+]
+
+const variantSchema = new mongoose.Schema(
+  {
+    options: {
+      type: Map,
+      of: String,
+      default: {},
+    },
+    sku: {
+      type: String,
+      required: [true, "Please add a variant SKU"],
+      uppercase: true,
+      trim: true,
+    },
+    price: {
+      type: Number,
+      required: [true, "Please add a variant price"],
+      min: [0, "Price cannot be negative"],
+    },
+    comparePrice: {
+      type: Number,
+      min: [0, "Compare price cannot be negative"],
+    },
+    cost: {
+      type: Number,
+      min: [0, "Cost cannot be negative"],
+    },
+    weight: {
+      value: {
+        type: Number,
+        required: [true, "Please add variant weight value"],
+        min: [0, "Weight cannot be negative"],
+      },
+      unit: {
+        type: String,
+        enum: WEIGHT_UNITS,
+        default: "lb",
+      },
+    },
+    inventory: {
+      quantity: {
+        type: Number,
+        min: [0, "Inventory cannot be negative"],
+        default: 0,
+      },
+      lowStockThreshold: {
+        type: Number,
+        default: 10,
+      },
+      trackQuantity: {
+        type: Boolean,
+        default: true,
+      },
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  {
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  },
+)
+
+// Variant weight in the unit system attached by applyUnitSystem
+variantSchema.virtual("displayWeight").get(function () {
+  return displayWeight(this.weight, this.ownerDocument().$locals.unitSystem)
+})
+
+// Variant price per lb and per kg
+variantSchema.virtual("unitPrice").get(function () {
+  return this.ownerDocument().getUnitPrice(this._id)
+})
+
+// Product nutrition facts scaled to the variant's pack
+variantSchema.virtual("nutrition").get(function () {
+  return this.ownerDocument().getNutrition(this.weight)
+})
+
+// A dietary certification (halal, organic, ...) backed by a certificate from a certifying body
+const certificationSchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      enum: ["halal", "kosher", "organic", "antibiotic-free", "hormone-free", "gluten-free"],
+      required: [true, "Please add a certification type"],
+    },
+    certifyingBody: {
+      type: String,
+      required: [true, "Please add the certifying body"],
+      trim: true,
+      maxlength: [100, "Certifying body cannot be more than 100 characters"],
+    },
+    certificateNumber: {
+      type: String,
+      required: [true, "Please add the certificate number"],
+      trim: true,
+      maxlength: [100, "Certificate number cannot be more than 100 characters"],
+    },
+    expiresAt: {
+      type: Date,
+      required: [true, "Please add the certificate expiry date"],
+    },
+  },
+  {
+    _id: false,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  },
+)
+
+certificationSchema.virtual("isExpired").get(function () {
+  return this.expiresAt <= new Date()
+})
+
+const bundleItemSchema = new mongoose.Schema(
+  {
+    product: {
+      type: mongoose.Schema.ObjectId,
+      ref: "Product",
+      required: [true, "Please add a bundle component product"],
+    },
+    variant: {
+      type: mongoose.Schema.ObjectId,
+    },
+    quantity: {
+      type: Number,
+      required: [true, "Please add a bundle component quantity"],
+      min: [1, "Bundle component quantity must be at least 1"],
+      default: 1,
+    },
+  },
+  { _id: false },
+)
+
+// Component fields needed to resolve bundle availability and pricing
+const bundleComponentsPopulate = {
+  path: "bundleItems.product",
+  select: "name sku price weight inventory variants catchWeight isActive",
+}
+
+// Price fields recorded in the price history log
+const PRICE_HISTORY_FIELDS = ["price", "comparePrice", "cost", "catchWeight.pricePerUnit"]
+const VARIANT_PRICE_HISTORY_FIELDS = ["price", "comparePrice", "cost"]
+
+// Revision snapshot fields a restore leaves unchanged: the slug follows the restored
+// name, old image files may have been deleted from storage, the SKU may belong to another
+// product by now, and publishing is changed through the lifecycle fields
+const RESTORE_SKIPPED_FIELDS = ["slug", "images", "sku", "status", "isActive", "publishAt", "unpublishAt"]
+
+// Set a product's or variant's fields from a revision snapshot one path at a time, so
+// saving writes only what changed. Stock quantities are never written: orders have
+// moved them on since the revision was taken.
+const restoreSnapshotFields = (doc, snapshot, current, skipped = []) => {
+  for (const field of new Set([...Object.keys(snapshot), ...Object.keys(current)])) {
+    if (field === "_id" || skipped.includes(field)) continue
+
+    if (field === "inventory") {
+      const inventory = snapshot.inventory || {}
+      for (const key of new Set([...Object.keys(inventory), ...Object.keys(current.inventory || {})])) {
+        if (key !== "quantity") doc.set(`inventory.${key}`, inventory[key])
+      }
+    } else {
+      doc.set(field, snapshot[field])
+    }
+  }
+}
+
+// Current list prices keyed by "<variantId>:<field>", for change tracking
+const getPriceSnapshot = (product) => {
+  const snapshot = new Map()
+  for (const field of PRICE_HISTORY_FIELDS) {
+    snapshot.set(`:${field}`, { variant: undefined, sku: product.sku, field, value: product.get(field) })
+  }
+  for (const variant of product.variants || []) {
+    for (const field of VARIANT_PRICE_HISTORY_FIELDS) {
+      snapshot.set(`${variant._id}:${field}`, { variant: variant._id, sku: variant.sku, field, value: variant[field] })
+    }
+  }
+  return snapshot
+}
+
+const isInStock = (inventory) => {
+  if (!inventory || !inventory.trackQuantity) return true
+  return inventory.quantity > 0
+}
+
+const isLowStock = (inventory) => {
+  if (!inventory || !inventory.trackQuantity) return false
+  return inventory.quantity <= inventory.lowStockThreshold
+}
 
 const productSchema = new mongoose.Schema(
   {
@@ -13,6 +225,11 @@ const productSchema = new mongoose.Schema(
       unique: true,
       lowercase: true,
     },
+    type: {
+      type: String,
+      enum: ["simple", "bundle"],
+      default: "simple",
+    },
     description: {
       type: String,
       required: [true, "Please add a description"],
@@ -40,6 +257,21 @@ const productSchema = new mongoose.Schema(
       type: Number,
       min: [0, "Cost cannot be negative"],
     },
+    catchWeight: {
+      enabled: {
+        type: Boolean,
+        default: false,
+      },
+      pricePerUnit: {
+        type: Number,
+        min: [0, "Price per unit cannot be negative"],
+      },
+      unit: {
+        type: String,
+        enum: WEIGHT_UNITS,
+        default: "lb",
+      },
+    },
     sku: {
       type: String,
       required: [true, "Please add a SKU"],
@@ -55,7 +287,7 @@ const productSchema = new mongoose.Schema(
       unit: {
         type: String,
         required: [true, "Please add weight unit"],
-        enum: ["lb", "oz", "kg", "g"],
+        enum: WEIGHT_UNITS,
         default: "lb",
       },
     },
@@ -69,10 +301,15 @@ const productSchema = new mongoose.Schema(
           type: String,
           default: "",
         },
+        // Id of the stored file with the storage provider, used to delete it
+        assetId: {
+          type: String,
+        },
         isPrimary: {
           type: Boolean,
           default: false,
         },
+        ...imageDerivativeFields,
       },
     ],
     inventory: {
@@ -91,37 +328,42 @@ const productSchema = new mongoose.Schema(
         default: true,
       },
     },
-    specifications: {
-      cut: {
-        type: String,
-        enum: [
-          "ribeye",
-          "sirloin",
-          "filet-mignon",
-          "t-bone",
-          "porterhouse",
-          "strip",
-          "chuck",
-          "brisket",
-          "ground",
-          "whole",
-          "other",
+    options: [
+      {
+        name: {
+          type: String,
+          required: true,
+          trim: true,
+        },
+        values: [
+          {
+            type: String,
+            trim: true,
+          },
         ],
       },
-      grade: {
-        type: String,
-        enum: ["prime", "choice", "select", "standard", "organic", "grass-fed"],
-      },
-      origin: {
-        type: String,
-        maxlength: [100, "Origin cannot be more than 100 characters"],
-      },
-      feedType: {
-        type: String,
-        enum: ["grain-fed", "grass-fed", "organic", "free-range"],
-      },
+    ],
+    variants: [variantSchema],
+    bundleItems: [bundleItemSchema],
+    // Attributes such as cut, grade or origin, checked against the category's specification schema
+    specifications: {
+      type: Map,
+      of: mongoose.Schema.Types.Mixed,
+      default: {},
     },
+    // Nutrition facts per serving of servingSize
     nutritionFacts: {
+      servingSize: {
+        value: {
+          type: Number,
+          min: [0, "Serving size cannot be negative"],
+        },
+        unit: {
+          type: String,
+          enum: WEIGHT_UNITS,
+          default: "g",
+        },
+      },
       calories: Number,
       protein: Number,
       fat: Number,
@@ -132,12 +374,45 @@ const productSchema = new mongoose.Schema(
       fiber: Number,
       sugar: Number,
     },
+    certifications: [certificationSchema],
+    // Allergens the product contains (e.g. from marinades and seasonings)
+    allergens: [
+      {
+        type: String,
+        enum: [
+          "gluten",
+          "wheat",
+          "milk",
+          "eggs",
+          "soy",
+          "peanuts",
+          "tree-nuts",
+          "sesame",
+          "fish",
+          "shellfish",
+          "mustard",
+          "celery",
+          "sulphites",
+        ],
+      },
+    ],
     tags: [
       {
         type: String,
         lowercase: true,
       },
     ],
+    // Lifecycle: drafts and scheduled products are being prepared, published products are
+    // on sale and archived ones are retired. publishAt and unpublishAt are applied by the
+    // product lifecycle scheduler.
+    status: {
+      type: String,
+      enum: ["draft", "scheduled", "published", "archived"],
+      default: "published",
+    },
+    publishAt: Date,
+    unpublishAt: Date,
+    // Whether the product is visible in the store; kept in step with status
     isActive: {
       type: Boolean,
       default: true,
@@ -148,7 +423,7 @@ const productSchema = new mongoose.Schema(
     },
     averageRating: {
       type: Number,
-      min: [1, "Rating must be at least 1"],
+      min: [0, "Rating cannot be negative"],
       max: [5, "Rating must can not be more than 5"],
       default: 0,
     },
@@ -177,14 +452,217 @@ const productSchema = new mongoose.Schema(
   },
 )
 
-// Create product slug from name
+productSchema.index({ "variants.sku": 1 })
+productSchema.index({ "certifications.type": 1, "certifications.expiresAt": 1 })
+productSchema.index({ status: 1, publishAt: 1 })
+productSchema.index({ status: 1, unpublishAt: 1 })
+
+// Weighted full-text index used by product search
+productSchema.index(
+  { name: "text", tags: "text", shortDescription: "text", description: "text" },
+  {
+    name: "product_text_search",
+    weights: { name: 10, tags: 5, shortDescription: 3, description: 1 },
+  },
+)
+
+// Check specifications against the category's specification schema when either changes,
+// storing the values coerced to their declared types. Bundles are exempt from required fields.
+productSchema.pre("validate", async function () {
+  if (!this.category || (!this.isNew && !this.isModified("specifications") && !this.isModified("category"))) return
+
+  const definitions = await Category.getSpecificationSchema(this.category._id || this.category)
+  const { values, errors } = checkSpecifications(this.specifications, definitions, {
+    requireAll: this.type !== "bundle",
+  })
+
+  if (errors.length > 0) {
+    errors.forEach(({ key, message }) => this.invalidate(`specifications.${key}`, message))
+  } else {
+    this.specifications = values
+  }
+})
+
+// A product holds at most one certificate per certification type, and lists each allergen once
+productSchema.pre("validate", function (next) {
+  const types = (this.certifications || []).map((certification) => certification.type)
+  const duplicate = types.find((type, index) => types.indexOf(type) !== index)
+  if (duplicate) {
+    this.invalidate("certifications", `Duplicate ${duplicate} certification`)
+  }
+
+  if (this.allergens && new Set(this.allergens).size !== this.allergens.length) {
+    this.allergens = [...new Set(this.allergens)]
+  }
+
+  next()
+})
+
+// Make sure variant SKUs are unique within the product and only use declared options
+productSchema.pre("validate", function (next) {
+  if (!this.variants || this.variants.length === 0) return next()
+
+  const skus = new Set()
+  const declaredOptions = new Map((this.options || []).map((option) => [option.name, option.values]))
+
+  for (const variant of this.variants) {
+    if (skus.has(variant.sku) || variant.sku === this.sku) {
+      this.invalidate("variants", `Duplicate variant SKU ${variant.sku}`)
+      break
+    }
+    skus.add(variant.sku)
+
+    for (const [name, value] of variant.options || []) {
+      const values = declaredOptions.get(name)
+      if (!values || !values.includes(value)) {
+        this.invalidate("variants", `Variant ${variant.sku} uses undeclared option ${name}: ${value}`)
+        break
+      }
+    }
+  }
+
+  next()
+})
+
+// Only published products are active. Setting status decides isActive; setting isActive
+// on its own (the admin toggle, CSV import) publishes or unpublishes the product.
+productSchema.pre("validate", function (next) {
+  const statusSet = this.isNew ? !this.$isDefault("status") : this.isModified("status")
+
+  if (statusSet) {
+    this.isActive = this.status === "published"
+  } else if (this.isNew || this.isModified("isActive")) {
+    if (this.isActive) this.status = "published"
+    else if (this.status === "published") this.status = this.isNew ? "draft" : "archived"
+  }
+
+  next()
+})
+
+// Scheduled products need a publish time, and unpublishing has to come after publishing
+productSchema.pre("validate", function (next) {
+  if (this.status === "scheduled" && !this.publishAt) {
+    this.invalidate("publishAt", "Please add a publish time for scheduled products")
+  }
+  if (this.publishAt && this.unpublishAt && this.unpublishAt <= this.publishAt) {
+    this.invalidate("unpublishAt", "Unpublish time must be after the publish time")
+  }
+
+  next()
+})
+
+// Catch-weight products need a rate. Pack weights may use any unit; they are converted
+// to the rate's unit when pricing.
+productSchema.pre("validate", function (next) {
+  if (!this.catchWeight || !this.catchWeight.enabled) return next()
+
+  if (!this.catchWeight.pricePerUnit) {
+    this.invalidate("catchWeight.pricePerUnit", "Please add a price per unit for catch-weight products")
+  }
+
+  next()
+})
+
+// Bundles are sold as a single item but hold no stock of their own
+productSchema.pre("validate", function (next) {
+  if (this.type !== "bundle") {
+    if (this.bundleItems && this.bundleItems.length > 0) {
+      this.invalidate("bundleItems", "Only bundle products can have bundle items")
+    }
+    return next()
+  }
+
+  if (!this.bundleItems || this.bundleItems.length === 0) {
+    this.invalidate("bundleItems", "A bundle needs at least one component product")
+  }
+  if (this.hasVariants) {
+    this.invalidate("variants", "Bundles cannot have variants")
+  }
+  if (this.catchWeight && this.catchWeight.enabled) {
+    this.invalidate("catchWeight.enabled", "Bundles cannot be sold by catch weight")
+  }
+
+  const components = new Set()
+  for (const item of this.bundleItems || []) {
+    const productId = String(item.product?._id || item.product)
+    const key = `${productId}:${item.variant || ""}`
+    if (productId === String(this._id)) {
+      this.invalidate("bundleItems", "A bundle cannot contain itself")
+      break
+    }
+    if (components.has(key)) {
+      this.invalidate("bundleItems", "Each bundle component can only be listed once")
+      break
+    }
+    components.add(key)
+  }
+
+  this.inventory.trackQuantity = false
+
+  next()
+})
+
+// Remember list prices as loaded so changes can be logged on save
+productSchema.post("init", function () {
+  this.$locals.priceSnapshot = getPriceSnapshot(this)
+})
+
+// Work out which list prices this save changes. Set $locals.changedBy and
+// $locals.priceChangeSource before saving to attribute the change.
 productSchema.pre("save", function (next) {
-  if (this.isModified("name")) {
-    this.slug = this.name.toLowerCase().replace(/[^a-zA-Z0-9]/g, "-")
+  const previous = this.isNew ? new Map() : this.$locals.priceSnapshot || new Map()
+  this.$locals.priceChanges = []
+
+  for (const [key, entry] of getPriceSnapshot(this)) {
+    const oldValue = previous.get(key)?.value
+    if (oldValue !== entry.value && (oldValue !== undefined || entry.value !== undefined)) {
+      this.$locals.priceChanges.push({ ...entry, oldValue, newValue: entry.value })
+    }
   }
+
   next()
 })
 
+// Append price changes to the history log
+productSchema.post("save", async function () {
+  const changes = this.$locals.priceChanges || []
+  this.$locals.priceSnapshot = getPriceSnapshot(this)
+  this.$locals.priceChanges = []
+  if (changes.length === 0) return
+
+  await this.model("PriceHistory").insertMany(
+    changes.map(({ variant, sku, field, oldValue, newValue }) => ({
+      product: this._id,
+      variant,
+      sku,
+      field,
+      oldValue,
+      newValue,
+      source: this.$locals.priceChangeSource || "system",
+      changedBy: this.$locals.changedBy,
+    })),
+  )
+})
+
+// Note whether this save creates the product, for its revision
+productSchema.pre("save", function (next) {
+  this.$locals.creating = this.isNew
+  next()
+})
+
+// Snapshot the product into its revision history. Set $locals.revisionAction ("toggle",
+// "lifecycle", "restore") before saving to describe the change; plain saves are
+// recorded as a create or an update.
+productSchema.post("save", async function () {
+  const action = this.$locals.revisionAction || (this.$locals.creating ? "create" : "update")
+  this.$locals.revisionAction = undefined
+  await ProductRevision.record(this, action)
+  this.$locals.restoredFrom = undefined
+})
+
+// Create a unique product slug from name, keeping old slugs resolvable
+productSchema.plugin(slugHistory)
+
 // Calculate discount percentage
 productSchema.virtual("discountPercentage").get(function () {
   if (this.comparePrice && this.comparePrice > this.price) {
@@ -195,20 +673,270 @@ productSchema.virtual("discountPercentage").get(function () {
 
 // Check if product is in stock
 productSchema.virtual("inStock").get(function () {
-  if (!this.inventory.trackQuantity) return true
-  return this.inventory.quantity > 0
+  if (this.isBundle) {
+    return isInStock(this.getBundleInventory() || this.inventory)
+  }
+  if (this.hasVariants) {
+    return this.variants.some((variant) => variant.isActive && isInStock(variant.inventory))
+  }
+  return isInStock(this.inventory)
 })
 
 // Check if product is low stock
 productSchema.virtual("isLowStock").get(function () {
-  if (!this.inventory.trackQuantity) return false
-  return this.inventory.quantity <= this.inventory.lowStockThreshold
+  if (this.isBundle) {
+    return isLowStock(this.getBundleInventory() || this.inventory)
+  }
+  if (this.hasVariants) {
+    return this.variants.some((variant) => variant.isActive && isLowStock(variant.inventory))
+  }
+  return isLowStock(this.inventory)
+})
+
+// Check if product is sold as variants
+productSchema.virtual("hasVariants").get(function () {
+  return Array.isArray(this.variants) && this.variants.length > 0
+})
+
+// Check if product is a bundle of other products
+productSchema.virtual("isBundle").get(function () {
+  return this.type === "bundle"
+})
+
+// Lowest and highest price across active variants
+productSchema.virtual("priceRange").get(function () {
+  if (!this.hasVariants) return { min: this.price, max: this.price }
+
+  const prices = this.variants.filter((variant) => variant.isActive).map((variant) => variant.price)
+  if (prices.length === 0) return { min: this.price, max: this.price }
+
+  return { min: Math.min(...prices), max: Math.max(...prices) }
 })
 
-// Cascade delete reviews when a product is deleted
-productSchema.pre("remove", async function (next) {
+// Stock available for a bundle: the number of complete bundles the component stock
+// can make up. Returns null until the components are populated.
+productSchema.methods.getBundleInventory = function () {
+  if (!this.isBundle) return null
+
+  let quantity = Number.POSITIVE_INFINITY
+  let trackQuantity = false
+
+  for (const item of this.bundleItems) {
+    const component = item.product
+    if (!component || typeof component.getSellable !== "function") {
+      if (component) return null
+      quantity = 0 // Component was deleted
+      trackQuantity = true
+      continue
+    }
+
+    const sellable = component.isActive ? component.getSellable(item.variant) : null
+    if (!sellable) {
+      quantity = 0
+      trackQuantity = true
+    } else if (sellable.inventory.trackQuantity) {
+      quantity = Math.min(quantity, Math.floor(sellable.inventory.quantity / item.quantity))
+      trackQuantity = true
+    }
+  }
+
+  return {
+    quantity: trackQuantity ? quantity : 0,
+    lowStockThreshold: this.inventory.lowStockThreshold,
+    trackQuantity,
+  }
+}
+
+// Active sale attached by applyPriceRules, with the resulting sale prices
+productSchema.virtual("sale").get(function () {
+  const rule = this.$locals.priceRule
+  if (!rule) return null
+
+  const { min, max } = this.priceRange
+  return {
+    rule: rule._id,
+    name: rule.name,
+    discountType: rule.discountType,
+    value: rule.value,
+    startsAt: rule.startsAt,
+    endsAt: rule.endsAt,
+    price: rule.applyTo(this.price),
+    priceRange: { min: rule.applyTo(min), max: rule.applyTo(max) },
+  }
+})
+
+// Weight in the unit system attached by applyUnitSystem (imperial by default)
+productSchema.virtual("displayWeight").get(function () {
+  return displayWeight(this.weight, this.$locals.unitSystem)
+})
+
+// Price per lb and per kg. Products sold as variants have one per variant.
+productSchema.virtual("unitPrice").get(function () {
+  return this.hasVariants ? null : this.getUnitPrice()
+})
+
+// Nutrition facts per serving and per package. Products sold as variants are scaled
+// per package on each variant.
+productSchema.virtual("nutrition").get(function () {
+  return this.getNutrition(this.hasVariants ? null : this.weight)
+})
+
+// Resolve what is actually being sold: the product itself or one of its variants.
+// Returns null when the selection is not purchasable (missing, unknown or inactive variant).
+// Catch-weight products are quoted at their estimated price (rate x nominal pack weight
+// in the rate's unit, as estimatedWeight).
+// Bundle stock comes from the components when they are populated, and the sale price
+// from the rule attached by applyPriceRules.
+productSchema.methods.getSellable = function (variantId) {
+  let sellable
+
+  if (!this.hasVariants) {
+    if (variantId) return null
+    sellable = {
+      variant: null,
+      sku: this.sku,
+      price: this.price,
+      comparePrice: this.comparePrice,
+      weight: this.weight,
+      inventory: this.getBundleInventory() || this.inventory,
+    }
+  } else {
+    if (!variantId) return null
+
+    const variant = this.variants.id(variantId)
+    if (!variant || !variant.isActive) return null
+
+    sellable = {
+      variant,
+      sku: variant.sku,
+      price: variant.price,
+      comparePrice: variant.comparePrice,
+      weight: variant.weight,
+      inventory: variant.inventory,
+    }
+  }
+
+  // Sales discount the per-unit rate of catch-weight products and the price of everything else
+  const rule = this.$locals.priceRule
+  sellable.isCatchWeight = !!(this.catchWeight && this.catchWeight.enabled)
+  if (sellable.isCatchWeight) {
+    sellable.pricePerUnit = rule ? rule.applyTo(this.catchWeight.pricePerUnit) : this.catchWeight.pricePerUnit
+    sellable.estimatedWeight = convertWeight(sellable.weight.value, sellable.weight.unit, this.catchWeight.unit)
+    sellable.price = estimateCatchWeightPrice(sellable.pricePerUnit, sellable.estimatedWeight)
+  }
+
+  if (rule) {
+    const listPrice = sellable.isCatchWeight
+      ? estimateCatchWeightPrice(this.catchWeight.pricePerUnit, sellable.estimatedWeight)
+      : sellable.price
+    if (!sellable.isCatchWeight) sellable.price = rule.applyTo(listPrice)
+    sellable.comparePrice = Math.max(listPrice, sellable.comparePrice || 0)
+    sellable.priceRule = rule._id
+  }
+
+  return sellable
+}
+
+// Price per lb and per kg of the product or one of its variants, including any sale:
+// the per-unit rate for catch-weight products, otherwise the price over the pack weight
+productSchema.methods.getUnitPrice = function (variantId) {
+  const sellable = this.getSellable(variantId)
+  if (!sellable) return null
+
+  return sellable.isCatchWeight
+    ? unitPrices(sellable.pricePerUnit, { value: 1, unit: this.catchWeight.unit })
+    : unitPrices(sellable.price, sellable.weight)
+}
+
+// Nutrition facts per serving and, given a pack weight and a serving size, per package.
+// Returns null when the product has no nutrition facts.
+productSchema.methods.getNutrition = function (packWeight) {
+  const facts = this.nutritionFacts || {}
+  const perServing = Object.fromEntries(
+    NUTRIENTS.filter((name) => facts[name] != null).map((name) => [name, facts[name]]),
+  )
+  if (Object.keys(perServing).length === 0) return null
+
+  const servingSize = facts.servingSize && facts.servingSize.value ? facts.servingSize : null
+  const nutrition = { servingSize: servingSize && displayWeight(servingSize, this.$locals.unitSystem), perServing }
+
+  if (servingSize && packWeight && packWeight.value) {
+    const servings = convertWeight(packWeight.value, packWeight.unit, servingSize.unit) / servingSize.value
+    nutrition.servingsPerPackage = Math.round(servings * 10) / 10
+    nutrition.perPackage = Object.fromEntries(
+      Object.entries(perServing).map(([name, value]) => [name, Math.round(value * servings * 10) / 10]),
+    )
+  }
+
+  return nutrition
+}
+
+// Roll the product's fields back to a revision's snapshot; save to apply it. Variants are
+// restored in place, so saving doesn't rewrite the variant list and with it every
+// variant's stock: variants added since the revision are deactivated, and ones deleted
+// since are not brought back.
+productSchema.methods.restoreRevision = function (revision) {
+  const { snapshot } = revision
+  const current = ProductRevision.getSnapshot(this)
+
+  restoreSnapshotFields(this, snapshot, current, [...RESTORE_SKIPPED_FIELDS, "variants"])
+
+  const snapshotVariants = new Map((snapshot.variants || []).map((variant) => [String(variant._id), variant]))
+  this.variants.forEach((variant, index) => {
+    const saved = snapshotVariants.get(variant._id.toString())
+    if (saved) restoreSnapshotFields(variant, saved, current.variants[index])
+    else variant.isActive = false
+  })
+
+  this.$locals.revisionAction = "restore"
+  this.$locals.restoredFrom = revision.revision
+}
+
+// Query conditions for products holding every one of the certification types,
+// each with a certificate that has not expired at the given time
+productSchema.statics.certifiedFor = function (types, date = new Date()) {
+  return {
+    $and: types.map((type) => ({
+      certifications: { $elemMatch: { type, expiresAt: { $gt: date } } },
+    })),
+  }
+}
+
+// Atomically adjust stock on a product or one of its variants. Decrements only apply
+// while enough stock is left, so concurrent orders can't oversell. Resolves false when
+// tracked stock was too low to take, true otherwise (including untracked stock).
+productSchema.statics.adjustStock = async function (productId, variantId, delta) {
+  const enough = delta < 0 ? { "inventory.quantity": { $gte: -delta } } : {}
+
+  if (variantId) {
+    const tracked = { _id: variantId, "inventory.trackQuantity": true }
+    const result = await this.updateOne(
+      { _id: productId, variants: { $elemMatch: { ...tracked, ...enough } } },
+      { $inc: { "variants.$.inventory.quantity": delta } },
+    )
+    if (result.matchedCount > 0 || delta >= 0) return true
+    return !(await this.exists({ _id: productId, variants: { $elemMatch: tracked } }))
+  }
+
+  const tracked = { _id: productId, "inventory.trackQuantity": true }
+  const result = await this.updateOne({ ...tracked, ...enough }, { $inc: { "inventory.quantity": delta } })
+  if (result.matchedCount > 0 || delta >= 0) return true
+  return !(await this.exists(tracked))
+}
+
+// Populate bundle components on already loaded products
+productSchema.statics.populateBundleComponents = function (docs) {
+  return this.populate(docs, bundleComponentsPopulate)
+}
+
+// Query helper: Product.findById(id).withBundleComponents()
+productSchema.query.withBundleComponents = function () {
+  return this.populate(bundleComponentsPopulate)
+}
+
+// Cascade delete reviews when a product is deleted (product.deleteOne())
+productSchema.pre("deleteOne", { document: true, query: false }, async function () {
   await this.model("Review").deleteMany({ product: this._id })
-  next()
 })
 
 module.exports = mongoose.model("Product", productSchema)
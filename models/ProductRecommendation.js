@@ -0,0 +1,56 @@
+const mongoose = require("mongoose")
+
+const recommendedProductSchema = new mongoose.Schema(
+  {
+    product: {
+      type: mongoose.Schema.ObjectId,
+      ref: "Product",
+      required: true,
+    },
+    // Orders (or customers) that included both products
+    count: {
+      type: Number,
+      required: true,
+    },
+    // Share of the source product's orders (or customers) that also included this one
+    confidence: {
+      type: Number,
+      required: true,
+    },
+  },
+  { _id: false },
+)
+
+// Recommendations for one product mined from order history, rebuilt by
+// utils/recommendations.js on a schedule
+const productRecommendationSchema = new mongoose.Schema(
+  {
+    product: {
+      type: mongoose.Schema.ObjectId,
+      ref: "Product",
+      required: true,
+      unique: true,
+    },
+    // Bought in the same order
+    frequentlyBoughtTogether: [recommendedProductSchema],
+    // Bought by the same customers, in any order
+    customersAlsoBought: [recommendedProductSchema],
+    orderCount: {
+      type: Number,
+      default: 0,
+    },
+    customerCount: {
+      type: Number,
+      default: 0,
+    },
+    computedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    timestamps: true,
+  },
+)
+
+module.exports = mongoose.model("ProductRecommendation", productRecommendationSchema)
@@ -0,0 +1,160 @@
+const mongoose = require("mongoose")
+
+// Fields left out of revision snapshots: identity, bookkeeping and values derived from
+// other collections (ratings come from reviews)
+const REVISION_EXCLUDED_FIELDS = [
+  "_id",
+  "__v",
+  "createdAt",
+  "updatedAt",
+  "createdBy",
+  "previousSlugs",
+  "averageRating",
+  "numOfReviews",
+]
+
+// Append-only log of product snapshots, written by the Product save hooks
+const productRevisionSchema = new mongoose.Schema(
+  {
+    product: {
+      type: mongoose.Schema.ObjectId,
+      ref: "Product",
+      required: true,
+    },
+    // Sequential per product, starting at 1
+    revision: {
+      type: Number,
+      required: true,
+    },
+    action: {
+      type: String,
+      enum: ["create", "update", "toggle", "lifecycle", "restore"],
+      required: true,
+    },
+    source: {
+      type: String,
+      enum: ["api", "import", "system"],
+      default: "system",
+    },
+    // Revision a restore rolled back to
+    restoredFrom: {
+      type: Number,
+    },
+    changedBy: {
+      type: mongoose.Schema.ObjectId,
+      ref: "User",
+    },
+    snapshot: {
+      type: mongoose.Schema.Types.Mixed,
+      required: true,
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+    minimize: false,
+  },
+)
+
+productRevisionSchema.index({ product: 1, revision: -1 }, { unique: true })
+
+// Plain copy of a product's revisioned fields
+const getRevisionSnapshot = (product) => {
+  const snapshot = product.toObject({ depopulate: true, virtuals: false, versionKey: false, flattenMaps: true })
+  for (const field of REVISION_EXCLUDED_FIELDS) delete snapshot[field]
+  return snapshot
+}
+
+const isPlainObject = (value) =>
+  value !== null &&
+  typeof value === "object" &&
+  !Array.isArray(value) &&
+  !(value instanceof Date) &&
+  !(value instanceof mongoose.Types.ObjectId)
+
+// Flatten a snapshot into { "dot.path": value }. Arrays of subdocuments are keyed by
+// _id (variants.<id>.price) so reordering or removing one doesn't shift the others;
+// other arrays are compared as a whole.
+const flattenSnapshot = (value, prefix = "", paths = {}) => {
+  if (Array.isArray(value) && value.every((item) => isPlainObject(item) && item._id)) {
+    if (value.length === 0) paths[prefix] = []
+    value.forEach((item) => {
+      const { _id, ...rest } = item
+      flattenSnapshot(rest, `${prefix}.${_id}`, paths)
+    })
+  } else if (isPlainObject(value) && Object.keys(value).length > 0) {
+    for (const [key, child] of Object.entries(value)) {
+      flattenSnapshot(child, prefix ? `${prefix}.${key}` : key, paths)
+    }
+  } else {
+    paths[prefix] = value
+  }
+  return paths
+}
+
+const toComparable = (value) => JSON.stringify(value === undefined ? null : value)
+
+// Field-level changes between two snapshots: [{ path, oldValue, newValue }]. A missing
+// `before` (the first revision) lists every field as added.
+const diffSnapshots = (before, after) => {
+  const oldPaths = before ? flattenSnapshot(before) : {}
+  const newPaths = flattenSnapshot(after)
+
+  return [...new Set([...Object.keys(oldPaths), ...Object.keys(newPaths)])]
+    .filter((path) => toComparable(oldPaths[path]) !== toComparable(newPaths[path]))
+    .sort()
+    .map((path) => ({ path, oldValue: oldPaths[path], newValue: newPaths[path] }))
+}
+
+// Store a revision for a product that was just saved, unless nothing revisioned changed.
+// The product's $locals.changedBy, priceChangeSource and restoredFrom describe the change.
+// Concurrent saves of one product can pick the same revision number; the unique index
+// rejects all but one, and the others retry against the new latest revision.
+productRevisionSchema.statics.record = async function (product, action, attempts = 5) {
+  const latest = await this.findOne({ product: product._id }).sort("-revision")
+  const snapshot = getRevisionSnapshot(product)
+
+  if (latest && diffSnapshots(latest.snapshot, snapshot).length === 0) return null
+
+  try {
+    return await this.create({
+      product: product._id,
+      revision: latest ? latest.revision + 1 : 1,
+      action,
+      source: product.$locals.priceChangeSource || "system",
+      restoredFrom: product.$locals.restoredFrom,
+      changedBy: product.$locals.changedBy,
+      snapshot,
+    })
+  } catch (error) {
+    if (error.code !== 11000 || attempts <= 1) throw error
+    return this.record(product, action, attempts - 1)
+  }
+}
+
+productRevisionSchema.statics.getSnapshot = getRevisionSnapshot
+productRevisionSchema.statics.diffSnapshots = diffSnapshots
+
+// Revisions cannot be changed or removed once written
+const rejectChange = function (next) {
+  next(new Error("Product revisions are immutable"))
+}
+
+productRevisionSchema.pre("save", function (next) {
+  if (!this.isNew) return rejectChange(next)
+  next()
+})
+productRevisionSchema.pre(
+  [
+    "updateOne",
+    "updateMany",
+    "findOneAndUpdate",
+    "replaceOne",
+    "findOneAndReplace",
+    "deleteOne",
+    "deleteMany",
+    "findOneAndDelete",
+  ],
+  rejectChange,
+)
+
+module.exports = mongoose.model("ProductRevision", productRevisionSchema)
@@ -0,0 +1,59 @@
+const mongoose = require("mongoose")
+
+// Views are forgotten after this long
+const VIEW_TTL_SECONDS = 90 * 24 * 60 * 60
+
+// A product viewed by a signed-in user or an anonymous device, one document per viewer and product
+const productViewSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.ObjectId,
+      ref: "User",
+    },
+    deviceId: {
+      type: String,
+    },
+    product: {
+      type: mongoose.Schema.ObjectId,
+      ref: "Product",
+      required: true,
+    },
+    viewCount: {
+      type: Number,
+      default: 0,
+    },
+    lastViewedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    timestamps: true,
+  },
+)
+
+productViewSchema.index({ user: 1, product: 1 }, { unique: true, partialFilterExpression: { user: { $exists: true } } })
+productViewSchema.index(
+  { deviceId: 1, product: 1 },
+  { unique: true, partialFilterExpression: { deviceId: { $exists: true } } },
+)
+productViewSchema.index({ user: 1, lastViewedAt: -1 })
+productViewSchema.index({ deviceId: 1, lastViewedAt: -1 })
+productViewSchema.index({ lastViewedAt: 1 }, { expireAfterSeconds: VIEW_TTL_SECONDS })
+
+// Query conditions for the views of a viewer ({ user, deviceId }); a signed-in user
+// also sees what they viewed on the current device before signing in
+productViewSchema.statics.viewerFilter = function ({ user, deviceId }) {
+  return { $or: [...(user ? [{ user }] : []), ...(deviceId ? [{ deviceId }] : [])] }
+}
+
+// Record a product view, against the user when signed in and the device otherwise
+productViewSchema.statics.record = function ({ user, deviceId }, productId) {
+  return this.findOneAndUpdate(
+    { ...(user ? { user } : { deviceId }), product: productId },
+    { $inc: { viewCount: 1 }, $set: { lastViewedAt: new Date() } },
+    { upsert: true, setDefaultsOnInsert: true },
+  )
+}
+
+module.exports = mongoose.model("ProductView", productViewSchema)
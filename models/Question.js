@@ -0,0 +1,55 @@
+const mongoose = require("mongoose")
+
+const questionSchema = new mongoose.Schema(
+  {
+    text: {
+      type: String,
+      required: [true, "Please add your question"],
+      trim: true,
+      maxlength: [500, "Question cannot be more than 500 characters"],
+    },
+    product: {
+      type: mongoose.Schema.ObjectId,
+      ref: "Product",
+      required: true,
+    },
+    user: {
+      type: mongoose.Schema.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // Questions are only shown once a moderator approves them
+    status: {
+      type: String,
+      enum: ["pending", "approved", "rejected"],
+      default: "pending",
+    },
+    moderatedBy: {
+      type: mongoose.Schema.ObjectId,
+      ref: "User",
+    },
+    moderatedAt: {
+      type: Date,
+    },
+    // Kept in sync with approved answers by Answer.updateQuestionStats
+    answerCount: {
+      type: Number,
+      default: 0,
+    },
+    answerUpvotes: {
+      type: Number,
+      default: 0,
+    },
+    lastAnsweredAt: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+  },
+)
+
+questionSchema.index({ product: 1, status: 1, createdAt: -1 })
+questionSchema.index({ status: 1, createdAt: 1 })
+
+module.exports = mongoose.model("Question", questionSchema)
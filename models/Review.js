@@ -1,5 +1,18 @@
 const mongoose = require("mongoose")
 
+// Photos a customer can attach to one review
+const MAX_REVIEW_PHOTOS = 3
+
+const reviewPhotoSchema = new mongoose.Schema({
+  url: {
+    type: String,
+    required: true,
+  },
+  assetId: {
+    type: String,
+  },
+})
+
 const reviewSchema = new mongoose.Schema(
   {
     title: {
@@ -32,14 +45,63 @@ const reviewSchema = new mongoose.Schema(
       type: Boolean,
       default: false,
     },
+    photos: {
+      type: [reviewPhotoSchema],
+      validate: {
+        validator: (photos) => photos.length <= MAX_REVIEW_PHOTOS,
+        message: `A review can have at most ${MAX_REVIEW_PHOTOS} photos`,
+      },
+    },
     helpfulVotes: {
       type: Number,
       default: 0,
     },
+    // Users who marked the review helpful, so each user counts once
+    helpfulVoters: {
+      type: [{ type: mongoose.Schema.ObjectId, ref: "User" }],
+      select: false,
+    },
+    // Public reply from the shop
+    merchantReply: {
+      text: {
+        type: String,
+        trim: true,
+        maxlength: [1000, "Reply cannot be more than 1000 characters"],
+      },
+      repliedBy: {
+        type: mongoose.Schema.ObjectId,
+        ref: "User",
+      },
+      repliedAt: {
+        type: Date,
+      },
+    },
     isApproved: {
       type: Boolean,
       default: true,
     },
+    // Why automatic moderation held the review, and the moderator's decision
+    moderation: {
+      heldReasons: [
+        {
+          _id: false,
+          rule: String,
+          message: String,
+        },
+      ],
+      moderatedBy: {
+        type: mongoose.Schema.ObjectId,
+        ref: "User",
+      },
+      moderatedAt: {
+        type: Date,
+      },
+    },
+    // Hash of the normalized text, used to detect copied reviews
+    textFingerprint: {
+      type: String,
+      select: false,
+    },
   },
   {
     timestamps: true,
@@ -48,6 +110,22 @@ const reviewSchema = new mongoose.Schema(
 
 // Prevent user from submitting more than one review per product
 reviewSchema.index({ product: 1, user: 1 }, { unique: true })
+reviewSchema.index({ textFingerprint: 1 }, { sparse: true })
+reviewSchema.index({ isApproved: 1, createdAt: 1 })
+
+// Number of approved reviews per star rating, 1 to 5
+reviewSchema.statics.getRatingDistribution = async function (productId) {
+  const counts = await this.aggregate([
+    { $match: { product: productId, isApproved: true } },
+    { $group: { _id: "$rating", count: { $sum: 1 } } },
+  ])
+
+  const distribution = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 }
+  counts.forEach(({ _id, count }) => {
+    distribution[Math.round(_id)] += count
+  })
+  return distribution
+}
 
 // Static method to get average rating and save
 reviewSchema.statics.getAverageRating = async function (productId) {
@@ -79,9 +157,10 @@ reviewSchema.post("save", function () {
   this.constructor.getAverageRating(this.product)
 })
 
-// Call getAverageRating before remove
-reviewSchema.pre("remove", function () {
+// Call getAverageRating after the review is deleted (review.deleteOne())
+reviewSchema.post("deleteOne", { document: true, query: false }, function () {
   this.constructor.getAverageRating(this.product)
 })
 
 module.exports = mongoose.model("Review", reviewSchema)
+module.exports.MAX_REVIEW_PHOTOS = MAX_REVIEW_PHOTOS
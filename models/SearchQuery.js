@@ -0,0 +1,50 @@
+const mongoose = require("mongoose")
+
+const searchQuerySchema = new mongoose.Schema(
+  {
+    query: {
+      type: String,
+      required: true,
+      unique: true,
+      lowercase: true,
+      trim: true,
+      maxlength: [100, "Search query cannot be more than 100 characters"],
+    },
+    count: {
+      type: Number,
+      default: 0,
+    },
+    zeroResultCount: {
+      type: Number,
+      default: 0,
+    },
+    lastResultCount: {
+      type: Number,
+      default: 0,
+    },
+    lastSearchedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    timestamps: true,
+  },
+)
+
+searchQuerySchema.index({ count: -1 })
+searchQuerySchema.index({ zeroResultCount: -1 })
+
+// Record a search and how many results it returned
+searchQuerySchema.statics.record = function (query, resultCount) {
+  return this.findOneAndUpdate(
+    { query },
+    {
+      $inc: { count: 1, zeroResultCount: resultCount === 0 ? 1 : 0 },
+      $set: { lastResultCount: resultCount, lastSearchedAt: new Date() },
+    },
+    { upsert: true, setDefaultsOnInsert: true },
+  )
+}
+
+module.exports = mongoose.model("SearchQuery", searchQuerySchema)
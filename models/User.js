@@ -1,5 +1,6 @@
 const mongoose = require("mongoose")
 const bcrypt = require("bcryptjs")
+const { UNIT_SYSTEMS, DEFAULT_UNIT_SYSTEM } = require("../utils/units")
 
 const userSchema = new mongoose.Schema(
   {
@@ -59,6 +60,14 @@ const userSchema = new mongoose.Schema(
       type: String,
       default: "default-avatar.jpg",
     },
+    preferences: {
+      // Unit system product weights and nutrition are displayed in
+      unitSystem: {
+        type: String,
+        enum: Object.keys(UNIT_SYSTEMS),
+        default: DEFAULT_UNIT_SYSTEM,
+      },
+    },
     isActive: {
       type: Boolean,
       default: true,
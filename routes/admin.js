@@ -9,17 +9,40 @@ const {
   getAllOrders,
   getOrderDetails,
   updateOrderStatus,
+  recordOrderWeights,
   getAllProducts,
   getProductDetails,
   toggleProductStatus,
+  updateProductLifecycle,
+  getProductRevisions,
+  restoreProductRevision,
+  importProducts,
+  exportProducts,
+  getProductPriceHistory,
+  getSales,
+  createSale,
+  updateSale,
+  deleteSale,
   getAllReviews,
   updateReviewStatus,
+  bulkUpdateReviewStatus,
   deleteReview,
+  getAllQuestions,
+  updateQuestionStatus,
+  deleteQuestion,
+  getAllAnswers,
+  updateAnswerStatus,
+  deleteAnswer,
   getSalesAnalytics,
   getInventoryReport,
+  getCertificationReport,
+  getSearchQueryReport,
+  refreshProductRecommendations,
+  refreshShoppingFeedNow,
   getCustomerAnalytics,
 } = require("../controllers/admin")
 const { protect, admin } = require("../middleware/auth")
+const csvUpload = require("../middleware/csvUpload")
 
 const router = express.Router()
 
@@ -39,13 +62,53 @@ const updateOrderStatusValidation = [
   body("trackingNumber").optional().isLength({ max: 100 }).withMessage("Tracking number too long"),
 ]
 
+const recordOrderWeightsValidation = [
+  body("items").isArray({ min: 1 }).withMessage("Items must be a non-empty array"),
+  body("items.*.itemId").isMongoId().withMessage("Please provide valid order item IDs"),
+  body("items.*.actualWeight").isFloat({ gt: 0 }).withMessage("Actual weight must be a positive number"),
+]
+
+const saleValidation = [
+  body("name").trim().isLength({ min: 2, max: 100 }).withMessage("Sale name must be between 2 and 100 characters"),
+  body("product").optional({ values: "null" }).isMongoId().withMessage("Please provide a valid product ID"),
+  body("category").optional({ values: "null" }).isMongoId().withMessage("Please provide a valid category ID"),
+  body("discountType")
+    .isIn(["percentage", "amount", "fixed"])
+    .withMessage("Discount type must be percentage, amount or fixed"),
+  body("value").isFloat({ min: 0 }).withMessage("Discount value must be a positive number"),
+  body("startsAt").isISO8601().withMessage("Start time must be a valid date"),
+  body("endsAt").optional({ values: "null" }).isISO8601().withMessage("End time must be a valid date"),
+  body("isActive").optional().isBoolean().withMessage("isActive must be a boolean"),
+]
+
+const productLifecycleValidation = [
+  body("status")
+    .optional()
+    .isIn(["draft", "scheduled", "published", "archived"])
+    .withMessage("Status must be draft, scheduled, published or archived"),
+  body("publishAt").optional({ values: "null" }).isISO8601().withMessage("Publish time must be a valid date"),
+  body("unpublishAt").optional({ values: "null" }).isISO8601().withMessage("Unpublish time must be a valid date"),
+]
+
 const updateReviewStatusValidation = [body("isApproved").isBoolean().withMessage("isApproved must be a boolean")]
 
+const bulkUpdateReviewStatusValidation = [
+  body("reviews").isArray({ min: 1, max: 100 }).withMessage("Reviews must be an array of 1 to 100 review IDs"),
+  body("reviews.*").isMongoId().withMessage("Please provide valid review IDs"),
+  ...updateReviewStatusValidation,
+]
+
+const moderationStatusValidation = [
+  body("status").isIn(["approved", "rejected"]).withMessage("Status must be approved or rejected"),
+]
+
 // Dashboard and Analytics
 router.get("/dashboard", getDashboardStats)
 router.get("/analytics/sales", getSalesAnalytics)
 router.get("/analytics/customers", getCustomerAnalytics)
 router.get("/reports/inventory", getInventoryReport)
+router.get("/reports/certifications", getCertificationReport)
+router.get("/reports/search-queries", getSearchQueryReport)
 
 // User Management
 router.get("/users", getAllUsers)
@@ -57,15 +120,39 @@ router.put("/users/:id/deactivate", deactivateUser)
 router.get("/orders", getAllOrders)
 router.get("/orders/:id", getOrderDetails)
 router.put("/orders/:id/status", updateOrderStatusValidation, updateOrderStatus)
+router.put("/orders/:id/weights", recordOrderWeightsValidation, recordOrderWeights)
 
 // Product Management
 router.get("/products", getAllProducts)
+router.get("/products/export", exportProducts)
+router.post("/products/import", csvUpload.single("file"), importProducts)
 router.get("/products/:id", getProductDetails)
 router.put("/products/:id/toggle-status", toggleProductStatus)
+router.put("/products/:id/lifecycle", productLifecycleValidation, updateProductLifecycle)
+router.get("/products/:id/price-history", getProductPriceHistory)
+router.get("/products/:id/revisions", getProductRevisions)
+router.post("/products/:id/revisions/:rev/restore", restoreProductRevision)
+router.post("/recommendations/refresh", refreshProductRecommendations)
+router.post("/feeds/shopping/refresh", refreshShoppingFeedNow)
+
+// Sales
+router.get("/sales", getSales)
+router.post("/sales", saleValidation, createSale)
+router.put("/sales/:id", saleValidation, updateSale)
+router.delete("/sales/:id", deleteSale)
 
 // Review Management
 router.get("/reviews", getAllReviews)
+router.put("/reviews/status", bulkUpdateReviewStatusValidation, bulkUpdateReviewStatus)
 router.put("/reviews/:id/status", updateReviewStatusValidation, updateReviewStatus)
 router.delete("/reviews/:id", deleteReview)
 
+// Product Q&A Moderation
+router.get("/questions", getAllQuestions)
+router.put("/questions/:id/status", moderationStatusValidation, updateQuestionStatus)
+router.delete("/questions/:id", deleteQuestion)
+router.get("/answers", getAllAnswers)
+router.put("/answers/:id/status", moderationStatusValidation, updateAnswerStatus)
+router.delete("/answers/:id", deleteAnswer)
+
 module.exports = router
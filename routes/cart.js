@@ -8,17 +8,20 @@ const router = express.Router()
 // Validation rules
 const addToCartValidation = [
   body("productId").isMongoId().withMessage("Please provide a valid product ID"),
+  body("variantId").optional().isMongoId().withMessage("Please provide a valid variant ID"),
   body("quantity").isInt({ min: 1, max: 100 }).withMessage("Quantity must be between 1 and 100"),
 ]
 
 const updateCartValidation = [
   body("productId").isMongoId().withMessage("Please provide a valid product ID"),
+  body("variantId").optional().isMongoId().withMessage("Please provide a valid variant ID"),
   body("quantity").isInt({ min: 1, max: 100 }).withMessage("Quantity must be between 1 and 100"),
 ]
 
 const syncCartValidation = [
   body("items").isArray().withMessage("Items must be an array"),
   body("items.*.productId").isMongoId().withMessage("Please provide valid product IDs"),
+  body("items.*.variantId").optional().isMongoId().withMessage("Please provide valid variant IDs"),
   body("items.*.quantity").isInt({ min: 1, max: 100 }).withMessage("Quantity must be between 1 and 100"),
 ]
 
@@ -2,6 +2,7 @@ const express = require("express")
 const { body } = require("express-validator")
 const {
   getCategories,
+  getCategoryTree,
   getCategory,
   createCategory,
   updateCategory,
@@ -21,10 +22,24 @@ const categoryValidation = [
     .trim()
     .isLength({ max: 500 })
     .withMessage("Description cannot be more than 500 characters"),
+  body("parent").optional({ values: "null" }).isMongoId().withMessage("Please provide a valid parent category ID"),
+  body("specificationSchema").optional().isArray().withMessage("Specification schema must be an array"),
+  body("specificationSchema.*.key").trim().notEmpty().withMessage("Specification key is required"),
+  body("specificationSchema.*.type")
+    .optional()
+    .isIn(["string", "number", "boolean", "enum"])
+    .withMessage("Specification type must be string, number, boolean, or enum"),
+  body("specificationSchema.*.values").optional().isArray().withMessage("Specification values must be an array"),
+  body("specificationSchema.*.required").optional().isBoolean().withMessage("Specification required must be a boolean"),
+  body("specificationSchema.*.filterable")
+    .optional()
+    .isBoolean()
+    .withMessage("Specification filterable must be a boolean"),
 ]
 
 // Routes
 router.get("/", getCategories)
+router.get("/tree", getCategoryTree)
 router.get("/:id", getCategory)
 router.post("/", protect, admin, categoryValidation, createCategory)
 router.put("/:id", protect, admin, categoryValidation, updateCategory)
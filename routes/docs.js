@@ -22,27 +22,36 @@ router.get("/", (req, res) => {
       products: {
         "GET /products": "Get all products (with filtering, sorting, pagination)",
         "GET /products/featured": "Get featured products",
-        "GET /products/search": "Search products",
-        "GET /products/category/:categoryId": "Get products by category",
-        "GET /products/:id": "Get single product",
+        "GET /products/for-you": "Personalized feed from recently viewed, purchase categories and featured products",
+        "GET /products/search": "Search products (ranked, with facets and typo tolerance)",
+        "GET /products/suggest": "Typeahead suggestions for products, categories and popular searches",
+        "GET /products/category/:categoryId": "Get products by category (?includeDescendants=true for subcategories)",
+        "GET /products/:id": "Get single product by id or slug (old slugs resolve; see canonicalSlug)",
+        "GET /products/:id/recommendations":
+          "Frequently bought together and customers also bought, from order history (?limit=4)",
         "POST /products": "Create product (Admin only)",
         "PUT /products/:id": "Update product (Admin only)",
         "DELETE /products/:id": "Delete product (Admin only)",
         "POST /products/:id/images": "Upload product images (Admin only)",
+        "PUT /products/:id/images/order": "Reorder product images ({ images: [imageIds] }, Admin only)",
+        "PUT /products/:id/images/:imageId": "Edit image alt text or make it the primary image (Admin only)",
+        "DELETE /products/:id/images/:imageId": "Delete a product image (Admin only)",
       },
       categories: {
         "GET /categories": "Get all categories",
-        "GET /categories/:id": "Get single category",
+        "GET /categories/tree": "Get categories as a tree with product counts",
+        "GET /categories/:id":
+          "Get single category by id or slug (old slugs resolve; see canonicalSlug), with its resolved specification schema",
         "POST /categories": "Create category (Admin only)",
         "PUT /categories/:id": "Update category (Admin only)",
-        "DELETE /categories/:id": "Delete category (Admin only)",
+        "DELETE /categories/:id": "Delete category (Admin only; ?reparent=true moves subcategories up)",
         "POST /categories/:id/image": "Upload category image (Admin only)",
       },
       cart: {
         "GET /cart": "Get user's cart",
         "POST /cart/add": "Add item to cart",
         "PUT /cart/update": "Update cart item quantity",
-        "DELETE /cart/remove/:productId": "Remove item from cart",
+        "DELETE /cart/remove/:productId": "Remove item from cart (?variantId= for variant items)",
         "DELETE /cart/clear": "Clear entire cart",
         "POST /cart/sync": "Sync cart with client-side cart",
       },
@@ -57,16 +66,33 @@ router.get("/", (req, res) => {
         "GET /orders/:id/tracking": "Get order tracking (Public)",
       },
       reviews: {
-        "GET /products/:id/reviews": "Get product reviews",
+        "GET /products/:id/reviews":
+          "Get product reviews and rating distribution (?sort=newest|oldest|helpful|highestRated|lowestRated)",
         "POST /products/:id/reviews": "Add product review",
         "PUT /products/:id/reviews/:reviewId": "Update product review",
         "DELETE /products/:id/reviews/:reviewId": "Delete product review",
+        "POST /products/:id/reviews/:reviewId/helpful": "Mark a review as helpful",
+        "DELETE /products/:id/reviews/:reviewId/helpful": "Remove a helpful vote",
+        "POST /products/:id/reviews/:reviewId/photos": "Upload up to 3 review photos ('photos' field)",
+        "DELETE /products/:id/reviews/:reviewId/photos/:photoId": "Delete a review photo",
+        "PUT /products/:id/reviews/:reviewId/reply": "Post or update the merchant reply (Admin only)",
+        "DELETE /products/:id/reviews/:reviewId/reply": "Delete the merchant reply (Admin only)",
+      },
+      questions: {
+        "GET /products/:id/questions":
+          "Get approved questions with answers (?sort=newest|oldest|mostAnswered|mostHelpful)",
+        "POST /products/:id/questions": "Ask a question about a product",
+        "POST /products/:id/questions/:questionId/answers": "Answer a question (admins and verified buyers)",
+        "POST /products/:id/questions/:questionId/answers/:answerId/upvote": "Upvote an answer",
+        "DELETE /products/:id/questions/:questionId/answers/:answerId/upvote": "Remove an answer upvote",
       },
       admin: {
         "GET /admin/dashboard": "Get dashboard statistics",
         "GET /admin/analytics/sales": "Get sales analytics",
         "GET /admin/analytics/customers": "Get customer analytics",
         "GET /admin/reports/inventory": "Get inventory report",
+        "GET /admin/reports/certifications": "Get expired and soon to expire product certifications (?withinDays=30)",
+        "GET /admin/reports/search-queries": "Get popular and zero-result search queries",
         "GET /admin/users": "Get all users",
         "GET /admin/users/:id": "Get user details",
         "PUT /admin/users/:id/role": "Update user role",
@@ -74,16 +100,49 @@ router.get("/", (req, res) => {
         "GET /admin/orders": "Get all orders",
         "GET /admin/orders/:id": "Get order details",
         "PUT /admin/orders/:id/status": "Update order status",
+        "PUT /admin/orders/:id/weights": "Record catch-weight item weights and capture the final amount",
         "GET /admin/products": "Get all products (admin view)",
+        "GET /admin/products/export": "Export the product catalog as CSV",
+        "POST /admin/products/import": "Import products from CSV upload 'file' (?dryRun=true to validate)",
         "GET /admin/products/:id": "Get product details (admin view)",
-        "PUT /admin/products/:id/toggle-status": "Toggle product status",
-        "GET /admin/reviews": "Get all reviews",
+        "PUT /admin/products/:id/toggle-status": "Publish or archive a product",
+        "PUT /admin/products/:id/lifecycle":
+          "Set product status (draft, scheduled, published, archived) and publish times",
+        "GET /admin/products/:id/price-history": "Get the list price change log for a product",
+        "GET /admin/products/:id/revisions": "Get a product's revisions with field-level changes",
+        "POST /admin/products/:id/revisions/:rev/restore": "Roll a product back to a revision",
+        "POST /admin/recommendations/refresh": "Rebuild product recommendations from order history now",
+        "POST /admin/feeds/shopping/refresh": "Rebuild the shopping feed now",
+        "GET /admin/sales": "Get active and upcoming sales (?status=active|upcoming|ended|all)",
+        "POST /admin/sales": "Schedule a sale for a product or category",
+        "PUT /admin/sales/:id": "Update sale",
+        "DELETE /admin/sales/:id": "Delete an upcoming sale",
+        "GET /admin/reviews":
+          "Get all reviews (?status=approved|pending|rejected, ?view=queue for the moderation queue)",
+        "PUT /admin/reviews/status": "Approve or reject several reviews ({ reviews: [ids], isApproved })",
         "PUT /admin/reviews/:id/status": "Update review status",
         "DELETE /admin/reviews/:id": "Delete review",
+        "GET /admin/questions": "Get product questions (?status=pending for the moderation queue)",
+        "PUT /admin/questions/:id/status": "Approve or reject a question",
+        "DELETE /admin/questions/:id": "Delete a question and its answers",
+        "GET /admin/answers": "Get answers to product questions (?status=pending for the moderation queue)",
+        "PUT /admin/answers/:id/status": "Approve or reject an answer",
+        "DELETE /admin/answers/:id": "Delete an answer",
+      },
+      seo: {
+        "GET /seo/sitemap.xml": "XML sitemap of active products and categories (a sitemap index for large catalogs)",
+        "GET /seo/sitemaps/:type-:page.xml": "One file of the sitemap index, e.g. products-2.xml",
+        "GET /seo/products/:id/jsonld": "schema.org Product JSON-LD for a product (ID or slug)",
+      },
+      feeds: {
+        "GET /feeds/shopping.xml?token=": "Google Merchant RSS shopping feed (SHOPPING_FEED_TOKEN)",
+        "GET /feeds/shopping.tsv?token=": "Tab separated shopping feed (SHOPPING_FEED_TOKEN)",
       },
       users: {
         "GET /users/profile": "Get user profile",
         "PUT /users/profile": "Update user profile",
+        "GET /users/recently-viewed": "Get recently viewed products (signed-in user or X-Device-Id header)",
+        "DELETE /users/recently-viewed": "Clear recently viewed products",
         "DELETE /users/account": "Delete user account",
       },
     },
@@ -108,14 +167,44 @@ router.get("/", (req, res) => {
         500: "Internal Server Error",
       },
     },
+    filtering: {
+      description: "List endpoints accept only declared filter fields; unknown fields return 400",
+      examples: {
+        equals: "?grade=prime",
+        operators: "?price[gte]=10&price[lte]=30",
+        list: "?cut[in]=ribeye,strip",
+        select: "?select=name,price",
+        sort: "?sort=-price,name",
+        certification: "?certification=halal,organic (products and search; unexpired certificates only)",
+        allergenFree: "?allergenFree=soy,milk (products and search)",
+        specifications:
+          "?category=<id>&specs[cut]=loin&specs[weightOz][gte]=12 (keys, operators and values follow the " +
+          "category's specification schema)",
+      },
+      operators: ["eq", "ne", "gt", "gte", "lt", "lte", "in", "nin"],
+    },
     pagination: {
+      description:
+        "List endpoints use offset pagination by default. Passing ?cursor= switches to cursor pagination: " +
+        "follow pagination.next.cursor (or the Link header) for the next page.",
+      params: {
+        limit: "Items per page (max 100)",
+        page: "Page number in offset mode (the default)",
+        cursor: "Opaque cursor from pagination.next or pagination.prev; empty for the first page; enables cursor mode",
+        includeTotal: "Set to true to include the total count in cursor mode",
+      },
+      headers: {
+        Link: '<...?cursor=abc>; rel="next", <...?cursor=xyz>; rel="prev", <...>; rel="first"',
+      },
       format: {
         success: true,
         count: "Number of items in current page",
-        total: "Total number of items",
+        total: "Total number of items (offset mode, or cursor mode with includeTotal=true)",
         pagination: {
-          next: { page: 2, limit: 10 },
-          prev: { page: 1, limit: 10 },
+          mode: "cursor",
+          limit: 10,
+          next: { cursor: "eyJzIjoi...", limit: 10 },
+          prev: { cursor: "eyJzIjoi...", limit: 10 },
         },
         data: "Array of items",
       },
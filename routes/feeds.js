@@ -0,0 +1,9 @@
+const express = require("express")
+const { getShoppingFeedFile } = require("../controllers/feeds")
+
+const router = express.Router()
+
+// Feed routes
+router.get("/shopping.:format", getShoppingFeedFile)
+
+module.exports = router
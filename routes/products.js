@@ -3,20 +3,41 @@ const { body } = require("express-validator")
 const {
   getProducts,
   getProduct,
+  getProductRecommendations,
   createProduct,
   updateProduct,
   deleteProduct,
   uploadProductImages,
+  updateProductImage,
+  reorderProductImages,
+  deleteProductImage,
   getFeaturedProducts,
+  getForYouFeed,
   getProductsByCategory,
   searchProducts,
+  suggestProducts,
   getProductReviews,
   addProductReview,
   updateProductReview,
   deleteProductReview,
+  markReviewHelpful,
+  unmarkReviewHelpful,
+  uploadReviewPhotos,
+  deleteReviewPhoto,
+  replyToReview,
+  deleteReviewReply,
 } = require("../controllers/products")
+const {
+  getProductQuestions,
+  askProductQuestion,
+  answerProductQuestion,
+  upvoteAnswer,
+  removeAnswerUpvote,
+} = require("../controllers/questions")
 const { protect, admin, optionalAuth } = require("../middleware/auth")
+const deviceId = require("../middleware/deviceId")
 const upload = require("../middleware/upload")
+const { MAX_REVIEW_PHOTOS } = require("../models/Review")
 
 const router = express.Router()
 
@@ -32,6 +53,66 @@ const productValidation = [
   body("sku").trim().isLength({ min: 3, max: 20 }).withMessage("SKU must be between 3 and 20 characters"),
   body("weight.value").isFloat({ min: 0 }).withMessage("Weight value must be a positive number"),
   body("weight.unit").isIn(["lb", "oz", "kg", "g"]).withMessage("Weight unit must be lb, oz, kg, or g"),
+  body("catchWeight.enabled").optional().isBoolean().withMessage("catchWeight.enabled must be a boolean"),
+  body("catchWeight.pricePerUnit").optional().isFloat({ min: 0 }).withMessage("Price per unit must be positive"),
+  body("catchWeight.unit")
+    .optional()
+    .isIn(["lb", "oz", "kg", "g"])
+    .withMessage("Catch-weight unit must be lb, oz, kg, or g"),
+  body("options").optional().isArray().withMessage("Options must be an array"),
+  body("options.*.name").trim().notEmpty().withMessage("Option name is required"),
+  body("options.*.values").isArray({ min: 1 }).withMessage("Option values must be a non-empty array"),
+  body("variants").optional().isArray().withMessage("Variants must be an array"),
+  body("variants.*.sku")
+    .trim()
+    .isLength({ min: 3, max: 20 })
+    .withMessage("Variant SKU must be between 3 and 20 characters"),
+  body("variants.*.price").isFloat({ min: 0 }).withMessage("Variant price must be a positive number"),
+  body("variants.*.comparePrice").optional().isFloat({ min: 0 }).withMessage("Variant compare price must be positive"),
+  body("variants.*.weight.value").isFloat({ min: 0 }).withMessage("Variant weight value must be a positive number"),
+  body("variants.*.weight.unit")
+    .optional()
+    .isIn(["lb", "oz", "kg", "g"])
+    .withMessage("Variant weight unit must be lb, oz, kg, or g"),
+  body("variants.*.inventory.quantity")
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage("Variant inventory cannot be negative"),
+  body("type").optional().isIn(["simple", "bundle"]).withMessage("Product type must be simple or bundle"),
+  body("bundleItems").optional().isArray().withMessage("Bundle items must be an array"),
+  body("bundleItems.*.product").isMongoId().withMessage("Please provide a valid bundle component product ID"),
+  body("bundleItems.*.variant")
+    .optional()
+    .isMongoId()
+    .withMessage("Please provide a valid bundle component variant ID"),
+  body("bundleItems.*.quantity").isInt({ min: 1 }).withMessage("Bundle component quantity must be at least 1"),
+  body("certifications").optional().isArray().withMessage("Certifications must be an array"),
+  body("certifications.*.type").trim().notEmpty().withMessage("Certification type is required"),
+  body("certifications.*.certifyingBody").trim().notEmpty().withMessage("Certifying body is required"),
+  body("certifications.*.certificateNumber").trim().notEmpty().withMessage("Certificate number is required"),
+  body("certifications.*.expiresAt").isISO8601().withMessage("Certificate expiry must be a valid date"),
+  body("allergens").optional().isArray().withMessage("Allergens must be an array"),
+  body("status")
+    .optional()
+    .isIn(["draft", "scheduled", "published", "archived"])
+    .withMessage("Status must be draft, scheduled, published or archived"),
+  body("publishAt").optional({ values: "null" }).isISO8601().withMessage("Publish time must be a valid date"),
+  body("unpublishAt").optional({ values: "null" }).isISO8601().withMessage("Unpublish time must be a valid date"),
+]
+
+const productImageValidation = [
+  body("alt")
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage("Alt text cannot be more than 200 characters"),
+  body("isPrimary").optional().isBoolean().toBoolean().withMessage("isPrimary must be a boolean"),
+]
+
+const reorderImagesValidation = [
+  body("images").isArray({ min: 1 }).withMessage("Images must be a non-empty array of image IDs"),
+  body("images.*").isMongoId().withMessage("Please provide valid image IDs"),
 ]
 
 const reviewValidation = [
@@ -43,21 +124,52 @@ const reviewValidation = [
   body("rating").isInt({ min: 1, max: 5 }).withMessage("Rating must be between 1 and 5"),
 ]
 
+const reviewReplyValidation = [
+  body("text").trim().isLength({ min: 2, max: 1000 }).withMessage("Reply must be between 2 and 1000 characters"),
+]
+
+const questionValidation = [
+  body("text").trim().isLength({ min: 10, max: 500 }).withMessage("Question must be between 10 and 500 characters"),
+]
+
+const answerValidation = [
+  body("text").trim().isLength({ min: 2, max: 1000 }).withMessage("Answer must be between 2 and 1000 characters"),
+]
+
 // Product routes
 router.get("/", optionalAuth, getProducts)
-router.get("/featured", getFeaturedProducts)
-router.get("/search", searchProducts)
-router.get("/category/:categoryId", getProductsByCategory)
-router.get("/:id", optionalAuth, getProduct)
+router.get("/featured", optionalAuth, getFeaturedProducts)
+router.get("/for-you", optionalAuth, deviceId, getForYouFeed)
+router.get("/search", optionalAuth, searchProducts)
+router.get("/suggest", suggestProducts)
+router.get("/category/:categoryId", optionalAuth, getProductsByCategory)
+router.get("/:id", optionalAuth, deviceId, getProduct)
+router.get("/:id/recommendations", getProductRecommendations)
 router.post("/", protect, admin, productValidation, createProduct)
 router.put("/:id", protect, admin, productValidation, updateProduct)
 router.delete("/:id", protect, admin, deleteProduct)
 router.post("/:id/images", protect, admin, upload.array("images", 5), uploadProductImages)
+router.put("/:id/images/order", protect, admin, reorderImagesValidation, reorderProductImages)
+router.put("/:id/images/:imageId", protect, admin, productImageValidation, updateProductImage)
+router.delete("/:id/images/:imageId", protect, admin, deleteProductImage)
 
 // Review routes
 router.get("/:id/reviews", getProductReviews)
 router.post("/:id/reviews", protect, reviewValidation, addProductReview)
 router.put("/:id/reviews/:reviewId", protect, reviewValidation, updateProductReview)
 router.delete("/:id/reviews/:reviewId", protect, deleteProductReview)
+router.post("/:id/reviews/:reviewId/helpful", protect, markReviewHelpful)
+router.delete("/:id/reviews/:reviewId/helpful", protect, unmarkReviewHelpful)
+router.post("/:id/reviews/:reviewId/photos", protect, upload.array("photos", MAX_REVIEW_PHOTOS), uploadReviewPhotos)
+router.delete("/:id/reviews/:reviewId/photos/:photoId", protect, deleteReviewPhoto)
+router.put("/:id/reviews/:reviewId/reply", protect, admin, reviewReplyValidation, replyToReview)
+router.delete("/:id/reviews/:reviewId/reply", protect, admin, deleteReviewReply)
+
+// Question and answer routes
+router.get("/:id/questions", optionalAuth, getProductQuestions)
+router.post("/:id/questions", protect, questionValidation, askProductQuestion)
+router.post("/:id/questions/:questionId/answers", protect, answerValidation, answerProductQuestion)
+router.post("/:id/questions/:questionId/answers/:answerId/upvote", protect, upvoteAnswer)
+router.delete("/:id/questions/:questionId/answers/:answerId/upvote", protect, removeAnswerUpvote)
 
 module.exports = router
@@ -0,0 +1,11 @@
+const express = require("express")
+const { getSitemap, getSitemapFile, getProductJsonLd } = require("../controllers/seo")
+
+const router = express.Router()
+
+// SEO routes
+router.get("/sitemap.xml", getSitemap)
+router.get("/sitemaps/:file", getSitemapFile)
+router.get("/products/:id/jsonld", getProductJsonLd)
+
+module.exports = router
@@ -1,7 +1,14 @@
 const express = require("express")
 const { body } = require("express-validator")
-const { getUserProfile, updateUserProfile, deleteUserAccount } = require("../controllers/users")
-const { protect } = require("../middleware/auth")
+const {
+  getUserProfile,
+  updateUserProfile,
+  getRecentlyViewed,
+  clearRecentlyViewed,
+  deleteUserAccount,
+} = require("../controllers/users")
+const { protect, optionalAuth } = require("../middleware/auth")
+const deviceId = require("../middleware/deviceId")
 
 const router = express.Router()
 
@@ -9,11 +16,17 @@ const router = express.Router()
 const updateProfileValidation = [
   body("name").optional().trim().isLength({ min: 2, max: 50 }).withMessage("Name must be between 2 and 50 characters"),
   body("phone").optional().isMobilePhone().withMessage("Please provide a valid phone number"),
+  body("preferences.unitSystem")
+    .optional()
+    .isIn(["imperial", "metric"])
+    .withMessage("Unit system must be imperial or metric"),
 ]
 
 // Routes
 router.get("/profile", protect, getUserProfile)
 router.put("/profile", protect, updateProfileValidation, updateUserProfile)
+router.get("/recently-viewed", optionalAuth, deviceId, getRecentlyViewed)
+router.delete("/recently-viewed", optionalAuth, deviceId, clearRecentlyViewed)
 router.delete("/account", protect, deleteUserAccount)
 
 module.exports = router
@@ -25,6 +25,11 @@ router.post("/stripe", express.raw({ type: "application/json" }), async (req, re
       await handlePaymentSuccess(paymentIntent)
       break
 
+    case "payment_intent.amount_capturable_updated":
+      const authorizedPayment = event.data.object
+      await handlePaymentAuthorized(authorizedPayment)
+      break
+
     case "payment_intent.payment_failed":
       const failedPayment = event.data.object
       await handlePaymentFailure(failedPayment)
@@ -52,7 +57,8 @@ const handlePaymentSuccess = async (paymentIntent) => {
       order.isPaid = true
       order.paymentInfo.transactionId = paymentIntent.id
       order.paymentInfo.paidAt = new Date()
-      order.status = "confirmed"
+      order.paymentInfo.capturedAmount = paymentIntent.amount_received / 100
+      if (order.status === "pending") order.status = "confirmed"
       await order.save()
 
       // Send payment confirmation email
@@ -67,6 +73,26 @@ const handlePaymentSuccess = async (paymentIntent) => {
   }
 }
 
+// Handle authorized (not yet captured) payment for catch-weight orders
+const handlePaymentAuthorized = async (paymentIntent) => {
+  try {
+    const orderId = paymentIntent.metadata.orderId
+    const order = await Order.findById(orderId)
+
+    if (order && !order.isPaid) {
+      order.paymentInfo.transactionId = paymentIntent.id
+      order.paymentInfo.authorizedAmount = paymentIntent.amount_capturable / 100
+      order.paymentInfo.authorizedAt = new Date()
+      if (order.status === "pending") order.status = "confirmed"
+      await order.save()
+
+      console.log(`Payment authorized for order ${order.orderNumber}`)
+    }
+  } catch (error) {
+    console.error("Error handling payment authorization:", error)
+  }
+}
+
 // Handle failed payment
 const handlePaymentFailure = async (paymentIntent) => {
   try {
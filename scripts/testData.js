@@ -105,7 +105,7 @@ const createTestData = async () => {
           weight: { value: 1, unit: "lb" },
           images: [{ url: "/pork-chops.png", alt: "Pork Chops", isPrimary: true }],
           inventory: { quantity: 35, lowStockThreshold: 8 },
-          specifications: { cut: "whole", grade: "choice", origin: "USA", feedType: "grain-fed" },
+          specifications: { cut: "chop", origin: "USA", feedType: "conventional" },
           tags: ["pork", "chops", "grill"],
           createdBy: adminUser._id,
         },
@@ -119,7 +119,7 @@ const createTestData = async () => {
           weight: { value: 1, unit: "lb" },
           images: [{ url: "/chicken-breast.png", alt: "Chicken Breast", isPrimary: true }],
           inventory: { quantity: 60, lowStockThreshold: 15 },
-          specifications: { cut: "whole", grade: "organic", origin: "USA", feedType: "free-range" },
+          specifications: { cut: "breast", origin: "USA", feedType: "free-range", boneless: true },
           tags: ["chicken", "breast", "lean", "organic"],
           createdBy: adminUser._id,
         },
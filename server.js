@@ -18,12 +18,19 @@ const adminRoutes = require("./routes/admin")
 const webhookRoutes = require("./routes/webhooks")
 const docsRoutes = require("./routes/docs")
 const categoryRoutes = require("./routes/categories")
+const seoRoutes = require("./routes/seo")
+const feedRoutes = require("./routes/feeds")
 
 // Import middleware
 const errorHandler = require("./middleware/errorHandler")
 const notFound = require("./middleware/notFound")
 const logger = require("./middleware/logger")
 const sanitizeInput = require("./middleware/sanitize")
+const cleanupUploads = require("./middleware/cleanupUploads")
+const storage = require("./config/storage")
+const { scheduleRecommendationRefresh } = require("./utils/recommendations")
+const { scheduleShoppingFeedRefresh } = require("./utils/shoppingFeed")
+const { scheduleProductLifecycle } = require("./utils/productLifecycle")
 
 // Security middleware
 app.use(helmet())
@@ -55,6 +62,20 @@ if (process.env.NODE_ENV === "development") {
   app.use(logger)
 }
 app.use(sanitizeInput)
+app.use(cleanupUploads)
+
+// Serve images kept on the local disk
+if (storage.providerName === "local") {
+  const { STORAGE_DIR, BASE_URL } = require("./config/localStorage")
+  if (BASE_URL.startsWith("/")) {
+    app.use(
+      BASE_URL,
+      express.static(STORAGE_DIR, {
+        setHeaders: (res) => res.set("Cross-Origin-Resource-Policy", "cross-origin"),
+      }),
+    )
+  }
+}
 
 // Database connection
 mongoose
@@ -62,7 +83,12 @@ mongoose
     useNewUrlParser: true,
     useUnifiedTopology: true,
   })
-  .then(() => console.log("MongoDB connected successfully"))
+  .then(() => {
+    console.log("MongoDB connected successfully")
+    scheduleRecommendationRefresh()
+    scheduleProductLifecycle()
+    if (process.env.SHOPPING_FEED_TOKEN) scheduleShoppingFeedRefresh()
+  })
   .catch((err) => console.error("MongoDB connection error:", err))
 
 // Routes
@@ -73,6 +99,8 @@ app.use("/api/orders", orderRoutes)
 app.use("/api/users", userRoutes)
 app.use("/api/admin", adminRoutes)
 app.use("/api/categories", categoryRoutes)
+app.use("/api/seo", seoRoutes)
+app.use("/api/feeds", feedRoutes)
 app.use("/api/docs", docsRoutes)
 app.use("/api/webhooks", webhookRoutes)
 
@@ -0,0 +1,132 @@
+jest.mock("../utils/sendEmail")
+
+const Cart = require("../models/Cart")
+const Category = require("../models/Category")
+const Order = require("../models/Order")
+const PriceRule = require("../models/PriceRule")
+const Product = require("../models/Product")
+const User = require("../models/User")
+const { createOrder, cancelOrder } = require("../controllers/orders")
+const { shippingAddress, buildProduct, buildVariant, buildRequest, buildResponse } = require("./factories")
+
+// BBQ box of two brisket packs and one rack of ribs (the large variant)
+const bbqBox = ({ brisketStock = 10, ribStock = 10 } = {}) => {
+  const brisket = buildProduct({ name: "Brisket", price: 40, inventory: { quantity: brisketStock } })
+  const ribs = buildProduct({
+    name: "Pork ribs",
+    hasVariants: true,
+    variants: [
+      buildVariant({ sku: "RIBS-HALF", price: 12, options: { rack: "half" } }),
+      buildVariant({ sku: "RIBS-FULL", price: 20, options: { rack: "full" }, inventory: { quantity: ribStock } }),
+    ],
+  })
+  const box = buildProduct({
+    name: "BBQ Box",
+    type: "bundle",
+    price: 90,
+    bundleItems: [
+      { product: brisket, quantity: 2 },
+      { product: ribs, variant: ribs.variants[1]._id, quantity: 1 },
+    ],
+  })
+  return { box, brisket, ribs, fullRack: ribs.variants[1] }
+}
+
+afterEach(() => {
+  jest.restoreAllMocks()
+})
+
+describe("bundle stock", () => {
+  it("is the number of whole bundles the components make up", () => {
+    const { box } = bbqBox({ brisketStock: 7, ribStock: 5 })
+
+    expect(box.getSellable().inventory).toMatchObject({ quantity: 3, trackQuantity: true })
+  })
+
+  it("is zero once a component is inactive, and unknown before components load", () => {
+    const { box, ribs } = bbqBox()
+    ribs.isActive = false
+
+    expect(box.getBundleInventory().quantity).toBe(0)
+    expect(
+      buildProduct({ type: "bundle", bundleItems: [{ product: ribs._id, quantity: 1 }] }).getBundleInventory(),
+    ).toBe(null)
+  })
+})
+
+describe("ordering bundles", () => {
+  const withCart = (items) => {
+    const cart = { items, save: jest.fn().mockResolvedValue() }
+    jest.spyOn(Cart, "findOne").mockReturnValue({ populate: () => Promise.resolve(cart) })
+    jest.spyOn(Product, "populateBundleComponents").mockResolvedValue()
+    jest.spyOn(Category, "find").mockReturnValue({ select: () => Promise.resolve([]) })
+    jest.spyOn(PriceRule, "find").mockResolvedValue([])
+    jest.spyOn(Order, "create").mockImplementation(async (fields) => new Order(fields))
+    jest.spyOn(User, "findById").mockResolvedValue({ name: "Sam", email: "sam@example.com" })
+    jest.spyOn(Product, "adjustStock").mockResolvedValue(true)
+  }
+
+  const placeOrder = async () => {
+    const res = buildResponse()
+    await createOrder(buildRequest({ body: { shippingAddress, paymentMethod: "stripe" } }), res)
+    return res
+  }
+
+  it("splits the bundle price over its components and takes their stock", async () => {
+    const { box, brisket, ribs, fullRack } = bbqBox()
+    withCart([{ product: box, quantity: 2 }])
+
+    const res = await placeOrder()
+
+    expect(res.statusCode).toBe(201)
+    // List prices are $80 of brisket and $20 of ribs, so $90 splits 72 / 18
+    expect(
+      res.body.data.items[0].bundleItems.map(({ name, quantity, allocatedPrice }) => [name, quantity, allocatedPrice]),
+    ).toEqual([
+      ["Brisket", 2, 72],
+      ["Pork ribs", 1, 18],
+    ])
+    expect(Product.adjustStock.mock.calls).toEqual([
+      [brisket._id, undefined, -4],
+      [ribs._id, fullRack._id, -2],
+    ])
+    expect(Product.adjustStock).not.toHaveBeenCalledWith(box._id, expect.anything(), expect.anything())
+  })
+
+  it("counts a component bought on its own and in a bundle together", async () => {
+    const { box, brisket } = bbqBox({ brisketStock: 3 })
+    withCart([
+      { product: box, quantity: 1 },
+      { product: brisket, quantity: 2 },
+    ])
+
+    const res = await placeOrder()
+
+    expect(res.statusCode).toBe(400)
+    expect(res.body.error).toBe("Only 3 items available for Brisket")
+    expect(Order.create).not.toHaveBeenCalled()
+  })
+
+  it("puts component stock back when the order is cancelled", async () => {
+    const { box, brisket, ribs, fullRack } = bbqBox()
+    withCart([{ product: box, quantity: 1 }])
+    const order = (await placeOrder()).body.data
+    jest.spyOn(order, "save").mockResolvedValue(order)
+    const found = Promise.resolve(order)
+    found.populate = () => found
+    jest.spyOn(Order, "findById").mockReturnValue(found)
+    Product.adjustStock.mockClear()
+
+    const res = buildResponse()
+    await cancelOrder(
+      buildRequest({ params: { id: order._id }, user: { id: order.user.toString(), role: "user" } }),
+      res,
+    )
+
+    expect(res.statusCode).toBe(200)
+    expect(Product.adjustStock.mock.calls).toEqual([
+      [brisket._id, undefined, 2],
+      [ribs._id, fullRack._id, 1],
+    ])
+  })
+})
@@ -0,0 +1,79 @@
+const Cart = require("../models/Cart")
+const Category = require("../models/Category")
+const PriceRule = require("../models/PriceRule")
+const Product = require("../models/Product")
+const { addToCart } = require("../controllers/cart")
+const { objectId, buildProduct, buildVariant, buildRequest, buildResponse } = require("./factories")
+
+const user = { id: objectId().toString(), role: "user" }
+
+const lamb = buildProduct({
+  name: "Lamb chops",
+  hasVariants: true,
+  variants: [
+    buildVariant({ sku: "LAMB-4", price: 18, options: { pack: "4" }, inventory: { quantity: 6 } }),
+    buildVariant({ sku: "LAMB-8", price: 32, options: { pack: "8" }, inventory: { quantity: 2 } }),
+  ],
+})
+const [fourPack, eightPack] = lamb.variants
+
+// Load lamb as the product and the given lines as the user's saved cart
+const withCart = (items) => {
+  const cart = new Cart({ user: user.id, items })
+  jest.spyOn(cart, "save").mockResolvedValue(cart)
+  jest.spyOn(cart, "populate").mockImplementation(async () => {
+    for (const item of cart.items) item.product = lamb
+    return cart
+  })
+  jest.spyOn(Cart, "findOne").mockResolvedValue(cart)
+  jest.spyOn(Product, "findById").mockReturnValue({ withBundleComponents: () => Promise.resolve(lamb) })
+  jest.spyOn(Product, "populateBundleComponents").mockResolvedValue()
+  jest.spyOn(Category, "find").mockReturnValue({ select: () => Promise.resolve([]) })
+  jest.spyOn(PriceRule, "find").mockResolvedValue([])
+  return cart
+}
+
+const add = async (body) => {
+  const res = buildResponse()
+  await addToCart(buildRequest({ body: { productId: lamb._id.toString(), ...body }, user }), res)
+  return res
+}
+
+afterEach(() => {
+  jest.restoreAllMocks()
+})
+
+describe("addToCart", () => {
+  it("keeps each variant on its own line at its own price", async () => {
+    const cart = withCart([{ product: lamb._id, variant: fourPack._id, quantity: 1, price: 18, totalPrice: 18 }])
+
+    const res = await add({ variantId: eightPack._id.toString(), quantity: 1 })
+
+    expect(res.statusCode).toBe(200)
+    expect(cart.items.map((item) => [String(item.variant), item.quantity, item.price])).toEqual([
+      [String(fourPack._id), 1, 18],
+      [String(eightPack._id), 1, 32],
+    ])
+  })
+
+  it("adds to the existing line up to the variant's stock", async () => {
+    const cart = withCart([{ product: lamb._id, variant: eightPack._id, quantity: 1, price: 32, totalPrice: 32 }])
+
+    expect((await add({ variantId: eightPack._id.toString(), quantity: 1 })).statusCode).toBe(200)
+    expect(cart.items[0]).toMatchObject({ quantity: 2, totalPrice: 64 })
+
+    withCart([{ product: lamb._id, variant: eightPack._id, quantity: 2, price: 32, totalPrice: 64 }])
+    const res = await add({ variantId: eightPack._id.toString(), quantity: 1 })
+    expect(res.statusCode).toBe(400)
+    expect(res.body.error).toBe("Only 2 items available in stock")
+  })
+
+  it("asks for a variant on products sold as variants", async () => {
+    withCart([])
+
+    const res = await add({ quantity: 1 })
+
+    expect(res.statusCode).toBe(400)
+    expect(res.body.error).toBe("Please select a valid product variant")
+  })
+})
@@ -0,0 +1,119 @@
+const Category = require("../models/Category")
+const Product = require("../models/Product")
+const { getCategoryTree, deleteCategory } = require("../controllers/categories")
+const { buildRequest, buildResponse } = require("./factories")
+
+// Beef > Steaks > Ribeye, plus Pork at the root
+const beef = new Category({ name: "Beef", slug: "beef" })
+const steaks = new Category({
+  name: "Steaks",
+  slug: "steaks",
+  parent: beef._id,
+  ancestors: [{ _id: beef._id, name: "Beef", slug: "beef" }],
+})
+const ribeye = new Category({
+  name: "Ribeye",
+  slug: "ribeye",
+  parent: steaks._id,
+  ancestors: [...steaks.ancestors, { _id: steaks._id, name: "Steaks", slug: "steaks" }],
+})
+const pork = new Category({ name: "Pork", slug: "pork" })
+
+const plain = (...categories) => categories.map((category) => category.toObject())
+const names = (nodes) => nodes.map((node) => [node.name, names(node.children)])
+
+afterEach(() => {
+  jest.restoreAllMocks()
+})
+
+describe("Category.buildTree", () => {
+  it("nests categories under their parents", () => {
+    expect(names(Category.buildTree(plain(ribeye, pork, steaks, beef)))).toEqual([
+      ["Pork", []],
+      ["Beef", [["Steaks", [["Ribeye", []]]]]],
+    ])
+  })
+
+  it("leaves out categories whose parent is missing, with their subtree", () => {
+    expect(names(Category.buildTree(plain(beef, ribeye, pork)))).toEqual([
+      ["Beef", []],
+      ["Pork", []],
+    ])
+  })
+})
+
+describe("getCategoryTree", () => {
+  it("hides subcategories of inactive categories and rolls up product counts", async () => {
+    // Steaks is inactive, so only Beef and Pork are listed as active
+    const query = { select: () => query, sort: () => query, lean: async () => plain(beef, ribeye, pork) }
+    jest.spyOn(Category, "find").mockReturnValue(query)
+    jest.spyOn(Product, "aggregate").mockResolvedValue([
+      { _id: beef._id, count: 2 },
+      { _id: ribeye._id, count: 5 },
+    ])
+    const res = buildResponse()
+
+    await getCategoryTree(buildRequest(), res)
+
+    expect(res.body.count).toBe(2)
+    expect(
+      res.body.data.map(({ name, productCount, totalProductCount }) => [name, productCount, totalProductCount]),
+    ).toEqual([
+      ["Beef", 2, 2],
+      ["Pork", 0, 0],
+    ])
+  })
+})
+
+describe("ancestors", () => {
+  it("are built from the parent on validate and give the breadcrumbs", async () => {
+    jest.spyOn(Category, "findById").mockReturnValue({ select: async () => steaks })
+    const tomahawk = new Category({ name: "Tomahawk", parent: steaks._id })
+
+    await tomahawk.validate()
+
+    expect(tomahawk.getBreadcrumbs().map((crumb) => crumb.name)).toEqual(["Beef", "Steaks", "Tomahawk"])
+  })
+
+  it("refuse to move a category under its own subcategory", async () => {
+    jest.spyOn(Category, "findById").mockReturnValue({ select: async () => ribeye })
+    const moved = Category.hydrate(beef.toObject())
+    moved.parent = ribeye._id
+
+    await expect(moved.validate()).rejects.toThrow(
+      "A category cannot be moved under itself or one of its subcategories",
+    )
+  })
+})
+
+describe("deleteCategory", () => {
+  const remove = async (query) => {
+    const category = Category.hydrate(steaks.toObject())
+    jest.spyOn(category, "deleteOne").mockResolvedValue()
+    jest.spyOn(Category, "findById").mockResolvedValue(category)
+    jest.spyOn(Product, "countDocuments").mockResolvedValue(0)
+    const child = Category.hydrate(ribeye.toObject())
+    jest.spyOn(child, "save").mockResolvedValue(child)
+    jest.spyOn(Category, "find").mockResolvedValue([child])
+
+    const res = buildResponse()
+    await deleteCategory(buildRequest({ params: { id: category._id }, query }), res)
+    return { res, category, child }
+  }
+
+  it("refuses to delete a category with subcategories", async () => {
+    const { res, category } = await remove({})
+
+    expect(res.statusCode).toBe(400)
+    expect(category.deleteOne).not.toHaveBeenCalled()
+  })
+
+  it("moves subcategories up to the parent when asked to", async () => {
+    const { res, category, child } = await remove({ reparent: "true" })
+
+    expect(res.statusCode).toBe(200)
+    expect(child.parent).toEqual(beef._id)
+    expect(child.save).toHaveBeenCalled()
+    expect(category.deleteOne).toHaveBeenCalled()
+  })
+})
@@ -0,0 +1,89 @@
+const Category = require("../models/Category")
+const Product = require("../models/Product")
+const { getProducts } = require("../controllers/products")
+const { getCertificationReport } = require("../controllers/admin")
+const { objectId, buildProduct, buildRequest, buildResponse, mockQuery } = require("./factories")
+
+const halal = (expiresAt) => ({ type: "halal", certifyingBody: "HFA", certificateNumber: "H-100", expiresAt })
+const daysFromNow = (days) => new Date(Date.now() + days * 24 * 60 * 60 * 1000)
+
+afterEach(() => {
+  jest.restoreAllMocks()
+})
+
+describe("certifications", () => {
+  it("expire at their expiry date", () => {
+    const product = buildProduct({
+      certifications: [halal(daysFromNow(-1)), { ...halal(daysFromNow(30)), type: "organic" }],
+    })
+
+    expect(product.certifications.map((certification) => certification.isExpired)).toEqual([true, false])
+  })
+
+  it("can't be listed twice, and allergens are deduplicated", async () => {
+    const product = buildProduct({
+      certifications: [halal(daysFromNow(30)), halal(daysFromNow(60))],
+      allergens: ["soy", "soy"],
+    })
+    jest.spyOn(Category, "getSpecificationSchema").mockResolvedValue([])
+
+    await expect(product.validate()).rejects.toThrow("Duplicate halal certification")
+    expect(product.allergens).toEqual(["soy"])
+  })
+})
+
+describe("getProducts filters", () => {
+  const list = async (query) => {
+    jest.spyOn(Product, "find").mockReturnValue(mockQuery([]))
+    jest.spyOn(Product, "countDocuments").mockResolvedValue(0)
+    const res = buildResponse()
+    await getProducts(buildRequest({ query }), res)
+    return res
+  }
+
+  it("requires every listed certification to be current", async () => {
+    const res = await list({ certification: "halal,organic", allergenFree: "soy" })
+
+    expect(res.statusCode).toBe(200)
+    expect(Product.find.mock.calls[0][0]).toEqual({
+      $and: [
+        { allergens: { $nin: ["soy"] } },
+        {
+          $and: [
+            { certifications: { $elemMatch: { type: "halal", expiresAt: { $gt: expect.any(Date) } } } },
+            { certifications: { $elemMatch: { type: "organic", expiresAt: { $gt: expect.any(Date) } } } },
+          ],
+        },
+        { isActive: true },
+      ],
+    })
+  })
+
+  it("rejects unknown certifications and allergens", async () => {
+    const res = await list({ certification: "vegan", allergenFree: "bacon" })
+
+    expect(res.statusCode).toBe(400)
+    expect(res.body.details).toEqual([
+      expect.stringMatching(/^Invalid value for allergenFree/),
+      expect.stringMatching(/^Invalid certification \(allowed: halal, kosher/),
+    ])
+  })
+})
+
+describe("getCertificationReport", () => {
+  it("splits expired from soon-to-expire certificates and counts active products", async () => {
+    const active = objectId()
+    jest.spyOn(Product, "aggregate").mockResolvedValue([
+      { product: active, isActive: true, type: "halal", expiresAt: daysFromNow(-10) },
+      { product: active, isActive: true, type: "organic", expiresAt: daysFromNow(-2) },
+      { product: objectId(), isActive: false, type: "kosher", expiresAt: daysFromNow(-1) },
+      { product: objectId(), isActive: true, type: "halal", expiresAt: daysFromNow(5) },
+    ])
+    const res = buildResponse()
+
+    await getCertificationReport(buildRequest({ query: { withinDays: "900" } }), res)
+
+    const { summary } = res.body.data
+    expect(summary).toEqual({ expiredCount: 3, expiringSoonCount: 1, activeProductsWithExpired: 1, withinDays: 365 })
+  })
+})
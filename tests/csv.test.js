@@ -0,0 +1,94 @@
+const { parseCsv, escapeCsvValue, toCsvLine } = require("../utils/csv")
+const { validateCsvHeaders, csvValuesToProductFields } = require("../utils/productCsv")
+
+describe("parseCsv", () => {
+  it("reads quoted fields with commas, quotes and line breaks", () => {
+    const text = 'sku,name,description\r\nRIB-1,"Ribeye, bone-in","16"" thick\ncut to order"\r\n'
+
+    expect(parseCsv(text)).toEqual([
+      ["sku", "name", "description"],
+      ["RIB-1", "Ribeye, bone-in", '16" thick\ncut to order'],
+    ])
+  })
+
+  it("drops a byte order mark and blank lines", () => {
+    expect(parseCsv("\ufeffsku,name\n\nRIB-1,Ribeye\n,\n")).toEqual([
+      ["sku", "name"],
+      ["RIB-1", "Ribeye"],
+    ])
+  })
+
+  it("rejects an unterminated quote", () => {
+    expect(() => parseCsv('sku,name\nRIB-1,"Ribeye')).toThrow("Unterminated quoted field")
+  })
+})
+
+describe("escapeCsvValue", () => {
+  it("writes empty cells for missing values", () => {
+    expect(escapeCsvValue(undefined)).toBe("")
+    expect(escapeCsvValue(null)).toBe("")
+  })
+
+  it("quotes values that need it", () => {
+    expect(escapeCsvValue("Ribeye")).toBe("Ribeye")
+    expect(escapeCsvValue("Ribeye, bone-in")).toBe('"Ribeye, bone-in"')
+    expect(escapeCsvValue('16" thick')).toBe('"16"" thick"')
+    expect(escapeCsvValue(" padded ")).toBe('" padded "')
+  })
+
+  it("guards text that spreadsheets would run as a formula", () => {
+    expect(escapeCsvValue('=HYPERLINK("http://x")')).toBe('"\'=HYPERLINK(""http://x"")"')
+    expect(escapeCsvValue("+1 free")).toBe("'+1 free")
+    expect(escapeCsvValue("-5 off")).toBe("'-5 off")
+    expect(escapeCsvValue("@SUM(A1)")).toBe("'@SUM(A1)")
+  })
+
+  it("leaves numbers as they are", () => {
+    expect(escapeCsvValue(-5)).toBe("-5")
+    expect(escapeCsvValue(12.5)).toBe("12.5")
+    expect(escapeCsvValue(false)).toBe("false")
+  })
+})
+
+describe("product CSV round-trip", () => {
+  const headers = ["sku", "name", "price", "isActive", "tags", "publishAt"]
+
+  it("reads back what the export writes", () => {
+    const values = ["RIB-1", '=cmd, "quoted"', -2.5, true, "bbq|grill", "2024-05-01T00:00:00.000Z"]
+    const [headerRow, row] = parseCsv(toCsvLine(headers) + toCsvLine(values))
+
+    expect(headerRow).toEqual(headers)
+    expect(csvValuesToProductFields(headerRow, row)).toEqual({
+      fields: {
+        sku: "RIB-1",
+        name: '=cmd, "quoted"',
+        price: -2.5,
+        isActive: true,
+        tags: ["bbq", "grill"],
+        publishAt: new Date("2024-05-01T00:00:00.000Z"),
+      },
+      categorySlug: undefined,
+      errors: [],
+    })
+  })
+
+  it("skips empty cells and reports invalid values", () => {
+    const { fields, errors } = csvValuesToProductFields(headers, ["RIB-1", "", "cheap", "yes", "", "someday", "extra"])
+
+    expect(fields).toEqual({ sku: "RIB-1" })
+    expect(errors).toEqual([
+      "Invalid number for price: cheap",
+      "Invalid boolean for isActive: yes (use true or false)",
+      "Invalid date for publishAt: someday",
+      "Row has 7 values but there are only 6 columns",
+    ])
+  })
+
+  it("checks the header row", () => {
+    expect(validateCsvHeaders(["name", "colour", "name"])).toEqual([
+      "Missing required column: sku",
+      "Unknown columns: colour",
+      "Duplicate columns: name",
+    ])
+  })
+})
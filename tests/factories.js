@@ -0,0 +1,129 @@
+const mongoose = require("mongoose")
+const Order = require("../models/Order")
+const Product = require("../models/Product")
+
+const objectId = () => new mongoose.Types.ObjectId()
+
+let skuCount = 0
+
+// Unsaved product with the required fields filled in; a new SKU each time
+const buildProduct = (fields = {}) =>
+  new Product({
+    name: "Ribeye",
+    description: "Dry-aged ribeye steak",
+    category: objectId(),
+    sku: `RIB-${++skuCount}`,
+    price: 30,
+    weight: { value: 1, unit: "lb" },
+    inventory: { quantity: 10 },
+    createdBy: objectId(),
+    ...fields,
+  })
+
+// Variant fields for buildProduct({ variants: [...] })
+const buildVariant = (fields = {}) => ({
+  sku: `RIB-V${++skuCount}`,
+  price: 30,
+  weight: { value: 1, unit: "lb" },
+  inventory: { quantity: 10 },
+  ...fields,
+})
+
+const shippingAddress = {
+  name: "Sam Butcher",
+  street: "1 Market St",
+  city: "Austin",
+  state: "TX",
+  zipCode: "78701",
+  phone: "555-0100",
+}
+
+// Order line for buildOrder({ items: [...] }), priced from its quantity
+const buildOrderItem = (fields = {}) => {
+  const { price = 30, quantity = 1 } = fields
+  return {
+    product: objectId(),
+    name: "Ribeye",
+    image: "/placeholder.svg",
+    price,
+    quantity,
+    totalPrice: price * quantity,
+    ...fields,
+  }
+}
+
+// Unsaved order whose totals are whatever the test gives it
+const buildOrder = (fields = {}) =>
+  new Order({
+    user: objectId(),
+    items: [buildOrderItem()],
+    shippingAddress,
+    paymentInfo: { method: "stripe" },
+    itemsPrice: 30,
+    taxPrice: 2.4,
+    shippingPrice: 10,
+    totalPrice: 42.4,
+    ...fields,
+  })
+
+// Just enough of an Express request for calling a controller directly
+const buildRequest = ({
+  params = {},
+  query = {},
+  body = {},
+  user = { id: objectId().toString(), role: "user" },
+  originalUrl = "/api/products",
+} = {}) => ({
+  params,
+  query,
+  body,
+  user,
+  headers: {},
+  protocol: "http",
+  originalUrl,
+  get: (header) => (header.toLowerCase() === "host" ? "localhost:5000" : undefined),
+})
+
+// Chainable stand-in for a Mongoose query that resolves to result
+const mockQuery = (result) => {
+  const query = { then: (resolve, reject) => Promise.resolve(result).then(resolve, reject) }
+  for (const method of ["select", "sort", "skip", "limit", "populate", "lean", "withBundleComponents"]) {
+    query[method] = () => query
+  }
+  return query
+}
+
+// Express response double; res.body holds whatever was sent
+const buildResponse = () => {
+  const res = { statusCode: 200, headers: {} }
+  res.status = jest.fn((code) => {
+    res.statusCode = code
+    return res
+  })
+  res.json = jest.fn((body) => {
+    res.body = body
+    return res
+  })
+  res.set = jest.fn((name, value) => {
+    res.headers[name] = value
+    return res
+  })
+  res.type = jest.fn((type) => res.set("Content-Type", type))
+  res.send = jest.fn((body) => {
+    res.body = body
+    return res
+  })
+  return res
+}
+
+module.exports = {
+  objectId,
+  shippingAddress,
+  buildProduct,
+  buildVariant,
+  buildOrderItem,
+  buildOrder,
+  buildRequest,
+  buildResponse,
+  mockQuery,
+}
@@ -0,0 +1,129 @@
+const fs = require("fs")
+const os = require("os")
+const path = require("path")
+const sharp = require("sharp")
+
+jest.mock("../config/storage", () => ({
+  providerName: "cloudinary",
+  uploadImage: jest.fn(),
+  deleteImage: jest.fn(),
+}))
+
+const { uploadImage, deleteImage } = require("../config/storage")
+const { storeImage, deleteStoredImage } = require("../utils/imageDerivatives")
+const { buildProduct } = require("./factories")
+
+const testDir = fs.mkdtempSync(path.join(os.tmpdir(), "derivatives-test-"))
+
+// Write a solid-colour image of the given size, with or without an alpha channel
+const sourceImage = async (width, height, { alpha = false } = {}) => {
+  const file = path.join(testDir, `${width}x${height}${alpha ? "-alpha.png" : ".jpg"}`)
+  await sharp({
+    create: { width, height, channels: alpha ? 4 : 3, background: { r: 120, g: 30, b: 30, alpha: 0.5 } },
+  }).toFile(file)
+  return file
+}
+
+// Fake provider: each upload gets an asset id from its folder and file extension
+beforeEach(() => {
+  let count = 0
+  uploadImage.mockReset().mockImplementation(async (file, folder) => {
+    const assetId = `${folder}/${++count}${path.extname(file)}`
+    return { url: `https://cdn.example.com/${assetId}`, assetId }
+  })
+  deleteImage.mockReset()
+})
+
+afterAll(() => {
+  fs.rmSync(testDir, { recursive: true, force: true })
+})
+
+describe("storeImage", () => {
+  it("stores every size in WebP and JPEG with a srcset per format", async () => {
+    const stored = await storeImage(await sourceImage(2000, 1500), "products/abc")
+
+    expect(stored.assetId).toBe("products/abc/9.jpg")
+    expect(stored.derivatives.map(({ name, format, width, height }) => [name, format, width, height])).toEqual([
+      ["thumbnail", "webp", 150, 150],
+      ["thumbnail", "jpeg", 150, 150],
+      ["card", "webp", 400, 300],
+      ["card", "jpeg", 400, 300],
+      ["detail", "webp", 800, 600],
+      ["detail", "jpeg", 800, 600],
+      ["zoom", "webp", 1600, 1200],
+      ["zoom", "jpeg", 1600, 1200],
+    ])
+    expect(uploadImage).toHaveBeenCalledWith(expect.stringMatching(/\.webp$/), "products/abc/thumbnail", {
+      transform: false,
+    })
+    expect(stored.srcset.webp).toBe(
+      [
+        "https://cdn.example.com/products/abc/thumbnail/1.webp 150w",
+        "https://cdn.example.com/products/abc/card/3.webp 400w",
+        "https://cdn.example.com/products/abc/detail/5.webp 800w",
+        "https://cdn.example.com/products/abc/zoom/7.webp 1600w",
+      ].join(", "),
+    )
+  })
+
+  it("never enlarges small images and lists each width once", async () => {
+    const stored = await storeImage(await sourceImage(300, 200), "products/abc")
+
+    const zoom = stored.derivatives.find((derivative) => derivative.name === "zoom")
+    expect([zoom.width, zoom.height]).toEqual([300, 200])
+    // detail and zoom both come out 300 wide; the srcset keeps one entry for it
+    expect(stored.srcset.jpeg.split(", ").map((entry) => entry.split(" ")[1])).toEqual(["150w", "300w"])
+  })
+
+  it("falls back to PNG for images with transparency", async () => {
+    const stored = await storeImage(await sourceImage(500, 500, { alpha: true }), "categories/abc")
+
+    expect([...new Set(stored.derivatives.map((derivative) => derivative.format))]).toEqual(["webp", "png"])
+    expect(Object.keys(stored.srcset)).toEqual(["webp", "png"])
+  })
+
+  it("removes the derivatives already stored when an upload fails", async () => {
+    const upload = uploadImage.getMockImplementation()
+    uploadImage.mockImplementation(async (file, folder) => {
+      if (folder.endsWith("/detail")) throw new Error("Image upload failed")
+      return upload(file, folder)
+    })
+
+    await expect(storeImage(await sourceImage(1000, 800), "products/abc")).rejects.toThrow("Image upload failed")
+    expect(deleteImage.mock.calls.map(([assetId]) => assetId)).toEqual([
+      "products/abc/thumbnail/1.webp",
+      "products/abc/thumbnail/2.jpg",
+      "products/abc/card/3.webp",
+      "products/abc/card/4.jpg",
+    ])
+  })
+})
+
+describe("deleteStoredImage", () => {
+  it("deletes the image and all its derivatives", async () => {
+    const stored = await storeImage(await sourceImage(800, 600), "products/abc")
+
+    await deleteStoredImage(stored)
+
+    expect(deleteImage).toHaveBeenCalledTimes(9)
+    expect(deleteImage).toHaveBeenCalledWith(stored.assetId)
+  })
+
+  it("reads the public id of older Cloudinary images from their URL", async () => {
+    await deleteStoredImage({ url: "https://res.cloudinary.com/shop/image/upload/v123/meat-shop/ribeye.jpg" })
+    await deleteStoredImage({ url: "/placeholder.svg" })
+
+    expect(deleteImage.mock.calls).toEqual([["meat-shop/ribeye"]])
+  })
+})
+
+describe("product images", () => {
+  it("serialize with their srcset map", async () => {
+    const stored = await storeImage(await sourceImage(800, 600), "products/abc")
+    const product = buildProduct({ images: [{ ...stored, alt: "Ribeye", isPrimary: true }] })
+
+    const [image] = product.toJSON().images
+    expect(image.srcset).toEqual(stored.srcset)
+    expect(image.derivatives).toHaveLength(8)
+  })
+})
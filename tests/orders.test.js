@@ -0,0 +1,319 @@
+jest.mock("../utils/sendEmail")
+jest.mock("stripe", () => {
+  const stripe = { paymentIntents: { retrieve: jest.fn(), capture: jest.fn(), cancel: jest.fn() } }
+  return () => stripe
+})
+
+const stripe = require("stripe")()
+
+const Cart = require("../models/Cart")
+const Category = require("../models/Category")
+const Order = require("../models/Order")
+const PriceRule = require("../models/PriceRule")
+const Product = require("../models/Product")
+const User = require("../models/User")
+const { createOrder, cancelOrder, confirmPayment } = require("../controllers/orders")
+const { recordOrderWeights } = require("../controllers/admin")
+const {
+  objectId,
+  shippingAddress,
+  buildProduct,
+  buildVariant,
+  buildOrderItem,
+  buildOrder,
+  buildRequest,
+  buildResponse,
+} = require("./factories")
+
+// Serve the given cart lines as the user's cart, with no sales running
+const withCart = (items) => {
+  const cart = { items, save: jest.fn().mockResolvedValue() }
+  jest.spyOn(Cart, "findOne").mockReturnValue({ populate: () => Promise.resolve(cart) })
+  jest.spyOn(Product, "populateBundleComponents").mockResolvedValue()
+  jest.spyOn(Category, "find").mockReturnValue({ select: () => Promise.resolve([]) })
+  jest.spyOn(PriceRule, "find").mockResolvedValue([])
+  return cart
+}
+
+const placeOrder = async () => {
+  const res = buildResponse()
+  await createOrder(buildRequest({ body: { shippingAddress, paymentMethod: "stripe" } }), res)
+  return res
+}
+
+beforeEach(() => {
+  jest.spyOn(Order, "create").mockImplementation(async (fields) => {
+    const order = new Order(fields)
+    jest.spyOn(order, "deleteOne").mockResolvedValue()
+    return order
+  })
+  jest.spyOn(User, "findById").mockResolvedValue({ name: "Sam", email: "sam@example.com" })
+})
+
+afterEach(() => {
+  jest.restoreAllMocks()
+  jest.clearAllMocks()
+})
+
+// Serve the order from Order.findById, with or without .populate()
+const withOrder = (order) => {
+  jest.spyOn(order, "save").mockResolvedValue(order)
+  const found = Promise.resolve(order)
+  found.populate = () => found
+  jest.spyOn(Order, "findById").mockReturnValue(found)
+  return order
+}
+
+// Catch-weight steak at $20/lb in packs of about 2 lb, two packs still to be weighed
+const catchWeightOrder = (fields) =>
+  buildOrder({
+    items: [
+      buildOrderItem({
+        name: "Tomahawk",
+        price: 40,
+        quantity: 2,
+        isCatchWeight: true,
+        catchWeight: { pricePerUnit: 20, unit: "lb", estimatedWeight: 4 },
+      }),
+    ],
+    itemsPrice: 80,
+    taxPrice: 6.4,
+    shippingPrice: 10,
+    totalPrice: 96.4,
+    ...fields,
+  })
+
+describe("Product.adjustStock", () => {
+  it("only takes variant stock while enough is left", async () => {
+    const productId = objectId()
+    const variantId = objectId()
+    const updateOne = jest.spyOn(Product, "updateOne").mockResolvedValue({ matchedCount: 1 })
+
+    expect(await Product.adjustStock(productId, variantId, -3)).toBe(true)
+    expect(updateOne).toHaveBeenCalledWith(
+      {
+        _id: productId,
+        variants: {
+          $elemMatch: { _id: variantId, "inventory.trackQuantity": true, "inventory.quantity": { $gte: 3 } },
+        },
+      },
+      { $inc: { "variants.$.inventory.quantity": -3 } },
+    )
+  })
+
+  it("reports a shortage on tracked stock", async () => {
+    const productId = objectId()
+    jest.spyOn(Product, "updateOne").mockResolvedValue({ matchedCount: 0 })
+    const exists = jest.spyOn(Product, "exists").mockResolvedValue({ _id: productId })
+
+    expect(await Product.adjustStock(productId, null, -2)).toBe(false)
+    expect(Product.updateOne.mock.calls[0][0]).toEqual({
+      _id: productId,
+      "inventory.trackQuantity": true,
+      "inventory.quantity": { $gte: 2 },
+    })
+    expect(exists).toHaveBeenCalledWith({ _id: productId, "inventory.trackQuantity": true })
+  })
+
+  it("lets untracked stock through and puts stock back unconditionally", async () => {
+    const productId = objectId()
+    const updateOne = jest.spyOn(Product, "updateOne").mockResolvedValue({ matchedCount: 0 })
+    jest.spyOn(Product, "exists").mockResolvedValue(null)
+
+    expect(await Product.adjustStock(productId, null, -2)).toBe(true)
+    expect(await Product.adjustStock(productId, null, 2)).toBe(true)
+    expect(updateOne).toHaveBeenLastCalledWith(
+      { _id: productId, "inventory.trackQuantity": true },
+      { $inc: { "inventory.quantity": 2 } },
+    )
+  })
+})
+
+describe("createOrder", () => {
+  const ribeye = () =>
+    buildProduct({
+      hasVariants: true,
+      variants: [
+        buildVariant({ sku: "RIB-12OZ", price: 24, options: { size: "12oz" }, inventory: { quantity: 5 } }),
+        buildVariant({ sku: "RIB-20OZ", price: 38, options: { size: "20oz" }, inventory: { quantity: 1 } }),
+      ],
+    })
+
+  it("orders the chosen variant and takes its stock", async () => {
+    const product = ribeye()
+    const [small] = product.variants
+    const cart = withCart([{ product, variant: small._id, quantity: 2 }])
+    const adjustStock = jest.spyOn(Product, "adjustStock").mockResolvedValue(true)
+
+    const res = await placeOrder()
+
+    expect(res.statusCode).toBe(201)
+    expect(res.body.data.items[0]).toMatchObject({ sku: "RIB-12OZ", price: 24, quantity: 2, totalPrice: 48 })
+    expect(res.body.data.items[0].variant).toEqual(small._id)
+    expect(adjustStock).toHaveBeenCalledWith(product._id, small._id, -2)
+    expect(cart.items).toEqual([])
+  })
+
+  it("refuses more than the variant has in stock", async () => {
+    const product = ribeye()
+    withCart([{ product, variant: product.variants[1]._id, quantity: 2 }])
+
+    const res = await placeOrder()
+
+    expect(res.statusCode).toBe(400)
+    expect(res.body.error).toBe("Only 1 items available for Ribeye")
+    expect(Order.create).not.toHaveBeenCalled()
+  })
+
+  it("puts back stock and drops the order when another order took the last units", async () => {
+    const product = ribeye()
+    const brisket = buildProduct({ name: "Brisket", price: 60 })
+    const cart = withCart([
+      { product, variant: product.variants[0]._id, quantity: 2 },
+      { product: brisket, quantity: 1 },
+    ])
+    const adjustStock = jest
+      .spyOn(Product, "adjustStock")
+      .mockResolvedValue(true)
+      .mockResolvedValueOnce(true)
+      .mockResolvedValueOnce(false)
+
+    const res = await placeOrder()
+
+    expect(res.statusCode).toBe(400)
+    expect(res.body.error).toBe("Not enough stock left for Brisket")
+    expect(adjustStock.mock.calls).toEqual([
+      [product._id, product.variants[0]._id, -2],
+      [brisket._id, undefined, -1],
+      [product._id, product.variants[0]._id, 2],
+    ])
+    const order = await Order.create.mock.results[0].value
+    expect(order.deleteOne).toHaveBeenCalled()
+    expect(cart.save).not.toHaveBeenCalled()
+  })
+})
+
+describe("catch-weight orders", () => {
+  it("charges the estimated weight at checkout", async () => {
+    const tomahawk = buildProduct({
+      name: "Tomahawk",
+      weight: { value: 32, unit: "oz" },
+      catchWeight: { enabled: true, pricePerUnit: 20, unit: "lb" },
+    })
+    withCart([{ product: tomahawk, quantity: 2 }])
+    jest.spyOn(Product, "adjustStock").mockResolvedValue(true)
+
+    const res = await placeOrder()
+
+    expect(res.statusCode).toBe(201)
+    expect(res.body.data.items[0]).toMatchObject({
+      price: 40,
+      totalPrice: 80,
+      isCatchWeight: true,
+      catchWeight: { pricePerUnit: 20, unit: "lb", estimatedWeight: 4 },
+    })
+    expect(res.body.data.awaitingWeights).toBe(true)
+  })
+
+  it("captures the weighed total on the authorization", async () => {
+    const order = withOrder(catchWeightOrder({ status: "confirmed" }))
+    order.paymentInfo.transactionId = "pi_123"
+    stripe.paymentIntents.retrieve.mockResolvedValue({
+      id: "pi_123",
+      status: "requires_capture",
+      amount_capturable: 11086,
+    })
+    stripe.paymentIntents.capture.mockResolvedValue({ amount_received: 8560 })
+
+    const res = buildResponse()
+    const items = [{ itemId: order.items[0]._id.toString(), actualWeight: 3.5 }]
+    await recordOrderWeights(buildRequest({ params: { id: order._id }, body: { items } }), res)
+
+    // 3.5 lb at $20 is $70, plus 8% tax and the $10 shipping quoted at checkout
+    expect(order.totalPrice).toBe(85.6)
+    expect(stripe.paymentIntents.capture).toHaveBeenCalledWith(
+      "pi_123",
+      { amount_to_capture: 8560 },
+      { idempotencyKey: `capture-${order._id}` },
+    )
+    expect(res.body.capture).toEqual({ amount: 85.6, shortfall: 0 })
+    expect(order.isPaid).toBe(true)
+  })
+})
+
+describe("confirmPayment", () => {
+  const confirm = async (order, paymentIntent) => {
+    withOrder(order)
+    stripe.paymentIntents.retrieve.mockResolvedValue({ metadata: { orderId: order._id.toString() }, ...paymentIntent })
+    const res = buildResponse()
+    const user = { id: order.user.toString(), role: "user" }
+    await confirmPayment(buildRequest({ params: { id: order._id }, body: { paymentIntentId: "pi_123" }, user }), res)
+    return res
+  }
+
+  it("records an authorization that covers the estimate plus the buffer", async () => {
+    const order = catchWeightOrder()
+
+    // $96.40 plus the 15% buffer is $110.86
+    const res = await confirm(order, { status: "requires_capture", amount_capturable: 11086 })
+
+    expect(res.statusCode).toBe(200)
+    expect(order.status).toBe("confirmed")
+    expect(order.paymentInfo).toMatchObject({ transactionId: "pi_123", authorizedAmount: 110.86 })
+  })
+
+  it("rejects an authorization smaller than the order needs", async () => {
+    const order = catchWeightOrder()
+
+    const res = await confirm(order, { status: "requires_capture", amount_capturable: 9640 })
+
+    expect(res.statusCode).toBe(400)
+    expect(res.body.error).toBe("Authorized amount does not cover the order total")
+    expect(order.save).not.toHaveBeenCalled()
+  })
+
+  it("rejects a payment made for another order", async () => {
+    const order = catchWeightOrder()
+
+    const res = await confirm(order, { status: "succeeded", metadata: { orderId: objectId().toString() } })
+
+    expect(res.statusCode).toBe(400)
+    expect(res.body.error).toBe("Payment does not belong to this order")
+    expect(order.isPaid).toBe(false)
+  })
+})
+
+describe("cancelOrder", () => {
+  const cancel = async (order) => {
+    withOrder(order)
+    jest.spyOn(Product, "adjustStock").mockResolvedValue(true)
+    const res = buildResponse()
+    await cancelOrder(
+      buildRequest({ params: { id: order._id }, user: { id: order.user.toString(), role: "user" } }),
+      res,
+    )
+    return res
+  }
+
+  it("releases an uncaptured authorization", async () => {
+    const order = catchWeightOrder({ status: "confirmed" })
+    Object.assign(order.paymentInfo, { transactionId: "pi_123", authorizedAmount: 110.86, authorizedAt: new Date() })
+
+    const res = await cancel(order)
+
+    expect(res.statusCode).toBe(200)
+    expect(stripe.paymentIntents.cancel).toHaveBeenCalledWith("pi_123")
+    expect(order.paymentInfo.cancelledAt).toBeInstanceOf(Date)
+    expect(order.statusHistory.at(-1).note).toBe("Cancelled by customer, payment authorization released")
+    expect(Product.adjustStock).toHaveBeenCalledWith(order.items[0].product, undefined, 2)
+  })
+
+  it("leaves paid and unauthorized orders with Stripe alone", async () => {
+    const paid = buildOrder({ status: "confirmed", isPaid: true })
+    Object.assign(paid.paymentInfo, { transactionId: "pi_123", authorizedAmount: 42.4, capturedAmount: 42.4 })
+    await cancel(paid)
+    await cancel(buildOrder())
+
+    expect(stripe.paymentIntents.cancel).not.toHaveBeenCalled()
+  })
+})
@@ -0,0 +1,139 @@
+const mongoose = require("mongoose")
+const { parsePagination, getPageQuery, withPageFilter, buildPage } = require("../utils/paginate")
+
+const { buildRequest, buildResponse } = require("./factories")
+
+const mockReq = (query = {}) => buildRequest({ query, originalUrl: "/api/products?limit=2" })
+
+// Build a page from docs and return the cursor it hands out for the next page
+const nextCursor = (paging, docs) => buildPage(mockReq(), buildResponse(), paging, docs).pagination.next.cursor
+
+describe("parsePagination", () => {
+  it("defaults to offset mode with the total", () => {
+    expect(parsePagination(mockReq({ page: "3", limit: "5" }))).toMatchObject({
+      mode: "offset",
+      page: 3,
+      limit: 5,
+      skip: 10,
+      includeTotal: true,
+    })
+  })
+
+  it("clamps the limit", () => {
+    expect(parsePagination(mockReq({ limit: "1000" })).limit).toBe(100)
+    expect(parsePagination(mockReq({ limit: "0" }), { defaultLimit: 12 }).limit).toBe(12)
+    expect(parsePagination(mockReq({ limit: "500" }), { maxLimit: 50 }).limit).toBe(50)
+  })
+
+  it("switches to cursor mode on an empty cursor", () => {
+    const paging = parsePagination(mockReq({ cursor: "" }))
+
+    expect(paging).toMatchObject({ mode: "cursor", cursor: null, includeTotal: false })
+    expect(getPageQuery(paging)).toEqual({ filter: null, sort: { createdAt: -1, _id: -1 }, skip: 0, limit: 13 })
+  })
+
+  it("rejects malformed cursors", () => {
+    expect(parsePagination(mockReq({ cursor: "not-a-cursor" }))).toEqual({ error: "Invalid or expired cursor" })
+  })
+})
+
+describe("cursors", () => {
+  const sort = "-price"
+  const docs = [
+    { _id: new mongoose.Types.ObjectId(), price: 20, createdAt: new Date("2024-01-02") },
+    { _id: new mongoose.Types.ObjectId(), price: 10, createdAt: new Date("2024-01-01") },
+  ]
+
+  it("round-trips the sort values of the last document", () => {
+    const cursor = nextCursor(parsePagination(mockReq({ cursor: "", limit: "1" }), { sort }), docs)
+    const paging = parsePagination(mockReq({ cursor, limit: "1" }), { sort })
+
+    expect(paging.cursor.direction).toBe("next")
+    expect(paging.cursor.values[0]).toBe(20)
+    expect(paging.cursor.values[1]).toBeInstanceOf(mongoose.Types.ObjectId)
+    expect(paging.cursor.values[1].equals(docs[0]._id)).toBe(true)
+  })
+
+  it("keeps dates as dates", () => {
+    const paging = parsePagination(mockReq({ cursor: "", limit: "1" }))
+    const decoded = parsePagination(mockReq({ cursor: nextCursor(paging, docs) }))
+
+    expect(decoded.cursor.values[0]).toEqual(new Date("2024-01-02"))
+  })
+
+  it("filters to the documents after the cursor", () => {
+    const cursor = nextCursor(parsePagination(mockReq({ cursor: "", limit: "1" }), { sort }), docs)
+    const pageQuery = getPageQuery(parsePagination(mockReq({ cursor, limit: "1" }), { sort }))
+
+    expect(pageQuery.filter).toEqual({
+      $or: [
+        { $or: [{ price: { $lt: 20 } }, { price: null }] },
+        { price: 20, $or: [{ _id: { $lt: docs[0]._id } }, { _id: null }] },
+      ],
+    })
+    expect(withPageFilter({ isActive: true }, pageQuery)).toEqual({ $and: [{ isActive: true }, pageQuery.filter] })
+  })
+
+  it("handles null sort values", () => {
+    const withNull = [{ _id: new mongoose.Types.ObjectId(), price: null }]
+    const ascending = nextCursor(parsePagination(mockReq({ cursor: "", limit: "1" }), { sort: "price" }), [
+      ...withNull,
+      ...docs,
+    ])
+    const descending = nextCursor(parsePagination(mockReq({ cursor: "", limit: "1" }), { sort }), [
+      ...withNull,
+      ...docs,
+    ])
+
+    expect(getPageQuery(parsePagination(mockReq({ cursor: ascending }), { sort: "price" })).filter).toEqual({
+      $or: [{ price: { $ne: null } }, { price: null, _id: { $gt: withNull[0]._id } }],
+    })
+    // Nothing sorts below null, so only ties on price can follow
+    expect(getPageQuery(parsePagination(mockReq({ cursor: descending }), { sort })).filter).toEqual({
+      $or: [{ price: null, $or: [{ _id: { $lt: withNull[0]._id } }, { _id: null }] }],
+    })
+  })
+
+  it("rejects a cursor issued for a different sort", () => {
+    const cursor = nextCursor(parsePagination(mockReq({ cursor: "", limit: "1" }), { sort }), docs)
+
+    expect(parsePagination(mockReq({ cursor }), { sort: "name" })).toEqual({ error: "Invalid or expired cursor" })
+  })
+
+  it("rejects cursors carrying query operators", () => {
+    const crafted = Buffer.from(
+      JSON.stringify({ s: "-price,-_id", d: "next", v: [{ $gt: "" }, { $oid: docs[0]._id.toString() }] }),
+    ).toString("base64url")
+
+    expect(parsePagination(mockReq({ cursor: crafted }), { sort })).toEqual({ error: "Invalid or expired cursor" })
+  })
+})
+
+describe("buildPage", () => {
+  const docs = [1, 2, 3].map((n) => ({ _id: new mongoose.Types.ObjectId(), createdAt: new Date(2024, 0, n) }))
+
+  it("links offset pages and offers a cursor for the next one", () => {
+    const res = buildResponse()
+    const { data, pagination } = buildPage(
+      mockReq({ page: "2" }),
+      res,
+      parsePagination(mockReq({ page: "2", limit: "3" })),
+      docs,
+      10,
+    )
+
+    expect(data).toBe(docs)
+    expect(pagination).toMatchObject({ mode: "offset", next: { page: 3, limit: 3 }, prev: { page: 1, limit: 3 } })
+    expect(typeof pagination.next.cursor).toBe("string")
+    expect(res.headers.Link).toContain('rel="next"')
+  })
+
+  it("trims the extra document in cursor mode", () => {
+    const paging = parsePagination(mockReq({ cursor: "", limit: "2" }))
+    const { data, pagination } = buildPage(mockReq(), buildResponse(), paging, docs)
+
+    expect(data).toEqual(docs.slice(0, 2))
+    expect(pagination.next.cursor).toBeDefined()
+    expect(pagination.prev).toBeUndefined()
+  })
+})
@@ -0,0 +1,95 @@
+const mongoose = require("mongoose")
+const Category = require("../models/Category")
+const PriceRule = require("../models/PriceRule")
+const { applyPriceRules } = require("../utils/priceRules")
+const { buildProduct } = require("./factories")
+
+const parentId = new mongoose.Types.ObjectId()
+const categoryId = new mongoose.Types.ObjectId()
+
+const rule = (fields) =>
+  new PriceRule({ name: `${fields.discountType} ${fields.value}`, startsAt: new Date("2024-01-01"), ...fields })
+
+const product = (fields) => buildProduct({ category: categoryId, ...fields })
+
+// Load the given running rules, with the product's category under parentId
+const withRules = (rules) => {
+  jest.spyOn(PriceRule, "find").mockResolvedValue(rules)
+  jest.spyOn(Category, "find").mockReturnValue({
+    select: () => Promise.resolve([new Category({ _id: categoryId, name: "Steaks", ancestors: [{ _id: parentId }] })]),
+  })
+}
+
+afterEach(() => {
+  jest.restoreAllMocks()
+})
+
+describe("applyPriceRules", () => {
+  it("attaches the rule giving the lowest price", async () => {
+    const doc = product()
+    const tenPercent = rule({ discountType: "percentage", value: 10, product: doc._id })
+    const fiveOff = rule({ discountType: "amount", value: 5, product: doc._id })
+    withRules([tenPercent, fiveOff])
+
+    await applyPriceRules([doc])
+
+    expect(doc.$locals.priceRule).toBe(fiveOff)
+    expect(doc.sale).toMatchObject({ price: 25, priceRange: { min: 25, max: 25 } })
+  })
+
+  it("applies sales on the category and its ancestors", async () => {
+    const doc = product()
+    const parentSale = rule({ discountType: "percentage", value: 20, category: parentId })
+    const otherSale = rule({ discountType: "percentage", value: 50, category: new mongoose.Types.ObjectId() })
+    withRules([parentSale, otherSale])
+
+    await applyPriceRules([doc])
+
+    expect(doc.$locals.priceRule).toBe(parentSale)
+  })
+
+  it("leaves products without a matching sale alone", async () => {
+    const doc = product()
+    withRules([])
+
+    await applyPriceRules([doc, null])
+
+    expect(doc.$locals.priceRule).toBeNull()
+    expect(doc.sale).toBeNull()
+  })
+
+  it("compares variant prices rather than the base price", async () => {
+    const doc = product({
+      price: 5,
+      variants: [
+        { sku: "RIB-1-S", price: 40, weight: { value: 1, unit: "lb" }, options: { size: "small" } },
+        { sku: "RIB-1-L", price: 60, weight: { value: 2, unit: "lb" }, options: { size: "large" } },
+      ],
+    })
+    // At $5 the 20% sale looks better, but on the variants $10 flat is far lower
+    const twentyPercent = rule({ discountType: "percentage", value: 20, product: doc._id })
+    const tenFlat = rule({ discountType: "fixed", value: 10, product: doc._id })
+    withRules([twentyPercent, tenFlat])
+
+    await applyPriceRules([doc])
+
+    expect(doc.$locals.priceRule).toBe(tenFlat)
+    expect(doc.getSellable(doc.variants[1]._id).price).toBe(10)
+  })
+
+  it("compares the per-unit rate of catch-weight products", async () => {
+    const doc = product({
+      price: 1,
+      weight: { value: 2, unit: "lb" },
+      catchWeight: { enabled: true, pricePerUnit: 20, unit: "lb" },
+    })
+    const threeOff = rule({ discountType: "amount", value: 3, product: doc._id })
+    const halfOff = rule({ discountType: "percentage", value: 50, product: doc._id })
+    withRules([threeOff, halfOff])
+
+    await applyPriceRules([doc])
+
+    expect(doc.$locals.priceRule).toBe(halfOff)
+    expect(doc.getSellable()).toMatchObject({ pricePerUnit: 10, estimatedWeight: 2, price: 20, comparePrice: 40 })
+  })
+})
@@ -0,0 +1,75 @@
+const { EventEmitter } = require("events")
+const Category = require("../models/Category")
+const Product = require("../models/Product")
+const { exportProducts } = require("../controllers/admin")
+const { parseCsv } = require("../utils/csv")
+const { buildRequest } = require("./factories")
+
+// Response that is always "full": every write asks the caller to wait for "drain"
+const slowResponse = () => {
+  const res = new EventEmitter()
+  res.chunks = []
+  res.setHeader = jest.fn()
+  res.write = jest.fn((chunk) => {
+    res.chunks.push(chunk)
+    setImmediate(() => res.emit("drain"))
+    return false
+  })
+  res.end = jest.fn()
+  return res
+}
+
+const withProducts = (products) => {
+  jest.spyOn(Category, "distinct").mockResolvedValue([])
+  jest.spyOn(Product, "aggregate").mockResolvedValue([])
+  const cursor = async function* () {
+    yield* products
+  }
+  const query = { sort: () => query, populate: () => query, lean: () => query, cursor }
+  jest.spyOn(Product, "find").mockReturnValue(query)
+}
+
+afterEach(() => {
+  jest.restoreAllMocks()
+})
+
+describe("exportProducts", () => {
+  it("streams every product and cleans up its listeners while waiting on a slow client", async () => {
+    const products = Array.from({ length: 30 }, (_, i) => ({
+      sku: `RIB-${i}`,
+      name: `Ribeye ${i}`,
+      price: 30 + i,
+      category: { slug: "steaks" },
+    }))
+    withProducts(products)
+    const res = slowResponse()
+
+    await exportProducts(buildRequest(), res)
+
+    const [headers, ...rows] = parseCsv(res.chunks.join(""))
+    expect(rows).toHaveLength(30)
+    expect(rows[29][headers.indexOf("sku")]).toBe("RIB-29")
+    expect(res.listenerCount("drain")).toBe(0)
+    expect(res.listenerCount("close")).toBe(0)
+    expect(res.end).toHaveBeenCalled()
+  })
+
+  it("stops once the client goes away", async () => {
+    withProducts([{ sku: "RIB-1" }, { sku: "RIB-2" }, { sku: "RIB-3" }])
+    const res = slowResponse()
+    res.write.mockImplementation((chunk) => {
+      res.chunks.push(chunk)
+      setImmediate(() => {
+        res.destroyed = true
+        res.emit("close")
+      })
+      return false
+    })
+
+    await exportProducts(buildRequest(), res)
+
+    // The header row and the first product, then nothing more
+    expect(res.chunks).toHaveLength(2)
+    expect(res.listenerCount("drain")).toBe(0)
+  })
+})
@@ -0,0 +1,97 @@
+const Category = require("../models/Category")
+const Order = require("../models/Order")
+const PriceRule = require("../models/PriceRule")
+const Product = require("../models/Product")
+const ProductView = require("../models/ProductView")
+const { getViewer, getRecentlyViewedProducts, buildForYouFeed } = require("../utils/productFeed")
+const { objectId, buildProduct, mockQuery } = require("./factories")
+
+const userId = objectId()
+const view = (product, minutesAgo, fields) => ({
+  product: product._id,
+  lastViewedAt: new Date(Date.now() - minutesAgo * 60 * 1000),
+  ...fields,
+})
+
+// Serve products by the kind of query the feed makes
+const withProducts = ({ viewed = [], purchased = [], featured = [], popular = [] }) => {
+  jest.spyOn(Product, "find").mockImplementation((filter) => {
+    if (filter._id) return mockQuery(viewed.filter((product) => filter._id.$in.some((id) => id.equals(product._id))))
+    if (filter.category) return mockQuery(purchased)
+    if (filter.isFeatured) return mockQuery(featured)
+    return mockQuery(popular)
+  })
+}
+
+const feedNames = (feed) => feed.map((entry) => [entry.name, entry.reason])
+
+beforeEach(() => {
+  jest.spyOn(PriceRule, "find").mockResolvedValue([])
+  jest.spyOn(Category, "find").mockReturnValue(mockQuery([]))
+})
+
+afterEach(() => {
+  jest.restoreAllMocks()
+})
+
+describe("viewers", () => {
+  it("are the signed-in user and the device", () => {
+    expect(getViewer({ user: { _id: userId }, deviceId: "dev-1" })).toEqual({ user: userId, deviceId: "dev-1" })
+    expect(getViewer({})).toBeNull()
+    expect(ProductView.viewerFilter({ user: userId, deviceId: "dev-1" })).toEqual({
+      $or: [{ user: userId }, { deviceId: "dev-1" }],
+    })
+    expect(ProductView.viewerFilter({ deviceId: "dev-1" })).toEqual({ $or: [{ deviceId: "dev-1" }] })
+  })
+})
+
+describe("getRecentlyViewedProducts", () => {
+  it("keeps the latest view of a product seen as a user and as a device", async () => {
+    const ribeye = buildProduct({ name: "Ribeye" })
+    const brisket = buildProduct({ name: "Brisket" })
+    const views = [view(ribeye, 1, { user: userId }), view(brisket, 5), view(ribeye, 60, { deviceId: "dev-1" })]
+    jest.spyOn(ProductView, "find").mockReturnValue(mockQuery(views))
+    withProducts({ viewed: [brisket, ribeye] })
+
+    const recent = await getRecentlyViewedProducts({ user: userId, deviceId: "dev-1" }, 10)
+
+    expect(recent.map((product) => [product.name, product.viewedAt])).toEqual([
+      ["Ribeye", views[0].lastViewedAt],
+      ["Brisket", views[1].lastViewedAt],
+    ])
+  })
+})
+
+describe("buildForYouFeed", () => {
+  it("takes from each source in turn and skips products that are out of stock", async () => {
+    const viewed = [buildProduct({ name: "Ribeye" }), buildProduct({ name: "Oxtail", inventory: { quantity: 0 } })]
+    const purchased = [buildProduct({ name: "Pork belly" }), buildProduct({ name: "Pork chops" })]
+    const featured = [buildProduct({ name: "Wagyu" }), viewed[0]]
+    jest.spyOn(ProductView, "find").mockReturnValue(mockQuery(viewed.map((product) => view(product, 1))))
+    jest.spyOn(Order, "aggregate").mockResolvedValue([{ _id: objectId(), quantity: 4 }])
+    withProducts({ viewed, purchased, featured, popular: [buildProduct({ name: "Chicken thighs" })] })
+
+    const feed = await buildForYouFeed({ user: userId }, 5)
+
+    expect(feedNames(feed)).toEqual([
+      ["Ribeye", "recently-viewed"],
+      ["Pork belly", "purchased-category"],
+      ["Wagyu", "featured"],
+      ["Pork chops", "purchased-category"],
+      ["Chicken thighs", "popular"],
+    ])
+  })
+
+  it("shows featured and popular products to anonymous visitors", async () => {
+    const viewFind = jest.spyOn(ProductView, "find")
+    withProducts({ featured: [buildProduct({ name: "Wagyu" })], popular: [buildProduct({ name: "Brisket" })] })
+
+    const feed = await buildForYouFeed(null, 4)
+
+    expect(feedNames(feed)).toEqual([
+      ["Wagyu", "featured"],
+      ["Brisket", "popular"],
+    ])
+    expect(viewFind).not.toHaveBeenCalled()
+  })
+})
@@ -0,0 +1,173 @@
+const Category = require("../models/Category")
+const Product = require("../models/Product")
+const { applyProductSchedules } = require("../utils/productLifecycle")
+const { getAllProducts, updateProductLifecycle } = require("../controllers/admin")
+const { objectId, buildProduct, buildRequest, buildResponse, mockQuery } = require("./factories")
+
+const admin = { id: objectId().toString(), role: "admin" }
+const now = new Date("2024-11-20T09:00:00Z")
+const hoursFromNow = (hours) => new Date(now.getTime() + hours * 60 * 60 * 1000)
+
+// A product as loaded from the database, so changes show up as modified paths
+const savedProduct = (fields) => Product.hydrate(buildProduct(fields).toObject())
+
+// Products the scheduler finds for each status, with saves that succeed
+const withScheduled = (productsByStatus) => {
+  for (const product of Object.values(productsByStatus).flat()) {
+    jest.spyOn(product, "save").mockResolvedValue(product)
+  }
+  return jest.spyOn(Product, "find").mockImplementation(async (filter) => productsByStatus[filter.status] || [])
+}
+
+beforeEach(() => {
+  jest.spyOn(Category, "getSpecificationSchema").mockResolvedValue([])
+})
+
+afterEach(() => {
+  jest.restoreAllMocks()
+})
+
+describe("product status", () => {
+  it("makes only published products active", async () => {
+    const draft = buildProduct({ status: "draft" })
+    const scheduled = buildProduct({ status: "scheduled", publishAt: hoursFromNow(24) })
+    const published = buildProduct()
+    await Promise.all([draft, scheduled, published].map((product) => product.validate()))
+
+    expect([draft.isActive, scheduled.isActive, published.isActive]).toEqual([false, false, true])
+    expect(published.status).toBe("published")
+  })
+
+  it("follows isActive when only that is set", async () => {
+    const inactive = buildProduct({ isActive: false })
+    const archived = savedProduct()
+    archived.isActive = false
+    const republished = savedProduct({ status: "archived", isActive: false })
+    republished.isActive = true
+    await Promise.all([inactive, archived, republished].map((product) => product.validate()))
+
+    expect([inactive.status, archived.status, republished.status]).toEqual(["draft", "archived", "published"])
+  })
+
+  it("needs a publish time for scheduled products, before any unpublish time", async () => {
+    await expect(buildProduct({ status: "scheduled" }).validate()).rejects.toThrow(
+      "Please add a publish time for scheduled products",
+    )
+    await expect(
+      buildProduct({ status: "scheduled", publishAt: hoursFromNow(2), unpublishAt: hoursFromNow(1) }).validate(),
+    ).rejects.toThrow("Unpublish time must be after the publish time")
+  })
+})
+
+describe("applyProductSchedules", () => {
+  it("publishes due scheduled products and archives expired ones", async () => {
+    const holidayRoast = savedProduct({ status: "scheduled", isActive: false, publishAt: hoursFromNow(-1) })
+    const summerBurgers = savedProduct({ status: "published", unpublishAt: hoursFromNow(-2) })
+    const find = withScheduled({ scheduled: [holidayRoast], published: [summerBurgers] })
+
+    expect(await applyProductSchedules(now)).toEqual({ published: 1, archived: 1 })
+
+    expect(find).toHaveBeenCalledWith({ status: "scheduled", publishAt: { $lte: now } })
+    expect(find).toHaveBeenCalledWith({ status: "published", unpublishAt: { $lte: now } })
+    expect(holidayRoast).toMatchObject({ status: "published", isActive: true })
+    expect(summerBurgers).toMatchObject({ status: "archived", isActive: false })
+    expect(summerBurgers.unpublishAt).toBeUndefined()
+    expect(holidayRoast.save).toHaveBeenCalled()
+  })
+
+  it("records schedule changes as lifecycle revisions", async () => {
+    const holidayRoast = savedProduct({ status: "scheduled", isActive: false, publishAt: hoursFromNow(-1) })
+    let action
+    withScheduled({ scheduled: [holidayRoast] })
+    holidayRoast.save.mockImplementation(async () => {
+      action = holidayRoast.$locals.revisionAction
+    })
+
+    await applyProductSchedules(now)
+
+    expect(action).toBe("lifecycle")
+  })
+
+  it("logs products that fail to save and carries on", async () => {
+    const broken = savedProduct({ status: "scheduled", isActive: false, publishAt: hoursFromNow(-1) })
+    const fine = savedProduct({ status: "scheduled", isActive: false, publishAt: hoursFromNow(-1) })
+    withScheduled({ scheduled: [broken, fine] })
+    broken.save.mockRejectedValue(new Error("Validation failed"))
+    const log = jest.spyOn(console, "error").mockImplementation(() => {})
+
+    expect(await applyProductSchedules(now)).toEqual({ published: 1, archived: 0 })
+    expect(log).toHaveBeenCalledWith(`Apply schedule to product ${broken._id} error:`, expect.any(Error))
+    expect(fine.save).toHaveBeenCalled()
+  })
+
+  it("shares a check that is already running", async () => {
+    const find = withScheduled({})
+
+    const first = applyProductSchedules(now)
+    const second = applyProductSchedules(now)
+
+    expect(second).toBe(first)
+    await first
+    expect(find).toHaveBeenCalledTimes(2)
+  })
+})
+
+describe("getAllProducts", () => {
+  const listFilter = async (query) => {
+    const find = jest.spyOn(Product, "find").mockReturnValue(mockQuery([]))
+    jest.spyOn(Product, "countDocuments").mockResolvedValue(0)
+    const res = buildResponse()
+
+    await getAllProducts(buildRequest({ query, user: admin, originalUrl: "/api/admin/products" }), res)
+
+    expect(res.statusCode).toBe(200)
+    return find.mock.lastCall[0]
+  }
+
+  it("filters by each lifecycle status", async () => {
+    for (const status of ["draft", "scheduled", "published", "archived"]) {
+      expect(await listFilter({ status })).toMatchObject({ status })
+    }
+  })
+
+  it("still accepts the active and inactive filters", async () => {
+    expect(await listFilter({ status: "active" })).toMatchObject({ isActive: true })
+    expect(await listFilter({ status: "inactive" })).toMatchObject({ isActive: false })
+  })
+
+  it("rejects unknown statuses", async () => {
+    const res = buildResponse()
+
+    await getAllProducts(buildRequest({ query: { status: "deleted" }, user: admin }), res)
+
+    expect(res.statusCode).toBe(400)
+  })
+})
+
+describe("updateProductLifecycle", () => {
+  const update = async (product, body) => {
+    jest.spyOn(Product, "findById").mockResolvedValue(product)
+    jest.spyOn(product, "save").mockImplementation(() => product.validate())
+    const res = buildResponse()
+    await updateProductLifecycle(buildRequest({ params: { id: product._id.toString() }, body, user: admin }), res)
+    return res
+  }
+
+  it("schedules a draft to go live", async () => {
+    const product = savedProduct({ status: "draft", isActive: false })
+
+    const res = await update(product, { status: "scheduled", publishAt: hoursFromNow(48) })
+
+    expect(res.statusCode).toBe(200)
+    expect(res.body.data).toMatchObject({ status: "scheduled", publishAt: hoursFromNow(48), isActive: false })
+    expect(product.$locals.revisionAction).toBe("lifecycle")
+  })
+
+  it("reports schedules the model rejects", async () => {
+    jest.spyOn(console, "error").mockImplementation(() => {})
+    const res = await update(savedProduct({ status: "draft", isActive: false }), { status: "scheduled" })
+
+    expect(res.statusCode).toBe(400)
+    expect(res.body.error).toBe("Please add a publish time for scheduled products")
+  })
+})
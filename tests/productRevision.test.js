@@ -0,0 +1,206 @@
+const mongoose = require("mongoose")
+const Category = require("../models/Category")
+const PriceHistory = require("../models/PriceHistory")
+const Product = require("../models/Product")
+const ProductRevision = require("../models/ProductRevision")
+const { restoreProductRevision } = require("../controllers/admin")
+const { buildProduct, buildVariant, buildRequest, buildResponse, mockQuery, objectId } = require("./factories")
+
+const { diffSnapshots, getSnapshot } = ProductRevision
+
+const product = () => buildProduct({ sku: "RIB-1", tags: ["bbq"] })
+
+afterEach(() => {
+  jest.restoreAllMocks()
+})
+
+describe("diffSnapshots", () => {
+  it("lists every field as added for the first revision", () => {
+    expect(diffSnapshots(null, { name: "Ribeye", weight: { value: 1, unit: "lb" } })).toEqual([
+      { path: "name", oldValue: undefined, newValue: "Ribeye" },
+      { path: "weight.unit", oldValue: undefined, newValue: "lb" },
+      { path: "weight.value", oldValue: undefined, newValue: 1 },
+    ])
+  })
+
+  it("reports changed, added and removed nested fields", () => {
+    const before = { name: "Ribeye", weight: { value: 1, unit: "lb" }, seoTitle: "Ribeye steak" }
+    const after = { name: "Ribeye", weight: { value: 500, unit: "g" }, shortDescription: "Marbled" }
+
+    expect(diffSnapshots(before, after)).toEqual([
+      { path: "seoTitle", oldValue: "Ribeye steak", newValue: undefined },
+      { path: "shortDescription", oldValue: undefined, newValue: "Marbled" },
+      { path: "weight.unit", oldValue: "lb", newValue: "g" },
+      { path: "weight.value", oldValue: 1, newValue: 500 },
+    ])
+  })
+
+  it("keys subdocument arrays by id so reordering is not a change", () => {
+    const small = { _id: "a1", sku: "RIB-S", price: 20 }
+    const large = { _id: "b2", sku: "RIB-L", price: 40 }
+
+    expect(diffSnapshots({ variants: [small, large] }, { variants: [large, small] })).toEqual([])
+    expect(diffSnapshots({ variants: [small, large] }, { variants: [{ ...large, price: 35 }] })).toEqual([
+      { path: "variants.a1.price", oldValue: 20, newValue: undefined },
+      { path: "variants.a1.sku", oldValue: "RIB-S", newValue: undefined },
+      { path: "variants.b2.price", oldValue: 40, newValue: 35 },
+    ])
+  })
+
+  it("compares plain arrays as a whole", () => {
+    expect(diffSnapshots({ tags: ["bbq", "grill"] }, { tags: ["bbq"] })).toEqual([
+      { path: "tags", oldValue: ["bbq", "grill"], newValue: ["bbq"] },
+    ])
+    expect(diffSnapshots({ variants: [] }, { variants: [] })).toEqual([])
+  })
+
+  it("treats missing and null values alike", () => {
+    expect(diffSnapshots({ name: "Ribeye", comparePrice: null }, { name: "Ribeye" })).toEqual([])
+  })
+})
+
+describe("getSnapshot", () => {
+  it("leaves out identity and derived fields", () => {
+    const snapshot = getSnapshot(product())
+
+    expect(snapshot).toMatchObject({ name: "Ribeye", sku: "RIB-1", price: 30, tags: ["bbq"] })
+    for (const field of ["_id", "__v", "averageRating", "numOfReviews", "createdBy", "previousSlugs"]) {
+      expect(snapshot).not.toHaveProperty(field)
+    }
+  })
+})
+
+describe("record", () => {
+  const latestRevision = (revision) =>
+    jest.spyOn(ProductRevision, "findOne").mockImplementation(() => ({
+      sort: () => Promise.resolve(revision()),
+    }))
+
+  it("skips saves that change nothing revisioned", async () => {
+    const doc = product()
+    latestRevision(() => ({ revision: 3, snapshot: getSnapshot(doc) }))
+    const create = jest.spyOn(ProductRevision, "create")
+
+    expect(await ProductRevision.record(doc, "update")).toBeNull()
+    expect(create).not.toHaveBeenCalled()
+  })
+
+  it("retries with the next number when a concurrent save took this one", async () => {
+    const doc = product()
+    doc.$locals.changedBy = new mongoose.Types.ObjectId()
+    doc.$locals.priceChangeSource = "api"
+    let latest = 3
+    latestRevision(() => ({ revision: latest, snapshot: {} }))
+    const create = jest
+      .spyOn(ProductRevision, "create")
+      .mockImplementationOnce(async () => {
+        latest = 4
+        throw Object.assign(new Error("E11000 duplicate key error"), { code: 11000 })
+      })
+      .mockImplementationOnce(async (fields) => fields)
+
+    const revision = await ProductRevision.record(doc, "update")
+
+    expect(create).toHaveBeenCalledTimes(2)
+    expect(revision).toMatchObject({ product: doc._id, revision: 5, action: "update", source: "api" })
+    expect(revision.changedBy).toBe(doc.$locals.changedBy)
+  })
+
+  it("gives up after repeated clashes and rethrows other errors", async () => {
+    latestRevision(() => null)
+    const clash = Object.assign(new Error("E11000 duplicate key error"), { code: 11000 })
+    const create = jest.spyOn(ProductRevision, "create").mockRejectedValue(clash)
+
+    await expect(ProductRevision.record(product(), "create")).rejects.toBe(clash)
+    expect(create).toHaveBeenCalledTimes(5)
+
+    create.mockClear().mockRejectedValue(new Error("connection lost"))
+    await expect(ProductRevision.record(product(), "create")).rejects.toThrow("connection lost")
+    expect(create).toHaveBeenCalledTimes(1)
+  })
+})
+
+describe("restoreProductRevision", () => {
+  // Revision 1 of a product with one variant, and the product as it is now: renamed,
+  // repriced, re-SKUed, archived, photographed, sold down and given a second variant
+  const restoreScenario = () => {
+    const original = buildProduct({
+      sku: "RIB-1",
+      options: [{ name: "size", values: ["small", "large"] }],
+      inventory: { quantity: 10, lowStockThreshold: 5 },
+      variants: [buildVariant({ sku: "RIB-1-S", price: 30, options: { size: "small" } })],
+    })
+    const snapshot = getSnapshot(original)
+
+    const now = original.toObject()
+    Object.assign(now, { name: "Ribeye Special", price: 35, sku: "RIB-2", status: "archived", isActive: false })
+    now.images = [{ url: "/media/products/ribeye.jpg", isPrimary: true }]
+    now.inventory = { ...now.inventory, quantity: 4, lowStockThreshold: 2 }
+    now.variants[0] = { ...now.variants[0], price: 32, inventory: { ...now.variants[0].inventory, quantity: 3 } }
+    now.variants.push(buildVariant({ _id: objectId(), sku: "RIB-1-L", price: 55, options: { size: "large" } }))
+    const product = Product.hydrate(now)
+
+    jest.spyOn(Product, "findById").mockResolvedValue(product)
+    jest.spyOn(Product, "find").mockReturnValue(mockQuery([]))
+    jest.spyOn(Category, "getSpecificationSchema").mockResolvedValue([])
+    jest.spyOn(PriceHistory, "insertMany").mockResolvedValue([])
+    jest
+      .spyOn(ProductRevision, "findOne")
+      .mockImplementation((filter) =>
+        filter.revision ? Promise.resolve({ revision: 1, snapshot }) : mockQuery({ revision: 5, snapshot: {} }),
+      )
+    jest.spyOn(ProductRevision, "create").mockImplementation(async (fields) => fields)
+    const updateOne = jest
+      .spyOn(Product.collection, "updateOne")
+      .mockResolvedValue({ acknowledged: true, matchedCount: 1, modifiedCount: 1 })
+
+    return { product, updateOne }
+  }
+
+  const restore = async (product) => {
+    const res = buildResponse()
+    await restoreProductRevision(
+      buildRequest({ params: { id: product._id.toString(), rev: "1" }, user: { id: objectId().toString() } }),
+      res,
+    )
+    return res
+  }
+
+  it("rolls back fields and variants without touching SKU, status or images", async () => {
+    const { product } = restoreScenario()
+
+    const res = await restore(product)
+
+    expect(res.statusCode).toBe(200)
+    expect(product).toMatchObject({ name: "Ribeye", price: 30, sku: "RIB-2", status: "archived", isActive: false })
+    expect(product.inventory.lowStockThreshold).toBe(5)
+    expect(product.images.map((image) => image.url)).toEqual(["/media/products/ribeye.jpg"])
+    expect(product.variants.map((variant) => [variant.sku, variant.price, variant.isActive])).toEqual([
+      ["RIB-1-S", 30, true],
+      ["RIB-1-L", 55, false],
+    ])
+  })
+
+  it("never writes stock, so orders placed meanwhile are kept", async () => {
+    const { product, updateOne } = restoreScenario()
+
+    await restore(product)
+
+    const [, update] = updateOne.mock.calls[0]
+    const written = Object.keys(update.$set)
+    expect(written).toEqual(expect.arrayContaining(["name", "price", "variants.0.price", "variants.1.isActive"]))
+    expect(written).not.toContain("variants")
+    expect(written.filter((path) => path.includes("quantity") || path === "inventory")).toEqual([])
+    expect([product.inventory.quantity, product.variants[0].inventory.quantity]).toEqual([4, 3])
+  })
+
+  it("records the restore as a new revision", async () => {
+    const { product } = restoreScenario()
+
+    await restore(product)
+
+    expect(ProductRevision.create).toHaveBeenCalledWith(
+      expect.objectContaining({ revision: 6, action: "restore", restoredFrom: 1, source: "api" }),
+    )
+  })
+})
@@ -0,0 +1,137 @@
+const mongoose = require("mongoose")
+const { parseListQuery, combineFilters } = require("../utils/queryFilter")
+
+const grammar = {
+  fields: {
+    price: { type: "number" },
+    category: { type: "objectId" },
+    status: { type: "enum", values: ["draft", "published"] },
+    isFeatured: { type: "boolean" },
+    createdAt: { type: "date" },
+    stock: { type: "number", path: "inventory.quantity" },
+    active: { type: "enum", path: "isActive", values: ["yes", "no"], transform: (value) => value === "yes" },
+  },
+  search: { param: "search", fields: ["name", "sku"] },
+  select: ["name", "price", "sku"],
+  sort: ["price", "name"],
+  defaultSort: "-createdAt",
+}
+
+describe("parseListQuery", () => {
+  it("collapses bare values to equality and coerces them to the field type", () => {
+    const { errors, filter } = parseListQuery({ price: "10", isFeatured: "true", status: "draft" }, grammar)
+
+    expect(errors).toEqual([])
+    expect(filter).toEqual({ price: 10, isFeatured: true, status: "draft" })
+  })
+
+  it("builds operator conditions on the declared path", () => {
+    const { errors, filter } = parseListQuery(
+      { stock: { gte: "5", lt: "20" }, status: { in: "draft,published" } },
+      grammar,
+    )
+
+    expect(errors).toEqual([])
+    expect(filter).toEqual({
+      "inventory.quantity": { $gte: 5, $lt: 20 },
+      status: { $in: ["draft", "published"] },
+    })
+  })
+
+  it("converts object ids and dates", () => {
+    const id = new mongoose.Types.ObjectId().toString()
+    const { filter } = parseListQuery({ category: id, createdAt: { gte: "2024-01-01" } }, grammar)
+
+    expect(filter.category).toBeInstanceOf(mongoose.Types.ObjectId)
+    expect(filter.category.toString()).toBe(id)
+    expect(filter.createdAt.$gte).toEqual(new Date("2024-01-01"))
+  })
+
+  it("applies field transforms", () => {
+    expect(parseListQuery({ active: "no" }, grammar).filter).toEqual({ isActive: false })
+  })
+
+  it("reports unknown fields, disallowed operators and invalid values", () => {
+    const { errors } = parseListQuery(
+      { color: "red", isFeatured: { ne: "true" }, price: "cheap", status: "deleted", createdAt: { $where: "1" } },
+      grammar,
+    )
+
+    expect(errors).toEqual([
+      "Unknown filter field: color",
+      'Operator "ne" is not allowed on isFeatured',
+      "Invalid value for price",
+      "Invalid value for status (allowed: draft, published)",
+      'Operator "$where" is not allowed on createdAt',
+    ])
+  })
+
+  it("matches search text literally across the search fields", () => {
+    const { filter } = parseListQuery({ search: " rib (eye) " }, grammar)
+
+    expect(filter.$or).toEqual([
+      { name: { $regex: "rib \\(eye\\)", $options: "i" } },
+      { sku: { $regex: "rib \\(eye\\)", $options: "i" } },
+    ])
+  })
+
+  it("ignores pagination params", () => {
+    const { errors, filter } = parseListQuery({ page: "2", limit: "10", cursor: "", includeTotal: "true" }, grammar)
+
+    expect(errors).toEqual([])
+    expect(filter).toEqual({})
+  })
+
+  describe("select and sort", () => {
+    it("accepts allowed fields and falls back to the default sort", () => {
+      const { errors, select, sort } = parseListQuery({ select: "name,price" }, grammar)
+
+      expect(errors).toEqual([])
+      expect(select).toBe("name price")
+      expect(sort).toBe("-createdAt")
+    })
+
+    it("accepts exclusion selects and descending sorts", () => {
+      const { errors, select, sort } = parseListQuery({ select: "-sku", sort: "-price,name" }, grammar)
+
+      expect(errors).toEqual([])
+      expect(select).toBe("-sku")
+      expect(sort).toBe("-price name")
+    })
+
+    it("rejects fields outside the allowlist", () => {
+      const { errors, select, sort } = parseListQuery({ select: "name,password", sort: "cost" }, grammar)
+
+      expect(errors).toEqual([
+        "Cannot select: password. Allowed: name, price, sku",
+        "Cannot sort by: cost. Allowed: price, name",
+      ])
+      expect(select).toBeNull()
+      expect(sort).toBe("-createdAt")
+    })
+
+    it("rejects projections that mix included and excluded fields", () => {
+      const { errors, select } = parseListQuery({ select: "name,-sku" }, grammar)
+
+      expect(errors).toEqual(["Cannot mix included and excluded fields in select"])
+      expect(select).toBeNull()
+    })
+
+    it("rejects repeated select params", () => {
+      expect(parseListQuery({ select: ["name", "price"] }, grammar).errors).toEqual(["Invalid select"])
+    })
+  })
+})
+
+describe("combineFilters", () => {
+  it("joins non-empty filters with $and", () => {
+    expect(combineFilters({ price: 10 }, {}, { price: { $lt: 20 } })).toEqual({
+      $and: [{ price: 10 }, { price: { $lt: 20 } }],
+    })
+  })
+
+  it("returns a lone filter as it is", () => {
+    expect(combineFilters({}, { price: 10 }, undefined)).toEqual({ price: 10 })
+    expect(combineFilters({}, {})).toEqual({})
+  })
+})
@@ -0,0 +1,131 @@
+const Answer = require("../models/Answer")
+const Order = require("../models/Order")
+const Question = require("../models/Question")
+const { getProductQuestions, answerProductQuestion, upvoteAnswer } = require("../controllers/questions")
+const { updateAnswerStatus } = require("../controllers/admin")
+const { objectId, buildRequest, buildResponse } = require("./factories")
+
+const productId = objectId()
+const customer = { id: objectId().toString(), role: "user" }
+customer._id = objectId(customer.id)
+const admin = { id: objectId().toString(), role: "admin" }
+
+// An approved question, and what Answer.create is handed
+const withQuestion = () => {
+  const question = new Question({ text: "Is this dry-aged?", product: productId, user: objectId(), status: "approved" })
+  jest.spyOn(Question, "findOne").mockResolvedValue(question)
+  jest.spyOn(Answer, "create").mockImplementation(async (fields) => {
+    const answer = new Answer(fields)
+    jest.spyOn(answer, "populate").mockResolvedValue(answer)
+    return answer
+  })
+  return question
+}
+
+const answer = async (user, { purchased = false, answered = false } = {}) => {
+  const question = withQuestion()
+  jest.spyOn(Order, "findOne").mockResolvedValue(purchased ? { _id: objectId() } : null)
+  jest.spyOn(Answer, "findOne").mockResolvedValue(answered ? { _id: objectId() } : null)
+  const res = buildResponse()
+  const params = { id: productId.toString(), questionId: question._id.toString() }
+  await answerProductQuestion(buildRequest({ params, body: { text: "28 days, in house" }, user }), res)
+  return res
+}
+
+afterEach(() => {
+  jest.restoreAllMocks()
+})
+
+describe("answerProductQuestion", () => {
+  it("lets only customers who bought the product answer", async () => {
+    const res = await answer(customer)
+
+    expect(res.statusCode).toBe(403)
+    expect(Answer.create).not.toHaveBeenCalled()
+  })
+
+  it("queues customer answers and publishes staff answers straight away", async () => {
+    const fromCustomer = await answer(customer, { purchased: true })
+    expect(fromCustomer.statusCode).toBe(201)
+    expect(fromCustomer.body.data).toMatchObject({ status: "pending", isVerifiedPurchase: true, isStaffAnswer: false })
+
+    const fromStaff = await answer(admin)
+    expect(fromStaff.body.data).toMatchObject({ status: "approved", isStaffAnswer: true })
+    expect(String(fromStaff.body.data.moderatedBy)).toBe(admin.id)
+  })
+
+  it("allows one answer per user", async () => {
+    const res = await answer(customer, { purchased: true, answered: true })
+
+    expect(res.statusCode).toBe(400)
+    expect(res.body.error).toBe("You have already answered this question")
+  })
+})
+
+describe("upvoteAnswer", () => {
+  const upvote = async (author, modifiedCount = 1) => {
+    const question = withQuestion()
+    const existing = new Answer({
+      text: "Yes",
+      question: question._id,
+      product: productId,
+      user: author,
+      status: "approved",
+    })
+    existing.upvoteCount = 2
+    jest.spyOn(Answer, "findOne").mockResolvedValue(existing)
+    const updateOne = jest.spyOn(Answer, "updateOne").mockResolvedValue({ modifiedCount })
+    jest.spyOn(Answer, "updateQuestionStats").mockResolvedValue()
+    const res = buildResponse()
+    const params = { id: productId.toString(), questionId: question._id.toString(), answerId: existing._id.toString() }
+    await upvoteAnswer(buildRequest({ params, user: customer }), res)
+    return { res, updateOne }
+  }
+
+  it("counts each user's upvote once", async () => {
+    const { res, updateOne } = await upvote(objectId())
+
+    expect(res.body.data).toEqual({ upvoteCount: 3 })
+    expect(updateOne.mock.calls[0][0]).toMatchObject({ upvotes: { $ne: customer._id } })
+    expect(Answer.updateQuestionStats).toHaveBeenCalled()
+
+    const again = await upvote(objectId(), 0)
+    expect(again.res.body.error).toBe("You have already upvoted this answer")
+  })
+
+  it("refuses upvotes on your own answer", async () => {
+    const { res, updateOne } = await upvote(customer._id)
+
+    expect(res.statusCode).toBe(400)
+    expect(updateOne).not.toHaveBeenCalled()
+  })
+})
+
+describe("getProductQuestions", () => {
+  it("rejects unknown sorts", async () => {
+    const res = buildResponse()
+
+    await getProductQuestions(buildRequest({ params: { id: productId.toString() }, query: { sort: "loudest" } }), res)
+
+    expect(res.statusCode).toBe(400)
+    expect(res.body.error).toBe("Invalid sort. Allowed values: newest, oldest, mostAnswered, mostHelpful")
+  })
+})
+
+describe("updateAnswerStatus", () => {
+  it("records who moderated the answer", async () => {
+    const pending = new Answer({ text: "Yes", question: objectId(), product: productId, user: objectId() })
+    jest.spyOn(pending, "save").mockResolvedValue(pending)
+    jest.spyOn(Answer, "findById").mockResolvedValue(pending)
+    const res = buildResponse()
+
+    await updateAnswerStatus(
+      buildRequest({ params: { id: pending._id }, body: { status: "approved" }, user: admin }),
+      res,
+    )
+
+    expect(res.body.message).toBe("Answer approved successfully")
+    expect(pending).toMatchObject({ status: "approved", moderatedAt: expect.any(Date) })
+    expect(String(pending.moderatedBy)).toBe(admin.id)
+  })
+})
@@ -0,0 +1,108 @@
+const Category = require("../models/Category")
+const Order = require("../models/Order")
+const PriceRule = require("../models/PriceRule")
+const Product = require("../models/Product")
+const ProductRecommendation = require("../models/ProductRecommendation")
+const { refreshRecommendations, getRecommendations } = require("../utils/recommendations")
+const { objectId, buildProduct, mockQuery } = require("./factories")
+
+const steaks = objectId()
+const ribeye = buildProduct({ name: "Ribeye", category: steaks })
+const rub = buildProduct({ name: "Steak rub" })
+const butter = buildProduct({ name: "Garlic butter" })
+const sirloin = buildProduct({ name: "Sirloin", category: steaks })
+
+const names = (docs) => docs.map((doc) => [doc.name, doc.source])
+
+beforeEach(() => {
+  jest.spyOn(PriceRule, "find").mockResolvedValue([])
+  jest.spyOn(Category, "find").mockReturnValue(mockQuery([]))
+})
+
+afterEach(() => {
+  jest.restoreAllMocks()
+})
+
+describe("refreshRecommendations", () => {
+  it("stores each product's pairs with how often they were bought with it", async () => {
+    // Aggregations run in order: order pairs, order counts, customer pairs, customer counts
+    const results = [
+      [{ _id: ribeye._id, related: [{ product: rub._id, count: 3 }] }],
+      [
+        { _id: ribeye._id, count: 4 },
+        { _id: rub._id, count: 5 },
+      ],
+      [{ _id: ribeye._id, related: [{ product: butter._id, count: 2 }] }],
+      [{ _id: ribeye._id, count: 3 }],
+    ]
+    jest.spyOn(Order, "aggregate").mockImplementation(() => ({ allowDiskUse: async () => results.shift() }))
+    const bulkWrite = jest.spyOn(ProductRecommendation, "bulkWrite").mockResolvedValue({})
+    const deleteMany = jest.spyOn(ProductRecommendation, "deleteMany").mockResolvedValue({})
+
+    const [first, second] = await Promise.all([refreshRecommendations(), refreshRecommendations()])
+
+    expect(second).toBe(first)
+    expect(Order.aggregate).toHaveBeenCalledTimes(4)
+    const [ribeyeUpdate, rubUpdate] = bulkWrite.mock.calls[0][0].map((operation) => operation.updateOne.update.$set)
+    expect(ribeyeUpdate).toMatchObject({
+      frequentlyBoughtTogether: [{ product: rub._id, count: 3, confidence: 0.75 }],
+      customersAlsoBought: [{ product: butter._id, count: 2, confidence: 0.6667 }],
+      orderCount: 4,
+      customerCount: 3,
+    })
+    expect(rubUpdate).toMatchObject({ frequentlyBoughtTogether: [], orderCount: 5, customerCount: 0 })
+    expect(deleteMany).toHaveBeenCalledWith({ computedAt: { $lt: first.computedAt } })
+  })
+})
+
+describe("getRecommendations", () => {
+  it("lists products from order history, then similar products from the category", async () => {
+    jest.spyOn(ProductRecommendation, "findOne").mockResolvedValue({
+      frequentlyBoughtTogether: [{ product: rub._id }, { product: objectId() }],
+      customersAlsoBought: [{ product: butter._id }],
+    })
+    // Only active products come back, so the unknown id is skipped
+    jest
+      .spyOn(Product, "find")
+      .mockReturnValueOnce(mockQuery([rub]))
+      .mockReturnValueOnce(mockQuery([butter]))
+      .mockReturnValueOnce(mockQuery([sirloin]))
+    jest.spyOn(Category, "findById").mockReturnValue(mockQuery({ parent: null }))
+
+    const recommendations = await getRecommendations(ribeye, { limit: 2 })
+
+    expect(names(recommendations.frequentlyBoughtTogether)).toEqual([["Steak rub", "orders"]])
+    expect(names(recommendations.customersAlsoBought)).toEqual([
+      ["Garlic butter", "orders"],
+      ["Sirloin", "category"],
+    ])
+    expect(Product.find.mock.calls[2][0]).toEqual({
+      category: steaks,
+      isActive: true,
+      _id: { $nin: [ribeye._id, rub._id, butter._id] },
+    })
+  })
+
+  it("falls back to the parent category for new products", async () => {
+    const beef = objectId()
+    const brisket = objectId()
+    jest.spyOn(ProductRecommendation, "findOne").mockResolvedValue(null)
+    jest
+      .spyOn(Product, "find")
+      .mockReturnValueOnce(mockQuery([]))
+      .mockReturnValueOnce(mockQuery([]))
+      .mockReturnValueOnce(mockQuery([sirloin]))
+      .mockReturnValueOnce(mockQuery([buildProduct({ name: "Brisket", category: brisket })]))
+    jest.spyOn(Category, "findById").mockReturnValue(mockQuery({ parent: beef }))
+    jest.spyOn(Category, "getSubtreeIds").mockResolvedValue([beef, steaks, brisket])
+
+    const recommendations = await getRecommendations(ribeye, { limit: 2 })
+
+    expect(recommendations.frequentlyBoughtTogether).toEqual([])
+    expect(names(recommendations.customersAlsoBought)).toEqual([
+      ["Sirloin", "category"],
+      ["Brisket", "category"],
+    ])
+    expect(recommendations.computedAt).toBeNull()
+  })
+})
@@ -0,0 +1,121 @@
+process.env.REVIEW_BANNED_WORDS = "scam, Fake"
+
+const mongoose = require("mongoose")
+const Review = require("../models/Review")
+const { checkReview, moderateReview } = require("../utils/reviewModeration")
+
+const review = (fields) =>
+  new Review({
+    product: new mongoose.Types.ObjectId(),
+    user: new mongoose.Types.ObjectId(),
+    title: "Great steak",
+    text: "Tender and well marbled, cooked perfectly on the grill.",
+    rating: 5,
+    isVerifiedPurchase: true,
+    ...fields,
+  })
+
+const rulesFor = async (doc) => (await checkReview(doc)).map((reason) => reason.rule)
+
+beforeEach(() => {
+  jest.spyOn(Review, "exists").mockResolvedValue(null)
+})
+
+afterEach(() => {
+  jest.restoreAllMocks()
+})
+
+describe("checkReview", () => {
+  it("passes an ordinary review", async () => {
+    expect(await checkReview(review())).toEqual([])
+  })
+
+  it("holds banned words as whole words, ignoring case", async () => {
+    const reasons = await checkReview(review({ text: "Total SCAM, the box was half empty." }))
+
+    expect(reasons).toEqual([{ rule: "banned-word", message: 'Contains banned word "scam"' }])
+    expect(await rulesFor(review({ text: "Scampi night went well with these." }))).toEqual([])
+  })
+
+  it("holds links and phone numbers", async () => {
+    expect(await rulesFor(review({ text: "Cheaper at https://example.com/deals" }))).toEqual(["link"])
+    expect(await rulesFor(review({ text: "Order from meatdeals.shop instead" }))).toEqual(["link"])
+    expect(await rulesFor(review({ text: "Call me on (555) 123-4567 for more" }))).toEqual(["phone-number"])
+    expect(await rulesFor(review({ text: "Bought 2 packs of 12 oz, 3 times" }))).toEqual([])
+  })
+
+  it("holds text already posted on another review", async () => {
+    Review.exists.mockResolvedValue({ _id: new mongoose.Types.ObjectId() })
+    const doc = review()
+    doc.textFingerprint = "abc"
+
+    expect(await rulesFor(doc)).toEqual(["duplicate-text"])
+    expect(Review.exists).toHaveBeenCalledWith({ _id: { $ne: doc._id }, textFingerprint: "abc" })
+  })
+
+  it("holds low ratings from customers who haven't bought the product", async () => {
+    expect(await rulesFor(review({ rating: 2, isVerifiedPurchase: false }))).toEqual(["unverified-low-rating"])
+    expect(await rulesFor(review({ rating: 3, isVerifiedPurchase: false }))).toEqual([])
+    expect(await rulesFor(review({ rating: 1, isVerifiedPurchase: true }))).toEqual([])
+  })
+})
+
+describe("moderateReview", () => {
+  it("approves a review that passes every rule", async () => {
+    const doc = review()
+
+    expect(await moderateReview(doc)).toEqual([])
+    expect(doc.isApproved).toBe(true)
+    expect(doc.textFingerprint).toMatch(/^[0-9a-f]{40}$/)
+  })
+
+  it("holds a review that breaks a rule", async () => {
+    const doc = review({ text: "Fake reviews everywhere, see www.example.com" })
+    const reasons = await moderateReview(doc)
+
+    expect(reasons.map((reason) => reason.rule)).toEqual(["banned-word", "link"])
+    expect(doc.isApproved).toBe(false)
+    expect(doc.moderation.heldReasons).toHaveLength(2)
+  })
+
+  it("fingerprints copies with different spacing and punctuation alike", async () => {
+    const first = review()
+    const copy = review({ text: "Tender and well marbled -- cooked perfectly on the grill" })
+    await moderateReview(first)
+    await moderateReview(copy)
+
+    expect(copy.textFingerprint).toBe(first.textFingerprint)
+  })
+
+  it("fingerprints the text only, so a copy under a new title still matches", async () => {
+    const first = review()
+    const copy = review({ title: "Best ribeye in town" })
+    const other = review({ text: "Tough and gristly, nothing like the photos on the page." })
+    await moderateReview(first)
+    await moderateReview(copy)
+    await moderateReview(other)
+
+    expect(copy.textFingerprint).toBe(first.textFingerprint)
+    expect(other.textFingerprint).not.toBe(first.textFingerprint)
+  })
+
+  it("skips fingerprints for short generic text", async () => {
+    const doc = review({ text: "Great meat, will buy again" })
+    await moderateReview(doc)
+
+    expect(doc.textFingerprint).toBeUndefined()
+  })
+
+  it("sends a rejected review back to the queue when it is edited", async () => {
+    const doc = review()
+    doc.isNew = false
+    doc.isApproved = false
+    doc.moderation = { heldReasons: [], moderatedAt: new Date() }
+
+    const reasons = await moderateReview(doc)
+
+    expect(reasons.map((reason) => reason.rule)).toEqual(["edited"])
+    expect(doc.isApproved).toBe(false)
+    expect(doc.moderation.moderatedAt).toBeUndefined()
+  })
+})
@@ -0,0 +1,176 @@
+jest.mock("../config/storage")
+
+const Product = require("../models/Product")
+const Review = require("../models/Review")
+const { uploadImage } = require("../config/storage")
+const { getProductReviews, markReviewHelpful, uploadReviewPhotos, replyToReview } = require("../controllers/products")
+const { objectId, buildProduct, buildRequest, buildResponse, mockQuery } = require("./factories")
+
+const { MAX_REVIEW_PHOTOS } = Review
+
+const productId = objectId()
+// Signed-in users as the auth middleware leaves them on req.user
+const signedIn = (role) => {
+  const _id = objectId()
+  return { _id, id: _id.toString(), role }
+}
+const author = signedIn("user")
+const customer = signedIn("user")
+const admin = signedIn("admin")
+
+// An approved review by author, returned by Review.findOne
+const withReview = (fields = {}) => {
+  const review = new Review({
+    product: productId,
+    user: author._id,
+    title: "Great steak",
+    text: "Tender and well marbled, cooked perfectly on the grill.",
+    rating: 5,
+    isApproved: true,
+    ...fields,
+  })
+  jest.spyOn(review, "save").mockResolvedValue(review)
+  jest.spyOn(review, "populate").mockResolvedValue(review)
+  jest.spyOn(Review, "findOne").mockResolvedValue(review)
+  return review
+}
+
+const reviewRequest = (review, { files, ...fields } = {}) => ({
+  ...buildRequest({ params: { id: productId.toString(), reviewId: review._id.toString() }, ...fields }),
+  files,
+})
+
+afterEach(() => {
+  jest.restoreAllMocks()
+})
+
+describe("getProductReviews", () => {
+  it("returns approved reviews with the star rating distribution", async () => {
+    const product = buildProduct({ _id: productId })
+    const review = new Review({ product: productId, user: author._id, title: "Good", text: "Good", rating: 4 })
+    jest.spyOn(Product, "findById").mockResolvedValue(product)
+    const find = jest.spyOn(Review, "find").mockReturnValue(mockQuery([review]))
+    jest.spyOn(Review, "countDocuments").mockResolvedValue(1)
+    const distribution = { 1: 0, 2: 0, 3: 0, 4: 1, 5: 0 }
+    jest.spyOn(Review, "getRatingDistribution").mockResolvedValue(distribution)
+    const res = buildResponse()
+
+    await getProductReviews(buildRequest({ params: { id: productId.toString() }, query: { sort: "helpful" } }), res)
+
+    expect(res.statusCode).toBe(200)
+    expect(find.mock.calls[0][0]).toMatchObject({ product: productId, isApproved: true })
+    expect(res.body).toMatchObject({ success: true, count: 1, ratingDistribution: distribution })
+  })
+
+  it("rejects an unknown sort", async () => {
+    const findById = jest.spyOn(Product, "findById")
+    const res = buildResponse()
+
+    await getProductReviews(buildRequest({ params: { id: productId.toString() }, query: { sort: "random" } }), res)
+
+    expect(res.statusCode).toBe(400)
+    expect(res.body.error).toMatch(/^Invalid sort\. Allowed values: newest, oldest, helpful/)
+    expect(findById).not.toHaveBeenCalled()
+  })
+})
+
+describe("Review.getRatingDistribution", () => {
+  it("fills in every star with a count", async () => {
+    jest.spyOn(Review, "aggregate").mockResolvedValue([
+      { _id: 5, count: 3 },
+      { _id: 2, count: 1 },
+    ])
+
+    expect(await Review.getRatingDistribution(productId)).toEqual({ 1: 0, 2: 1, 3: 0, 4: 0, 5: 3 })
+  })
+})
+
+describe("markReviewHelpful", () => {
+  it("counts one vote per user", async () => {
+    const review = withReview({ helpfulVotes: 2 })
+    const updateOne = jest.spyOn(Review, "updateOne").mockResolvedValue({ modifiedCount: 1 })
+    const res = buildResponse()
+
+    await markReviewHelpful(reviewRequest(review, { user: customer }), res)
+
+    expect(res.statusCode).toBe(200)
+    expect(res.body.data).toEqual({ helpfulVotes: 3 })
+    expect(updateOne).toHaveBeenCalledWith(
+      { _id: review._id, helpfulVoters: { $ne: customer._id } },
+      { $addToSet: { helpfulVoters: customer._id }, $inc: { helpfulVotes: 1 } },
+    )
+  })
+
+  it("rejects a second vote from the same user", async () => {
+    const review = withReview()
+    jest.spyOn(Review, "updateOne").mockResolvedValue({ modifiedCount: 0 })
+    const res = buildResponse()
+
+    await markReviewHelpful(reviewRequest(review, { user: customer }), res)
+
+    expect(res.statusCode).toBe(400)
+    expect(res.body.error).toBe("You have already marked this review as helpful")
+  })
+
+  it("does not let authors vote on their own review", async () => {
+    const review = withReview()
+    const updateOne = jest.spyOn(Review, "updateOne")
+    const res = buildResponse()
+
+    await markReviewHelpful(reviewRequest(review, { user: author }), res)
+
+    expect(res.statusCode).toBe(400)
+    expect(updateOne).not.toHaveBeenCalled()
+  })
+})
+
+describe("uploadReviewPhotos", () => {
+  const files = (count) => Array.from({ length: count }, (_, i) => ({ path: `/tmp/photo-${i}.jpg` }))
+
+  it("attaches the uploaded photos", async () => {
+    const review = withReview()
+    uploadImage.mockResolvedValue({ url: "https://cdn.example.com/photo.jpg", assetId: "photo" })
+    const res = buildResponse()
+
+    await uploadReviewPhotos(reviewRequest(review, { user: author, files: files(2) }), res)
+
+    expect(res.statusCode).toBe(200)
+    expect(review.photos).toHaveLength(2)
+    expect(review.save).toHaveBeenCalled()
+  })
+
+  it(`stops at ${MAX_REVIEW_PHOTOS} photos per review`, async () => {
+    const review = withReview({ photos: [{ url: "https://cdn.example.com/first.jpg" }] })
+    uploadImage.mockClear()
+    const res = buildResponse()
+
+    await uploadReviewPhotos(reviewRequest(review, { user: author, files: files(MAX_REVIEW_PHOTOS) }), res)
+
+    expect(res.statusCode).toBe(400)
+    expect(res.body.error).toBe(`A review can have at most ${MAX_REVIEW_PHOTOS} photos (1 already attached)`)
+    expect(uploadImage).not.toHaveBeenCalled()
+  })
+
+  it("only lets the author add photos", async () => {
+    const review = withReview()
+    const res = buildResponse()
+
+    await uploadReviewPhotos(reviewRequest(review, { user: customer, files: files(1) }), res)
+
+    expect(res.statusCode).toBe(403)
+  })
+})
+
+describe("replyToReview", () => {
+  it("saves the merchant reply with who wrote it", async () => {
+    const review = withReview()
+    const res = buildResponse()
+
+    await replyToReview(reviewRequest(review, { user: admin, body: { text: "Thanks for the kind words!" } }), res)
+
+    expect(res.statusCode).toBe(200)
+    expect(review.merchantReply.text).toBe("Thanks for the kind words!")
+    expect(review.merchantReply.repliedBy.toString()).toBe(admin.id)
+    expect(review.merchantReply.repliedAt).toBeInstanceOf(Date)
+  })
+})
@@ -0,0 +1,151 @@
+const Category = require("../models/Category")
+const Product = require("../models/Product")
+const SearchQuery = require("../models/SearchQuery")
+const { searchProducts, suggestProducts } = require("../controllers/products")
+const { toggleProductStatus } = require("../controllers/admin")
+const { expandQuery, highlight, suggestFromCatalog, clearCatalogCache, getQueryTerms } = require("../utils/search")
+const { objectId, buildProduct, buildRequest, buildResponse } = require("./factories")
+
+const lean = (docs) => ({ select: () => ({ lean: () => Promise.resolve(docs) }) })
+
+// Serve these product names and tags as the active catalog
+const withCatalog = (products, categories = []) => {
+  jest
+    .spyOn(Product, "find")
+    .mockReturnValue(lean(products.map(([name, tags = []]) => ({ _id: objectId(), name, slug: name, tags }))))
+  jest.spyOn(Category, "find").mockReturnValue(lean(categories.map((name) => ({ _id: objectId(), name, slug: name }))))
+}
+
+// No popular queries logged; returns the limit the query log was asked for
+const withQueryLog = () => {
+  const chain = { select: () => chain, sort: () => chain, limit: jest.fn(() => chain), lean: async () => [] }
+  jest.spyOn(SearchQuery, "find").mockReturnValue(chain)
+  return chain.limit
+}
+
+beforeEach(() => {
+  clearCatalogCache()
+})
+
+afterEach(() => {
+  jest.restoreAllMocks()
+})
+
+describe("expandQuery", () => {
+  it("adds words the term is a prefix of", async () => {
+    withCatalog([["Ribeye steak"], ["Rib roast"], ["Pork ribs", ["bbq"]]])
+
+    const { terms, corrections } = await expandQuery("ri")
+
+    expect(terms).toEqual(["ri", "rib", "ribs", "ribeye"])
+    expect(corrections).toEqual({})
+  })
+
+  it("corrects typos with no exact or prefix match", async () => {
+    withCatalog([["Brisket flat"], ["Beef brisket"]])
+
+    expect(await expandQuery("brsket")).toEqual({ terms: ["brsket", "brisket"], corrections: { brsket: "brisket" } })
+  })
+
+  it("caps the number of terms taken from a query", async () => {
+    withCatalog([["Ribeye"]])
+    const words = Array.from({ length: 20 }, (_, i) => `word${i}`)
+
+    expect(getQueryTerms(words.join(" "))).toEqual(words.slice(0, 8))
+    expect((await expandQuery(words.join(" "))).terms).toEqual(words.slice(0, 8))
+  })
+})
+
+describe("suggestFromCatalog", () => {
+  it("ranks names starting with the query first", async () => {
+    withCatalog([["Beef short ribs"], ["Short rib burger"], ["Chuck roast"]], ["Short cuts"])
+
+    const { products, categories } = await suggestFromCatalog("short rib", 5)
+
+    expect(products.map((product) => product.name)).toEqual(["Short rib burger", "Beef short ribs"])
+    expect(categories).toEqual([])
+  })
+})
+
+describe("highlight", () => {
+  it("marks matches and escapes the product text", () => {
+    expect(highlight("Smoked <b>brisket</b> & ribs", ["brisket", "rib"])).toBe(
+      "Smoked &lt;b&gt;<mark>brisket</mark>&lt;/b&gt; &amp; <mark>ribs</mark>",
+    )
+    expect(highlight("Chuck roast", ["brisket"])).toBeNull()
+  })
+})
+
+describe("searchProducts", () => {
+  const search = async (query) => {
+    const res = buildResponse()
+    await searchProducts(buildRequest({ query }), res)
+    return res
+  }
+
+  it("rejects over-long and repeated queries", async () => {
+    expect((await search({ q: "rib".repeat(40) })).statusCode).toBe(400)
+    expect((await search({ q: ["rib", "eye"] })).body.error).toBe(
+      "Search query must be a single value of at most 100 characters",
+    )
+  })
+
+  it("rejects repeated categories and prices that are not numbers", async () => {
+    jest.spyOn(Product, "aggregate")
+    const res = await search({ q: "rib", category: ["beef", "pork"], minPrice: "cheap", maxPrice: ["10", "20"] })
+
+    expect(res.statusCode).toBe(400)
+    expect(res.body.details).toEqual([
+      "category must be a single value",
+      "minPrice must be a non-negative number",
+      "maxPrice must be a non-negative number",
+    ])
+    expect(Product.aggregate).not.toHaveBeenCalled()
+  })
+})
+
+describe("suggestProducts", () => {
+  const suggest = async (query) => {
+    const res = buildResponse()
+    await suggestProducts(buildRequest({ query }), res)
+    return res
+  }
+
+  it("rejects a repeated query parameter", async () => {
+    const res = await suggest({ q: ["rib", "eye"] })
+
+    expect(res.statusCode).toBe(400)
+    expect(res.body.error).toBe("Search query must be a single value")
+  })
+
+  it("keeps the limit between 1 and 10", async () => {
+    withCatalog([["Ribeye"], ["Rib roast"], ["Pork ribs"]])
+    const limit = withQueryLog()
+
+    const res = await suggest({ q: "rib", limit: "-3" })
+
+    expect(res.body.data.products).toHaveLength(1)
+    expect(limit).toHaveBeenLastCalledWith(1)
+    await suggest({ q: "rib", limit: "50" })
+    expect(limit).toHaveBeenLastCalledWith(10)
+  })
+})
+
+describe("toggleProductStatus", () => {
+  it("drops the cached catalog so suggestions stop showing a deactivated product", async () => {
+    withCatalog([["Ribeye"]])
+    await suggestFromCatalog("rib", 5)
+    const product = buildProduct({ isActive: true })
+    jest.spyOn(product, "save").mockResolvedValue(product)
+    jest.spyOn(Product, "findById").mockResolvedValue(product)
+
+    await toggleProductStatus(
+      buildRequest({ params: { id: product._id }, user: { id: objectId().toString(), role: "admin" } }),
+      buildResponse(),
+    )
+    await suggestFromCatalog("rib", 5)
+
+    expect(product.isActive).toBe(false)
+    expect(Product.find).toHaveBeenCalledTimes(2)
+  })
+})
@@ -0,0 +1,170 @@
+const Category = require("../models/Category")
+const PriceRule = require("../models/PriceRule")
+const Product = require("../models/Product")
+const { getSitemap, getSitemapFile, getProductJsonLd } = require("../controllers/seo")
+const { buildUrlset, buildProductJsonLd } = require("../utils/seo")
+const { buildProduct, buildVariant, buildRequest, buildResponse, mockQuery } = require("./factories")
+
+const updatedAt = new Date("2024-05-01T12:00:00Z")
+
+// Catalog of the given sizes; find returns the docs given for each model
+const withCatalog = ({ categories = [], products = [], categoryCount, productCount }) => {
+  jest.spyOn(Category, "countDocuments").mockResolvedValue(categoryCount ?? categories.length)
+  jest.spyOn(Product, "countDocuments").mockResolvedValue(productCount ?? products.length)
+  jest.spyOn(Category, "findOne").mockReturnValue(mockQuery({ updatedAt }))
+  jest.spyOn(Product, "findOne").mockReturnValue(mockQuery({ updatedAt }))
+  jest.spyOn(Category, "find").mockReturnValue(mockQuery(categories))
+  return jest.spyOn(Product, "find").mockReturnValue(mockQuery(products))
+}
+
+// applyPriceRules finds no running sales
+const withoutSales = () => {
+  jest.spyOn(Category, "find").mockReturnValue({ select: () => Promise.resolve([]) })
+  jest.spyOn(PriceRule, "find").mockResolvedValue([])
+}
+
+afterEach(() => {
+  jest.restoreAllMocks()
+})
+
+describe("buildUrlset", () => {
+  it("escapes URLs and writes lastmod as an ISO date", () => {
+    expect(buildUrlset([{ loc: "http://shop.test/products/salt&pepper", lastmod: updatedAt }])).toBe(
+      [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">',
+        "  <url>",
+        "    <loc>http://shop.test/products/salt&amp;pepper</loc>",
+        "    <lastmod>2024-05-01T12:00:00.000Z</lastmod>",
+        "  </url>",
+        "</urlset>",
+      ].join("\n"),
+    )
+  })
+})
+
+describe("getSitemap", () => {
+  it("lists active categories and products in one sitemap", async () => {
+    const find = withCatalog({
+      categories: [{ slug: "steaks", updatedAt }],
+      products: [{ slug: "ribeye", updatedAt }],
+    })
+    const res = buildResponse()
+
+    await getSitemap(buildRequest(), res)
+
+    expect(res.statusCode).toBe(200)
+    expect(res.headers["Content-Type"]).toBe("application/xml")
+    expect(res.body).toContain("<urlset")
+    expect(res.body).toContain("<loc>http://localhost:3000/categories/steaks</loc>")
+    expect(res.body).toContain("<loc>http://localhost:3000/products/ribeye</loc>")
+    expect(find).toHaveBeenCalledWith({ isActive: true })
+  })
+
+  it("switches to a sitemap index for large catalogs", async () => {
+    withCatalog({ categoryCount: 20, productCount: 60000 })
+    const res = buildResponse()
+
+    await getSitemap(buildRequest(), res)
+
+    const files = [...res.body.matchAll(/<loc>(.*?)<\/loc>/g)].map(([, loc]) => loc)
+    expect(res.body).toContain("<sitemapindex")
+    expect(files).toEqual([
+      "http://localhost:5000/api/seo/sitemaps/categories-1.xml",
+      "http://localhost:5000/api/seo/sitemaps/products-1.xml",
+      "http://localhost:5000/api/seo/sitemaps/products-2.xml",
+    ])
+  })
+})
+
+describe("getSitemapFile", () => {
+  it("serves one page of a source", async () => {
+    withCatalog({ products: [{ slug: "ribeye", updatedAt }] })
+    const res = buildResponse()
+
+    await getSitemapFile(buildRequest({ params: { file: "products-2.xml" } }), res)
+
+    expect(res.statusCode).toBe(200)
+    expect(res.body).toContain("<loc>http://localhost:3000/products/ribeye</loc>")
+  })
+
+  it("404s unknown sources, bad pages and pages past the end", async () => {
+    withCatalog({ products: [] })
+
+    for (const file of ["orders-1.xml", "products-0.xml", "products-3.xml", "products.xml"]) {
+      const res = buildResponse()
+      await getSitemapFile(buildRequest({ params: { file } }), res)
+      expect(res.statusCode).toBe(404)
+    }
+  })
+})
+
+describe("buildProductJsonLd", () => {
+  it("describes a simple product with an Offer and its rating", () => {
+    const product = buildProduct({
+      slug: "ribeye",
+      seoTitle: "Dry-Aged Ribeye Steak",
+      images: [{ url: "/media/products/ribeye.jpg", isPrimary: true }],
+      averageRating: 4.5,
+      numOfReviews: 12,
+    })
+
+    expect(buildProductJsonLd(product, "http://api.test")).toMatchObject({
+      "@type": "Product",
+      name: "Dry-Aged Ribeye Steak",
+      description: "Dry-aged ribeye steak",
+      url: "http://localhost:3000/products/ribeye",
+      image: ["http://api.test/media/products/ribeye.jpg"],
+      offers: { "@type": "Offer", price: 30, priceCurrency: "USD", availability: "https://schema.org/InStock" },
+      aggregateRating: { "@type": "AggregateRating", ratingValue: 4.5, reviewCount: 12 },
+    })
+  })
+
+  it("uses an AggregateOffer over active variants and leaves out missing ratings", () => {
+    const product = buildProduct({
+      slug: "ribeye",
+      variants: [
+        buildVariant({ price: 25 }),
+        buildVariant({ price: 45, inventory: { quantity: 0 } }),
+        buildVariant({ price: 90, isActive: false }),
+      ],
+    })
+
+    const jsonLd = buildProductJsonLd(product, "http://api.test")
+
+    expect(jsonLd.offers).toMatchObject({ "@type": "AggregateOffer", lowPrice: 25, highPrice: 45, offerCount: 2 })
+    expect(jsonLd).not.toHaveProperty("aggregateRating")
+  })
+
+  it("marks sold out products OutOfStock", () => {
+    const product = buildProduct({ slug: "ribeye", inventory: { quantity: 0 } })
+
+    expect(buildProductJsonLd(product, "http://api.test").offers.availability).toBe("https://schema.org/OutOfStock")
+  })
+})
+
+describe("getProductJsonLd", () => {
+  it("looks products up by slug and 404s inactive ones", async () => {
+    const findBySlug = jest
+      .spyOn(Product, "findBySlug")
+      .mockReturnValue(mockQuery(buildProduct({ slug: "ribeye", isActive: false })))
+    const res = buildResponse()
+
+    await getProductJsonLd(buildRequest({ params: { id: "ribeye" } }), res)
+
+    expect(findBySlug).toHaveBeenCalledWith("ribeye")
+    expect(res.statusCode).toBe(404)
+  })
+
+  it("returns the JSON-LD for an active product", async () => {
+    const product = buildProduct({ slug: "ribeye" })
+    jest.spyOn(Product, "findById").mockReturnValue(mockQuery(product))
+    withoutSales()
+    const res = buildResponse()
+
+    await getProductJsonLd(buildRequest({ params: { id: product._id.toString() } }), res)
+
+    expect(res.statusCode).toBe(200)
+    expect(res.body.data).toMatchObject({ "@type": "Product", sku: product.sku, offers: { price: 30 } })
+  })
+})
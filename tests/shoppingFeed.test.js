@@ -0,0 +1,186 @@
+process.env.SHOPPING_FEED_TOKEN = "feed-secret"
+
+const Category = require("../models/Category")
+const PriceRule = require("../models/PriceRule")
+const Product = require("../models/Product")
+const { refreshShoppingFeed, getShoppingFeed } = require("../utils/shoppingFeed")
+const { getShoppingFeedFile } = require("../controllers/feeds")
+const { objectId, buildProduct, buildVariant, buildRequest, buildResponse, mockQuery } = require("./factories")
+
+const steaks = new Category({
+  name: "Steaks",
+  slug: "steaks",
+  ancestors: [{ _id: objectId(), name: "Beef", slug: "beef" }],
+})
+
+// A simple product on sale through comparePrice, with its secondary image listed first
+const ribeye = () =>
+  buildProduct({
+    sku: "RIB-1",
+    slug: "ribeye",
+    category: steaks,
+    price: 30,
+    comparePrice: 40,
+    images: [
+      { url: "/media/products/side.jpg", isPrimary: false },
+      { url: "https://cdn.example.com/front.jpg", isPrimary: true },
+    ],
+    specifications: { origin: "Texas", brand: "Lone Star Beef" },
+  })
+
+// A product sold in sizes, one sold out and one retired
+const brisket = () =>
+  buildProduct({
+    sku: "BRI-1",
+    slug: "brisket",
+    name: "Brisket",
+    category: steaks,
+    options: [{ name: "size", values: ["half", "whole", "huge"] }],
+    variants: [
+      buildVariant({ sku: "BRI-1-H", price: 45, options: { size: "half" }, weight: { value: 2.5, unit: "kg" } }),
+      buildVariant({ sku: "BRI-1-W", price: 80, options: { size: "whole" }, inventory: { quantity: 0 } }),
+      buildVariant({ sku: "BRI-1-X", price: 150, options: { size: "huge" }, isActive: false }),
+    ],
+  })
+
+// Active products come back in one batch, then an empty one; no sales are running
+const withProducts = (products) => {
+  const find = jest.spyOn(Product, "find").mockReturnValueOnce(mockQuery(products)).mockReturnValue(mockQuery([]))
+  jest.spyOn(Category, "find").mockReturnValue({ select: () => Promise.resolve([]) })
+  jest.spyOn(PriceRule, "find").mockResolvedValue([])
+  return find
+}
+
+const tsvRows = (tsv) => {
+  const [header, ...rows] = tsv.split("\n").map((line) => line.split("\t"))
+  return rows.map((row) => Object.fromEntries(header.map((name, i) => [name, row[i]])))
+}
+
+afterEach(() => {
+  jest.restoreAllMocks()
+})
+
+describe("refreshShoppingFeed", () => {
+  it("maps products to Merchant Center items", async () => {
+    withProducts([ribeye()])
+
+    const { tsv, itemCount } = await refreshShoppingFeed()
+
+    expect(itemCount).toBe(1)
+    expect(tsvRows(tsv)[0]).toMatchObject({
+      id: "RIB-1",
+      item_group_id: "",
+      title: "Ribeye",
+      link: "http://localhost:3000/products/ribeye",
+      image_link: "https://cdn.example.com/front.jpg",
+      additional_image_link: "http://localhost:5000/media/products/side.jpg",
+      availability: "in_stock",
+      price: "40.00 USD",
+      sale_price: "30.00 USD",
+      brand: "Lone Star Beef",
+      product_detail: "General:Origin:Texas",
+      product_type: "Beef > Steaks",
+      shipping_weight: "1 lb",
+      condition: "new",
+    })
+  })
+
+  it("lists each active variant under the product's SKU", async () => {
+    withProducts([brisket()])
+
+    const rows = tsvRows((await refreshShoppingFeed()).tsv)
+
+    expect(
+      rows.map(({ id, item_group_id, title, availability, price, sale_price, shipping_weight }) => ({
+        id,
+        item_group_id,
+        title,
+        availability,
+        price,
+        sale_price,
+        shipping_weight,
+      })),
+    ).toEqual([
+      {
+        id: "BRI-1-H",
+        item_group_id: "BRI-1",
+        title: "Brisket (half)",
+        availability: "in_stock",
+        price: "45.00 USD",
+        sale_price: "",
+        shipping_weight: "2.5 kg",
+      },
+      {
+        id: "BRI-1-W",
+        item_group_id: "BRI-1",
+        title: "Brisket (whole)",
+        availability: "out_of_stock",
+        price: "80.00 USD",
+        sale_price: "",
+        shipping_weight: "1 lb",
+      },
+    ])
+  })
+
+  it("writes an RSS feed with the Google namespace", async () => {
+    withProducts([ribeye(), brisket()])
+
+    const { xml } = await refreshShoppingFeed()
+
+    expect(xml).toContain('<rss version="2.0" xmlns:g="http://base.google.com/ns/1.0">')
+    expect(xml.match(/<item>/g)).toHaveLength(3)
+    expect(xml).toContain("<g:sale_price>30.00 USD</g:sale_price>")
+    expect(xml).toContain(
+      "<g:product_detail><g:section_name>General</g:section_name><g:attribute_name>Origin</g:attribute_name>" +
+        "<g:attribute_value>Texas</g:attribute_value></g:product_detail>",
+    )
+    expect(xml).not.toContain("<g:item_group_id></g:item_group_id>")
+  })
+
+  it("only loads active products, in batches", async () => {
+    const find = withProducts([ribeye()])
+
+    await refreshShoppingFeed()
+
+    expect(find).toHaveBeenCalledTimes(2)
+    expect(find.mock.calls[0][0]).toEqual({ isActive: true })
+    expect(find.mock.calls[1][0]).toMatchObject({ isActive: true, _id: { $gt: expect.anything() } })
+  })
+})
+
+describe("getShoppingFeed", () => {
+  it("serves the last generated feed until the next refresh", async () => {
+    const find = withProducts([ribeye()])
+    const generated = await refreshShoppingFeed()
+    find.mockClear()
+
+    expect(await getShoppingFeed()).toBe(generated)
+    expect(find).not.toHaveBeenCalled()
+  })
+})
+
+describe("getShoppingFeedFile", () => {
+  it("serves the feed in the requested format with the right token", async () => {
+    withProducts([ribeye()])
+    await refreshShoppingFeed()
+    const res = buildResponse()
+
+    await getShoppingFeedFile(buildRequest({ params: { format: "tsv" }, query: { token: "feed-secret" } }), res)
+
+    expect(res.statusCode).toBe(200)
+    expect(res.headers["Content-Type"]).toBe("text/tab-separated-values")
+    expect(res.body.split("\n")[0]).toMatch(/^id\titem_group_id\ttitle\t/)
+  })
+
+  it("hides the feed behind the token", async () => {
+    for (const query of [{}, { token: "wrong" }, { token: ["feed-secret"] }]) {
+      const res = buildResponse()
+      await getShoppingFeedFile(buildRequest({ params: { format: "xml" }, query }), res)
+      expect(res.statusCode).toBe(404)
+    }
+
+    const res = buildResponse()
+    await getShoppingFeedFile(buildRequest({ params: { format: "csv" }, query: { token: "feed-secret" } }), res)
+    expect(res.statusCode).toBe(404)
+  })
+})
@@ -0,0 +1,87 @@
+const Category = require("../models/Category")
+const { slugify, generateUniqueSlug, canonicalSlugFields } = require("../utils/slugify")
+const { objectId } = require("./factories")
+
+// Slugs and slug histories other categories hold; descendants are never found
+const withTakenSlugs = (taken) => {
+  const query = { select: () => query, lean: async () => taken, then: (resolve) => resolve([]) }
+  jest.spyOn(Category, "find").mockReturnValue(query)
+}
+
+// Saved category as loaded from the database, with writes stubbed out
+const savedCategory = (fields) => {
+  const category = Category.hydrate({ _id: objectId(), previousSlugs: [], ...fields })
+  jest.spyOn(Category.collection, "updateOne").mockResolvedValue({ matchedCount: 1, modifiedCount: 1 })
+  return category
+}
+
+afterEach(() => {
+  jest.restoreAllMocks()
+})
+
+describe("slugify", () => {
+  it("normalizes spacing, punctuation and accents alike", () => {
+    expect(slugify("T-Bone Steak (16oz)")).toBe("t-bone-steak-16oz")
+    expect(slugify("t bone steak")).toBe(slugify("T-Bone  Steak!"))
+    expect(slugify("Jamón Ibérico")).toBe("jamon-iberico")
+  })
+})
+
+describe("generateUniqueSlug", () => {
+  it("skips slugs that are in use now or were used before", async () => {
+    withTakenSlugs([{ slug: "t-bone-steak" }, { slug: "t-bone-steak-3", previousSlugs: ["t-bone-steak-2"] }])
+
+    expect(await generateUniqueSlug(Category, "T Bone Steak", objectId())).toBe("t-bone-steak-4")
+  })
+
+  it("falls back to a placeholder for names with no usable characters", async () => {
+    withTakenSlugs([])
+
+    expect(await generateUniqueSlug(Category, "!!!")).toBe("item")
+  })
+})
+
+describe("slug history", () => {
+  it("keeps the old slug when a category is renamed", async () => {
+    withTakenSlugs([])
+    const category = savedCategory({ name: "T-Bone", slug: "t-bone" })
+
+    category.name = "T-Bone Steak"
+    await category.save()
+
+    expect(category.slug).toBe("t-bone-steak")
+    expect(category.previousSlugs).toEqual(["t-bone"])
+  })
+
+  it("lets a category take back one of its old slugs", async () => {
+    withTakenSlugs([])
+    const category = savedCategory({ name: "T-Bone Steak", slug: "t-bone-steak", previousSlugs: ["t-bone"] })
+
+    category.name = "T-Bone"
+    await category.save()
+
+    expect(category.slug).toBe("t-bone")
+    expect(category.previousSlugs).toEqual(["t-bone-steak"])
+  })
+
+  it("leaves the slug alone on saves that don't rename", async () => {
+    const category = savedCategory({ name: "T-Bone", slug: "t-bone" })
+    const find = jest.spyOn(Category, "find")
+
+    category.description = "Strip and tenderloin on the bone"
+    await category.save()
+
+    expect(category.slug).toBe("t-bone")
+    expect(find).not.toHaveBeenCalled()
+  })
+})
+
+describe("canonicalSlugFields", () => {
+  it("asks for a redirect only when an old slug was requested", () => {
+    const doc = { slug: "t-bone-steak" }
+
+    expect(canonicalSlugFields("t-bone", doc)).toEqual({ canonicalSlug: "t-bone-steak", redirect: true })
+    expect(canonicalSlugFields("T-Bone-Steak", doc).redirect).toBe(false)
+    expect(canonicalSlugFields(objectId().toString(), doc).redirect).toBe(false)
+  })
+})
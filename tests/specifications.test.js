@@ -0,0 +1,110 @@
+const Category = require("../models/Category")
+const Product = require("../models/Product")
+const { getProducts } = require("../controllers/products")
+const {
+  checkSpecifications,
+  mergeSpecificationDefinitions,
+  buildSpecificationFacets,
+} = require("../utils/specifications")
+const { objectId, buildProduct, buildRequest, buildResponse, mockQuery } = require("./factories")
+
+// Pork cuts: an enum cut, a number thickness and a required boolean
+const porkSchema = [
+  { key: "cut", type: "enum", values: ["loin", "shoulder", "belly"], required: true, filterable: true },
+  { key: "thickness", type: "number", unit: "in", filterable: true },
+  { key: "boneIn", type: "boolean", required: true, filterable: false },
+]
+
+afterEach(() => {
+  jest.restoreAllMocks()
+})
+
+describe("checkSpecifications", () => {
+  it("coerces values to their declared types and drops empty ones", () => {
+    expect(checkSpecifications({ cut: "loin", thickness: "1.5", boneIn: "false", note: "" }, porkSchema)).toEqual({
+      values: { cut: "loin", thickness: 1.5, boneIn: false },
+      errors: [],
+    })
+  })
+
+  it("reports unknown keys, bad values and missing required fields", () => {
+    const { errors } = checkSpecifications(
+      new Map([
+        ["cut", "ribeye"],
+        ["grade", "prime"],
+      ]),
+      porkSchema,
+    )
+
+    expect(errors).toEqual([
+      { key: "cut", message: "Specification cut must be one of loin, shoulder, belly" },
+      { key: "grade", message: "Unknown specification grade for this category (allowed: cut, thickness, boneIn)" },
+      { key: "boneIn", message: "Specification boneIn is required for this category" },
+    ])
+    expect(checkSpecifications({}, porkSchema, { requireAll: false }).errors).toEqual([])
+  })
+})
+
+describe("specification schemas", () => {
+  it("let a subcategory redefine a field it inherits", () => {
+    const chops = [{ key: "cut", type: "enum", values: ["loin"] }]
+
+    expect(mergeSpecificationDefinitions([porkSchema, chops]).map(({ key, values }) => [key, values])).toEqual([
+      ["cut", ["loin"]],
+      ["thickness", undefined],
+      ["boneIn", undefined],
+    ])
+  })
+
+  it("are checked when a product is validated", async () => {
+    jest.spyOn(Category, "getSpecificationSchema").mockResolvedValue(porkSchema)
+    const product = buildProduct({ name: "Pork chop", specifications: { cut: "loin", thickness: "1" } })
+
+    await expect(product.validate()).rejects.toThrow("Specification boneIn is required for this category")
+    product.specifications.set("boneIn", "true")
+    await product.validate()
+    expect(Object.fromEntries(product.specifications)).toEqual({ cut: "loin", thickness: 1, boneIn: true })
+  })
+
+  it("shape facets for filterable fields only", () => {
+    const buckets = [
+      { _id: { key: "cut", value: "loin" }, count: 4 },
+      { _id: { key: "thickness", value: 0.75 }, count: 1 },
+      { _id: { key: "thickness", value: 2 }, count: 3 },
+      { _id: { key: "boneIn", value: true }, count: 4 },
+    ]
+
+    expect(buildSpecificationFacets(buckets, porkSchema)).toEqual([
+      { key: "cut", label: "cut", type: "enum", values: [{ value: "loin", count: 4 }] },
+      { key: "thickness", label: "thickness", type: "number", unit: "in", min: 0.75, max: 2 },
+    ])
+  })
+})
+
+describe("getProducts specification filters", () => {
+  it("applies ?cut= and ?specs[cut]= together rather than one replacing the other", async () => {
+    jest.spyOn(Category, "getSpecificationSchema").mockResolvedValue(porkSchema)
+    jest.spyOn(Product, "find").mockReturnValue(mockQuery([]))
+    jest.spyOn(Product, "countDocuments").mockResolvedValue(0)
+    const category = objectId().toString()
+
+    await getProducts(buildRequest({ query: { category, cut: "shoulder", specs: { cut: "loin" } } }), buildResponse())
+
+    expect(Product.find.mock.calls[0][0]).toEqual({
+      $and: [
+        { category: expect.anything(), "specifications.cut": "shoulder" },
+        { "specifications.cut": "loin" },
+        { isActive: true },
+      ],
+    })
+  })
+
+  it("needs a single category to filter on specifications", async () => {
+    const res = buildResponse()
+
+    await getProducts(buildRequest({ query: { specs: { cut: "loin" } } }), res)
+
+    expect(res.statusCode).toBe(400)
+    expect(res.body.details).toEqual(["Specification filters need a single category"])
+  })
+})
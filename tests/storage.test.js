@@ -0,0 +1,184 @@
+const fs = require("fs")
+const os = require("os")
+const path = require("path")
+const { EventEmitter } = require("events")
+
+const testDir = fs.mkdtempSync(path.join(os.tmpdir(), "storage-test-"))
+process.env.LOCAL_STORAGE_DIR = path.join(testDir, "storage")
+
+jest.mock("../config/storage")
+
+const Product = require("../models/Product")
+const localStorage = require("../config/localStorage")
+const { deleteImage } = require("../config/storage")
+const cleanupUploads = require("../middleware/cleanupUploads")
+const { updateProductImage, reorderProductImages, deleteProductImage } = require("../controllers/products")
+const { buildProduct, buildRequest, buildResponse, objectId } = require("./factories")
+
+const admin = { id: objectId().toString(), role: "admin" }
+
+// A temp file standing in for one multer wrote
+const tempUpload = (name = "upload.JPG") => {
+  const dir = fs.mkdtempSync(path.join(testDir, "upload-"))
+  const file = path.join(dir, name)
+  fs.writeFileSync(file, "image bytes")
+  return file
+}
+
+// A product with three images, the first primary, returned by Product.findById
+const withImages = () => {
+  const product = buildProduct({
+    images: ["a", "b", "c"].map((name, i) => ({
+      url: `/media/products/${name}.jpg`,
+      assetId: `products/${name}.jpg`,
+      alt: name,
+      isPrimary: i === 0,
+    })),
+  })
+  jest.spyOn(product, "save").mockResolvedValue(product)
+  jest.spyOn(Product, "findById").mockResolvedValue(product)
+  return product
+}
+
+const imageRequest = (product, image, body = {}) =>
+  buildRequest({ params: { id: product._id.toString(), imageId: image?._id.toString() }, body, user: admin })
+
+afterEach(() => {
+  jest.restoreAllMocks()
+})
+
+afterAll(() => {
+  fs.rmSync(testDir, { recursive: true, force: true })
+})
+
+describe("local storage provider", () => {
+  it("copies the file under the folder and serves it from the base URL", async () => {
+    const { url, assetId } = await localStorage.uploadImage(tempUpload(), "products/abc")
+
+    expect(assetId).toMatch(/^products\/abc\/[0-9a-f-]{36}\.jpg$/)
+    expect(url).toBe(`/media/${assetId}`)
+    expect(fs.readFileSync(path.join(localStorage.STORAGE_DIR, assetId), "utf8")).toBe("image bytes")
+  })
+
+  it("deletes stored files and logs instead of throwing", async () => {
+    const { assetId } = await localStorage.uploadImage(tempUpload(), "products/abc")
+    const log = jest.spyOn(console, "error").mockImplementation(() => {})
+
+    await localStorage.deleteImage(assetId)
+    expect(fs.existsSync(path.join(localStorage.STORAGE_DIR, assetId))).toBe(false)
+
+    await localStorage.deleteImage(assetId)
+    expect(log).toHaveBeenCalled()
+  })
+
+  it("refuses asset ids outside the storage directory", async () => {
+    const outside = tempUpload("keep.txt")
+    const log = jest.spyOn(console, "error").mockImplementation(() => {})
+
+    await localStorage.deleteImage(path.relative(localStorage.STORAGE_DIR, outside))
+    await expect(localStorage.uploadImage(tempUpload(), "../../escape")).rejects.toThrow("Image upload failed")
+
+    expect(fs.existsSync(outside)).toBe(true)
+    expect(log.mock.calls[0][1].message).toMatch(/^Invalid asset id/)
+  })
+})
+
+describe("cleanupUploads", () => {
+  it("removes multer's temp files once the response closes", async () => {
+    const files = [tempUpload(), tempUpload()]
+    const res = new EventEmitter()
+    const next = jest.fn()
+
+    cleanupUploads({ files: files.map((file) => ({ path: file })) }, res, next)
+    expect(next).toHaveBeenCalled()
+    expect(files.every((file) => fs.existsSync(file))).toBe(true)
+
+    // The unlinks run in the background; give them a moment to finish
+    res.emit("close")
+    for (let tries = 0; tries < 50 && files.some((file) => fs.existsSync(file)); tries++) {
+      await new Promise((resolve) => setTimeout(resolve, 10))
+    }
+
+    expect(files.some((file) => fs.existsSync(file))).toBe(false)
+  })
+})
+
+describe("updateProductImage", () => {
+  it("makes one image primary and edits its alt text", async () => {
+    const product = withImages()
+    const [first, second] = product.images
+    const res = buildResponse()
+
+    await updateProductImage(imageRequest(product, second, { alt: "Ribeye, sliced", isPrimary: true }), res)
+
+    expect(res.statusCode).toBe(200)
+    expect(second).toMatchObject({ alt: "Ribeye, sliced", isPrimary: true })
+    expect(first.isPrimary).toBe(false)
+    expect(product.save).toHaveBeenCalled()
+  })
+
+  it("will not leave the product without a primary image", async () => {
+    const product = withImages()
+    const res = buildResponse()
+
+    await updateProductImage(imageRequest(product, product.images[0], { isPrimary: false }), res)
+
+    expect(res.statusCode).toBe(400)
+    expect(product.images[0].isPrimary).toBe(true)
+  })
+
+  it("404s an image the product does not have", async () => {
+    const product = withImages()
+    const res = buildResponse()
+
+    await updateProductImage(imageRequest(product, { _id: objectId() }, { alt: "Missing" }), res)
+
+    expect(res.statusCode).toBe(404)
+    expect(res.body.error).toBe("Image not found")
+  })
+})
+
+describe("reorderProductImages", () => {
+  it("puts the images in the given order", async () => {
+    const product = withImages()
+    const ids = product.images.map((image) => image._id.toString())
+    const res = buildResponse()
+
+    await reorderProductImages(imageRequest(product, null, { images: [ids[2], ids[0], ids[1]] }), res)
+
+    expect(res.statusCode).toBe(200)
+    expect(product.images.map((image) => image.alt)).toEqual(["c", "a", "b"])
+  })
+
+  it("needs every image listed exactly once", async () => {
+    const product = withImages()
+    const ids = product.images.map((image) => image._id.toString())
+
+    for (const images of [
+      [ids[0], ids[1]],
+      [ids[0], ids[0], ids[1]],
+      [ids[0], ids[1], objectId().toString()],
+    ]) {
+      const res = buildResponse()
+      await reorderProductImages(imageRequest(product, null, { images }), res)
+      expect(res.statusCode).toBe(400)
+    }
+    expect(product.save).not.toHaveBeenCalled()
+  })
+})
+
+describe("deleteProductImage", () => {
+  it("deletes the stored file and promotes the next image to primary", async () => {
+    const product = withImages()
+    const res = buildResponse()
+
+    await deleteProductImage(imageRequest(product, product.images[0]), res)
+
+    expect(res.statusCode).toBe(200)
+    expect(deleteImage).toHaveBeenCalledWith("products/a.jpg")
+    expect(product.images.map((image) => [image.alt, image.isPrimary])).toEqual([
+      ["b", true],
+      ["c", false],
+    ])
+  })
+})
@@ -0,0 +1,75 @@
+const { convertWeight, displayWeight, unitPrices, getUnitSystem } = require("../utils/units")
+const { calculateShipping } = require("../utils/calculateShipping")
+
+describe("convertWeight", () => {
+  it("converts between every unit", () => {
+    expect(convertWeight(1, "kg", "g")).toBe(1000)
+    expect(convertWeight(16, "oz", "lb")).toBeCloseTo(1)
+    expect(convertWeight(1, "lb", "kg")).toBeCloseTo(0.45359237)
+    expect(convertWeight(500, "g", "lb")).toBeCloseTo(1.1023)
+  })
+
+  it("returns the value unchanged within a unit", () => {
+    expect(convertWeight(2.5, "lb", "lb")).toBe(2.5)
+  })
+})
+
+describe("displayWeight", () => {
+  it("shows weights in the unit system's main unit", () => {
+    expect(displayWeight({ value: 1, unit: "kg" })).toEqual({ value: 2.2, unit: "lb" })
+    expect(displayWeight({ value: 5, unit: "lb" }, "metric")).toEqual({ value: 2.27, unit: "kg" })
+  })
+
+  it("uses the smaller unit under one of the main unit", () => {
+    expect(displayWeight({ value: 0.75, unit: "lb" })).toEqual({ value: 12, unit: "oz" })
+    expect(displayWeight({ value: 12, unit: "oz" }, "metric")).toEqual({ value: 340.2, unit: "g" })
+  })
+
+  it("falls back to imperial and skips missing weights", () => {
+    expect(displayWeight({ value: 1, unit: "lb" }, "nautical")).toEqual({ value: 1, unit: "lb" })
+    expect(displayWeight(undefined)).toBeNull()
+    expect(displayWeight({ unit: "lb" })).toBeNull()
+  })
+})
+
+describe("unitPrices", () => {
+  it("works out the price per lb and per kg", () => {
+    expect(unitPrices(10, { value: 500, unit: "g" })).toEqual({ perLb: 9.07, perKg: 20 })
+    expect(unitPrices(12, { value: 12, unit: "oz" })).toEqual({ perLb: 16, perKg: 35.27 })
+  })
+
+  it("is null for weightless items", () => {
+    expect(unitPrices(10, { value: 0, unit: "lb" })).toBeNull()
+    expect(unitPrices(10, null)).toBeNull()
+  })
+})
+
+describe("getUnitSystem", () => {
+  it("prefers ?units=, then the user's preference, then imperial", () => {
+    const user = { preferences: { unitSystem: "metric" } }
+
+    expect(getUnitSystem({ query: { units: "imperial" }, user })).toBe("imperial")
+    expect(getUnitSystem({ query: { units: "bogus" }, user })).toBe("metric")
+    expect(getUnitSystem({ query: {} })).toBe("imperial")
+  })
+})
+
+describe("calculateShipping", () => {
+  const item = (value, unit, quantity = 1, totalPrice = 20) => ({ weight: { value, unit }, quantity, totalPrice })
+
+  it("charges the base rate up to 10 lb", () => {
+    expect(calculateShipping([item(4, "lb", 2)])).toBe(10)
+  })
+
+  it("converts metric weights before pricing", () => {
+    // 500 g packs weigh about 1.1 lb each, not 500 lb
+    expect(calculateShipping([item(500, "g", 3)])).toBe(10)
+    // 3 x 2 kg is about 13.2 lb: one extra 5 lb step
+    expect(calculateShipping([item(2, "kg", 3)])).toBe(15)
+  })
+
+  it("caps the charge and ships large orders free", () => {
+    expect(calculateShipping([item(100, "kg")])).toBe(50)
+    expect(calculateShipping([item(1, "lb", 1, 60), item(1, "lb", 1, 40)])).toBe(0)
+  })
+})
@@ -1,8 +1,12 @@
+const { convertWeight } = require("./units")
+
 const calculateShipping = (items, shippingAddress) => {
-  // Basic shipping calculation
+  // Basic shipping calculation on the total weight in lb. Each item is
+  // { weight, quantity, totalPrice }, with the weight of what was bought (the
+  // product's or the variant's).
   const totalWeight = items.reduce((total, item) => {
-    const weight = item.product.weight.value * item.quantity
-    return total + weight
+    const { value, unit } = item.weight
+    return total + convertWeight(value, unit, "lb") * item.quantity
   }, 0)
 
   // Free shipping over $100
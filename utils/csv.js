@@ -0,0 +1,77 @@
+// Minimal RFC 4180 CSV reading and writing
+
+// Parse CSV text into an array of rows (arrays of strings). Handles quoted fields
+// with embedded commas, quotes ("") and line breaks, and both LF and CRLF endings.
+const parseCsv = (text) => {
+  const rows = []
+  let row = []
+  let field = ""
+  let inQuotes = false
+
+  // Drop a UTF-8 byte order mark left by spreadsheet exports
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i]
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"'
+        i++
+      } else if (char === '"') {
+        inQuotes = false
+      } else {
+        field += char
+      }
+    } else if (char === '"') {
+      inQuotes = true
+    } else if (char === ",") {
+      row.push(field)
+      field = ""
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && input[i + 1] === "\n") i++
+      row.push(field)
+      rows.push(row)
+      row = []
+      field = ""
+    } else {
+      field += char
+    }
+  }
+
+  if (inQuotes) {
+    throw new Error("Unterminated quoted field")
+  }
+
+  if (field !== "" || row.length > 0) {
+    row.push(field)
+    rows.push(row)
+  }
+
+  // Skip blank lines
+  return rows.filter((values) => values.some((value) => value.trim() !== ""))
+}
+
+// Text cells starting with these are run as formulas by spreadsheet apps
+const FORMULA_PREFIXES = ["=", "+", "-", "@", "\t", "\r"]
+
+const escapeCsvValue = (value) => {
+  if (value === undefined || value === null) return ""
+  // Quote formula-like text with a leading ' so spreadsheets show it as text; numbers
+  // (including negative ones) are written as they are
+  const text = typeof value === "string" && FORMULA_PREFIXES.includes(value[0]) ? `'${value}` : String(value)
+  return /[",\r\n]/.test(text) || text !== text.trim() ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+// Undo the ' escapeCsvValue adds to formula-like text, so exported cells import unchanged
+const unescapeFormulaText = (text) => (text[0] === "'" && FORMULA_PREFIXES.includes(text[1]) ? text.slice(1) : text)
+
+// Serialize one row of values as a CSV line (with trailing CRLF)
+const toCsvLine = (values) => `${values.map(escapeCsvValue).join(",")}\r\n`
+
+module.exports = {
+  parseCsv,
+  escapeCsvValue,
+  unescapeFormulaText,
+  toCsvLine,
+}
@@ -0,0 +1,135 @@
+const fs = require("fs")
+const os = require("os")
+const path = require("path")
+const crypto = require("crypto")
+const mongoose = require("mongoose")
+const sharp = require("sharp")
+const { providerName, uploadImage, deleteImage } = require("../config/storage")
+
+// Sizes generated for every uploaded image. Cropped sizes fill the box exactly; the
+// others keep the aspect ratio and fit inside it. Images are never enlarged.
+const IMAGE_DERIVATIVES = {
+  thumbnail: { width: 150, height: 150, fit: "cover" },
+  card: { width: 400, height: 300, fit: "cover" },
+  detail: { width: 800, height: 600, fit: "inside" },
+  zoom: { width: 1600, height: 1200, fit: "inside" },
+}
+
+const derivativeSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      enum: Object.keys(IMAGE_DERIVATIVES),
+      required: true,
+    },
+    format: {
+      type: String,
+      enum: ["webp", "jpeg", "png"],
+      required: true,
+    },
+    width: Number,
+    height: Number,
+    url: {
+      type: String,
+      required: true,
+    },
+    assetId: String,
+  },
+  { _id: false },
+)
+
+// Schema fields added to every stored image: its derivatives and a srcset string per
+// format ({ webp: "url 150w, url 400w, ...", jpeg: "..." })
+const imageDerivativeFields = {
+  derivatives: [derivativeSchema],
+  srcset: {
+    type: Map,
+    of: String,
+  },
+}
+
+// Build srcset strings per format, smallest first and one entry per width
+const buildSrcset = (derivatives) => {
+  const srcset = {}
+  for (const format of [...new Set(derivatives.map((derivative) => derivative.format))]) {
+    const byWidth = new Map()
+    derivatives
+      .filter((derivative) => derivative.format === format)
+      .sort((a, b) => a.width - b.width)
+      .forEach((derivative) => {
+        if (!byWidth.has(derivative.width)) byWidth.set(derivative.width, derivative.url)
+      })
+    srcset[format] = [...byWidth].map(([width, url]) => `${url} ${width}w`).join(", ")
+  }
+  return srcset
+}
+
+// Resize an image into every derivative size, in WebP and a fallback format (PNG for
+// images with transparency, JPEG otherwise), and upload them to the storage provider
+const generateDerivatives = async (file, folder) => {
+  const { hasAlpha } = await sharp(file).metadata()
+  const fallback = hasAlpha ? "png" : "jpeg"
+  const derivatives = []
+
+  try {
+    for (const [name, size] of Object.entries(IMAGE_DERIVATIVES)) {
+      for (const format of ["webp", fallback]) {
+        const tempFile = path.join(os.tmpdir(), `${crypto.randomUUID()}.${format === "jpeg" ? "jpg" : format}`)
+        try {
+          const info = await sharp(file)
+            .rotate()
+            .resize({ ...size, withoutEnlargement: true })
+            .toFormat(format, { quality: 80 })
+            .toFile(tempFile)
+          const stored = await uploadImage(tempFile, `${folder}/${name}`, { transform: false })
+          derivatives.push({ name, format, width: info.width, height: info.height, ...stored })
+        } finally {
+          await fs.promises.unlink(tempFile).catch(() => {})
+        }
+      }
+    }
+  } catch (error) {
+    await Promise.all(derivatives.map((derivative) => deleteImage(derivative.assetId)))
+    throw error
+  }
+
+  return derivatives
+}
+
+// Store an uploaded image and its derivatives. Resolves to the fields saved on the
+// image: { url, assetId, derivatives, srcset }.
+const storeImage = async (file, folder) => {
+  const derivatives = await generateDerivatives(file, folder)
+
+  try {
+    const { url, assetId } = await uploadImage(file, folder)
+    return { url, assetId, derivatives, srcset: buildSrcset(derivatives) }
+  } catch (error) {
+    await Promise.all(derivatives.map((derivative) => deleteImage(derivative.assetId)))
+    throw error
+  }
+}
+
+// Cloudinary public id of an image uploaded before asset ids were stored, read from its
+// delivery URL (.../upload/v123/meat-shop/abc.jpg is meat-shop/abc)
+const legacyAssetId = (url) => {
+  if (providerName !== "cloudinary" || !url || !url.includes("cloudinary")) return undefined
+  const match = url.match(/\/upload\/(?:v\d+\/)?(.+)\.[a-z0-9]+$/i)
+  return match ? match[1] : undefined
+}
+
+// Delete a stored image and its derivatives. Older images without an asset id are found
+// by their URL.
+const deleteStoredImage = async ({ url, assetId, derivatives = [] }) => {
+  await Promise.all(
+    [assetId || legacyAssetId(url), ...derivatives.map((derivative) => derivative.assetId)]
+      .filter(Boolean)
+      .map((id) => deleteImage(id)),
+  )
+}
+
+module.exports = {
+  imageDerivativeFields,
+  storeImage,
+  deleteStoredImage,
+}
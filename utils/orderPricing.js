@@ -0,0 +1,40 @@
+const TAX_RATE = 0.08 // 8% tax
+
+// Extra amount authorized on top of the estimated total for catch-weight orders,
+// so heavier-than-estimated packs can still be captured
+const configuredAuthBuffer = Number.parseFloat(process.env.CATCH_WEIGHT_AUTH_BUFFER)
+const CATCH_WEIGHT_AUTH_BUFFER = Number.isNaN(configuredAuthBuffer) ? 0.15 : configuredAuthBuffer
+
+const roundPrice = (amount) => Math.round(amount * 100) / 100
+
+// Calculate order totals from the items subtotal and the shipping charge (quoted by
+// calculateShipping at checkout, and kept when re-pricing weighed items)
+const calculateOrderTotals = (itemsPrice, shippingPrice) => {
+  const taxPrice = roundPrice(itemsPrice * TAX_RATE)
+
+  return {
+    itemsPrice: roundPrice(itemsPrice),
+    taxPrice,
+    shippingPrice,
+    totalPrice: roundPrice(itemsPrice + taxPrice + shippingPrice),
+  }
+}
+
+// Estimated price of one catch-weight pack
+const estimateCatchWeightPrice = (pricePerUnit, estimatedWeight) => roundPrice(pricePerUnit * estimatedWeight)
+
+// Amount to authorize for an order, including the buffer when items still need weighing
+const getAuthorizationAmount = (order) => {
+  const hasCatchWeightItems = order.items.some((item) => item.isCatchWeight)
+  if (!hasCatchWeightItems) return order.totalPrice
+  return roundPrice(order.totalPrice * (1 + CATCH_WEIGHT_AUTH_BUFFER))
+}
+
+module.exports = {
+  TAX_RATE,
+  CATCH_WEIGHT_AUTH_BUFFER,
+  roundPrice,
+  calculateOrderTotals,
+  estimateCatchWeightPrice,
+  getAuthorizationAmount,
+}
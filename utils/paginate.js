@@ -0,0 +1,228 @@
+const mongoose = require("mongoose")
+
+const DEFAULT_MAX_LIMIT = 100
+
+// Normalize a sort given as a string ("-price name") or object ({ price: -1 }) into
+// [field, direction] pairs, ending with _id so every position is unique and stable
+const normalizeSort = (sort) => {
+  const pairs =
+    typeof sort === "string"
+      ? sort
+          .split(/[\s,]+/)
+          .filter(Boolean)
+          .map((field) => (field.startsWith("-") ? [field.slice(1), -1] : [field, 1]))
+      : Object.entries(sort)
+
+  if (!pairs.some(([field]) => field === "_id")) {
+    pairs.push(["_id", pairs.length > 0 ? pairs[pairs.length - 1][1] : 1])
+  }
+
+  return pairs
+}
+
+const toSortObject = (pairs, reverse = false) =>
+  Object.fromEntries(pairs.map(([field, direction]) => [field, reverse ? -direction : direction]))
+
+const sortSignature = (pairs) => pairs.map(([field, direction]) => `${direction < 0 ? "-" : ""}${field}`).join(",")
+
+// Cursor values keep their BSON type through JSON
+const encodeValue = (value) => {
+  if (value instanceof Date) return { $date: value.toISOString() }
+  if (value instanceof mongoose.Types.ObjectId) return { $oid: value.toString() }
+  return value
+}
+
+// Only plain scalars and the encoded Date/ObjectId forms are accepted, so a crafted
+// cursor cannot smuggle query operators into the filter
+const decodeValue = (value) => {
+  if (value === null || ["string", "number", "boolean"].includes(typeof value)) return value
+  if (typeof value.$date === "string" && !Number.isNaN(Date.parse(value.$date))) return new Date(value.$date)
+  if (typeof value.$oid === "string" && mongoose.isValidObjectId(value.$oid)) {
+    return new mongoose.Types.ObjectId(value.$oid)
+  }
+  return undefined
+}
+
+const getPath = (doc, path) => {
+  if (typeof doc.get === "function") return doc.get(path)
+  return path.split(".").reduce((value, key) => (value == null ? value : value[key]), doc)
+}
+
+const encodeCursor = (doc, pairs, direction) =>
+  Buffer.from(
+    JSON.stringify({
+      s: sortSignature(pairs),
+      d: direction,
+      v: pairs.map(([field]) => encodeValue(getPath(doc, field))),
+    }),
+  ).toString("base64url")
+
+const decodeCursor = (token, pairs) => {
+  try {
+    const cursor = JSON.parse(Buffer.from(token, "base64url").toString("utf8"))
+    if (cursor.s !== sortSignature(pairs) || !["next", "prev"].includes(cursor.d)) return null
+    if (!Array.isArray(cursor.v) || cursor.v.length !== pairs.length) return null
+    const values = cursor.v.map(decodeValue)
+    if (values.includes(undefined)) return null
+    return { direction: cursor.d, values }
+  } catch (error) {
+    return null
+  }
+}
+
+// Condition for values past `value` in traversal order. MongoDB sorts null (and missing)
+// before every other value, which $gt/$lt comparisons against null don't reflect.
+const pastValue = (field, value, ascending) => {
+  if (ascending) return value === null ? { [field]: { $ne: null } } : { [field]: { $gt: value } }
+  if (value === null) return null // Nothing sorts before null
+  return { $or: [{ [field]: { $lt: value } }, { [field]: null }] }
+}
+
+// Filter for the documents after (or before) the cursor position in sort order
+const buildCursorFilter = (pairs, cursor) => {
+  const forward = cursor.direction === "next"
+
+  return {
+    $or: pairs
+      .map(([field, direction], index) => {
+        const past = pastValue(field, cursor.values[index], direction > 0 === forward)
+        if (!past) return null
+
+        const condition = {}
+        for (let i = 0; i < index; i++) {
+          condition[pairs[i][0]] = cursor.values[i]
+        }
+        return { ...condition, ...past }
+      })
+      .filter(Boolean),
+  }
+}
+
+// Read pagination parameters from the request.
+//
+// Offset mode is the default and includes the total: ?page=2&limit=20
+// Sending ?cursor= switches to cursor mode (an empty cursor starts at the first page):
+// ?cursor=<token>&limit=20&includeTotal=true. Offset pages also return the next cursor.
+const parsePagination = (req, { sort = "-createdAt", defaultLimit = 12, maxLimit = DEFAULT_MAX_LIMIT } = {}) => {
+  const limit = Math.min(Math.max(Number.parseInt(req.query.limit, 10) || defaultLimit, 1), maxLimit)
+  const pairs = normalizeSort(sort)
+
+  if (req.query.cursor === undefined) {
+    const page = Math.max(Number.parseInt(req.query.page, 10) || 1, 1)
+    return { mode: "offset", limit, page, skip: (page - 1) * limit, pairs, includeTotal: true }
+  }
+
+  let cursor = null
+  if (req.query.cursor) {
+    cursor = decodeCursor(req.query.cursor, pairs)
+    if (!cursor) return { error: "Invalid or expired cursor" }
+  }
+
+  return { mode: "cursor", limit, cursor, pairs, includeTotal: req.query.includeTotal === "true" }
+}
+
+// Stages to run a page: extra filter, sort, skip and limit. One extra document
+// is fetched in cursor mode to tell whether there is another page.
+const getPageQuery = (paging) => {
+  if (paging.mode === "offset") {
+    return { filter: null, sort: toSortObject(paging.pairs), skip: paging.skip, limit: paging.limit }
+  }
+
+  const backwards = paging.cursor?.direction === "prev"
+  return {
+    filter: paging.cursor ? buildCursorFilter(paging.pairs, paging.cursor) : null,
+    sort: toSortObject(paging.pairs, backwards),
+    skip: 0,
+    limit: paging.limit + 1,
+  }
+}
+
+// Merge the cursor filter into a resource filter
+const withPageFilter = (filter, pageQuery) => (pageQuery.filter ? { $and: [filter, pageQuery.filter] } : filter)
+
+const buildLink = (req, params) => {
+  const url = new URL(`${req.protocol}://${req.get("host")}${req.originalUrl}`)
+  url.searchParams.delete("cursor")
+  url.searchParams.delete("page")
+  for (const [key, value] of Object.entries(params)) {
+    url.searchParams.set(key, value)
+  }
+  return url.toString()
+}
+
+// Trim the fetched documents to a page, build the pagination block and set the
+// RFC 8288 Link header. Returns { data, pagination }.
+const buildPage = (req, res, paging, docs, total) => {
+  const pagination = { mode: paging.mode, limit: paging.limit }
+  const links = { first: buildLink(req, paging.mode === "offset" ? { page: 1 } : { cursor: "" }) }
+  let data = docs
+
+  if (paging.mode === "offset") {
+    if (total !== undefined && paging.page * paging.limit < total) {
+      pagination.next = { page: paging.page + 1, limit: paging.limit }
+      if (docs.length > 0) pagination.next.cursor = encodeCursor(docs[docs.length - 1], paging.pairs, "next")
+      links.next = buildLink(req, { page: paging.page + 1 })
+    }
+    if (paging.page > 1) {
+      pagination.prev = { page: paging.page - 1, limit: paging.limit }
+      links.prev = buildLink(req, { page: paging.page - 1 })
+    }
+  } else {
+    const backwards = paging.cursor?.direction === "prev"
+    const hasMore = docs.length > paging.limit
+    data = docs.slice(0, paging.limit)
+    if (backwards) data.reverse()
+
+    const hasNext = backwards || hasMore
+    const hasPrev = backwards ? hasMore : !!paging.cursor
+
+    if (hasNext && data.length > 0) {
+      const cursor = encodeCursor(data[data.length - 1], paging.pairs, "next")
+      pagination.next = { cursor, limit: paging.limit }
+      links.next = buildLink(req, { cursor })
+    }
+    if (hasPrev && data.length > 0) {
+      const cursor = encodeCursor(data[0], paging.pairs, "prev")
+      pagination.prev = { cursor, limit: paging.limit }
+      links.prev = buildLink(req, { cursor })
+    }
+  }
+
+  res.set(
+    "Link",
+    Object.entries(links)
+      .map(([rel, url]) => `<${url}>; rel="${rel}"`)
+      .join(", "),
+  )
+
+  return { data, pagination }
+}
+
+// Paginate a model query. `query` customizes the find (populate, select, ...).
+// Returns { data, total, pagination } or { error } for a bad cursor.
+const paginate = async (req, res, Model, filter, options = {}) => {
+  const paging = parsePagination(req, options)
+  if (paging.error) return { error: paging.error }
+
+  const pageQuery = getPageQuery(paging)
+  let query = Model.find(withPageFilter(filter, pageQuery))
+    .sort(pageQuery.sort)
+    .skip(pageQuery.skip)
+    .limit(pageQuery.limit)
+  if (options.query) query = options.query(query)
+
+  const [docs, total] = await Promise.all([
+    query,
+    paging.includeTotal ? Model.countDocuments(filter) : Promise.resolve(undefined),
+  ])
+
+  return { ...buildPage(req, res, paging, docs, total), total }
+}
+
+module.exports = {
+  parsePagination,
+  getPageQuery,
+  withPageFilter,
+  buildPage,
+  paginate,
+}
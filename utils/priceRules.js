@@ -0,0 +1,59 @@
+const PriceRule = require("../models/PriceRule")
+const Category = require("../models/Category")
+
+// List prices a sale discounts on a product: the per-unit rate of catch-weight products,
+// each active variant's price for products sold as variants, otherwise the price
+const listPrices = (product) => {
+  if (product.catchWeight?.enabled) return [product.catchWeight.pricePerUnit]
+  const variantPrices = (product.variants || []).filter((variant) => variant.isActive).map((variant) => variant.price)
+  return variantPrices.length > 0 ? variantPrices : [product.price]
+}
+
+// What a product's list prices add up to under a rule
+const discountedTotal = (rule, prices) => prices.reduce((total, price) => total + rule.applyTo(price), 0)
+
+// Attach the best running sale to each product document (in $locals.priceRule), so
+// getSellable and the sale virtual return sale prices. Category sales also cover
+// subcategories. When several sales apply the one giving the lowest prices wins.
+// Returns the products for chaining.
+const applyPriceRules = async (products, now = new Date()) => {
+  const docs = products.filter(Boolean)
+  if (docs.length === 0) return products
+
+  const categoryOf = (product) => product.category && String(product.category._id || product.category)
+
+  // Each product's category plus its ancestors
+  const categories = await Category.find({ _id: { $in: docs.map(categoryOf).filter(Boolean) } }).select("ancestors")
+  const categoryPaths = new Map(
+    categories.map((category) => [
+      category._id.toString(),
+      [category._id.toString(), ...category.ancestors.map((ancestor) => ancestor._id.toString())],
+    ]),
+  )
+  const categoryIds = [...new Set([...categoryPaths.values()].flat())]
+
+  const rules = await PriceRule.find({
+    ...PriceRule.runningAt(now),
+    $and: [{ $or: [{ product: { $in: docs.map((product) => product._id) } }, { category: { $in: categoryIds } }] }],
+  })
+
+  for (const product of docs) {
+    const productId = product._id.toString()
+    const path = categoryPaths.get(categoryOf(product)) || []
+    const matching = rules.filter(
+      (rule) => rule.product?.toString() === productId || (rule.category && path.includes(rule.category.toString())),
+    )
+
+    const prices = listPrices(product)
+    product.$locals.priceRule = matching.reduce(
+      (best, rule) => (!best || discountedTotal(rule, prices) < discountedTotal(best, prices) ? rule : best),
+      null,
+    )
+  }
+
+  return products
+}
+
+module.exports = {
+  applyPriceRules,
+}
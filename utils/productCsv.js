@@ -0,0 +1,160 @@
+const Product = require("../models/Product")
+const Category = require("../models/Category")
+const { SPECIFICATION_KEY_PATTERN } = require("./specifications")
+const { unescapeFormulaText } = require("./csv")
+
+// Separator for list values (tags, allergens) inside a single cell
+const LIST_SEPARATOR = "|"
+
+const schemaPathsUnder = (prefix) => Object.keys(Product.schema.paths).filter((path) => path.startsWith(`${prefix}.`))
+
+const SPECIFICATION_PREFIX = "specifications."
+
+// Column layout shared by the catalog export and import, so the two round-trip.
+// Nested fields use dot paths; category is written and read as the category slug.
+// Specification columns (specifications.<key>) depend on the catalog and are added
+// by getProductCsvHeaders; their text values are converted by the category schema on import.
+// Variants, bundle items, certifications and images are managed through the API, not the CSV.
+const PRODUCT_CSV_COLUMNS = [
+  { path: "sku", type: "string" },
+  { path: "name", type: "string" },
+  { path: "type", type: "string" },
+  { path: "category", type: "category" },
+  { path: "description", type: "string" },
+  { path: "shortDescription", type: "string" },
+  { path: "price", type: "number" },
+  { path: "comparePrice", type: "number" },
+  { path: "cost", type: "number" },
+  { path: "weight.value", type: "number" },
+  { path: "weight.unit", type: "string" },
+  { path: "catchWeight.enabled", type: "boolean" },
+  { path: "catchWeight.pricePerUnit", type: "number" },
+  { path: "catchWeight.unit", type: "string" },
+  { path: "inventory.quantity", type: "number" },
+  { path: "inventory.lowStockThreshold", type: "number" },
+  { path: "inventory.trackQuantity", type: "boolean" },
+  ...schemaPathsUnder("nutritionFacts").map((path) => ({
+    path,
+    type: Product.schema.path(path).instance === "String" ? "string" : "number",
+  })),
+  { path: "allergens", type: "list" },
+  { path: "tags", type: "list" },
+  { path: "status", type: "string" },
+  { path: "publishAt", type: "date" },
+  { path: "unpublishAt", type: "date" },
+  { path: "isActive", type: "boolean" },
+  { path: "isFeatured", type: "boolean" },
+  { path: "seoTitle", type: "string" },
+  { path: "seoDescription", type: "string" },
+]
+
+// Columns for specification keys are placed before nutrition facts
+const SPECIFICATION_COLUMNS_AT = PRODUCT_CSV_COLUMNS.findIndex(({ path }) => path.startsWith("nutritionFacts."))
+
+const isSpecificationHeader = (header) =>
+  header.startsWith(SPECIFICATION_PREFIX) && SPECIFICATION_KEY_PATTERN.test(header.slice(SPECIFICATION_PREFIX.length))
+
+const findColumn = (header) =>
+  PRODUCT_CSV_COLUMNS.find(({ path }) => path === header) ||
+  (isSpecificationHeader(header) ? { path: header, type: "string" } : undefined)
+
+// Export headers: the fixed columns plus one per specification key defined by a
+// category or used by a product
+const getProductCsvHeaders = async () => {
+  const [definedKeys, usedKeys] = await Promise.all([
+    Category.distinct("specificationSchema.key"),
+    Product.aggregate([
+      { $project: { specification: { $objectToArray: { $ifNull: ["$specifications", {}] } } } },
+      { $unwind: "$specification" },
+      { $group: { _id: "$specification.k" } },
+    ]),
+  ])
+  const keys = [...new Set([...definedKeys, ...usedKeys.map(({ _id }) => _id)])].sort()
+  const headers = PRODUCT_CSV_COLUMNS.map((column) => column.path)
+  headers.splice(SPECIFICATION_COLUMNS_AT, 0, ...keys.map((key) => `${SPECIFICATION_PREFIX}${key}`))
+  return headers
+}
+
+const getPath = (object, path) =>
+  path.split(".").reduce((value, key) => (value === undefined || value === null ? undefined : value[key]), object)
+
+// Cell values for a product (lean, with category populated) in header order
+const productToCsvValues = (product, headers) =>
+  headers.map(findColumn).map(({ path, type }) => {
+    if (type === "category") return product.category?.slug
+    const value = getPath(product, path)
+    if (type === "list") return (value || []).join(LIST_SEPARATOR)
+    if (type === "date") return value && new Date(value).toISOString()
+    return value
+  })
+
+// Check a header row against the column layout
+const validateCsvHeaders = (headers) => {
+  const errors = []
+  const unknown = headers.filter((header) => !findColumn(header))
+  const duplicates = headers.filter((header, index) => headers.indexOf(header) !== index)
+
+  if (!headers.includes("sku")) errors.push("Missing required column: sku")
+  if (unknown.length > 0) errors.push(`Unknown columns: ${unknown.join(", ")}`)
+  if (duplicates.length > 0) errors.push(`Duplicate columns: ${[...new Set(duplicates)].join(", ")}`)
+
+  return errors
+}
+
+// Convert a CSV row into product fields keyed by dot path, so nested values are set
+// individually. Empty cells are skipped so they leave existing values unchanged.
+// Returns { fields, categorySlug, errors }.
+const csvValuesToProductFields = (headers, values) => {
+  const fields = {}
+  const errors = []
+  let categorySlug
+
+  headers.forEach((header, index) => {
+    const column = findColumn(header)
+    const raw = unescapeFormulaText((values[index] || "").trim())
+    if (!column || raw === "") return
+
+    switch (column.type) {
+      case "number": {
+        const number = Number(raw)
+        if (Number.isFinite(number)) fields[column.path] = number
+        else errors.push(`Invalid number for ${column.path}: ${raw}`)
+        break
+      }
+      case "boolean":
+        if (["true", "false"].includes(raw.toLowerCase())) fields[column.path] = raw.toLowerCase() === "true"
+        else errors.push(`Invalid boolean for ${column.path}: ${raw} (use true or false)`)
+        break
+      case "date": {
+        const date = new Date(raw)
+        if (!Number.isNaN(date.getTime())) fields[column.path] = date
+        else errors.push(`Invalid date for ${column.path}: ${raw}`)
+        break
+      }
+      case "list":
+        fields[column.path] = raw
+          .split(LIST_SEPARATOR)
+          .map((item) => item.trim())
+          .filter(Boolean)
+        break
+      case "category":
+        categorySlug = raw.toLowerCase()
+        break
+      default:
+        fields[column.path] = raw
+    }
+  })
+
+  if (values.length > headers.length) {
+    errors.push(`Row has ${values.length} values but there are only ${headers.length} columns`)
+  }
+
+  return { fields, categorySlug, errors }
+}
+
+module.exports = {
+  getProductCsvHeaders,
+  productToCsvValues,
+  validateCsvHeaders,
+  csvValuesToProductFields,
+}
@@ -0,0 +1,126 @@
+const Order = require("../models/Order")
+const Product = require("../models/Product")
+const ProductView = require("../models/ProductView")
+const { applyPriceRules } = require("./priceRules")
+const { applyUnitSystem } = require("./units")
+
+// Categories of the user's past purchases considered for the feed
+const PURCHASE_CATEGORIES = 3
+
+// Who is viewing: the signed-in user and/or the anonymous device. Returns null when
+// neither is known.
+const getViewer = (req) => {
+  if (!req.user && !req.deviceId) return null
+  return { user: req.user?._id, deviceId: req.deviceId }
+}
+
+// Active products by id, keeping the order of the ids
+const loadProducts = async (ids) => {
+  const products = await Product.find({ _id: { $in: ids }, isActive: true })
+    .populate("category", "name slug")
+    .withBundleComponents()
+  return ids.map((id) => products.find((product) => product._id.equals(id))).filter(Boolean)
+}
+
+// Products the viewer looked at, most recent first, with when they were last viewed
+const getRecentlyViewedProducts = async (viewer, limit, unitSystem) => {
+  const views = await ProductView.find(ProductView.viewerFilter(viewer))
+    .sort("-lastViewedAt")
+    .limit(limit * 2)
+
+  // A user's and a device's views can overlap; keep the latest per product
+  const latest = new Map()
+  for (const view of views) {
+    if (!latest.has(view.product.toString())) latest.set(view.product.toString(), view)
+  }
+
+  const products = await loadProducts([...latest.values()].map((view) => view.product))
+  await applyPriceRules(products)
+  applyUnitSystem(products, unitSystem)
+
+  return products.slice(0, limit).map((product) => ({
+    ...product.toJSON(),
+    viewedAt: latest.get(product._id.toString()).lastViewedAt,
+  }))
+}
+
+// Top rated active products in the categories the user buys from most
+const findPurchaseCategoryProducts = async (userId, limit) => {
+  const categories = await Order.aggregate([
+    { $match: { user: userId, status: { $nin: ["cancelled", "refunded"] } } },
+    { $unwind: "$items" },
+    { $lookup: { from: "products", localField: "items.product", foreignField: "_id", as: "product" } },
+    { $unwind: "$product" },
+    { $group: { _id: "$product.category", quantity: { $sum: "$items.quantity" } } },
+    { $sort: { quantity: -1 } },
+    { $limit: PURCHASE_CATEGORIES },
+  ])
+  if (categories.length === 0) return []
+
+  return Product.find({ category: { $in: categories.map((category) => category._id) }, isActive: true })
+    .sort("-averageRating -numOfReviews")
+    .limit(limit)
+    .populate("category", "name slug")
+    .withBundleComponents()
+}
+
+// Personalized home feed: recently viewed products, top products from the categories
+// the user buys from, and featured products, interleaved so each source shows up near
+// the top. Best rated products fill any gap. Out of stock products are left out and
+// each entry says why it was picked in `reason`.
+const buildForYouFeed = async (viewer, limit, unitSystem) => {
+  // Fetch extra candidates per source to cover duplicates and out of stock products
+  const candidates = limit * 2
+
+  const views = viewer
+    ? await ProductView.find(ProductView.viewerFilter(viewer)).sort("-lastViewedAt").limit(candidates)
+    : []
+  const [recentlyViewed, purchaseCategories, featured, popular] = await Promise.all([
+    loadProducts(views.map((view) => view.product)),
+    viewer?.user ? findPurchaseCategoryProducts(viewer.user, candidates) : [],
+    Product.find({ isFeatured: true, isActive: true })
+      .sort("-averageRating")
+      .limit(candidates)
+      .populate("category", "name slug")
+      .withBundleComponents(),
+    Product.find({ isActive: true })
+      .sort("-averageRating -numOfReviews")
+      .limit(candidates)
+      .populate("category", "name slug")
+      .withBundleComponents(),
+  ])
+
+  const sources = [
+    { reason: "recently-viewed", products: recentlyViewed },
+    { reason: "purchased-category", products: purchaseCategories },
+    { reason: "featured", products: featured },
+  ].map((source) => ({ ...source, products: source.products.filter((product) => product.inStock) }))
+
+  // Take one product from each source in turn
+  const picked = new Map()
+  const pick = (product, reason) => {
+    if (picked.size < limit && !picked.has(product._id.toString())) {
+      picked.set(product._id.toString(), { product, reason })
+    }
+  }
+  const longest = Math.max(...sources.map((source) => source.products.length))
+  for (let index = 0; index < longest && picked.size < limit; index++) {
+    for (const { reason, products } of sources) {
+      if (products[index]) pick(products[index], reason)
+    }
+  }
+  popular.filter((product) => product.inStock).forEach((product) => pick(product, "popular"))
+
+  const entries = [...picked.values()]
+  const products = entries.map(({ product }) => product)
+  await applyPriceRules(products)
+  applyUnitSystem(products, unitSystem)
+
+  return entries.map(({ product, reason }) => ({ ...product.toJSON(), reason }))
+}
+
+module.exports = {
+  getViewer,
+  getRecentlyViewedProducts,
+  buildForYouFeed,
+}
@@ -0,0 +1,82 @@
+const Product = require("../models/Product")
+const { clearCatalogCache } = require("./search")
+
+const CHECK_INTERVAL = (Number(process.env.PRODUCT_SCHEDULE_INTERVAL_MINUTES) || 1) * 60 * 1000
+
+let runningCheck = null
+
+// Change the products matching filter and save them one at a time, so each change is
+// recorded in the product's revision history. A product that fails to save is logged
+// and left for the next check. Returns how many products were changed.
+const transitionProducts = async (filter, change) => {
+  const products = await Product.find(filter)
+  let changed = 0
+
+  for (const product of products) {
+    change(product)
+    product.$locals.revisionAction = "lifecycle"
+    try {
+      await product.save()
+      changed++
+    } catch (error) {
+      console.error(`Apply schedule to product ${product._id} error:`, error)
+    }
+  }
+
+  return changed
+}
+
+// Publish scheduled products whose publishAt has passed, then archive published products
+// whose unpublishAt has passed. Concurrent calls share the run in progress.
+const applyProductSchedules = (now = new Date()) => {
+  if (runningCheck) return runningCheck
+
+  runningCheck = (async () => {
+    const published = await transitionProducts({ status: "scheduled", publishAt: { $lte: now } }, (product) => {
+      product.status = "published"
+      product.isActive = true
+    })
+    // unpublishAt is cleared so republishing the product later doesn't archive it again
+    const archived = await transitionProducts({ status: "published", unpublishAt: { $lte: now } }, (product) => {
+      product.status = "archived"
+      product.isActive = false
+      product.unpublishAt = undefined
+    })
+
+    if (published > 0 || archived > 0) clearCatalogCache()
+    return { published, archived }
+  })().finally(() => {
+    runningCheck = null
+  })
+
+  return runningCheck
+}
+
+// Products saved before lifecycle statuses existed take theirs from isActive
+const backfillProductStatus = () =>
+  Product.updateMany({ status: { $exists: false } }, [
+    { $set: { status: { $cond: ["$isActive", "published", "archived"] } } },
+  ])
+
+// Apply publish and unpublish times every PRODUCT_SCHEDULE_INTERVAL_MINUTES
+const scheduleProductLifecycle = () => {
+  const check = () =>
+    applyProductSchedules().catch((error) => {
+      console.error("Apply product schedules error:", error)
+    })
+
+  backfillProductStatus()
+    .catch((error) => {
+      console.error("Backfill product status error:", error)
+    })
+    .then(check)
+
+  const timer = setInterval(check, CHECK_INTERVAL)
+  timer.unref() // Don't keep the process alive just for this
+  return timer
+}
+
+module.exports = {
+  applyProductSchedules,
+  scheduleProductLifecycle,
+}
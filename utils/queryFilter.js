@@ -0,0 +1,164 @@
+const mongoose = require("mongoose")
+const { escapeRegex } = require("./search")
+
+// Query parameters handled by the list controllers themselves
+const RESERVED_PARAMS = ["page", "limit", "cursor", "includeTotal", "select", "sort"]
+
+const OPERATORS = ["eq", "ne", "gt", "gte", "lt", "lte", "in", "nin"]
+
+// Operators allowed per value type unless a field declares its own
+const DEFAULT_OPERATORS = {
+  number: ["eq", "ne", "gt", "gte", "lt", "lte", "in"],
+  date: ["eq", "gt", "gte", "lt", "lte"],
+  string: ["eq", "ne", "in", "nin"],
+  enum: ["eq", "ne", "in", "nin"],
+  objectId: ["eq", "ne", "in", "nin"],
+  boolean: ["eq"],
+}
+
+// Convert a raw query string value to the field's type, or return undefined if invalid
+const coerce = (raw, spec) => {
+  if (typeof raw !== "string") return undefined
+  const value = raw.trim()
+
+  switch (spec.type) {
+    case "number": {
+      if (value === "") return undefined
+      const number = Number(value)
+      return Number.isFinite(number) ? number : undefined
+    }
+    case "date": {
+      const date = new Date(value)
+      return Number.isNaN(date.getTime()) ? undefined : date
+    }
+    case "boolean":
+      if (value === "true") return true
+      if (value === "false") return false
+      return undefined
+    case "objectId":
+      return /^[0-9a-fA-F]{24}$/.test(value) ? new mongoose.Types.ObjectId(value) : undefined
+    case "enum":
+      return spec.values.includes(value) ? value : undefined
+    case "string":
+      return value.length > 0 && value.length <= 100 ? value : undefined
+    default:
+      return undefined
+  }
+}
+
+// Turn a single field's query value into a Mongo condition
+const buildCondition = (name, raw, spec, errors) => {
+  const allowed = spec.operators || DEFAULT_OPERATORS[spec.type]
+
+  // Bare values (?price=10) use the field's default operator; objects (?price[gte]=10) name one
+  const entries = typeof raw === "object" && !Array.isArray(raw) ? Object.entries(raw) : [[spec.operator || "eq", raw]]
+
+  const condition = {}
+  for (const [operator, rawValue] of entries) {
+    if (!OPERATORS.includes(operator) || !allowed.includes(operator)) {
+      errors.push(`Operator "${operator}" is not allowed on ${name}`)
+      continue
+    }
+
+    const rawValues = operator === "in" || operator === "nin" ? String(rawValue).split(",") : [rawValue]
+    const values = rawValues.map((value) => coerce(value, spec))
+
+    if (values.some((value) => value === undefined)) {
+      errors.push(`Invalid value for ${name}${spec.values ? ` (allowed: ${spec.values.join(", ")})` : ""}`)
+      continue
+    }
+
+    const mapped = spec.transform ? values.map(spec.transform) : values
+    condition[`$${operator}`] = operator === "in" || operator === "nin" ? mapped : mapped[0]
+  }
+
+  return condition
+}
+
+// Parse a comma separated list of fields against an allowlist
+const parseFieldList = (raw, allowed, label, errors) => {
+  if (raw === undefined) return null
+  if (typeof raw !== "string") {
+    errors.push(`Invalid ${label}`)
+    return null
+  }
+
+  const fields = raw
+    .split(",")
+    .map((field) => field.trim())
+    .filter(Boolean)
+  const invalid = fields.filter((field) => !allowed.includes(field.replace(/^-/, "")))
+
+  if (invalid.length > 0) {
+    errors.push(`Cannot ${label}: ${invalid.join(", ")}. Allowed: ${allowed.join(", ")}`)
+    return null
+  }
+
+  return fields.join(" ")
+}
+
+// Parse list endpoint query parameters against a resource's declared grammar:
+//
+//   fields   - filterable params: { type, path?, values?, operators?, operator?, transform? }
+//   search   - { param, fields } for a case-insensitive text match across fields
+//   select   - fields that may be requested with ?select=
+//   sort     - fields that may be used in ?sort=
+//   params   - extra params the controller handles itself
+//
+// Returns { errors, filter, select, sort }. Unknown params and disallowed operators,
+// values, select and sort fields are reported in errors.
+const parseListQuery = (query, grammar) => {
+  const errors = []
+  const filter = {}
+  const searchParam = grammar.search?.param
+  const ignored = [...RESERVED_PARAMS, ...(grammar.params || []), ...(searchParam ? [searchParam] : [])]
+
+  for (const [name, raw] of Object.entries(query)) {
+    if (ignored.includes(name)) continue
+
+    const spec = grammar.fields[name]
+    if (!spec) {
+      errors.push(`Unknown filter field: ${name}`)
+      continue
+    }
+
+    const condition = buildCondition(name, raw, spec, errors)
+    const path = spec.path || name
+    filter[path] = { ...(filter[path] || {}), ...condition }
+  }
+
+  // Collapse { $eq: value } to value for readability and index friendliness
+  for (const [path, condition] of Object.entries(filter)) {
+    const keys = Object.keys(condition)
+    if (keys.length === 0) delete filter[path]
+    else if (keys.length === 1 && keys[0] === "$eq") filter[path] = condition.$eq
+  }
+
+  if (searchParam && typeof query[searchParam] === "string" && query[searchParam].trim()) {
+    const pattern = escapeRegex(query[searchParam].trim().slice(0, 100))
+    filter.$or = grammar.search.fields.map((field) => ({ [field]: { $regex: pattern, $options: "i" } }))
+  }
+
+  let select = parseFieldList(query.select, grammar.select || [], "select", errors)
+  // MongoDB projections either include or exclude fields, never both
+  if (select && new Set(select.split(" ").map((field) => field.startsWith("-"))).size > 1) {
+    errors.push("Cannot mix included and excluded fields in select")
+    select = null
+  }
+  const sort = parseFieldList(query.sort, grammar.sort || [], "sort by", errors)
+
+  return { errors, filter, select, sort: sort || grammar.defaultSort || "-createdAt" }
+}
+
+// Combine filters with $and, so conditions from different sources on the same field
+// (e.g. ?cut= and ?specs[cut]=) all apply instead of one replacing the other
+const combineFilters = (...filters) => {
+  const conditions = filters.filter((filter) => filter && Object.keys(filter).length > 0)
+  if (conditions.length <= 1) return conditions[0] || {}
+  return { $and: conditions }
+}
+
+module.exports = {
+  parseListQuery,
+  combineFilters,
+}
@@ -0,0 +1,205 @@
+const Order = require("../models/Order")
+const Product = require("../models/Product")
+const Category = require("../models/Category")
+const ProductRecommendation = require("../models/ProductRecommendation")
+const { applyPriceRules } = require("./priceRules")
+const { applyUnitSystem } = require("./units")
+
+const LOOKBACK_DAYS = 365
+const MAX_STORED = 20 // Recommendations kept per product and list
+const MIN_PAIR_COUNT = 2 // Pairs seen only once are treated as noise
+const REFRESH_INTERVAL = (Number(process.env.RECOMMENDATIONS_REFRESH_HOURS) || 6) * 60 * 60 * 1000
+
+// Fields returned for recommended products
+const RECOMMENDATION_FIELDS =
+  "name slug price comparePrice weight images averageRating numOfReviews category variants catchWeight"
+
+// Distinct products per group of orders: a single order, or all of a customer's orders
+const groupProductsStages = (groupId) => [
+  { $unwind: "$items" },
+  { $group: { _id: groupId, products: { $addToSet: "$items.product" } } },
+]
+
+// For each product, the other products sharing a group with it, most frequent first
+const coOccurrenceStages = (groupId) => [
+  ...groupProductsStages(groupId),
+  { $project: { product: "$products", other: "$products" } },
+  { $unwind: "$product" },
+  { $unwind: "$other" },
+  { $match: { $expr: { $ne: ["$product", "$other"] } } },
+  { $group: { _id: { product: "$product", other: "$other" }, count: { $sum: 1 } } },
+  { $match: { count: { $gte: MIN_PAIR_COUNT } } },
+  { $sort: { count: -1 } },
+  { $group: { _id: "$_id.product", related: { $push: { product: "$_id.other", count: "$count" } } } },
+  { $project: { related: { $slice: ["$related", MAX_STORED] } } },
+]
+
+// Number of groups each product appears in
+const groupCountStages = (groupId) => [
+  ...groupProductsStages(groupId),
+  { $unwind: "$products" },
+  { $group: { _id: "$products", count: { $sum: 1 } } },
+]
+
+let runningRefresh = null
+
+// Rebuild every product's recommendations from the last year of purchased orders.
+// Concurrent calls share the refresh already in progress.
+const refreshRecommendations = () => {
+  if (runningRefresh) return runningRefresh
+
+  runningRefresh = (async () => {
+    const computedAt = new Date()
+    const since = new Date(computedAt.getTime() - LOOKBACK_DAYS * 24 * 60 * 60 * 1000)
+    const run = (stages) =>
+      Order.aggregate([
+        { $match: { status: { $nin: ["cancelled", "refunded"] }, createdAt: { $gte: since } } },
+        ...stages,
+      ]).allowDiskUse(true)
+
+    const orderPairs = await run(coOccurrenceStages("$_id"))
+    const orderCounts = await run(groupCountStages("$_id"))
+    const customerPairs = await run(coOccurrenceStages("$user"))
+    const customerCounts = await run(groupCountStages("$user"))
+
+    const countsById = (rows) => new Map(rows.map((row) => [row._id.toString(), row.count]))
+    const orderTotals = countsById(orderCounts)
+    const customerTotals = countsById(customerCounts)
+
+    const withConfidence = (pairs, totals) =>
+      new Map(
+        pairs.map(({ _id, related }) => [
+          _id.toString(),
+          related.map(({ product, count }) => ({
+            product,
+            count,
+            confidence: Math.round((count / totals.get(_id.toString())) * 10000) / 10000,
+          })),
+        ]),
+      )
+    const together = withConfidence(orderPairs, orderTotals)
+    const alsoBought = withConfidence(customerPairs, customerTotals)
+
+    if (orderCounts.length > 0) {
+      await ProductRecommendation.bulkWrite(
+        orderCounts.map(({ _id }) => ({
+          updateOne: {
+            filter: { product: _id },
+            update: {
+              $set: {
+                frequentlyBoughtTogether: together.get(_id.toString()) || [],
+                customersAlsoBought: alsoBought.get(_id.toString()) || [],
+                orderCount: orderTotals.get(_id.toString()) || 0,
+                customerCount: customerTotals.get(_id.toString()) || 0,
+                computedAt,
+              },
+            },
+            upsert: true,
+          },
+        })),
+      )
+    }
+
+    // Products no longer bought in the window fall back to category similarity
+    await ProductRecommendation.deleteMany({ computedAt: { $lt: computedAt } })
+
+    return { products: orderCounts.length, computedAt }
+  })().finally(() => {
+    runningRefresh = null
+  })
+
+  return runningRefresh
+}
+
+// Refresh recommendations periodically, and at startup when they are missing or stale
+const scheduleRecommendationRefresh = () => {
+  const refresh = () =>
+    refreshRecommendations().catch((error) => {
+      console.error("Refresh recommendations error:", error)
+    })
+
+  ProductRecommendation.findOne()
+    .sort("-computedAt")
+    .select("computedAt")
+    .then((latest) => {
+      if (!latest || Date.now() - latest.computedAt.getTime() > REFRESH_INTERVAL) refresh()
+    })
+    .catch((error) => {
+      console.error("Check recommendations error:", error)
+    })
+
+  const timer = setInterval(refresh, REFRESH_INTERVAL)
+  timer.unref() // Don't keep the process alive just for this
+  return timer
+}
+
+// Active products in the same category as the product, then in the rest of its parent
+// category, best rated first
+const findSimilarProducts = async (product, limit, excludeIds) => {
+  if (limit <= 0 || !product.category) return []
+
+  const categoryId = product.category._id || product.category
+  const similar = await Product.find({ category: categoryId, isActive: true, _id: { $nin: excludeIds } })
+    .sort("-averageRating -numOfReviews")
+    .limit(limit)
+    .select(RECOMMENDATION_FIELDS)
+
+  const category = await Category.findById(categoryId).select("parent")
+  if (similar.length >= limit || !category?.parent) return similar
+
+  const siblingCategoryIds = await Category.getSubtreeIds(category.parent)
+  const more = await Product.find({
+    category: { $in: siblingCategoryIds },
+    isActive: true,
+    _id: { $nin: [...excludeIds, ...similar.map((doc) => doc._id)] },
+  })
+    .sort("-averageRating -numOfReviews")
+    .limit(limit - similar.length)
+    .select(RECOMMENDATION_FIELDS)
+
+  return [...similar, ...more]
+}
+
+// Recommendations for a product: "frequently bought together" (same order) and
+// "customers also bought" (same customer), from the stored order history mining.
+// "Customers also bought" is topped up with similar products from the category, so
+// new products without order history still get recommendations. Entries carry a
+// source of "orders" or "category".
+const getRecommendations = async (product, { limit = 4, unitSystem } = {}) => {
+  const stored = await ProductRecommendation.findOne({ product: product._id })
+
+  // Load the ranked products, skipping any that are no longer active
+  const load = async (entries = []) => {
+    const ids = entries.map((entry) => entry.product)
+    const docs = await Product.find({ _id: { $in: ids }, isActive: true }).select(RECOMMENDATION_FIELDS)
+    return ids
+      .map((id) => docs.find((doc) => doc._id.equals(id)))
+      .filter(Boolean)
+      .slice(0, limit)
+  }
+
+  const together = await load(stored?.frequentlyBoughtTogether)
+  const alsoBought = await load(stored?.customersAlsoBought)
+  const similar = await findSimilarProducts(product, limit - alsoBought.length, [
+    product._id,
+    ...together.map((doc) => doc._id),
+    ...alsoBought.map((doc) => doc._id),
+  ])
+
+  await applyPriceRules([...together, ...alsoBought, ...similar])
+  applyUnitSystem([...together, ...alsoBought, ...similar], unitSystem)
+
+  const withSource = (docs, source) => docs.map((doc) => ({ ...doc.toJSON(), source }))
+
+  return {
+    frequentlyBoughtTogether: withSource(together, "orders"),
+    customersAlsoBought: [...withSource(alsoBought, "orders"), ...withSource(similar, "category")],
+    computedAt: stored?.computedAt || null,
+  }
+}
+
+module.exports = {
+  refreshRecommendations,
+  scheduleRecommendationRefresh,
+  getRecommendations,
+}
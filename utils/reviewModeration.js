@@ -0,0 +1,98 @@
+const crypto = require("crypto")
+const { escapeRegex } = require("./search")
+
+// Comma separated words that hold a review, e.g. REVIEW_BANNED_WORDS=scam,fake
+const BANNED_WORDS = (process.env.REVIEW_BANNED_WORDS || "")
+  .split(",")
+  .map((word) => word.trim().toLowerCase())
+  .filter(Boolean)
+
+// Reviews from customers who haven't bought the product are held at or below this rating
+const UNVERIFIED_HOLD_RATING = Number(process.env.REVIEW_UNVERIFIED_HOLD_RATING) || 2
+
+// Shorter texts are too generic to count as copies ("Great meat, will buy again")
+const MIN_DUPLICATE_LENGTH = 30
+
+const BANNED_WORD_PATTERN = BANNED_WORDS.length
+  ? new RegExp(`\\b(${BANNED_WORDS.map(escapeRegex).join("|")})\\b`, "i")
+  : null
+const LINK_PATTERN = /(https?:\/\/|www\.)\S+|\b[a-z0-9-]+\.(com|net|org|io|co|shop|biz|info|ru|xyz)\b/i
+// Seven or more digits, allowing spaces, dots, dashes and brackets between them
+const PHONE_PATTERN = /\+?\d(?:[\s().-]*\d){6,}/
+
+// Rules a review can be held for
+const MODERATION_RULES = ["banned-word", "link", "phone-number", "duplicate-text", "unverified-low-rating", "edited"]
+
+// Lowercased letters and digits only, so copies with different spacing or punctuation match
+const normalizeText = (text) =>
+  (text || "")
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, " ")
+    .trim()
+
+// Fingerprint of a review's text used to spot the same text posted more than once.
+// The title is left out so a copy under a new title still matches.
+const textFingerprint = (text) => {
+  const normalized = normalizeText(text)
+  if (normalized.length < MIN_DUPLICATE_LENGTH) return undefined
+  return crypto.createHash("sha1").update(normalized).digest("hex")
+}
+
+// Check a review against the hold rules. Returns [{ rule, message }], empty when the
+// review can go live.
+const checkReview = async (review) => {
+  const reasons = []
+  const content = `${review.title} ${review.text}`
+
+  const banned = BANNED_WORD_PATTERN && content.match(BANNED_WORD_PATTERN)
+  if (banned) {
+    reasons.push({ rule: "banned-word", message: `Contains banned word "${banned[1].toLowerCase()}"` })
+  }
+  if (LINK_PATTERN.test(content)) {
+    reasons.push({ rule: "link", message: "Contains a link" })
+  }
+  if (PHONE_PATTERN.test(content)) {
+    reasons.push({ rule: "phone-number", message: "Contains a phone number" })
+  }
+
+  if (review.textFingerprint) {
+    const duplicate = await review.constructor.exists({
+      _id: { $ne: review._id },
+      textFingerprint: review.textFingerprint,
+    })
+    if (duplicate) {
+      reasons.push({ rule: "duplicate-text", message: "Same text as another review" })
+    }
+  }
+
+  if (!review.isVerifiedPurchase && review.rating <= UNVERIFIED_HOLD_RATING) {
+    reasons.push({
+      rule: "unverified-low-rating",
+      message: `${review.rating}-star review from a customer who hasn't bought the product`,
+    })
+  }
+
+  return reasons
+}
+
+// Run the hold rules on a new or edited review and set whether it goes live. A review
+// a moderator rejected goes back to the queue when edited instead of going live.
+const moderateReview = async (review) => {
+  const wasRejected = !review.isNew && !review.isApproved && !!review.moderation?.moderatedAt
+
+  review.textFingerprint = textFingerprint(review.text)
+  const reasons = await checkReview(review)
+  if (wasRejected && reasons.length === 0) {
+    reasons.push({ rule: "edited", message: "Edited after being rejected" })
+  }
+
+  review.isApproved = reasons.length === 0
+  review.moderation = { heldReasons: reasons, moderatedBy: undefined, moderatedAt: undefined }
+  return reasons
+}
+
+module.exports = {
+  MODERATION_RULES,
+  checkReview,
+  moderateReview,
+}
@@ -0,0 +1,208 @@
+const Product = require("../models/Product")
+const Category = require("../models/Category")
+
+const CATALOG_TTL = 5 * 60 * 1000 // 5 minutes
+const MAX_EXPANSIONS_PER_TERM = 5
+// Longest query accepted, and the most terms matched from it; each term is compared
+// against the whole vocabulary, so both bound the work a single request can cause
+const MAX_QUERY_LENGTH = 100
+const MAX_QUERY_TERMS = 8
+const SNIPPET_LENGTH = 160
+
+let catalogCache = { products: [], categories: [], words: [], builtAt: 0 }
+
+// Split text into lowercase alphanumeric search terms
+const tokenize = (text = "") =>
+  String(text)
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter((word) => word.length > 0)
+
+// Terms of a search query, up to MAX_QUERY_TERMS
+const getQueryTerms = (query) => tokenize(query).slice(0, MAX_QUERY_TERMS)
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")
+
+// Levenshtein distance that gives up once the distance exceeds max
+const editDistance = (a, b, max) => {
+  if (Math.abs(a.length - b.length) > max) return max + 1
+
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i)
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i]
+    let rowMin = i
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost)
+      rowMin = Math.min(rowMin, current[j])
+    }
+    if (rowMin > max) return max + 1
+    previous = current
+  }
+
+  return previous[b.length]
+}
+
+// Allowed typos grow with the length of the term
+const maxTyposFor = (term) => {
+  if (term.length < 4) return 0
+  if (term.length < 8) return 1
+  return 2
+}
+
+// Cached snapshot of active product and category names, used for prefix and typo
+// matching and for typeahead suggestions without hitting the database
+const getCatalog = async () => {
+  if (Date.now() - catalogCache.builtAt < CATALOG_TTL) return catalogCache
+
+  const [products, categories] = await Promise.all([
+    Product.find({ isActive: true }).select("name slug tags images").lean(),
+    Category.find({ isActive: true }).select("name slug").lean(),
+  ])
+
+  const words = new Set()
+  const catalogProducts = products.map((product) => {
+    const nameWords = tokenize(product.name)
+    const text = [product.name, ...(product.tags || [])].join(" ")
+    tokenize(text).forEach((word) => words.add(word))
+
+    return {
+      _id: product._id,
+      name: product.name,
+      slug: product.slug,
+      image: (product.images || []).find((image) => image.isPrimary)?.url || product.images?.[0]?.url,
+      words: nameWords,
+    }
+  })
+  const catalogCategories = categories.map((category) => ({
+    _id: category._id,
+    name: category.name,
+    slug: category.slug,
+    words: tokenize(category.name),
+  }))
+
+  catalogCache = { products: catalogProducts, categories: catalogCategories, words: [...words], builtAt: Date.now() }
+  return catalogCache
+}
+
+// Words from active product names and tags
+const getVocabulary = async () => (await getCatalog()).words
+
+// Expand each query term with catalog words that extend it (prefix match) or are
+// within a small edit distance (typo tolerance). Returns the expanded term list and
+// the corrections made for terms that had no exact match.
+const expandQuery = async (query) => {
+  const queryTerms = getQueryTerms(query)
+  const vocabulary = await getVocabulary()
+  const terms = new Set()
+  const corrections = {}
+
+  for (const term of queryTerms) {
+    terms.add(term)
+    if (vocabulary.includes(term)) continue
+
+    const maxTypos = maxTyposFor(term)
+    const candidates = []
+
+    for (const word of vocabulary) {
+      if (term.length >= 2 && word.startsWith(term)) {
+        candidates.push({ word, distance: 0 })
+      } else if (maxTypos > 0) {
+        const distance = editDistance(term, word, maxTypos)
+        if (distance <= maxTypos) candidates.push({ word, distance })
+      }
+    }
+
+    candidates
+      .sort((a, b) => a.distance - b.distance || a.word.length - b.word.length)
+      .slice(0, MAX_EXPANSIONS_PER_TERM)
+      .forEach(({ word }) => terms.add(word))
+
+    const bestTypoMatch = candidates.find((candidate) => candidate.distance > 0)
+    if (bestTypoMatch && !candidates.some((candidate) => candidate.distance === 0)) {
+      corrections[term] = bestTypoMatch.word
+    }
+  }
+
+  return { terms: [...terms], corrections }
+}
+
+const escapeHtml = (text) =>
+  text.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;").replace(/'/g, "&#39;")
+
+// Build an HTML snippet around the first matching term, wrapping matches in <mark> tags.
+// Product text is escaped, so the snippet is safe to render as HTML.
+const highlight = (text, terms) => {
+  if (!text || terms.length === 0) return null
+
+  const pattern = new RegExp(`\\b(${terms.map(escapeRegex).join("|")})[a-z0-9]*`, "gi")
+  const firstMatch = pattern.exec(text)
+  if (!firstMatch) return null
+
+  let start = 0
+  let end = text.length
+  if (text.length > SNIPPET_LENGTH) {
+    start = Math.max(0, firstMatch.index - Math.floor(SNIPPET_LENGTH / 3))
+    end = Math.min(text.length, start + SNIPPET_LENGTH)
+  }
+
+  const excerpt = text.slice(start, end)
+  let snippet = ""
+  let last = 0
+  pattern.lastIndex = 0
+  for (const match of excerpt.matchAll(pattern)) {
+    snippet += `${escapeHtml(excerpt.slice(last, match.index))}<mark>${escapeHtml(match[0])}</mark>`
+    last = match.index + match[0].length
+  }
+  snippet += escapeHtml(excerpt.slice(last))
+
+  return `${start > 0 ? "…" : ""}${snippet}${end < text.length ? "…" : ""}`
+}
+
+// Check that every query term is a prefix of one of the words
+const matchesAllTerms = (words, terms) => terms.every((term) => words.some((word) => word.startsWith(term)))
+
+// Typeahead matches for products and categories, ranked by how early the query matches
+const suggestFromCatalog = async (query, limit) => {
+  const terms = getQueryTerms(query)
+  if (terms.length === 0) return { products: [], categories: [] }
+
+  const { products, categories } = await getCatalog()
+  const normalized = terms.join(" ")
+  const rank = (entry) => [entry.name.toLowerCase().startsWith(normalized) ? 0 : 1, entry.name.length]
+  const byRank = (a, b) => {
+    const [aStart, aLength] = rank(a)
+    const [bStart, bLength] = rank(b)
+    return aStart - bStart || aLength - bLength
+  }
+  const strip = ({ words, ...entry }) => entry
+
+  return {
+    products: products
+      .filter((product) => matchesAllTerms(product.words, terms))
+      .sort(byRank)
+      .slice(0, limit)
+      .map(strip),
+    categories: categories
+      .filter((category) => matchesAllTerms(category.words, terms))
+      .sort(byRank)
+      .slice(0, limit)
+      .map(strip),
+  }
+}
+
+// Drop the cached catalog so changes are picked up immediately
+const clearCatalogCache = () => {
+  catalogCache = { products: [], categories: [], words: [], builtAt: 0 }
+}
+
+module.exports = {
+  MAX_QUERY_LENGTH,
+  tokenize,
+  getQueryTerms,
+  escapeRegex,
+  expandQuery,
+  highlight,
+  suggestFromCatalog,
+  clearCatalogCache,
+}
@@ -14,31 +14,103 @@ mongoose.connect(process.env.MONGODB_URI, {
 })
 
 // Sample data
+const origin = { key: "origin", label: "Origin" }
+
 const categories = [
   {
     name: "Beef",
     description: "Premium quality beef cuts",
     image: "beef-category.jpg",
+    specificationSchema: [
+      {
+        key: "cut",
+        label: "Cut",
+        type: "enum",
+        values: [
+          "ribeye",
+          "sirloin",
+          "filet-mignon",
+          "t-bone",
+          "porterhouse",
+          "strip",
+          "chuck",
+          "brisket",
+          "ground",
+          "whole",
+          "other",
+        ],
+        required: true,
+      },
+      { key: "grade", label: "USDA grade", type: "enum", values: ["prime", "choice", "select", "standard"] },
+      { key: "feedType", label: "Feed", type: "enum", values: ["grain-fed", "grass-fed", "grass-finished"] },
+      origin,
+    ],
   },
   {
     name: "Pork",
     description: "Fresh pork products",
     image: "pork-category.jpg",
+    specificationSchema: [
+      {
+        key: "cut",
+        label: "Cut",
+        type: "enum",
+        values: ["loin", "tenderloin", "chop", "shoulder", "belly", "ribs", "ham", "ground", "other"],
+        required: true,
+      },
+      { key: "feedType", label: "Raising", type: "enum", values: ["conventional", "pasture-raised", "heritage"] },
+      origin,
+    ],
   },
   {
     name: "Chicken",
     description: "Farm-fresh chicken",
     image: "chicken-category.jpg",
+    specificationSchema: [
+      {
+        key: "cut",
+        label: "Cut",
+        type: "enum",
+        values: ["whole", "breast", "thigh", "drumstick", "wing", "ground", "other"],
+        required: true,
+      },
+      { key: "feedType", label: "Raising", type: "enum", values: ["conventional", "free-range", "pasture-raised"] },
+      { key: "boneless", label: "Boneless", type: "boolean" },
+      origin,
+    ],
   },
   {
     name: "Lamb",
     description: "Tender lamb cuts",
     image: "lamb-category.jpg",
+    specificationSchema: [
+      {
+        key: "cut",
+        label: "Cut",
+        type: "enum",
+        values: ["rack", "leg", "loin", "shoulder", "shank", "chop", "ground", "other"],
+        required: true,
+      },
+      { key: "feedType", label: "Feed", type: "enum", values: ["grass-fed", "grain-finished"] },
+      origin,
+    ],
   },
   {
     name: "Seafood",
     description: "Fresh seafood selection",
     image: "seafood-category.jpg",
+    specificationSchema: [
+      { key: "species", label: "Species", type: "string", required: true },
+      {
+        key: "cut",
+        label: "Cut",
+        type: "enum",
+        values: ["whole", "fillet", "steak", "tail", "shelled", "shell-on"],
+      },
+      { key: "source", label: "Source", type: "enum", values: ["wild-caught", "farm-raised"], required: true },
+      { key: "sustainabilityRating", label: "Sustainability rating", type: "number", filterable: false },
+      origin,
+    ],
   },
 ]
 
@@ -69,8 +141,8 @@ const seedDatabase = async () => {
 
     console.log("Admin user created...")
 
-    // Create categories
-    const createdCategories = await Category.insertMany(categories)
+    // Create categories (through save so slugs are generated)
+    const createdCategories = await Category.create(categories)
     console.log("Categories created...")
 
     // Create sample products
@@ -148,10 +220,9 @@ const seedDatabase = async () => {
         ],
         inventory: { quantity: 30, lowStockThreshold: 5 },
         specifications: {
-          cut: "whole",
-          grade: "choice",
+          cut: "tenderloin",
           origin: "USA",
-          feedType: "grain-fed",
+          feedType: "conventional",
         },
         tags: ["pork", "tenderloin", "lean"],
         createdBy: adminUser._id,
@@ -174,7 +245,6 @@ const seedDatabase = async () => {
         inventory: { quantity: 25, lowStockThreshold: 5 },
         specifications: {
           cut: "whole",
-          grade: "organic",
           origin: "USA",
           feedType: "free-range",
         },
@@ -183,7 +253,7 @@ const seedDatabase = async () => {
       },
     ]
 
-    await Product.insertMany(products)
+    await Product.create(products)
     console.log("Products created...")
 
     console.log("Database seeded successfully!")
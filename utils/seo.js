@@ -0,0 +1,117 @@
+const FRONTEND_URL = (process.env.FRONTEND_URL || "http://localhost:3000").replace(/\/$/, "")
+
+// Public URL of this API, for links built outside a request (e.g. the shopping feed)
+const API_URL = (process.env.API_URL || `http://localhost:${process.env.PORT || 5000}`).replace(/\/$/, "")
+
+const STORE_NAME = process.env.STORE_NAME || "Meat Shop"
+
+// Currency prices are stored in (orders are charged in USD)
+const CURRENCY = "USD"
+
+// Storefront page for a product or category
+const productUrl = (product) => `${FRONTEND_URL}/products/${product.slug}`
+const categoryUrl = (category) => `${FRONTEND_URL}/categories/${category.slug}`
+
+// Base URL of this API as the client reached it, for links to its own files
+const apiBaseUrl = (req) => `${req.protocol}://${req.get("host")}`
+
+// Make a root-relative URL (e.g. a locally stored image) absolute
+const absoluteUrl = (url, baseUrl) => (url && url.startsWith("/") ? `${baseUrl}${url}` : url)
+
+const escapeXml = (value) =>
+  String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;")
+
+const xmlEntry = (tag, { loc, lastmod }) =>
+  `  <${tag}>\n    <loc>${escapeXml(loc)}</loc>\n${
+    lastmod ? `    <lastmod>${new Date(lastmod).toISOString()}</lastmod>\n` : ""
+  }  </${tag}>`
+
+// <urlset> sitemap from [{ loc, lastmod }]
+const buildUrlset = (entries) =>
+  [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">',
+    ...entries.map((entry) => xmlEntry("url", entry)),
+    "</urlset>",
+  ].join("\n")
+
+// <sitemapindex> from [{ loc, lastmod }] pointing at the sitemap files
+const buildSitemapIndex = (entries) =>
+  [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">',
+    ...entries.map((entry) => xmlEntry("sitemap", entry)),
+    "</sitemapindex>",
+  ].join("\n")
+
+// schema.org Product JSON-LD for a product. Prices include a running sale when
+// applyPriceRules was called on the product; products sold as variants get an
+// AggregateOffer over the variant prices.
+const buildProductJsonLd = (product, baseUrl) => {
+  const url = productUrl(product)
+  const sale = product.sale
+  const availability = product.inStock ? "https://schema.org/InStock" : "https://schema.org/OutOfStock"
+
+  const offerFields = {
+    url,
+    priceCurrency: CURRENCY,
+    availability,
+    itemCondition: "https://schema.org/NewCondition",
+    ...(sale?.endsAt && { priceValidUntil: new Date(sale.endsAt).toISOString().slice(0, 10) }),
+  }
+
+  let offers
+  if (product.hasVariants) {
+    const { min, max } = sale ? sale.priceRange : product.priceRange
+    offers = {
+      "@type": "AggregateOffer",
+      lowPrice: min,
+      highPrice: max,
+      offerCount: product.variants.filter((variant) => variant.isActive).length,
+      ...offerFields,
+    }
+  } else {
+    offers = { "@type": "Offer", price: sale ? sale.price : product.price, sku: product.sku, ...offerFields }
+  }
+
+  return {
+    "@context": "https://schema.org",
+    "@type": "Product",
+    name: product.seoTitle || product.name,
+    description: product.seoDescription || product.description,
+    sku: product.sku,
+    url,
+    image: product.images.map((image) => absoluteUrl(image.url, baseUrl)),
+    ...(product.category?.name && { category: product.category.name }),
+    offers,
+    ...(product.numOfReviews > 0 && {
+      aggregateRating: {
+        "@type": "AggregateRating",
+        ratingValue: product.averageRating,
+        reviewCount: product.numOfReviews,
+        bestRating: 5,
+        worstRating: 1,
+      },
+    }),
+  }
+}
+
+module.exports = {
+  FRONTEND_URL,
+  API_URL,
+  STORE_NAME,
+  CURRENCY,
+  productUrl,
+  categoryUrl,
+  apiBaseUrl,
+  absoluteUrl,
+  escapeXml,
+  buildUrlset,
+  buildSitemapIndex,
+  buildProductJsonLd,
+}
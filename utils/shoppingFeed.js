@@ -0,0 +1,195 @@
+const Product = require("../models/Product")
+const { applyPriceRules } = require("./priceRules")
+const { FRONTEND_URL, API_URL, STORE_NAME, CURRENCY, productUrl, absoluteUrl, escapeXml } = require("./seo")
+
+const REFRESH_INTERVAL = (Number(process.env.SHOPPING_FEED_REFRESH_HOURS) || 6) * 60 * 60 * 1000
+const BATCH_SIZE = 500 // Products loaded per query while building the feed
+const MAX_ADDITIONAL_IMAGES = 10
+
+// Feed columns in TSV order, using the Google Merchant Center attribute names
+const FEED_ATTRIBUTES = [
+  "id",
+  "item_group_id",
+  "title",
+  "description",
+  "link",
+  "image_link",
+  "additional_image_link",
+  "availability",
+  "price",
+  "sale_price",
+  "sale_price_effective_date",
+  "brand",
+  "product_detail",
+  "product_type",
+  "shipping_weight",
+  "condition",
+  "identifier_exists",
+]
+
+// Latest generated feed, rebuilt on a schedule
+let feed = null
+let runningRefresh = null
+
+const formatPrice = (amount) => `${amount.toFixed(2)} ${CURRENCY}`
+
+const truncate = (text, length) => (text && text.length > length ? `${text.slice(0, length - 1)}…` : text)
+
+// Feed items for a product: one per active variant, grouped by the product SKU, or
+// one for the product itself
+const productFeedItems = (product) => {
+  const images = product.images
+    .slice()
+    .sort((a, b) => b.isPrimary - a.isPrimary)
+    .map((image) => absoluteUrl(image.url, API_URL))
+  const category = product.category
+  const origin = product.specifications?.get("origin")
+
+  const sellables = product.hasVariants
+    ? product.variants.filter((variant) => variant.isActive).map((variant) => product.getSellable(variant._id))
+    : [product.getSellable()]
+
+  return sellables.filter(Boolean).map((sellable) => {
+    const { variant, inventory, weight } = sellable
+    const onSale = sellable.comparePrice > sellable.price
+    const sale = onSale && product.$locals.priceRule
+
+    return {
+      id: sellable.sku,
+      item_group_id: variant ? product.sku : undefined,
+      title: truncate(variant ? `${product.name} (${[...variant.options.values()].join(", ")})` : product.name, 150),
+      description: truncate(product.seoDescription || product.description, 5000),
+      link: productUrl(product),
+      image_link: images[0],
+      additional_image_link: images.slice(1, 1 + MAX_ADDITIONAL_IMAGES),
+      availability: !inventory.trackQuantity || inventory.quantity > 0 ? "in_stock" : "out_of_stock",
+      price: formatPrice(onSale ? sellable.comparePrice : sellable.price),
+      sale_price: onSale ? formatPrice(sellable.price) : undefined,
+      sale_price_effective_date:
+        sale && sale.endsAt ? `${sale.startsAt.toISOString()}/${sale.endsAt.toISOString()}` : undefined,
+      brand: product.specifications?.get("brand") || STORE_NAME,
+      product_detail: origin ? [{ section_name: "General", attribute_name: "Origin", attribute_value: origin }] : [],
+      product_type: category
+        ? category
+            .getBreadcrumbs()
+            .map((entry) => entry.name)
+            .join(" > ")
+        : undefined,
+      shipping_weight: `${weight.value} ${weight.unit}`,
+      condition: "new",
+      identifier_exists: "no",
+    }
+  })
+}
+
+// Feed items for every active product, loaded in batches
+const buildFeedItems = async () => {
+  const items = []
+  let lastId = null
+
+  for (;;) {
+    const products = await Product.find({ isActive: true, ...(lastId && { _id: { $gt: lastId } }) })
+      .sort("_id")
+      .limit(BATCH_SIZE)
+      .populate("category", "name slug ancestors")
+      .withBundleComponents()
+    if (products.length === 0) break
+
+    await applyPriceRules(products)
+    products.forEach((product) => items.push(...productFeedItems(product)))
+    lastId = products[products.length - 1]._id
+  }
+
+  return items
+}
+
+// RSS 2.0 feed with the Google Merchant namespace
+const toXml = (items, generatedAt) => {
+  const element = (name, value) => `      <g:${name}>${escapeXml(value)}</g:${name}>`
+  const itemXml = (item) => {
+    const lines = []
+    for (const name of FEED_ATTRIBUTES) {
+      const value = item[name]
+      if (name === "product_detail") {
+        value.forEach((detail) =>
+          lines.push(
+            `      <g:product_detail>${Object.entries(detail)
+              .map(([key, text]) => `<g:${key}>${escapeXml(text)}</g:${key}>`)
+              .join("")}</g:product_detail>`,
+          ),
+        )
+      } else if (Array.isArray(value)) {
+        value.forEach((entry) => lines.push(element(name, entry)))
+      } else if (value !== undefined && value !== "") {
+        lines.push(element(name, value))
+      }
+    }
+    return ["    <item>", ...lines, "    </item>"].join("\n")
+  }
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<rss version="2.0" xmlns:g="http://base.google.com/ns/1.0">',
+    "  <channel>",
+    `    <title>${escapeXml(STORE_NAME)}</title>`,
+    `    <link>${escapeXml(FRONTEND_URL)}</link>`,
+    `    <description>${escapeXml(`${STORE_NAME} product feed`)}</description>`,
+    `    <lastBuildDate>${generatedAt.toUTCString()}</lastBuildDate>`,
+    ...items.map(itemXml),
+    "  </channel>",
+    "</rss>",
+  ].join("\n")
+}
+
+// Tab separated feed with a header row; list values are comma separated
+const toTsv = (items) => {
+  const cell = (value) => String(value ?? "").replace(/[\t\r\n]+/g, " ")
+  const rows = items.map((item) =>
+    FEED_ATTRIBUTES.map((name) => {
+      const value = item[name]
+      if (name === "product_detail") {
+        return cell(value.map((detail) => Object.values(detail).join(":")).join(","))
+      }
+      return cell(Array.isArray(value) ? value.join(",") : value)
+    }).join("\t"),
+  )
+  return [FEED_ATTRIBUTES.join("\t"), ...rows].join("\n")
+}
+
+// Rebuild the feed in both formats. Concurrent calls share one run.
+const refreshShoppingFeed = () => {
+  if (runningRefresh) return runningRefresh
+
+  runningRefresh = (async () => {
+    const generatedAt = new Date()
+    const items = await buildFeedItems()
+    feed = { xml: toXml(items, generatedAt), tsv: toTsv(items), itemCount: items.length, generatedAt }
+    return feed
+  })().finally(() => {
+    runningRefresh = null
+  })
+
+  return runningRefresh
+}
+
+// The latest feed, building it first if it hasn't been generated yet
+const getShoppingFeed = () => feed || refreshShoppingFeed()
+
+// Build the feed now and then every SHOPPING_FEED_REFRESH_HOURS
+const scheduleShoppingFeedRefresh = () => {
+  const refresh = () =>
+    refreshShoppingFeed().catch((error) => {
+      console.error("Refresh shopping feed error:", error)
+    })
+
+  refresh()
+  const timer = setInterval(refresh, REFRESH_INTERVAL)
+  timer.unref() // Don't keep the process alive just for this
+  return timer
+}
+
+module.exports = {
+  refreshShoppingFeed,
+  getShoppingFeed,
+  scheduleShoppingFeedRefresh,
+}
@@ -0,0 +1,88 @@
+// Turn text into a URL slug: "T-Bone Steak (16oz)" -> "t-bone-steak-16oz"
+const slugify = (text = "") =>
+  String(text)
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "") // Strip accents
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "")
+
+// Find a slug that no other document uses, currently or in its slug history, by
+// appending -2, -3, ... to the base slug
+const generateUniqueSlug = async (Model, text, excludeId) => {
+  const base = slugify(text) || "item"
+  const pattern = new RegExp(`^${base}(-\\d+)?$`)
+
+  const taken = await Model.find({
+    _id: { $ne: excludeId },
+    $or: [{ slug: pattern }, { previousSlugs: pattern }],
+  })
+    .select("slug previousSlugs")
+    .lean()
+
+  const used = new Set(taken.flatMap((doc) => [doc.slug, ...(doc.previousSlugs || [])]))
+  if (!used.has(base)) return base
+
+  let suffix = 2
+  while (used.has(`${base}-${suffix}`)) suffix++
+  return `${base}-${suffix}`
+}
+
+// Mongoose plugin for schemas with a `name` and unique `slug`. The slug is generated
+// from the name (or normalized when set explicitly) and made unique, and replaced
+// slugs are kept in `previousSlugs` so old URLs still resolve through findBySlug.
+const slugHistory = (schema) => {
+  schema.add({
+    previousSlugs: [
+      {
+        type: String,
+        lowercase: true,
+      },
+    ],
+  })
+  schema.index({ previousSlugs: 1 })
+
+  schema.post("init", function () {
+    this.$locals.savedSlug = this.slug
+  })
+
+  schema.pre("save", async function () {
+    const slugSetExplicitly = this.isModified("slug") && !!this.slug
+    if (!this.isNew && !this.isModified("name") && !slugSetExplicitly) return
+
+    const slug = await generateUniqueSlug(this.constructor, slugSetExplicitly ? this.slug : this.name, this._id)
+    const previousSlug = this.$locals.savedSlug
+
+    if (previousSlug && previousSlug !== slug && !this.previousSlugs.includes(previousSlug)) {
+      this.previousSlugs.push(previousSlug)
+    }
+    // A document may take back one of its own old slugs
+    this.previousSlugs = this.previousSlugs.filter((oldSlug) => oldSlug !== slug)
+    this.slug = slug
+  })
+
+  schema.post("save", function () {
+    this.$locals.savedSlug = this.slug
+  })
+
+  // Query by current or previous slug; compare the result's slug with the one
+  // requested to tell whether the caller should redirect
+  schema.statics.findBySlug = function (slug) {
+    const normalized = String(slug).toLowerCase()
+    return this.findOne({ $or: [{ slug: normalized }, { previousSlugs: normalized }] })
+  }
+}
+
+// Response fields for a lookup by id or slug: the document's canonical slug, and
+// redirect: true when it was requested by an old slug
+const canonicalSlugFields = (requested, doc) => ({
+  canonicalSlug: doc.slug,
+  redirect: !requested.match(/^[0-9a-fA-F]{24}$/) && requested.toLowerCase() !== doc.slug,
+})
+
+module.exports = {
+  slugify,
+  generateUniqueSlug,
+  slugHistory,
+  canonicalSlugFields,
+}
@@ -0,0 +1,136 @@
+// Specification keys are used in query strings and CSV headers, so keep them simple
+const SPECIFICATION_KEY_PATTERN = /^[a-zA-Z][a-zA-Z0-9_]*$/
+
+// Merge lists of specification definitions in order; later definitions replace
+// earlier ones with the same key (a subcategory can refine its parent's fields)
+const mergeSpecificationDefinitions = (lists) => {
+  const merged = new Map()
+  for (const definitions of lists) {
+    for (const definition of definitions || []) {
+      merged.set(definition.key, definition.toObject ? definition.toObject() : definition)
+    }
+  }
+  return [...merged.values()]
+}
+
+// Convert a value to the definition's type, or return undefined if it can't be
+const coerceSpecification = (value, definition) => {
+  switch (definition.type) {
+    case "number": {
+      const number = typeof value === "string" && value.trim() !== "" ? Number(value) : value
+      return typeof number === "number" && Number.isFinite(number) ? number : undefined
+    }
+    case "boolean":
+      if (typeof value === "boolean") return value
+      if (value === "true" || value === "false") return value === "true"
+      return undefined
+    case "enum":
+      return definition.values.includes(String(value)) ? String(value) : undefined
+    default:
+      return ["string", "number", "boolean"].includes(typeof value) ? String(value).trim() : undefined
+  }
+}
+
+// Check product specifications against a category's definitions. Values are coerced
+// to their declared types (CSV imports send strings) and empty values are dropped.
+// Categories without definitions accept any scalar values. Required fields are only
+// enforced when requireAll is set. Returns { values, errors } where errors are
+// { key, message } entries.
+const checkSpecifications = (specifications, definitions, { requireAll = true } = {}) => {
+  const entries = specifications instanceof Map ? [...specifications.entries()] : Object.entries(specifications || {})
+  const byKey = new Map(definitions.map((definition) => [definition.key, definition]))
+  const values = {}
+  const errors = []
+
+  for (const [key, value] of entries) {
+    if (value === null || value === undefined || value === "") continue
+
+    if (definitions.length === 0) {
+      if (["string", "number", "boolean"].includes(typeof value)) values[key] = value
+      else errors.push({ key, message: `Specification ${key} must be a text, number or boolean value` })
+      continue
+    }
+
+    const definition = byKey.get(key)
+    if (!definition) {
+      errors.push({
+        key,
+        message: `Unknown specification ${key} for this category (allowed: ${[...byKey.keys()].join(", ")})`,
+      })
+      continue
+    }
+
+    const coerced = coerceSpecification(value, definition)
+    if (coerced === undefined || (typeof coerced === "string" && coerced.length > 100)) {
+      const expected =
+        definition.type === "enum" ? `one of ${definition.values.join(", ")}` : `a ${definition.type} value`
+      errors.push({ key, message: `Specification ${key} must be ${expected}` })
+      continue
+    }
+    values[key] = coerced
+  }
+
+  if (requireAll) {
+    for (const definition of definitions) {
+      const invalid = errors.some(({ key }) => key === definition.key)
+      if (definition.required && values[definition.key] === undefined && !invalid) {
+        errors.push({ key: definition.key, message: `Specification ${definition.key} is required for this category` })
+      }
+    }
+  }
+
+  return { values, errors }
+}
+
+// List query grammar fields for the filterable specifications, used to parse ?specs[key]=value.
+// Specification types match the grammar's value types.
+const specificationFilterFields = (definitions) =>
+  Object.fromEntries(
+    definitions
+      .filter((definition) => definition.filterable)
+      .map((definition) => [
+        definition.key,
+        {
+          type: definition.type,
+          path: `specifications.${definition.key}`,
+          ...(definition.type === "enum" ? { values: definition.values } : {}),
+        },
+      ]),
+  )
+
+// Aggregation stages counting products per specification key and value
+const specificationFacetStages = [
+  { $project: { specification: { $objectToArray: { $ifNull: ["$specifications", {}] } } } },
+  { $unwind: "$specification" },
+  { $group: { _id: { key: "$specification.k", value: "$specification.v" }, count: { $sum: 1 } } },
+  { $sort: { count: -1 } },
+]
+
+// Shape the facet stage output for the filterable specifications: value counts, or
+// the range for numeric specifications
+const buildSpecificationFacets = (buckets, definitions) =>
+  definitions
+    .filter((definition) => definition.filterable)
+    .map((definition) => {
+      const matching = buckets.filter((bucket) => bucket._id.key === definition.key)
+      const facet = { key: definition.key, label: definition.label || definition.key, type: definition.type }
+      if (definition.unit) facet.unit = definition.unit
+
+      if (definition.type === "number") {
+        const numbers = matching.map((bucket) => bucket._id.value).filter((value) => typeof value === "number")
+        return numbers.length > 0 ? { ...facet, min: Math.min(...numbers), max: Math.max(...numbers) } : null
+      }
+      return matching.length > 0
+        ? { ...facet, values: matching.map((bucket) => ({ value: bucket._id.value, count: bucket.count })) }
+        : null
+    })
+    .filter(Boolean)
+
+module.exports = {
+  SPECIFICATION_KEY_PATTERN,
+  mergeSpecificationDefinitions,
+  checkSpecifications,
+  specificationFilterFields,
+  specificationFacetStages,
+  buildSpecificationFacets,
+}
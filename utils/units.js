@@ -0,0 +1,73 @@
+const { roundPrice } = require("./orderPricing")
+
+// Grams in one of each weight unit products are measured in
+const GRAMS_PER_UNIT = {
+  g: 1,
+  kg: 1000,
+  oz: 28.349523125,
+  lb: 453.59237,
+}
+
+const WEIGHT_UNITS = Object.keys(GRAMS_PER_UNIT)
+
+// Units weights are displayed in for each unit system. Weights under one of the main
+// unit are shown in the smaller one (12 oz rather than 0.75 lb).
+const UNIT_SYSTEMS = {
+  imperial: { unit: "lb", smallUnit: "oz" },
+  metric: { unit: "kg", smallUnit: "g" },
+}
+
+const DEFAULT_UNIT_SYSTEM = "imperial"
+
+const round = (value, decimals) => Math.round(value * 10 ** decimals) / 10 ** decimals
+
+// Convert a weight value between units
+const convertWeight = (value, from, to) => (from === to ? value : (value * GRAMS_PER_UNIT[from]) / GRAMS_PER_UNIT[to])
+
+// A weight converted for display in a unit system, rounded to a readable precision
+const displayWeight = (weight, unitSystem = DEFAULT_UNIT_SYSTEM) => {
+  if (!weight || weight.value == null) return null
+
+  const { unit, smallUnit } = UNIT_SYSTEMS[unitSystem] || UNIT_SYSTEMS[DEFAULT_UNIT_SYSTEM]
+  const value = convertWeight(weight.value, weight.unit, unit)
+
+  if (value > 0 && value < 1) {
+    return { value: round(convertWeight(weight.value, weight.unit, smallUnit), 1), unit: smallUnit }
+  }
+  return { value: round(value, 2), unit }
+}
+
+// What a price for a weight works out to per lb and per kg. Null for weightless items.
+const unitPrices = (price, weight) => {
+  if (price == null || !weight || !weight.value) return null
+
+  return {
+    perLb: roundPrice(price / convertWeight(weight.value, weight.unit, "lb")),
+    perKg: roundPrice(price / convertWeight(weight.value, weight.unit, "kg")),
+  }
+}
+
+// Unit system to display weights in: ?units= when valid, then the signed-in user's
+// preference, then the default
+const getUnitSystem = (req) => {
+  if (UNIT_SYSTEMS[req.query.units]) return req.query.units
+  return req.user?.preferences?.unitSystem || DEFAULT_UNIT_SYSTEM
+}
+
+// Attach the unit system to loaded products so their display virtuals use it
+const applyUnitSystem = (products, unitSystem) => {
+  products.forEach((product) => {
+    product.$locals.unitSystem = unitSystem
+  })
+}
+
+module.exports = {
+  WEIGHT_UNITS,
+  UNIT_SYSTEMS,
+  DEFAULT_UNIT_SYSTEM,
+  convertWeight,
+  displayWeight,
+  unitPrices,
+  getUnitSystem,
+  applyUnitSystem,
+}